@@ -0,0 +1,36 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package common
+
+import java.io.File
+
+/** Gives access to the files produced by the compilation of the papers.
+ *  It is registered as a service by the compilation module, which owns the build layout.
+ *
+ *  @author agent
+ */
+trait CompilationArtifacts {
+
+  /** The PDF file produced by the last compilation of the paper, if it was compiled */
+  def pdf(paperId: String): Option[File]
+
+  /** Whether the file of the paper directory was produced by the compilation,
+   *  and thus is not one of the paper sources
+   */
+  def isArtifact(paperId: String, file: File): Boolean
+
+}
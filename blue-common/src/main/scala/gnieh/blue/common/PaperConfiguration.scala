@@ -36,6 +36,12 @@ class PaperConfiguration(val config: Config) {
   def bibFile(paperId: String): File =
     paperDir(paperId) / "references.bib"
 
+  def snapshotDir(paperId: String, snapshotId: String): File =
+    paperDir(paperId) / ".snapshots" / snapshotId
+
+  def compilationDir(paperId: String, compilationId: String): File =
+    paperDir(paperId) / ".compilations" / compilationId
+
   def clsDir: File =
     new File(config.getString("blue.paper.classes"))
 
@@ -17,6 +17,7 @@ package gnieh.blue
 package common
 
 import scala.util.Try
+import scala.concurrent.Future
 
 import java.util.Date
 
@@ -27,9 +28,24 @@ import java.util.Date
 trait SynchroServer {
 
   /** Starts a new session with the data and returns
-   *  the result data for the client
+   *  the result data for the client.
+   *  The modifications are attributed to the given author
+   *  in the paper revision history, if any
    */
-  def session(data: String): Try[String]
+  def session(data: String, author: Option[String] = None): Try[String]
+
+  /** Waits for the next events of the paper concerning the given peer of the user
+   *  and returns them as a server-sent events stream.
+   *  The stream is empty if nothing happened before the subscription timed out.
+   *  It fails with a `ForeignPeerException` if the peer belongs to another user
+   */
+  def events(paperId: String, peerId: String, user: Option[String]): Future[String]
+
+  /** Replaces the synchronized file with the text of one of its saved revisions,
+   *  so that every connected peer gets the restored text with its next synchronization.
+   *  The restoration is attributed to the given author in the paper revision history, if any
+   */
+  def restore(paperId: String, filename: String, revisionId: String, author: Option[String]): Try[Unit]
 
   /** Persists the synchronized files for the given paper
    *  This call is synchronous and only returns when all files
@@ -50,3 +66,26 @@ trait SynchroServer {
 class SynchroFailureException(msg: String, inner: Throwable) extends Exception(msg, inner) {
   def this(msg: String) = this(msg, null)
 }
+
+/** Exception used when a peer is used on behalf of another user than the one it belongs to.
+ */
+class ForeignPeerException(peerId: String) extends SynchroFailureException(s"Peer $peerId belongs to another user")
+
+/** Exception used when a synchronization request concerns a paper nobody is connected to.
+ */
+class NobodyConnectedException(paperId: String) extends SynchroFailureException(s"Nobody is connected to paper $paperId")
+
+/** Mixin this trait to save the last synchronized edits of a paper before reading its files
+ */
+trait SynchroSupport {
+  this: Logging =>
+
+  /** Persists the synchronized files of the paper. If nobody is connected to the paper, its files
+   *  are already up to date. Any other failure is logged and the files are used as they are
+   */
+  def persistSynchronized(synchro: SynchroServer, paperId: String): Unit =
+    Try(synchro.persist(paperId)) recover {
+      case _: NobodyConnectedException =>
+      case e => logError(s"Unable to persist the synchronized files of paper $paperId", e)
+    }
+}
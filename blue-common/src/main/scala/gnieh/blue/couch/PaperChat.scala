@@ -0,0 +1,34 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package couch
+
+import gnieh.sohva.IdRev
+
+import java.util.Date
+
+/** Chat component that can be attached to a paper entity.
+ *  It contains the last messages exchanged by the authors of the paper.
+ *
+ *  @author agent
+ */
+case class PaperChat(_id: String, messages: List[ChatMessage]) extends IdRev
+
+/** A message sent in the chat of a paper.
+ *
+ *  @author agent
+ */
+case class ChatMessage(id: String, author: String, date: Date, text: String)
@@ -0,0 +1,77 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package couch
+
+import gnieh.sohva.IdRev
+
+import java.util.Date
+
+/** Comment component that can be attached to a paper entity.
+ *  It contains all the comment threads of the paper, resolved or not.
+ *
+ *  @author agent
+ */
+case class PaperComments(_id: String, threads: List[CommentThread]) extends IdRev
+
+/** A thread of comments attached to some part of the paper.
+ *  A thread may suggest to replace the text of its range, in which case
+ *  it is resolved when the suggestion is accepted or rejected by an author.
+ *
+ *  @author agent
+ */
+case class CommentThread(id: String, anchor: CommentAnchor, resolved: Boolean, comments: List[Comment], suggestion: Option[Suggestion])
+
+/** A suggested replacement for the range of a thread.
+ *  An insertion is suggested on an empty range, and a deletion with an empty text.
+ *  It is neither accepted nor rejected as long as it is pending.
+ *
+ *  @author agent
+ */
+case class Suggestion(author: String, text: String, accepted: Option[Boolean])
+
+/** A single comment in a thread.
+ *
+ *  @author agent
+ */
+case class Comment(id: String, author: String, date: Date, text: String)
+
+/** Where a comment thread is attached.
+ *  A thread is either attached to a range of characters in a synchronized file,
+ *  or to an area of a page in the compiled paper.
+ *  The quoted text of a range is kept so that the client can find the range again
+ *  after it was moved by concurrent edits.
+ *  Area coordinates are expressed as fractions of the page dimensions.
+ *
+ *  @author agent
+ */
+case class CommentAnchor(file: Option[String],
+                         start: Option[Int],
+                         end: Option[Int],
+                         quote: Option[String],
+                         page: Option[Int],
+                         x: Option[Double],
+                         y: Option[Double],
+                         width: Option[Double],
+                         height: Option[Double]) {
+
+  def isRange: Boolean =
+    file.isDefined && start.isDefined && end.isDefined
+
+  def isArea: Boolean =
+    page.isDefined && x.isDefined && y.isDefined && width.isDefined && height.isDefined
+
+}
@@ -0,0 +1,38 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package couch
+
+import gnieh.sohva.IdRev
+
+import net.liftweb.json.JValue
+
+import java.util.Date
+
+/** Snapshots component that can be attached to a paper entity.
+ *  It describes the named snapshots taken at the milestones of the paper.
+ *
+ *  @author agent
+ */
+case class PaperSnapshots(_id: String, snapshots: List[Snapshot]) extends IdRev
+
+/** A frozen copy of the paper files and of its compiled version.
+ *  The compiler settings in effect when it was taken are recorded as is,
+ *  they belong to the compilation module.
+ *
+ *  @author agent
+ */
+case class Snapshot(id: String, name: String, author: String, date: Date, files: List[String], pdf: Boolean, compiler: Option[JValue])
@@ -18,7 +18,8 @@ package gnieh.blue.couch
 import gnieh.sohva._
 
 /** A user of blue has the standard fields of couchdb users
- *  but also contains extra information, specific to blue.
+ *  but also contains extra information, specific to blue,
+ *  such as the colour identifying the user in the papers.
  *
  *  @author Lucas Satabin
  *
@@ -27,7 +28,8 @@ case class User(name: String,
                 first_name: String,
                 last_name: String,
                 email: String,
-                affiliation: Option[String] = None) extends IdRev {
+                affiliation: Option[String] = None,
+                color: Option[String] = None) extends IdRev {
 
   val _id = s"org.couchdb.user:$name:blue"
 
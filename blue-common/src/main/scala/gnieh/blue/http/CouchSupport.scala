@@ -22,6 +22,10 @@ import common._
 
 import tiscaf._
 
+import gnieh.sohva.{
+  IdRev,
+  ConflictException
+}
 import gnieh.sohva.control.entities.EntityManager
 import gnieh.sohva.control.{
   CouchClient,
@@ -32,7 +36,10 @@ import gnieh.sohva.control.{
 
 import com.typesafe.config.Config
 
-import scala.util.Try
+import scala.util.{
+  Try,
+  Success
+}
 
 /** mixin this trait to access CouchDB facilities
  *
@@ -83,6 +90,30 @@ trait CouchSupport {
   def entityManager(dbName: String)(implicit talk: HTalk): EntityManager =
     new EntityManager(database(dbName))
 
+  /** How many times a component is modified again when it was concurrently modified */
+  val componentRetries = 3
+
+  /** Applies the modification to the component of the paper, or to the default one if it does not exist yet,
+   *  and saves it. If the component was concurrently modified, the modification is applied again to the new one.
+   *  If the modification returns `None`, nothing is saved and `None` is returned */
+  def updateComponent[T <: IdRev: Manifest](paperId: String, default: => T)(modify: T => Option[T])(implicit talk: HTalk): Try[Option[T]] = {
+    val manager = entityManager("blue_papers")
+    def loop(retries: Int): Try[Option[T]] =
+      manager.getComponent[T](paperId) flatMap { current =>
+        val component = current.getOrElse(default)
+        modify(component) match {
+          case Some(modified) =>
+            manager.saveComponent(paperId, modified.withRev(component._rev)) map (Some(_)) recoverWith {
+              case ConflictException(_) if retries > 0 =>
+                loop(retries - 1)
+            }
+          case None =>
+            Success(None)
+        }
+      }
+    loop(componentRetries)
+  }
+
   /** Returns the database object identified by its name */
   def database(name: String)(implicit talk: HTalk): Database =
     couchSession.database(couchConfig.database(name))
@@ -28,6 +28,7 @@ package object permission {
   val Read = Permission("read")
   val View = Permission("view")
   val Comment = Permission("comment")
+  val Suggest = Permission("suggest")
   val Chat = Permission("chat")
   val Fork = Permission("fork")
   val ChangePhase = Permission("change-phase")
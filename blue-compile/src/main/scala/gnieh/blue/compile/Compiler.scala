@@ -53,5 +53,24 @@ trait Compiler {
    */
   def bibtex(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean]
 
+  /** Do the biber task for a paper, used instead of bibtex by `biblatex` papers. */
+  def biber(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean]
+
+  /** Run the given index tool (`makeindex` or `makeglossaries`) on the compiled paper. */
+  def index(paperId: String, settings: CompilerSettings, tool: String)(implicit timeout: Timeout): Try[Boolean]
+
+  /** Build the whole paper with `latexmk` using this compiler engine. */
+  def latexmk(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean]
+
+  /** Compile a standalone document in its own directory, for instance to preview a snippet of the paper.
+   *  The PDF file is generated next to the document.
+   */
+  def snippet(paperId: String, settings: CompilerSettings, texFile: File)(implicit timeout: Timeout): Try[Boolean]
+
+  /** Whether the last compiler run asks for the document to be compiled again,
+   *  for instance because cross-references changed.
+   */
+  def needsRerun(paperId: String): Boolean
+
 }
 
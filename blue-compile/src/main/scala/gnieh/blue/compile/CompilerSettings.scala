@@ -18,5 +18,59 @@ package compile
 
 import gnieh.sohva.IdRev
 
-case class CompilerSettings(_id: String, compiler: String, synctex: Boolean, timeout: Int, interval: Int) extends IdRev
+/** The compilation settings of a paper.
+ *  The `main` file is the root document to compile, relative to the paper directory.
+ *  When not set, the paper main file is compiled.
+ *
+ *  The other optional settings describe the build pipeline run around the compiler:
+ *   - `bibliography` is the bibliography tool, `bibtex` (the default), `biber` or `none`,
+ *   - `index` is the index tool run after the compiler, `makeindex` or `makeglossaries`,
+ *   - `reruns` is the maximum number of times the compiler is run again until the document is stable,
+ *   - `latexmk` delegates the whole build to `latexmk`, which then decides which tools to run.
+ *
+ *  The `includeonly` chapter is never saved, it is only set for partial compilations requested
+ *  from the editor, in which case only this chapter is typeset by the compiler.
+ *
+ *  @author agent
+ */
+case class CompilerSettings(_id: String,
+                            compiler: String,
+                            synctex: Boolean,
+                            timeout: Int,
+                            interval: Int,
+                            main: Option[String] = None,
+                            bibliography: Option[String] = None,
+                            index: Option[String] = None,
+                            reruns: Option[Int] = None,
+                            latexmk: Option[Boolean] = None,
+                            includeonly: Option[String] = None) extends IdRev
+
+object CompilerSettings {
+
+  // no path segment may start with a dash or a dot, so that the name is never taken
+  // for a command line option and never leaves the paper directory
+  private val MainFile = """([a-zA-Z0-9_][a-zA-Z0-9_\-]*/)*[a-zA-Z0-9_][a-zA-Z0-9_\-.]*\.tex""".r
+
+  /** Whether the file name may be used as root document, i.e. it is a `.tex` file
+   *  inside the paper directory, whose name can safely be passed to the compiler
+   */
+  def isMainFile(name: String): Boolean =
+    MainFile.pattern.matcher(name).matches
+
+  /** The supported bibliography tools */
+  val bibliographyTools = Set("bibtex", "biber", "none")
+
+  /** The supported index tools */
+  val indexTools = Set("makeindex", "makeglossaries")
+
+  /** The maximum number of reruns that may be configured */
+  val maxReruns = 5
+
+  /** Whether the pipeline settings are supported */
+  def isValidPipeline(settings: CompilerSettings): Boolean =
+    settings.bibliography.forall(bibliographyTools.contains(_)) &&
+      settings.index.forall(indexTools.contains(_)) &&
+      settings.reruns.forall(r => r >= 0 && r <= maxReruns)
+
+}
 
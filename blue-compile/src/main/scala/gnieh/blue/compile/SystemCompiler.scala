@@ -25,7 +25,13 @@ import scala.concurrent.Await
 
 import scala.util.Try
 
+import scala.io.{
+  Source,
+  Codec
+}
+
 import java.io.File
+import java.nio.charset.CodingErrorAction
 
 import com.typesafe.config.Config
 
@@ -45,30 +51,100 @@ abstract class SystemCompiler(system: ActorSystem, config: Config, texmfcnf: Fil
 
   private val systemCommand = system.actorSelection("/user/system-commands")
 
-  protected def exec(command: String, workingDir: File, env: List[(String, String)] = List())(implicit timeout: Timeout) =
+  /** Executes the command, the output of commands run on behalf of a paper is appended
+   *  to the build step log of the program in the paper build directory, unless another output file is given.
+   */
+  protected def exec(command: String, workingDir: File, env: List[(String, String)] = List(), owner: Option[String] = None, output: Option[File] = None)(implicit timeout: Timeout) =
     Try {
+      val output1 = output.orElse(owner.map(stepLog(_, command.takeWhile(_ != ' '))))
       Await.result(
-        systemCommand ? SystemCommand(command, workingDir, ("TEXMFCNF" -> s"${texmfcnf.getCanonicalPath}:") :: env, timeout) mapTo manifest[Int],
+        systemCommand ? SystemCommand(command, workingDir, ("TEXMFCNF" -> s"${texmfcnf.getCanonicalPath}:") :: env, timeout, owner, output1) mapTo manifest[Int],
         timeout.duration
       ) == 0
     }
 
-  def bibtex(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] = {
-    // XXX this sucks! we need to copy the bib files to the build directory because bibtex
-    // cannot handle compilation in a different directory correctly
-    // technology from the 80's has limitations...
-    // http://tex.stackexchange.com/questions/12686/how-do-i-run-bibtex-after-using-the-output-directory-flag-with-pdflatex-when-f
+  /** The file in which the output of the given program is logged during the paper build */
+  def stepLog(paperId: String, program: String): File = {
+    import FileUtils._
+    val dir = configuration.buildDir(paperId) / "steps"
+    dir.mkdirs
+    dir / s"$program.log"
+  }
+
+  // XXX this sucks! we need to copy the bib files to the build directory because bibtex
+  // cannot handle compilation in a different directory correctly
+  // technology from the 80's has limitations...
+  // http://tex.stackexchange.com/questions/12686/how-do-i-run-bibtex-after-using-the-output-directory-flag-with-pdflatex-when-f
+  private def copyBibFiles(paperId: String): Unit = {
     import FileUtils._
     for(file <- configuration.paperDir(paperId).filter(_.extension == ".bib")) {
       val destfile = configuration.buildDir(paperId) / file.getName
       (file #> destfile).!
     }
+  }
+
+  def bibtex(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] = {
+    copyBibFiles(paperId)
+    exec(s"bibtex main.aux", configuration.buildDir(paperId), owner = Some(paperId))
+  }
+
+  def biber(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] = {
+    copyBibFiles(paperId)
+    exec(s"biber main", configuration.buildDir(paperId), owner = Some(paperId))
+  }
 
-    exec(s"bibtex main.aux", configuration.buildDir(paperId))
+  def index(paperId: String, settings: CompilerSettings, tool: String)(implicit timeout: Timeout): Try[Boolean] = tool match {
+    case "makeindex" =>
+      exec(s"makeindex main.idx", configuration.buildDir(paperId), owner = Some(paperId))
+    case "makeglossaries" =>
+      exec(s"makeglossaries main", configuration.buildDir(paperId), owner = Some(paperId))
+    case _ =>
+      Try(false)
+  }
+
+  /** The engine used to compile snippets to PDF */
+  protected def snippetEngine: String = name
+
+  def snippet(paperId: String, settings: CompilerSettings, texFile: File)(implicit timeout: Timeout): Try[Boolean] = {
+    val dir = texFile.getParentFile
+    // snippets are compiled in the paper directory so that images and inputs are found,
+    // but without shell escape and without waiting for user input on errors
+    exec(s"$snippetEngine -interaction nonstopmode -halt-on-error -no-shell-escape -output-directory ${dir.getCanonicalPath} ${texFile.getCanonicalPath}",
+      configuration.paperDir(paperId), output = Some(new File(dir, "output.log")))
+  }
+
+  /** The `latexmk` option selecting this compiler engine */
+  protected val latexmkEngine: String
+
+  def latexmk(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] =
+    exec(s"latexmk $latexmkEngine -interaction=nonstopmode -synctex=${if(settings.synctex) 1 else 0} -output-directory=${buildDir(paperId)} -jobname=main ${mainFile(paperId, settings)}",
+      configuration.paperDir(paperId), owner = Some(paperId))
+
+  private val Rerun = "(?i).*(rerun to get|rerun latex|please rerun|run latex again).*".r
+
+  def needsRerun(paperId: String): Boolean = {
+    import FileUtils._
+    val logFile = configuration.buildDir(paperId) / "main.log"
+    logFile.exists && Try {
+      val source = Source.fromFile(logFile)(Codec.UTF8.onMalformedInput(CodingErrorAction.REPLACE))
+      try source.getLines.exists(Rerun.pattern.matcher(_).matches) finally source.close()
+    }.getOrElse(false)
   }
 
   protected def buildDir(paperId: String) = configuration.buildDir(paperId).getCanonicalPath
-  protected def paperFile(paperId: String) = configuration.paperFile(paperId).getName
+  /** The root document to compile, the paper main file unless another one was chosen in the settings */
+  protected def mainFile(paperId: String, settings: CompilerSettings) =
+    settings.main.filter(CompilerSettings.isMainFile).getOrElse(configuration.paperFile(paperId).getName)
+
+  /** The input given to the compiler engine, which only includes the requested chapter
+   *  for partial compilations. The other chapters are not typeset, but their cross-references
+   *  are still read from the `.aux` files of the last full build.
+   */
+  protected def engineInput(paperId: String, settings: CompilerSettings) =
+    settings.includeonly.filter(CompilerSettings.isMainFile) match {
+      case Some(chapter) => s"\\includeonly{${chapter.stripSuffix(".tex")}}\\input{${mainFile(paperId, settings)}}"
+      case None          => mainFile(paperId, settings)
+    }
 
 }
 
@@ -60,6 +60,9 @@ class BackgroundCompilationActor(
   configuration: Config,
   paperId: String,
   defaultSettings: CompilerSettings,
+  monitor: CompilationMonitor,
+  history: CompilationHistory,
+  pipeline: BuildPipeline,
   val logger: Logger
 ) extends Actor with Logging {
 
@@ -75,13 +78,21 @@ class BackgroundCompilationActor(
     context.system.scheduler.scheduleOnce(Duration.Zero, self, Compile)
   }
 
-  def receive = receiving(Map(), defaultSettings, None)
+  def receive = receiving(Map(), defaultSettings, None, (None, None), (None, None))
 
   def receiving(clients: Map[String, Promise[CompilationStatus]],
                 settings: CompilerSettings,
-                lastCompilationDate: Option[Date]): Receive = {
+                lastCompilationDate: Option[Date],
+                requested: (Option[String], Option[String]),
+                lastTarget: (Option[String], Option[String])): Receive = {
     case Compile =>
 
+      // the root document requested by the last registered client overrides the one of the settings
+      // and partial compilations only typeset the requested chapter
+      val (main, includeonly) = requested
+      val compiled = main.fold(settings)(root => settings.copy(main = Some(root))).copy(includeonly = includeonly)
+      val target = (compiled.main, compiled.includeonly)
+
       implicit val timeout = Timeout(settings.timeout.seconds)
 
       // dump the files before printing
@@ -96,14 +107,15 @@ class BackgroundCompilationActor(
 
       // Check if compilation is needed:
       // No need to recompile document if it has not been modified,
-      // ie. last compilation date is the same as the last modification date.
+      // ie. last compilation date is the same as the last modification date,
+      // and if the same root document and chapters are compiled.
       val hasBeenModified = (for {
         compilDate <- lastCompilationDate
-      } yield compilDate before lastModificationDate).getOrElse(true)
+      } yield compilDate before lastModificationDate).getOrElse(true) || target != lastTarget
       logDebug(s"Document needs to be compiled: $hasBeenModified")
 
       for {
-        compiler <- bndContext.get[Compiler]("name" -> settings.compiler)
+        compiler <- bndContext.get[Compiler]("name" -> compiled.compiler)
         couch <- bndContext.get[CouchClient]
       } {
 
@@ -111,17 +123,11 @@ class BackgroundCompilationActor(
 
         val lastPdfModification = pdfFile.lastModified
 
-        // TODO ideally the number of times we run the latex compiler, and bibtex,
-        // and the index compiler should be smarter than this.
-        // For the moment, we run only once, but we could make it configurable if the compilation
-        // occurs on its own compilation server
-        // it is also not necessary to run bibtex if no bibliography is to be generated
-        // the settings should be able to handle this properly
+        val started = new Date
+
+        // the tools run around the compiler and the number of runs are configured in the settings
         val res = if (!hasBeenModified && (buildDir / "main.aux").exists) Success(CompilationUnnecessary) else for {
-          // if the compiler is defined, we first compile the paper
-          res <- compiler.compile(paperId, settings)
-          // we run bibtex on it if the compilation succeeded
-          _ <- compiler.bibtex(paperId, settings)
+          res <- pipeline.run(compiler, paperId, compiled)
         } yield {
           // clean the generated png files when compilation succeeded
           for(file <- paperConfig.buildDir(paperId).filter(_.extension == ".png"))
@@ -136,43 +142,65 @@ class BackgroundCompilationActor(
 
         }
 
+        val status = monitor.finished(paperId, res, started, buildDir / "main.log")
+
+        // keep the compilation in the paper history if the compiler actually ran
+        status match {
+          case Success(CompilationSucceeded | CompilationFailed(_) | CompilationTimedOut | CompilationCancelled) =>
+            for(e <- history.record(paperId, "background", monitor.progress(paperId)).failed)
+              logWarn(s"Unable to record compilation of paper $paperId in history: ${e.getMessage}")
+          case _ =>
+        }
+
         // and we send back the answer to the clients
         for((_, client) <- clients)
-          client.complete(res)
+          client.complete(status)
 
         // if hasBeenModified is false, we are sure that lastCompilationDate is defined
         val newDate = if (hasBeenModified) Some(lastModificationDate) else lastCompilationDate
 
         // and listen again with an empty list of clients
-        context.become(receiving(Map(), settings, newDate))
+        context.become(receiving(Map(), settings, newDate, requested, target))
 
       }
 
       // schedule the next compilation after the configured interval
       context.system.scheduler.scheduleOnce(settings.interval.seconds, self, Compile)
 
-    case settings @ CompilerSettings(_, _, _, _, _) =>
+    case newSettings: CompilerSettings =>
       // settings were changed, take them immediately into account
-      context.become(receiving(clients, settings, lastCompilationDate))
+      // the paper must be compiled again if the way it is built changed
+      val sameBuild = newSettings.copy(timeout = settings.timeout, interval = settings.interval) == settings
+      context.become(receiving(clients, newSettings, lastCompilationDate.filter(_ => sameBuild), requested, lastTarget))
 
-    case Register(username, client) =>
+    case Register(username, client, _, main, includeonly) =>
 
-      context.become(receiving(clients + (username -> client), settings, lastCompilationDate))
+      context.become(receiving(clients + (username -> client), settings, lastCompilationDate, (main, includeonly), lastTarget))
 
     case Part(username, _) =>
 
-      context.become(receiving(clients - username, settings, lastCompilationDate))
+      context.become(receiving(clients - username, settings, lastCompilationDate, requested, lastTarget))
 
     case Stop =>
 
       for((_, client) <- clients)
         client.complete(Try(CompilationAborted))
 
-      context.become(receiving(Map(), settings, lastCompilationDate))
+      context.become(receiving(Map(), settings, lastCompilationDate, requested, lastTarget))
 
   }
 
 }
 
 case object Compile
-case class Register(username: String, response: Promise[CompilationStatus])
+/** Registers a client waiting for the next compilation of a paper.
+ *  The trigger tells what started the compilation, either `manual` when a user explicitly
+ *  asked for it from the editor, or `api` otherwise.
+ *  The main file, if any, overrides the root document of the settings and only the `includeonly`
+ *  chapter is typeset for partial compilations, until another client registers in background mode.
+ */
+case class Register(username: String,
+                    response: Promise[CompilationStatus],
+                    trigger: String = "api",
+                    main: Option[String] = None,
+                    includeonly: Option[String] = None)
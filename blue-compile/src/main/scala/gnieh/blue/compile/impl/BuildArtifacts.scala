@@ -0,0 +1,43 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package compile
+package impl
+
+import common._
+
+import java.io.File
+
+/** The files produced in the build directory of the papers.
+ *  The root document is always compiled with the `main` job name, so that the PDF file
+ *  does not depend on the main file of the paper.
+ *
+ *  @author agent
+ */
+class BuildArtifacts(paperConfig: PaperConfiguration) extends CompilationArtifacts {
+
+  import FileUtils._
+
+  def pdf(paperId: String): Option[File] =
+    Some(paperConfig.buildDir(paperId) / "main.pdf").filter(_.exists)
+
+  def isArtifact(paperId: String, file: File): Boolean = {
+    val build = paperConfig.buildDir(paperId).getCanonicalPath
+    val path = file.getCanonicalPath
+    path == build || path.startsWith(build + File.separator)
+  }
+
+}
@@ -0,0 +1,150 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package compile
+package impl
+
+import akka.util.Timeout
+
+import scala.collection.mutable.ListBuffer
+
+import scala.io.{
+  Source,
+  Codec
+}
+
+import scala.util.{
+  Try,
+  Success
+}
+
+import java.io.{
+  File,
+  FileOutputStream,
+  OutputStreamWriter,
+  BufferedWriter
+}
+
+import net.liftweb.json._
+
+import resource._
+
+import common._
+
+/** A program run during the build of a paper, its output is logged in the step log of the program.
+ *
+ *  @author agent
+ */
+final case class BuildStep(name: String, success: Boolean, duration: Long)
+
+/** Runs the build pipeline configured in the compiler settings of a paper:
+ *  the compiler, the bibliography and index tools, and the compiler again as long as
+ *  the document is not stable, or `latexmk` which takes care of all of it.
+ *  Partial compilations only run the compiler, the bibliography and index of the last full build are kept.
+ *  The programs run are saved in the `steps.json` file of the build directory.
+ *
+ *  @author agent
+ */
+class BuildPipeline(paperConfig: PaperConfiguration, monitor: CompilationMonitor) {
+
+  import FileUtils._
+
+  private implicit val formats = DefaultFormats
+
+  private val codec = Codec.UTF8
+
+  /** Builds the paper and returns whether the compiler succeeded */
+  def run(compiler: Compiler, paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] = {
+
+    val steps = ListBuffer.empty[BuildStep]
+
+    // the output of the previous build is not relevant anymore
+    (paperConfig.buildDir(paperId) / "steps").deleteRecursive()
+
+    def step(name: String)(run: => Try[Boolean]): Try[Boolean] =
+      if(monitor.isCancelled(paperId)) {
+        Success(false)
+      } else {
+        monitor.running(paperId, name)
+        val start = System.currentTimeMillis
+        val res = run
+        steps += BuildStep(name, res.getOrElse(false), System.currentTimeMillis - start)
+        res
+      }
+
+    // the compiler is run again as long as the document is not stable, at most the configured number of times
+    def rerun(res: Boolean, remaining: Int): Try[Boolean] =
+      if(remaining > 0 && compiler.needsRerun(paperId))
+        step(settings.compiler)(compiler.compile(paperId, settings)).flatMap(rerun(_, remaining - 1))
+      else
+        Success(res)
+
+    val reruns = settings.reruns.getOrElse(0)
+
+    val result = if(settings.includeonly.isDefined) {
+      step(settings.compiler)(compiler.compile(paperId, settings)).flatMap(rerun(_, reruns))
+    } else if(settings.latexmk.getOrElse(false)) {
+      step("latexmk")(compiler.latexmk(paperId, settings))
+    } else for {
+      // if the compiler is defined, we first compile the paper
+      res <- step(settings.compiler)(compiler.compile(paperId, settings))
+      // then the bibliography and index tools
+      bib <- settings.bibliography.getOrElse("bibtex") match {
+        case "bibtex" => step("bibtex")(compiler.bibtex(paperId, settings))
+        case "biber"  => step("biber")(compiler.biber(paperId, settings))
+        case _        => Success(false)
+      }
+      idx <- settings.index match {
+        case Some(tool) => step(tool)(compiler.index(paperId, settings, tool))
+        case None       => Success(false)
+      }
+      // the bibliography and index are only taken into account by a new run of the compiler
+      last <- if((bib || idx) && reruns > 0)
+          step(settings.compiler)(compiler.compile(paperId, settings)).flatMap(rerun(_, reruns - 1))
+        else
+          rerun(res, reruns)
+    } yield last
+
+    save(paperId, steps.toList)
+
+    result
+  }
+
+  /** The programs run during the last build of the paper */
+  def steps(paperId: String): List[BuildStep] = {
+    val file = paperConfig.buildDir(paperId) / "steps.json"
+    if(file.exists)
+      Try(managed(Source.fromFile(file)(codec)).acquireAndGet { source =>
+        Serialization.read[List[BuildStep]](source.mkString)
+      }).getOrElse(Nil)
+    else
+      Nil
+  }
+
+  /** The output of a program during the last build of the paper, if it was run */
+  def log(paperId: String, name: String): Option[File] =
+    if(name.matches("[a-z]+"))
+      Some(paperConfig.buildDir(paperId) / "steps" / s"$name.log").filter(_.exists)
+    else
+      None
+
+  private def save(paperId: String, steps: List[BuildStep]): Unit =
+    for(writer <- managed(new BufferedWriter(new OutputStreamWriter(new FileOutputStream(paperConfig.buildDir(paperId) / "steps.json"), codec.charSet)))) {
+      writer.write(Serialization.write(steps))
+      writer.flush()
+    }
+
+}
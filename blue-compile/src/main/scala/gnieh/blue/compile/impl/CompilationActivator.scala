@@ -66,10 +66,19 @@ class CompilationActivator extends BundleActivator {
     } try {
       val config = loader.load(context.getBundle)
 
+      // keeps track of the compilations progress
+      val monitor = new CompilationMonitor
+
+      // keeps the last compilations of each paper
+      val history = new CompilationHistory(config)
+
+      // runs the tools configured for each paper build
+      val pipeline = new BuildPipeline(new PaperConfiguration(config), monitor)
+
       // create the dispatcher actor
       val disp =
         system.actorOf(
-          Props(new CompilationDispatcher(context, couch, synchro, config, logger)),
+          Props(new CompilationDispatcher(context, couch, synchro, monitor, history, pipeline, config, logger)),
           name = "compilation-dispatcher"
         )
       dispatcher = Option(disp)
@@ -82,18 +91,20 @@ class CompilationActivator extends BundleActivator {
               config.getInt("tex.min-process"),
               config.getInt("tex.max-process")
             ))
-          ).props(Props(new SystemCommandActor(logger))),
+          ).props(Props(new SystemCommandActor(monitor, logger))),
           name = "system-commands"
         )
       commands = Option(comm)
 
       // register the compilation Api
       services +=
-        context.registerService(classOf[RestApi], new CompilationApi(context, couch, disp, config, logger), null)
+        context.registerService(classOf[RestApi], new CompilationApi(context, couch, disp, monitor, history, pipeline, config, logger), null)
 
       // register the paper services
       services +=
         context.registerService(classOf[PaperCreated], new CreateSettingsHook(config, logger), null)
+      services +=
+        context.registerService(classOf[CompilationArtifacts], new BuildArtifacts(new PaperConfiguration(config)), null)
 
       // register the compiler services
       registerCompiler(context, new PdflatexCompiler(system, config, loader.base))
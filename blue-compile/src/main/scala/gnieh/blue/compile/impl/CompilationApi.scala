@@ -34,12 +34,18 @@ import gnieh.sohva.control.CouchClient
  *
  *  @author Lucas Satabin
  */
-class CompilationApi(context: BundleContext, couch: CouchClient, dispatcher: ActorRef, val config: Config, logger: Logger) extends RestApi {
+class CompilationApi(context: BundleContext, couch: CouchClient, dispatcher: ActorRef, monitor: CompilationMonitor, history: CompilationHistory, pipeline: BuildPipeline, val config: Config, logger: Logger) extends RestApi {
 
   POST {
     // join the paper compiler stream
     case p"papers/$paperid/compiler" =>
-      new CompilerLet(paperid, couch, dispatcher, config, logger)
+      new CompilerLet(paperid, couch, dispatcher, monitor, config, logger)
+    // render a snippet of the paper alone as a png image
+    case p"papers/$paperid/compiler/snippet" =>
+      new PreviewSnippetLet(context, paperid, couch, config, logger)
+    // kill the running compilation
+    case p"papers/$paperid/compiler/cancel" =>
+      new CancelCompilationLet(paperid, couch, monitor, config, logger)
   }
 
   PATCH {
@@ -58,6 +64,12 @@ class CompilationApi(context: BundleContext, couch: CouchClient, dispatcher: Act
     // return the last compilation log of any
     case p"papers/$paperid/compiled/log" =>
       new GetLogLet(paperid, couch, config, logger)
+    // return the programs run during the last build
+    case p"papers/$paperid/compiled/steps" =>
+      new GetBuildStepsLet(paperid, couch, pipeline, config, logger)
+    // return the output of a program run during the last build
+    case p"papers/$paperid/compiled/steps/$program/log" =>
+      new GetBuildStepLogLet(paperid, program, couch, pipeline, config, logger)
     // return the page given as parameter converted as a png image
     case req @ p"papers/$paperid/compiled/png" =>
       val page = req.asInt("page").map(math.max(_, 1)).getOrElse(1)
@@ -65,9 +77,24 @@ class CompilationApi(context: BundleContext, couch: CouchClient, dispatcher: Act
     // returns the number of pages in the compiled paper
     case p"papers/$paperid/compiled/pages" =>
       new GetPagesLet(paperid, couch, config, logger)
+    // returns the dimensions of each page in the compiled paper
+    case p"papers/$paperid/compiled/dimensions" =>
+      new GetPageDimensionsLet(paperid, couch, config, logger)
     // return the compilation settings
     case p"papers/$paperid/compiler" =>
       new GetCompilerSettingsLet(paperid, couch, config, logger)
+    // return the progress of the current or last compilation
+    case p"papers/$paperid/compiler/status" =>
+      new GetCompilationStatusLet(paperid, couch, monitor, config, logger)
+    // return the last compilations of the paper
+    case p"papers/$paperid/compilations" =>
+      new GetCompilationsLet(paperid, couch, history, config, logger)
+    // return the compiled pdf file kept for a previous compilation
+    case p"papers/$paperid/compilations/$compilationid/pdf" =>
+      new GetCompilationPdfLet(paperid, compilationid, couch, history, config, logger)
+    // return the log kept for a previous compilation
+    case p"papers/$paperid/compilations/$compilationid/log" =>
+      new GetCompilationLogLet(paperid, compilationid, couch, history, config, logger)
     // return the SyncTeX file
     case p"papers/$paperid/synctex" =>
       new GetSyncTeXLet(paperid, couch, config, logger)
@@ -49,6 +49,9 @@ class CompilationDispatcher(
   bndContext: BundleContext,
   couch: CouchClient,
   synchro: SynchroServer,
+  monitor: CompilationMonitor,
+  history: CompilationHistory,
+  pipeline: BuildPipeline,
   config: Config,
   val logger: Logger
 ) extends ResourceDispatcher {
@@ -67,9 +70,9 @@ class CompilationDispatcher(
     val db = session.database(database("blue_papers"))
     for(settings <- getOrCreateSettings(paperId, new EntityManager(db)))
       yield if(background)
-        Props(new BackgroundCompilationActor(bndContext, synchro, config, paperId, settings, logger))
+        Props(new BackgroundCompilationActor(bndContext, synchro, config, paperId, settings, monitor, history, pipeline, logger))
       else
-        Props(new ExplicitCompilationActor(bndContext, synchro, config, paperId, settings, logger))
+        Props(new ExplicitCompilationActor(bndContext, synchro, config, paperId, settings, monitor, history, pipeline, logger))
 
   }
 
@@ -87,7 +90,7 @@ class CompilationDispatcher(
     }
 
   override def unknownReceiver(paperId: String, msg: Any): Unit = msg match {
-    case Register(_, client) =>
+    case Register(_, client, _, _, _) =>
       // A client tried to registered to an unknown paper identifier,
       // to avoid having dangling request, reply immediately with an error
       client.complete(Try(CompilationAborted))
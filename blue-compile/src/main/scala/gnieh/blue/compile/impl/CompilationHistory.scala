@@ -0,0 +1,154 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package compile
+package impl
+
+import scala.io.{
+  Source,
+  Codec
+}
+
+import scala.util.Try
+
+import java.io.{
+  File,
+  IOException,
+  FileInputStream,
+  FileOutputStream,
+  OutputStreamWriter,
+  BufferedWriter
+}
+import java.util.Date
+
+import net.liftweb.json._
+
+import com.typesafe.config.Config
+
+import resource._
+
+import common._
+
+/** A compilation kept in the history of a paper.
+ *  The `trigger` tells what started the compilation (`manual`, `background` or `api`).
+ *
+ *  @author agent
+ */
+final case class CompilationRecord(id: String,
+                                   date: Date,
+                                   trigger: String,
+                                   status: String,
+                                   duration: Option[Long],
+                                   errors: Option[Int],
+                                   warnings: Option[Int],
+                                   pdf: Boolean,
+                                   log: Boolean)
+
+/** Keeps the last compilations of each paper in the `.compilations` directory of the paper.
+ *  Each compilation is a directory named after its date, containing a Json file describing it,
+ *  and the log and PDF files produced by the compiler.
+ *  Only the configured number of compilations is kept per paper, older ones are deleted.
+ *
+ *  @author agent
+ */
+class CompilationHistory(config: Config) {
+
+  import FileUtils._
+
+  private val paperConfig = new PaperConfiguration(config)
+
+  private val size = config.getInt("compiler.history")
+
+  private implicit val formats = DefaultFormats
+
+  private val codec = Codec.UTF8
+
+  private val CompilationId = "[0-9]+".r
+
+  /** The files kept for each compilation */
+  val files = List("main.pdf", "main.log", "main.synctex.gz")
+
+  /** Records the compilation of the paper that just ended with the given progress */
+  def record(paperId: String, trigger: String, progress: CompilationProgress): Try[CompilationRecord] = Try {
+    // compilations are named after their date, make sure two compilations never share a name
+    val now = progress.date.getTime
+    val last = list(paperId).headOption.map(_.id.toLong).getOrElse(0l)
+    val id = math.max(now, last + 1).toString
+
+    val dir = paperConfig.compilationDir(paperId, id)
+    if(!dir.mkdirs)
+      throw new IOException(s"Cannot create compilation directory for paper $paperId")
+
+    val buildDir = paperConfig.buildDir(paperId)
+    for {
+      name <- files
+      file = buildDir / name
+      if file.exists
+      in <- managed(new FileInputStream(file))
+      out <- managed(new FileOutputStream(dir / name))
+    } out.getChannel.transferFrom(in.getChannel, 0, Long.MaxValue)
+
+    val record =
+      CompilationRecord(
+        id,
+        progress.date,
+        trigger,
+        progress.status,
+        progress.duration,
+        progress.errors,
+        progress.warnings,
+        progress.pdf.getOrElse(false) && (dir / "main.pdf").exists,
+        (dir / "main.log").exists)
+
+    for(writer <- managed(new BufferedWriter(new OutputStreamWriter(new FileOutputStream(dir / "compilation.json"), codec.charSet)))) {
+      writer.write(Serialization.write(record))
+      writer.flush()
+    }
+
+    // only keep the last compilations
+    for(old <- list(paperId).drop(size))
+      paperConfig.compilationDir(paperId, old.id).deleteRecursive()
+
+    record
+  }
+
+  /** The compilations kept for the paper, the most recent first */
+  def list(paperId: String): List[CompilationRecord] = {
+    val dir = paperConfig.paperDir(paperId) / ".compilations"
+    if(dir.isDirectory) {
+      val records = for {
+        compilation <- dir.listFiles.toList
+        file = compilation / "compilation.json"
+        if file.exists
+        record <- Try(managed(Source.fromFile(file)(codec)).acquireAndGet { source =>
+          Serialization.read[CompilationRecord](source.mkString)
+        }).toOption
+      } yield record
+      records.sortBy(-_.id.toLong)
+    } else {
+      Nil
+    }
+  }
+
+  /** The file produced by the given compilation of the paper, if it was kept */
+  def file(paperId: String, compilationId: String, name: String): Option[File] = compilationId match {
+    case CompilationId() if files.contains(name) =>
+      Some(paperConfig.compilationDir(paperId, compilationId) / name).filter(_.exists)
+    case _ =>
+      None
+  }
+
+}
@@ -0,0 +1,213 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package compile
+package impl
+
+import scala.collection.concurrent.TrieMap
+
+import scala.concurrent.TimeoutException
+
+import scala.io.{
+  Source,
+  Codec
+}
+
+import scala.sys.process.Process
+
+import scala.util.{
+  Try,
+  Success,
+  Failure
+}
+
+import java.io.{
+  File,
+  IOException
+}
+import java.util.Date
+
+import java.nio.charset.CodingErrorAction
+
+/** The progress of the current or last compilation of a paper, as sent to the clients.
+ *  The `pass` is the running program, and the `duration` (in milliseconds), `errors`, `warnings` and `pdf` fields
+ *  are set once the compilation is over.
+ *
+ *  @author agent
+ */
+final case class CompilationProgress(status: String,
+                                     date: Date,
+                                     pass: Option[String] = None,
+                                     duration: Option[Long] = None,
+                                     errors: Option[Int] = None,
+                                     warnings: Option[Int] = None,
+                                     pdf: Option[Boolean] = None)
+
+object CompilationProgress {
+
+  val Idle = "idle"
+  val Queued = "queued"
+  val Running = "running"
+  val Finished = "finished"
+  val UpToDate = "up_to_date"
+  val TimedOut = "timeout"
+  val Cancelled = "cancelled"
+  val NotStarted = "not_started"
+  val Aborted = "aborted"
+  val Error = "error"
+
+  def apply(status: String): CompilationProgress =
+    CompilationProgress(status, new Date)
+
+}
+
+/** Keeps track of the compilations of every paper, so that clients may be informed
+ *  of their progress while compiler actors are busy, and running processes may be killed.
+ *
+ *  @author agent
+ */
+class CompilationMonitor {
+
+  import CompilationProgress._
+
+  private val progresses = TrieMap.empty[String, CompilationProgress]
+
+  private val processes = TrieMap.empty[String, Process]
+
+  private val cancelled = TrieMap.empty[String, Date]
+
+  /** The progress of the current compilation of the paper, or of the last one if none is running */
+  def progress(paperId: String): CompilationProgress =
+    progresses.getOrElse(paperId, CompilationProgress(Idle))
+
+  /** A client waits for the next compilation of the paper */
+  def queued(paperId: String): Unit =
+    if(progress(paperId).status != Running)
+      progresses(paperId) = CompilationProgress(Queued)
+
+  /** No compilation task could take the request into account */
+  def aborted(paperId: String): Unit =
+    progresses(paperId) = CompilationProgress(Aborted)
+
+  /** The compilation of the paper runs the given program */
+  def running(paperId: String, pass: String): Unit =
+    progresses(paperId) = CompilationProgress(Running, new Date, pass = Some(pass))
+
+  /** A compilation ended with the given result, after having started at the given date.
+   *  The errors are counted from the compilation log file.
+   *  Failures are turned into the corresponding compilation status.
+   */
+  def finished(paperId: String, result: Try[CompilationStatus], started: Date, logFile: File): Try[CompilationStatus] = {
+    val status = result match {
+      case Success(CompilationSucceeded | CompilationFailed(_)) if cancelled.remove(paperId).isDefined =>
+        Success(CompilationCancelled)
+      case Failure(_: TimeoutException) =>
+        Success(CompilationTimedOut)
+      case Failure(_: IOException) =>
+        Success(CompilationNotStarted)
+      case res =>
+        res
+    }
+    cancelled.remove(paperId)
+    val duration = Some(new Date().getTime - started.getTime)
+    lazy val (errors, warnings) = CompilationLog.count(logFile)
+    progresses(paperId) = status match {
+      case Success(CompilationSucceeded) =>
+        CompilationProgress(Finished, new Date, duration = duration, errors = Some(errors), warnings = Some(warnings), pdf = Some(true))
+      case Success(CompilationFailed(pdf)) =>
+        CompilationProgress(Finished, new Date, duration = duration, errors = Some(errors), warnings = Some(warnings), pdf = Some(pdf))
+      case Success(CompilationUnnecessary) =>
+        CompilationProgress(UpToDate)
+      case Success(CompilationTimedOut) =>
+        CompilationProgress(TimedOut, new Date, duration = duration)
+      case Success(CompilationCancelled) =>
+        CompilationProgress(Cancelled, new Date, duration = duration)
+      case Success(CompilationNotStarted) =>
+        CompilationProgress(NotStarted)
+      case Success(CompilationAborted) =>
+        CompilationProgress(Aborted)
+      case Failure(_) =>
+        CompilationProgress(Error, new Date, duration = duration)
+    }
+    status
+  }
+
+  /** A process was started on behalf of the paper compilation.
+   *  It is killed right away if the compilation was cancelled while it was starting
+   */
+  def started(paperId: String, process: Process): Unit = {
+    processes(paperId) = process
+    if(cancelled.contains(paperId))
+      for(process <- processes.remove(paperId))
+        process.destroy()
+  }
+
+  /** The process started on behalf of the paper compilation is over */
+  def ended(paperId: String): Unit =
+    processes.remove(paperId)
+
+  /** Whether the running compilation of the paper was cancelled */
+  def isCancelled(paperId: String): Boolean =
+    cancelled.contains(paperId)
+
+  /** Cancels the running compilation of the paper if any: its running process is killed
+   *  and the build pipeline does not start the next programs.
+   *  Returns whether a compilation was running
+   */
+  def cancel(paperId: String): Boolean =
+    if(progress(paperId).status == Running) {
+      cancelled(paperId) = new Date
+      for(process <- processes.remove(paperId))
+        process.destroy()
+      true
+    } else {
+      false
+    }
+
+}
+
+/** Reads the compilation log file of a paper.
+ *
+ *  @author agent
+ */
+object CompilationLog {
+
+  private val codec = Codec.UTF8.onMalformedInput(CodingErrorAction.REPLACE)
+
+  private val Warning = "^(LaTeX|Package|Class) .*Warning".r
+
+  /** The number of errors and warnings reported in the log file.
+   *  TeX errors are the lines starting with an exclamation mark.
+   */
+  def count(logFile: File): (Int, Int) =
+    if(logFile.exists)
+      Try {
+        val source = Source.fromFile(logFile)(codec)
+        try {
+          source.getLines.foldLeft((0, 0)) {
+            case ((errors, warnings), line) if line.startsWith("!") =>
+              (errors + 1, warnings)
+            case ((errors, warnings), line) if Warning.findPrefixOf(line).isDefined =>
+              (errors, warnings + 1)
+            case (acc, _) =>
+              acc
+          }
+        } finally source.close()
+      }.getOrElse((0, 0))
+    else
+      (0, 0)
+
+}
@@ -27,3 +27,9 @@ case object CompilationAborted extends CompilationStatus
 
 case object CompilationUnnecessary extends CompilationStatus
 
+case object CompilationTimedOut extends CompilationStatus
+
+case object CompilationCancelled extends CompilationStatus
+
+case object CompilationNotStarted extends CompilationStatus
+
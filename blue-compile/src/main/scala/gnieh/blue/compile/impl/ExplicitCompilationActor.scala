@@ -60,6 +60,9 @@ class ExplicitCompilationActor(
   configuration: Config,
   paperId: String,
   defaultSettings: CompilerSettings,
+  monitor: CompilationMonitor,
+  history: CompilationHistory,
+  pipeline: BuildPipeline,
   val logger: Logger
 ) extends Actor with Logging {
 
@@ -75,11 +78,17 @@ class ExplicitCompilationActor(
     context.system.scheduler.scheduleOnce(Duration.Zero, self, Compile)
   }
 
-  def receive = receiving(defaultSettings, None)
+  def receive = receiving(defaultSettings, None, (None, None))
 
   def receiving(settings: CompilerSettings,
-                lastCompilationDate: Option[Date]): Receive = {
-    case Register(_, client) =>
+                lastCompilationDate: Option[Date],
+                lastTarget: (Option[String], Option[String])): Receive = {
+    case Register(_, client, trigger, main, includeonly) =>
+
+      // the root document sent with the request overrides the one of the settings
+      // and partial compilations only typeset the requested chapter
+      val compiled = main.fold(settings)(root => settings.copy(main = Some(root))).copy(includeonly = includeonly)
+      val target = (compiled.main, compiled.includeonly)
 
       implicit val timeout = Timeout(settings.timeout.seconds)
 
@@ -95,14 +104,15 @@ class ExplicitCompilationActor(
 
       // Check if compilation is needed:
       // No need to recompile document if it has not been modified,
-      // ie. last compilation date is the same as the last modification date.
+      // ie. last compilation date is the same as the last modification date,
+      // and if the same root document and chapters are compiled.
       val hasBeenModified = (for {
         compilDate <- lastCompilationDate
-      } yield compilDate before lastModificationDate).getOrElse(true)
+      } yield compilDate before lastModificationDate).getOrElse(true) || target != lastTarget
       logDebug(s"Document needs to be compiled: $hasBeenModified")
 
       for {
-        compiler <- bndContext.get[Compiler]("name" -> settings.compiler)
+        compiler <- bndContext.get[Compiler]("name" -> compiled.compiler)
         couch <- bndContext.get[CouchClient]
       } {
 
@@ -110,17 +120,11 @@ class ExplicitCompilationActor(
 
         val lastPdfModification = pdfFile.lastModified
 
-        // TODO ideally the number of times we run the latex compiler, and bibtex,
-        // and the index compiler should be smarter than this.
-        // For the moment, we run only once, but we could make it configurable if the compilation
-        // occurs on its own compilation server
-        // it is also not necessary to run bibtex if no bibliography is to be generated
-        // the settings should be able to handle this properly
+        val started = new Date
+
+        // the tools run around the compiler and the number of runs are configured in the settings
         val res = if (!hasBeenModified && (buildDir / "main.aux").exists) Success(CompilationUnnecessary) else for {
-          // if the compiler is defined, we first compile the paper
-          res <- compiler.compile(paperId, settings)
-          // we run bibtex on it if the compilation succeeded
-          _ <- compiler.bibtex(paperId, settings)
+          res <- pipeline.run(compiler, paperId, compiled)
         } yield {
           // clean the generated png files when compilation succeeded
           for(file <- paperConfig.buildDir(paperId).filter(_.extension == ".png"))
@@ -135,20 +139,32 @@ class ExplicitCompilationActor(
 
         }
 
+        val status = monitor.finished(paperId, res, started, buildDir / "main.log")
+
+        // keep the compilation in the paper history if the compiler actually ran
+        status match {
+          case Success(CompilationSucceeded | CompilationFailed(_) | CompilationTimedOut | CompilationCancelled) =>
+            for(e <- history.record(paperId, trigger, monitor.progress(paperId)).failed)
+              logWarn(s"Unable to record compilation of paper $paperId in history: ${e.getMessage}")
+          case _ =>
+        }
+
         // and we send back the answer to the client
-        client.complete(res)
+        client.complete(status)
 
         // if hasBeenModified is false, we are sure that lastCompilationDate is defined
         val newDate = if (hasBeenModified) Some(lastModificationDate) else lastCompilationDate
 
         // and listen again with an empty list of clients
-        context.become(receiving(settings, newDate))
+        context.become(receiving(settings, newDate, target))
 
       }
 
-    case settings @ CompilerSettings(_, _, _, _, _) =>
+    case newSettings: CompilerSettings =>
       // settings were changed, take them immediately into account
-      context.become(receiving(settings, lastCompilationDate))
+      // the paper must be compiled again if the way it is built changed
+      val sameBuild = newSettings.copy(timeout = settings.timeout, interval = settings.interval) == settings
+      context.become(receiving(newSettings, lastCompilationDate.filter(_ => sameBuild), lastTarget))
 
     case Stop =>
 
@@ -158,7 +174,7 @@ class ExplicitCompilationActor(
 
   val stopping: Receive = {
 
-    case Register(_, client) =>
+    case Register(_, client, _, _, _) =>
 
       client.complete(Try(CompilationAborted))
 
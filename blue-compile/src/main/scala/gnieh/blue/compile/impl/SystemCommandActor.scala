@@ -21,6 +21,8 @@ import common.{
   Logging
 }
 
+import impl.CompilationMonitor
+
 import akka.actor.{
   Actor,
   Status
@@ -38,14 +40,23 @@ import scala.concurrent.{
   Await
 }
 
+import scala.util.{
+  Try,
+  Success,
+  Failure
+}
+
 import java.io.File
 
-/** An actor that executes a system command with the configured timeout
+/** An actor that executes a system command with the configured timeout.
+ *  Processes started on behalf of a paper are registered in the compilation monitor,
+ *  so that they can be killed on request.
+ *  The process output is either logged or appended to the given output file.
  *
  *  @author Lucas Satabin
  *
  */
-class SystemCommandActor(val logger: Logger) extends Actor with Logging {
+class SystemCommandActor(monitor: CompilationMonitor, val logger: Logger) extends Actor with Logging {
 
   private implicit def executionContext = context.system.dispatcher
 
@@ -59,30 +70,48 @@ class SystemCommandActor(val logger: Logger) extends Actor with Logging {
    * Timeout management is purely done in scala and doesn't use any
    * system command for this.
    * It the process did not return within the given timeout, it is killed and
-   * an exception is routed to the caller
+   * an exception is routed to the caller.
+   * If the process cannot be started, the exception is routed to the caller as well.
    */
-  private def exec(timeout: Timeout, process: ProcessBuilder) = {
+  private def exec(timeout: Timeout, process: ProcessBuilder, owner: Option[String], output: Option[File]): Unit = {
+    val processLogger = output.map(ProcessLogger(_))
+    try exec(timeout, process, owner, processLogger.getOrElse(SystemProcessLogger))
+    finally processLogger.foreach(_.close())
+  }
 
-    val proc = process.run(SystemProcessLogger)
-    val res = Future {
-      proc.exitValue()
-    }
-    try {
-      Await.result(res, timeout.duration)
-    } catch {
-      case e: Exception =>
-        // kill the process
-        proc.destroy()
-        // notify the caller
+  private def exec(timeout: Timeout, process: ProcessBuilder, owner: Option[String], processLogger: ProcessLogger): Unit =
+    Try(process.run(processLogger)) match {
+      case Success(proc) =>
+        for(paperId <- owner)
+          monitor.started(paperId, proc)
+        val res = Future {
+          proc.exitValue()
+        }
+        try {
+          sender ! Await.result(res, timeout.duration)
+        } catch {
+          case e: Exception =>
+            // kill the process
+            proc.destroy()
+            // notify the caller
+            sender ! Status.Failure(e)
+        } finally {
+          for(paperId <- owner)
+            monitor.ended(paperId)
+        }
+      case Failure(e) =>
+        logError(s"Unable to start process $process", e)
         sender ! Status.Failure(e)
     }
-  }
 
   def receive = {
-    case SystemCommand(command, workingDir, env, timeout) =>
-      sender ! exec(timeout, Process(command, workingDir, env: _*))
+    case SystemCommand(command, workingDir, env, timeout, owner, output) =>
+      exec(timeout, Process(command, workingDir, env: _*), owner, output)
   }
 
 }
 
-case class SystemCommand(command: String, workingDir: File, env: List[(String, String)], timeout: Timeout)
+/** A command to execute in the working directory, the owner is the paper on behalf of which it is executed
+ *  and the process output is appended to the output file if any
+ */
+case class SystemCommand(command: String, workingDir: File, env: List[(String, String)], timeout: Timeout, owner: Option[String] = None, output: Option[File] = None)
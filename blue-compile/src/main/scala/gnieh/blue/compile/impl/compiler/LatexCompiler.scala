@@ -39,12 +39,17 @@ class LatexCompiler(system: ActorSystem, config: Config, configDir: File) extend
 
   val name: String = "latex"
 
+  protected val latexmkEngine = "-pdfdvi"
+
+  // snippets are directly compiled to PDF
+  override protected def snippetEngine = "pdflatex"
+
   def compile(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] =
     for {
       res1 <-
-        exec(s"latex -interaction nonstopmode -synctex=${if(settings.synctex) 1 else 0} -output-directory ${buildDir(paperId)} ${paperFile(paperId)}",
-          configuration.paperDir(paperId))
-      res2 <- exec(s"dvipdfm main.dvi", configuration.buildDir(paperId))
+        exec(s"latex -interaction nonstopmode -synctex=${if(settings.synctex) 1 else 0} -output-directory ${buildDir(paperId)} -jobname=main ${engineInput(paperId, settings)}",
+          configuration.paperDir(paperId), owner = Some(paperId))
+      res2 <- exec(s"dvipdfm main.dvi", configuration.buildDir(paperId), owner = Some(paperId))
     } yield res1 && res2
 
 }
@@ -39,8 +39,10 @@ class LualatexCompiler(system: ActorSystem, config: Config, configDir: File) ext
 
   val name: String = "lualatex"
 
+  protected val latexmkEngine = "-lualatex"
+
   def compile(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] =
-    exec(s"lualatex -interaction nonstopmode -synctex=${if(settings.synctex) 1 else 0} -output-directory ${buildDir(paperId)} ${paperFile(paperId)}",
-      configuration.paperDir(paperId)) //, List("TEXINPUT" -> ".:tex/:resources/:$TEXINPUTS"))
+    exec(s"lualatex -interaction nonstopmode -synctex=${if(settings.synctex) 1 else 0} -output-directory ${buildDir(paperId)} -jobname=main ${engineInput(paperId, settings)}",
+      configuration.paperDir(paperId), owner = Some(paperId)) //, List("TEXINPUT" -> ".:tex/:resources/:$TEXINPUTS"))
 
 }
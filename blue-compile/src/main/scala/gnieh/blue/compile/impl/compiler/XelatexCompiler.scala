@@ -39,8 +39,10 @@ class XelatexCompiler(system: ActorSystem, config: Config, configDir: File) exte
 
   val name: String = "xelatex"
 
+  protected val latexmkEngine = "-xelatex"
+
   def compile(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] =
-    exec(s"xelatex -interaction nonstopmode -synctex=${if(settings.synctex) 1 else 0} -output-directory ${buildDir(paperId)} ${paperFile(paperId)}",
-      configuration.paperDir(paperId)) //, List("TEXINPUT" -> ".:tex/:resources/:$TEXINPUTS"))
+    exec(s"xelatex -interaction nonstopmode -synctex=${if(settings.synctex) 1 else 0} -output-directory ${buildDir(paperId)} -jobname=main ${engineInput(paperId, settings)}",
+      configuration.paperDir(paperId), owner = Some(paperId)) //, List("TEXINPUT" -> ".:tex/:resources/:$TEXINPUTS"))
 
 }
@@ -33,7 +33,7 @@ import com.typesafe.config.Config
 
 import gnieh.sohva.control.CouchClient
 
-class CompilerLet(paperId: String, val couch: CouchClient, dispatcher: ActorRef, config: Config, logger: Logger) extends AsyncPermissionLet(paperId, config, logger) {
+class CompilerLet(paperId: String, val couch: CouchClient, dispatcher: ActorRef, monitor: CompilationMonitor, config: Config, logger: Logger) extends AsyncPermissionLet(paperId, config, logger) {
 
   def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Future[Any] = permissions match {
     case Compile() =>
@@ -42,7 +42,14 @@ class CompilerLet(paperId: String, val couch: CouchClient, dispatcher: ActorRef,
       // register the client with the paper compiler
       user.map(_.name).orElse(talk.req.param("name")) match {
         case Some(name) =>
-          dispatcher ! Forward(paperId, Register(name, promise))
+          monitor.queued(paperId)
+          // compilations explicitly asked for from the editor are tagged as manual
+          val trigger = talk.req.param("trigger").filter(_ == "manual").getOrElse("api")
+          // the root document may be given by a `% !TEX root` magic comment in the edited file
+          val main = talk.req.param("main").filter(CompilerSettings.isMainFile)
+          // only the edited chapter is typeset for partial compilations
+          val includeonly = talk.req.param("includeonly").filter(CompilerSettings.isMainFile)
+          dispatcher ! Forward(paperId, Register(name, promise, trigger, main, includeonly))
 
           promise.future.map {
             case CompilationSucceeded | CompilationFailed(true) =>
@@ -52,6 +59,7 @@ class CompilerLet(paperId: String, val couch: CouchClient, dispatcher: ActorRef,
                 .setStatus(HStatus.InternalServerError)
                 .writeJson(ErrorResponse("unable_to_compile", "Compilation failed, more details in the compilation log file."))
             case CompilationAborted =>
+              monitor.aborted(paperId)
               talk
                 .setStatus(HStatus.ServiceUnavailable)
                 .writeJson(ErrorResponse("unable_to_compile", s"No compilation task started"))
@@ -59,6 +67,16 @@ class CompilerLet(paperId: String, val couch: CouchClient, dispatcher: ActorRef,
               talk
                 .setStatus(HStatus.NotModified)
                 .writeJson(false)
+            case CompilationCancelled =>
+              talk.writeJson(false)
+            case CompilationTimedOut =>
+              talk
+                .setStatus(HStatus.InternalServerError)
+                .writeJson(ErrorResponse("compilation_timeout", "Compilation was killed after the configured timeout."))
+            case CompilationNotStarted =>
+              talk
+                .setStatus(HStatus.InternalServerError)
+                .writeJson(ErrorResponse("unable_to_compile", "The compiler could not be started."))
           } recover {
             case e =>
               logError(s"Unable to compile paper $paperId", e)
@@ -0,0 +1,52 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package compile
+package impl
+package let
+
+import http._
+import common._
+import permission._
+
+import tiscaf._
+
+import scala.util.Try
+
+import com.typesafe.config.Config
+
+import gnieh.sohva.control.CouchClient
+
+/** Returns the progress of the current compilation of the paper, or the result of the last one:
+ *  whether it is queued or running (and which program runs), how long it took and how many errors were reported.
+ *
+ *  @author agent
+ */
+class GetCompilationStatusLet(paperId: String, val couch: CouchClient, monitor: CompilationMonitor, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) {
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Any] = permissions match {
+    case Compile() =>
+      Try(talk.writeJson(monitor.progress(paperId)))
+
+    case _ =>
+      Try(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to see the compilation status")))
+
+  }
+
+}
@@ -0,0 +1,98 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package compile
+package impl
+package let
+
+import http._
+import common._
+import permission._
+
+import tiscaf._
+
+import com.typesafe.config.Config
+
+import scala.util.Try
+
+import scala.collection.JavaConverters._
+
+import org.apache.pdfbox.pdmodel.{
+  PDDocument,
+  PDPage
+}
+
+import resource._
+
+import gnieh.sohva.control.CouchClient
+
+/** The dimensions of a page as displayed, in PDF points */
+final case class PageDimension(width: Float, height: Float)
+
+/** Handle request that ask for the dimensions of each page in the compiled paper,
+ *  so that clients may lay the preview out before the pages are rendered.
+ *
+ *  @author agent
+ */
+class GetPageDimensionsLet(paperId: String, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) {
+
+  import FileUtils._
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Any] = permissions match {
+    case Read() =>
+
+      // the generated pdf file
+      val pdfFile = configuration.buildDir(paperId) / s"main.pdf"
+
+      if(pdfFile.exists) {
+
+          managed(PDDocument.load(pdfFile)).map(dimensions(_)).either match {
+            case Right(dims) =>
+              Try(talk.writeJson(dims))
+            case Left(errors) =>
+              logError(s"Cannot extract page dimensions for paper $paperId", errors.head)
+              Try(
+                talk
+                  .setStatus(HStatus.InternalServerError)
+                  .writeJson(ErrorResponse("unknown_error", "The page dimensions could not be extracted")))
+          }
+
+      } else {
+        Try(
+          talk
+            .setStatus(HStatus.NotFound)
+            .writeJson(ErrorResponse("not_found", s"No compiled version of paper $paperId found")))
+      }
+
+    case _ =>
+      Try(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to see the page dimensions")))
+
+  }
+
+  // pages are rendered on their crop box, rotated pages are displayed with swapped dimensions
+  private def dimensions(doc: PDDocument): List[PageDimension] =
+    for(page <- doc.getDocumentCatalog.getAllPages.asScala.toList.map(_.asInstanceOf[PDPage])) yield {
+      val box = page.findCropBox
+      if(page.findRotation % 180 == 0)
+        PageDimension(box.getWidth, box.getHeight)
+      else
+        PageDimension(box.getHeight, box.getWidth)
+    }
+
+}
@@ -56,15 +56,27 @@ class ModifyCompilerLet(paperId: String, val couch: CouchClient, dispatcher: Act
               talk.readJson[JsonPatch] match {
                 case Some(patch) =>
                   // the revision matches, we can apply the patch
-                  val settings1 = patch(settings).withRev(knownRev)
-                  // and save the new compiler data
-                  for(s <- manager.saveComponent(paperId, settings1))
-                    yield {
-                      dispatcher ! Forward(paperId, settings1)
-                      // save successfully, return ok with the new ETag
-                      // we are sure that the revision is not empty because it comes from the database
-                      talk.writeJson(true, s._rev.get)
-                    }
+                  // partial compilations are never saved in the settings
+                  val settings1 = patch(settings).copy(includeonly = None).withRev(knownRev)
+                  if(!settings1.main.forall(CompilerSettings.isMainFile))
+                    Success(
+                      talk
+                        .setStatus(HStatus.BadRequest)
+                        .writeJson(ErrorResponse("invalid_main_file", "The main file must be a .tex file of the paper")))
+                  else if(!CompilerSettings.isValidPipeline(settings1))
+                    Success(
+                      talk
+                        .setStatus(HStatus.BadRequest)
+                        .writeJson(ErrorResponse("invalid_pipeline", "Unknown build tool or too many compiler reruns")))
+                  else
+                    // and save the new compiler data
+                    for(s <- manager.saveComponent(paperId, settings1))
+                      yield {
+                        dispatcher ! Forward(paperId, settings1)
+                        // save successfully, return ok with the new ETag
+                        // we are sure that the revision is not empty because it comes from the database
+                        talk.writeJson(true, s._rev.get)
+                      }
                 case None =>
                   // nothing to do
                   Success(
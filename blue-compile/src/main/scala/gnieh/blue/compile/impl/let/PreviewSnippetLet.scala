@@ -0,0 +1,228 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package compile
+package impl
+package let
+
+import http._
+import common._
+import permission._
+
+import tiscaf._
+
+// image generation
+import org.apache.pdfbox.pdmodel.PDDocument
+import org.apache.pdfbox.util.PDFImageWriter
+import java.awt.image.BufferedImage
+
+import akka.util.Timeout
+
+import com.typesafe.config.Config
+
+import org.osgi.framework.BundleContext
+
+import scala.concurrent.duration._
+
+import scala.collection.concurrent.TrieMap
+
+import scala.io.Source
+
+import scala.util.{
+  Try,
+  Success
+}
+
+import java.io.{
+  File,
+  FileInputStream,
+  FileOutputStream,
+  OutputStreamWriter,
+  BufferedWriter
+}
+import java.util.UUID
+import java.util.concurrent.TimeUnit
+
+import gnieh.sohva.control.CouchClient
+
+import resource._
+
+/** A part of the paper to render alone */
+final case class Snippet(text: String)
+
+object PreviewSnippetLet {
+
+  /** The maximum length of a snippet */
+  val maxLength = 20000
+
+  private val BeginDocument = """\\begin\s*\{document\}"""
+
+  /** The rendering lock of each user, so that the snippets of a user are rendered one after the other */
+  private val rendering = TrieMap.empty[String, AnyRef]
+
+  private def lock(user: Option[UserInfo]): AnyRef = {
+    val lock = new AnyRef
+    rendering.putIfAbsent(user.fold("")(_.name), lock).getOrElse(lock)
+  }
+
+}
+
+/** Renders a snippet of the paper (an equation, a figure, a TikZ picture, ...) alone as a PNG image.
+ *  The snippet is compiled in its own directory in a standalone document that reuses the preamble of
+ *  the paper main file, and the resulting page is cropped around the snippet.
+ *  As the snippet is compiled in the paper directory, it may read the paper sources,
+ *  hence only people allowed to edit the paper may render snippets.
+ *
+ *  @author agent
+ */
+class PreviewSnippetLet(context: BundleContext, paperId: String, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) {
+
+  import OsgiUtils._
+  import FileUtils._
+  import PreviewSnippetLet._
+
+  private implicit val timeout = Timeout(config.getDuration("compiler.snippet-timeout", TimeUnit.SECONDS).seconds)
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Any] = permissions match {
+    case Compile() if permissions.contains(Edit) =>
+      talk.readJson[Snippet] match {
+        case Some(Snippet(text)) if text.trim.nonEmpty && text.length <= maxLength =>
+          // snippets are independent, the requests of a user simply wait for the previous ones
+          lock(user).synchronized {
+            preview(text)
+          }
+
+        case _ =>
+          Try(
+            talk
+              .setStatus(HStatus.BadRequest)
+              .writeJson(ErrorResponse("invalid_snippet", s"A snippet of at most $maxLength characters must be sent")))
+      }
+
+    case _ =>
+      Try(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to render snippets of the paper")))
+
+  }
+
+  private def preview(text: String)(implicit talk: HTalk): Try[Any] =
+    entityManager("blue_papers").getComponent[CompilerSettings](paperId) flatMap {
+      case Some(settings) =>
+        (context.get[Compiler]("name" -> settings.compiler), preamble(settings)) match {
+          case (Some(compiler), Some(preamble)) =>
+            render(compiler, settings, preamble, text)
+          case (None, _) =>
+            Success(
+              talk
+                .setStatus(HStatus.ServiceUnavailable)
+                .writeJson(ErrorResponse("unable_to_compile", s"Compiler ${settings.compiler} is not available")))
+          case (_, None) =>
+            Success(
+              talk
+                .setStatus(HStatus.BadRequest)
+                .writeJson(ErrorResponse("no_preamble", "The main file of the paper has no preamble")))
+        }
+      case None =>
+        Success(
+          talk
+            .setStatus(HStatus.NotFound)
+            .writeJson(ErrorResponse("not_found", s"No compiler for paper $paperId found")))
+    }
+
+  /** The preamble of the paper main file, up to `\begin{document}` */
+  private def preamble(settings: CompilerSettings): Option[String] = {
+    val mainFile = settings.main.filter(CompilerSettings.isMainFile) match {
+      case Some(main) => configuration.paperDir(paperId) / main
+      case None       => configuration.paperFile(paperId)
+    }
+    if(mainFile.exists)
+      managed(Source.fromFile(mainFile)(GetLogLet.codec)).acquireAndGet(_.mkString).split(BeginDocument, 2) match {
+        case Array(preamble, _) => Some(preamble)
+        case _                  => None
+      }
+    else
+      None
+  }
+
+  private def render(compiler: Compiler, settings: CompilerSettings, preamble: String, text: String)(implicit talk: HTalk): Try[Any] = {
+    // each snippet is compiled in its own directory so that previews do not interfere
+    val dir = configuration.buildDir(paperId) / "snippets" / UUID.randomUUID.toString
+    try {
+      dir.mkdirs
+      doRender(compiler, settings, preamble, text, dir)
+    } finally {
+      dir.deleteRecursive()
+    }
+  }
+
+  private def doRender(compiler: Compiler, settings: CompilerSettings, preamble: String, text: String, dir: File)(implicit talk: HTalk): Try[Any] = {
+    val texFile = dir / "snippet.tex"
+    val pngPrefix = (dir / "snippet").getCanonicalPath + "-"
+    val pngFile = new File(pngPrefix + "1.png")
+
+    val result = for {
+      _ <- Try {
+        for(writer <- managed(new BufferedWriter(new OutputStreamWriter(new FileOutputStream(texFile), "UTF-8")))) {
+          writer.write(preamble)
+          writer.write("\\usepackage[active,tightpage]{preview}\n")
+          writer.write("\\setlength\\PreviewBorder{2pt}\n")
+          writer.write("\\begin{document}\n\\begin{preview}\n")
+          writer.write(text)
+          writer.write("\n\\end{preview}\n\\end{document}\n")
+        }
+      }
+      compiled <- compiler.snippet(paperId, settings, texFile)
+      _ <- Try {
+        if(compiled)
+          for(doc <- managed(PDDocument.load(dir / "snippet.pdf"))) {
+            val imageWriter = new PDFImageWriter
+            imageWriter.writeImage(doc, "png", null, 1, 1, pngPrefix, BufferedImage.TYPE_INT_RGB, 150)
+          }
+      }
+    } yield if(pngFile.exists) {
+      for(is <- managed(new FileInputStream(pngFile))) {
+        val array =
+          Iterator.continually(is.read).takeWhile(_ != -1).map(_.toByte).toArray
+
+        talk.setContentType(HMime.png)
+          .setContentLength(array.length)
+          .write(array)
+      }
+    } else {
+      talk
+        .setStatus(HStatus.BadRequest)
+        .writeJson(ErrorResponse("snippet_error", firstError(dir / "snippet.log").getOrElse("The snippet could not be compiled")))
+    }
+
+    result recover {
+      case e =>
+        logError(s"Unable to render snippet for paper $paperId", e)
+        talk
+          .setStatus(HStatus.InternalServerError)
+          .writeJson(ErrorResponse("unable_to_compile", "The snippet could not be compiled"))
+    }
+  }
+
+  /** The first error reported in the log of the snippet compilation */
+  private def firstError(logFile: File): Option[String] =
+    if(logFile.exists)
+      managed(Source.fromFile(logFile)(GetLogLet.codec)).acquireAndGet(_.getLines.find(_.startsWith("!")).map(_.drop(1).trim))
+    else
+      None
+
+}
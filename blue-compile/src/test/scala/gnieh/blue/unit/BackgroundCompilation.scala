@@ -0,0 +1,220 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+package gnieh.blue
+package unit
+
+import org.scalatest._
+
+import akka.actor.ActorSystem
+import akka.testkit.{TestKit, TestActorRef}
+import akka.util.Timeout
+
+import scala.concurrent.{Await, Future, Promise}
+import scala.concurrent.duration._
+
+import scala.util.{Try, Success}
+
+import java.io.File
+import java.lang.reflect.{InvocationHandler, Method, Proxy}
+import java.nio.file.Files
+import java.util.Date
+
+import org.osgi.framework.{BundleContext, ServiceReference}
+import org.osgi.service.log.LogService
+
+import com.typesafe.config.ConfigFactory
+
+import gnieh.sohva.control.CouchClient
+
+import common._
+import compile._
+import compile.impl._
+
+/** A compiler that only remembers the settings it was run with */
+class RecordingCompiler(val configuration: PaperConfiguration) extends Compiler {
+
+  import FileUtils._
+
+  val name = "pdflatex"
+
+  @volatile var compiled = List.empty[CompilerSettings]
+
+  def compile(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] = {
+    compiled = compiled :+ settings
+    (configuration.buildDir(paperId) / "main.aux").createNewFile()
+    Success(true)
+  }
+
+  def bibtex(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] = Success(false)
+
+  def biber(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] = Success(false)
+
+  def index(paperId: String, settings: CompilerSettings, tool: String)(implicit timeout: Timeout): Try[Boolean] = Success(false)
+
+  def latexmk(paperId: String, settings: CompilerSettings)(implicit timeout: Timeout): Try[Boolean] = Success(false)
+
+  def snippet(paperId: String, settings: CompilerSettings, texFile: File)(implicit timeout: Timeout): Try[Boolean] = Success(false)
+
+  def needsRerun(paperId: String): Boolean = false
+
+}
+
+/** A logger that drops the messages */
+class QuietLogger extends LogService {
+
+  def log(level: Int, message: String): Unit = ()
+
+  def log(level: Int, message: String, e: Throwable): Unit = ()
+
+  def log(r: ServiceReference[_], level: Int, message: String): Unit = ()
+
+  def log(r: ServiceReference[_], level: Int, message: String, e: Throwable): Unit = ()
+
+}
+
+/** A synchronization server for papers that are never modified */
+class UnmodifiedSynchroServer extends SynchroServer {
+
+  val modified = new Date
+
+  def session(data: String, author: Option[String]): Try[String] = Success(data)
+
+  def events(paperId: String, peerId: String, user: Option[String]): Future[String] = Future.successful("")
+
+  def restore(paperId: String, filename: String, revisionId: String, author: Option[String]): Try[Unit] = Success(())
+
+  def persist(paperId: String): Unit = ()
+
+  def lastModificationDate(paperId: String): Date = modified
+
+}
+
+class BackgroundCompilationSpec extends TestKit(ActorSystem("BackgroundCompilationSpec"))
+                                with FeatureSpecLike
+                                with BeforeAndAfterAll
+                                with GivenWhenThen
+                                with ShouldMatchers {
+
+  import FileUtils._
+
+  override def afterAll() {
+    system.shutdown()
+    papers.deleteRecursive()
+  }
+
+  implicit val timeout = Timeout(5.seconds)
+
+  val papers = Files.createTempDirectory("papers").toFile
+
+  val config = ConfigFactory.parseString(s"""blue.paper.directory = "${papers.getCanonicalPath}"""")
+    .withFallback(ConfigFactory.load())
+
+  val paperConfig = new PaperConfiguration(config)
+
+  val logger = new QuietLogger
+
+  // the background compilation runs again once an hour, the test triggers the compilations itself
+  val settings = CompilerSettings("paper:compiler", "pdflatex", false, 30, 3600)
+
+  /* a bundle context registering the given services by class */
+  def bundleContext(services: (Class[_], AnyRef)*): BundleContext = {
+    val registry = services.toMap
+    def reference(service: AnyRef): ServiceReference[_] =
+      Proxy.newProxyInstance(getClass.getClassLoader, Array(classOf[ServiceReference[_]]), new ServiceHandler(service))
+        .asInstanceOf[ServiceReference[_]]
+    Proxy.newProxyInstance(getClass.getClassLoader, Array(classOf[BundleContext]), new InvocationHandler {
+      def invoke(proxy: AnyRef, method: Method, args: Array[AnyRef]): AnyRef = (method.getName, args) match {
+        case ("getServiceReference", Array(cls: Class[_])) =>
+          registry.get(cls).map(reference).orNull
+        case ("getServiceReferences", Array(cls: Class[_], _)) =>
+          java.util.Arrays.asList(registry.get(cls).map(reference).toSeq: _*)
+        case ("getService", Array(ref)) =>
+          Proxy.getInvocationHandler(ref).asInstanceOf[ServiceHandler].service
+        case ("ungetService", _) =>
+          java.lang.Boolean.TRUE
+        case _ =>
+          null
+      }
+    }).asInstanceOf[BundleContext]
+  }
+
+  class ServiceHandler(val service: AnyRef) extends InvocationHandler {
+    def invoke(proxy: AnyRef, method: Method, args: Array[AnyRef]): AnyRef = method.getName match {
+      case "hashCode" => Int.box(System.identityHashCode(proxy))
+      case "equals"   => Boolean.box(proxy eq args(0))
+      case _          => null
+    }
+  }
+
+  def compilation(paperId: String, compiler: Compiler) = {
+    val monitor = new CompilationMonitor
+    val context = bundleContext(classOf[Compiler] -> compiler, classOf[CouchClient] -> new CouchClient)
+    TestActorRef(new BackgroundCompilationActor(context, new UnmodifiedSynchroServer, config, paperId, settings,
+      monitor, new CompilationHistory(config), new BuildPipeline(paperConfig, monitor), logger))
+  }
+
+  feature("The background compilation honours the root document requested by the clients") {
+
+    scenario("a client registers with another root document") {
+
+      Given("a paper compiled in background")
+      val compiler = new RecordingCompiler(paperConfig)
+      val actor = compilation("paper1", compiler)
+
+      When("a client registers for the next compilation of another root document")
+      val result = Promise[CompilationStatus]()
+      actor ! Register("gerard", result, "manual", Some("thesis.tex"))
+      actor ! Compile
+
+      Then("the paper is compiled again even though it was not modified")
+      Await.result(result.future, 5.seconds) should be(CompilationSucceeded)
+
+      And("the requested root document is compiled")
+      compiler.compiled.last.main should be(Some("thesis.tex"))
+
+    }
+
+  }
+
+  feature("The background compilation honours the partial compilations requested by the clients") {
+
+    scenario("a client registers for a partial compilation and then for a full one") {
+
+      Given("a paper compiled in background")
+      val compiler = new RecordingCompiler(paperConfig)
+      val actor = compilation("paper2", compiler)
+
+      When("a client registers for the compilation of a single chapter")
+      val partial = Promise[CompilationStatus]()
+      actor ! Register("gerard", partial, "manual", None, Some("chapter1"))
+      actor ! Compile
+
+      Then("only this chapter is typeset")
+      Await.result(partial.future, 5.seconds) should be(CompilationSucceeded)
+      compiler.compiled.last.includeonly should be(Some("chapter1"))
+
+      When("the client then registers for a full compilation")
+      val full = Promise[CompilationStatus]()
+      actor ! Register("gerard", full, "manual", None, None)
+      actor ! Compile
+
+      Then("the whole paper is compiled again")
+      Await.result(full.future, 5.seconds) should be(CompilationSucceeded)
+      compiler.compiled.last.includeonly should be(None)
+
+    }
+
+  }
+
+}
@@ -0,0 +1,82 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package unit
+
+import org.scalatest._
+
+import compile.impl.CompilationLog
+
+import java.io.{
+  File,
+  FileOutputStream,
+  OutputStreamWriter
+}
+
+class CompilationLogSpec extends FeatureSpec
+                         with GivenWhenThen
+                         with ShouldMatchers {
+
+  private def logFile(lines: String*): File = {
+    val file = File.createTempFile("main", ".log")
+    file.deleteOnExit()
+    val writer = new OutputStreamWriter(new FileOutputStream(file), "UTF-8")
+    try writer.write(lines.mkString("\n")) finally writer.close()
+    file
+  }
+
+  feature("The errors and warnings of a compilation are counted from its log") {
+
+    scenario("a log with errors and warnings") {
+
+      Given("a compilation log")
+      val log = logFile(
+        "This is pdfTeX, Version 3.14159265-2.6-1.40.15",
+        "LaTeX Warning: Reference `sec:intro' on page 1 undefined on input line 12.",
+        "Package hyperref Warning: Token not allowed in a PDF string (PDFDocEncoding):",
+        "Class article Warning: Unused global option(s):",
+        "! Undefined control sequence.",
+        "l.14 \\foo",
+        "LaTeX Font Warning: Font shape `OT1/cmr/m/n' in size <5.5> not available",
+        "Output written on main.pdf (1 page, 12345 bytes).")
+
+      When("the problems are counted")
+      val (errors, warnings) = CompilationLog.count(log)
+
+      Then("every error line is counted")
+      errors should be(1)
+
+      And("every warning line is counted")
+      warnings should be(4)
+
+    }
+
+    scenario("a missing log") {
+
+      Given("a log that does not exist")
+      val log = new File("does-not-exist.log")
+
+      When("the problems are counted")
+      val counts = CompilationLog.count(log)
+
+      Then("there is none")
+      counts should be((0, 0))
+
+    }
+
+  }
+
+}
@@ -0,0 +1,78 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+package gnieh.blue
+package unit
+
+import org.scalatest._
+
+import compile.impl.{
+  CompilationMonitor,
+  CompilationProgress,
+  CompilationFailed,
+  CompilationCancelled
+}
+
+import scala.util.Success
+
+import java.io.File
+import java.util.Date
+
+class CompilationMonitorSpec extends FeatureSpec
+                             with GivenWhenThen
+                             with ShouldMatchers {
+
+  feature("A running compilation may be cancelled") {
+
+    scenario("a compilation between two programs") {
+
+      Given("a compilation running no process")
+      val monitor = new CompilationMonitor
+      val started = new Date
+      monitor.running("paper", "bibtex")
+
+      When("it is cancelled")
+      val cancelled = monitor.cancel("paper")
+
+      Then("the cancellation succeeds")
+      cancelled should be(true)
+
+      And("the next programs are not started")
+      monitor.isCancelled("paper") should be(true)
+
+      And("the compilation is reported as cancelled")
+      monitor.finished("paper", Success(CompilationFailed(false)), started, new File("does-not-exist.log")) should be(Success(CompilationCancelled))
+      monitor.progress("paper").status should be(CompilationProgress.Cancelled)
+
+      And("the next compilation is not cancelled")
+      monitor.isCancelled("paper") should be(false)
+
+    }
+
+    scenario("no compilation is running") {
+
+      Given("a paper that is not compiled")
+      val monitor = new CompilationMonitor
+
+      When("its compilation is cancelled")
+      val cancelled = monitor.cancel("paper")
+
+      Then("there is nothing to cancel")
+      cancelled should be(false)
+      monitor.isCancelled("paper") should be(false)
+
+    }
+
+  }
+
+}
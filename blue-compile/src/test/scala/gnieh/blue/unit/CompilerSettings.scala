@@ -0,0 +1,62 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+package gnieh.blue
+package unit
+
+import org.scalatest._
+
+import compile.CompilerSettings
+
+class CompilerSettingsSpec extends FeatureSpec
+                           with GivenWhenThen
+                           with ShouldMatchers {
+
+  feature("Only safe file names may be used as root document") {
+
+    scenario("tex files inside the paper directory") {
+
+      Given("file names of the paper directory")
+      val names = List("main.tex", "thesis.tex", "chapters/intro.tex", "part_1/chapter-2/v1.2.tex")
+
+      Then("they may be compiled")
+      for(name <- names)
+        CompilerSettings.isMainFile(name) should be(true)
+
+    }
+
+    scenario("names that could be taken for command line options") {
+
+      Given("file names starting with a dash")
+      val names = List("-shell-escape.tex", "--output-directory=.tex", "chapters/-jobname.tex", "-chapters/intro.tex")
+
+      Then("they may not be compiled")
+      for(name <- names)
+        CompilerSettings.isMainFile(name) should be(false)
+
+    }
+
+    scenario("names outside the paper directory or that are not tex files") {
+
+      Given("file names outside the paper directory or of other files")
+      val names = List("../main.tex", "chapters/../../main.tex", "/etc/main.tex", ".hidden.tex", "main.bib", "main.tex/", "")
+
+      Then("they may not be compiled")
+      for(name <- names)
+        CompilerSettings.isMainFile(name) should be(false)
+
+    }
+
+  }
+
+}
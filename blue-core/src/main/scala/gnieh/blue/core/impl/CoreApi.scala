@@ -70,6 +70,21 @@ class CoreApi(
     // save a non synchronized resource
     case p"papers/$paperid/files/resources/$resourcename" =>
       new SaveResourceLet(paperid, resourcename, couch, config, logger)
+    // starts a new comment thread
+    case p"papers/$paperid/comments" =>
+      new CreateCommentThreadLet(paperid, couch, config, logger)
+    // replies to a comment thread
+    case p"papers/$paperid/comments/$threadid" =>
+      new AddCommentLet(paperid, threadid, couch, config, logger)
+    // saves a chat message
+    case p"papers/$paperid/chat" =>
+      new PostChatMessageLet(paperid, couch, config, logger)
+    // takes a named snapshot of the paper
+    case p"papers/$paperid/snapshots" =>
+      new CreateSnapshotLet(paperid, context, couch, config, logger)
+    // starts a new paper from a snapshot
+    case p"papers/$paperid/snapshots/$snapshotid/branch" =>
+      new BranchSnapshotLet(paperid, snapshotid, context, couch, config, logger)
   }
 
   PATCH {
@@ -88,6 +103,9 @@ class CoreApi(
     // add or remove permissions for each role in this paper
     case p"papers/$paperid/permissions" =>
       new ModifyPermissionsLet(paperid, couch, config, logger)
+    // resolves, reopens or moves a comment thread
+    case p"papers/$paperid/comments/$threadid" =>
+      new ModifyCommentThreadLet(paperid, threadid, couch, config, logger)
   }
 
   private val GetUsersLet = new GetUsersLet(couch, config, logger)
@@ -123,6 +141,15 @@ class CoreApi(
     // downloads a zip archive containing the paper files
     case p"papers/$paperid/zip" =>
       new BackupPaperLet("zip", paperid, couch, config, logger)
+    // gets the list of snapshots of the paper
+    case p"papers/$paperid/snapshots" =>
+      new GetSnapshotsLet(paperid, couch, config, logger)
+    // downloads a zip archive containing the files and compiled paper of a snapshot
+    case p"papers/$paperid/snapshots/$snapshotid/zip" =>
+      new DownloadSnapshotLet(paperid, snapshotid, couch, config, logger)
+    // gets a file saved in a snapshot
+    case p"papers/$paperid/snapshots/$snapshotid/files/$filename" =>
+      new GetSnapshotFileLet(paperid, snapshotid, filename, couch, config, logger)
     // downloads the list of synchronized resources
     case p"papers/$paperid/files/synchronized" =>
       new SynchronizedResourcesLet(paperid, couch, config, logger)
@@ -132,6 +159,12 @@ class CoreApi(
     // gets a non synchronized resource
     case p"papers/$paperid/files/resources/$resourcename" =>
       new GetResourceLet(paperid, resourcename, couch, config, logger)
+    // gets the comment threads of the paper
+    case p"papers/$paperid/comments" =>
+      new GetCommentsLet(paperid, couch, config, logger)
+    // gets the chat history of the paper
+    case p"papers/$paperid/chat" =>
+      new GetChatLet(paperid, couch, config, logger)
   }
 
   DELETE {
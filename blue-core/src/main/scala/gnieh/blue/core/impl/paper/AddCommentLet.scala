@@ -0,0 +1,91 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http._
+import common._
+import permission._
+
+import couch.{
+  Comment => PaperComment
+}
+
+import com.typesafe.config.Config
+
+import tiscaf._
+
+import scala.util.{
+  Try,
+  Success
+}
+
+import java.util.{
+  Date,
+  UUID
+}
+
+import gnieh.sohva.control.CouchClient
+
+/** Replies to an existing comment thread
+ *
+ *  @author agent
+ */
+class AddCommentLet(paperId: String, threadId: String, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) with CommentsSupport {
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = (user, permissions) match {
+    case (Some(user), Comment()) =>
+      talk.readJson[NewComment] match {
+        case Some(NewComment(text)) if text.trim.nonEmpty =>
+          val comment = PaperComment(UUID.randomUUID.toString, user.name, new Date, text)
+          updateComments(paperId) { threads =>
+            if(threads.exists(_.id == threadId))
+              Some(threads.map {
+                case thread if thread.id == threadId => thread.copy(comments = thread.comments :+ comment)
+                case thread                          => thread
+              })
+            else
+              None
+          } map {
+            case Some(_) =>
+              talk.setStatus(HStatus.Created).writeJson(comment)
+            case None =>
+              talk
+                .setStatus(HStatus.NotFound)
+                .writeJson(ErrorResponse("not_found", s"Unknown comment thread $threadId"))
+          } recover {
+            case e =>
+              logError(s"Unable to save comment in thread $threadId for paper $paperId", e)
+              talk
+                .setStatus(HStatus.InternalServerError)
+                .writeJson(ErrorResponse("cannot_save_data", "The comment could not be saved, please retry"))
+          }
+        case _ =>
+          Success(
+            talk
+              .setStatus(HStatus.BadRequest)
+              .writeJson(ErrorResponse("cannot_comment", "A comment needs a text")))
+      }
+    case _ =>
+      Success(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to comment this paper")))
+  }
+
+}
@@ -0,0 +1,137 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http._
+import couch._
+import common._
+import permission._
+
+import com.typesafe.config.Config
+
+import org.osgi.framework.BundleContext
+
+import tiscaf._
+
+import scala.util.{
+  Try,
+  Success,
+  Failure
+}
+
+import java.util.{
+  Date,
+  UUID
+}
+
+import gnieh.sohva.control.CouchClient
+import gnieh.sohva.control.entities.EntityManager
+
+/** Starts a new paper from the files of a snapshot. The currently authenticated user is the
+ *  author of the new paper, which has the same permissions as the original one.
+ *  The compiler settings of the snapshot are not restored, they belong to the compilation module.
+ *
+ *  @author agent
+ */
+class BranchSnapshotLet(paperId: String, snapshotId: String, context: BundleContext, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) with SnapshotSupport {
+
+  import FileUtils._
+  import OsgiUtils._
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = (user, permissions) match {
+    case (Some(user), Fork()) =>
+      talk.readJson[BranchSnapshot] match {
+        case Some(BranchSnapshot(name)) if name.trim.nonEmpty =>
+          val manager = entityManager("blue_papers")
+          val newId = s"x${UUID.randomUUID.getMostSignificantBits.toHexString}"
+          snapshot(paperId, snapshotId) flatMap {
+            case Some(snapshot) =>
+              manager.getComponent[PaperPhase](paperId) flatMap { originalPhase =>
+                // the new paper has the same permissions as the original one, or the default ones if it has none
+                val newPhase = originalPhase match {
+                  case Some(phase) =>
+                    phase.copy(_id = s"$newId:phase").withRev(None)
+                  case None =>
+                    PaperPhase(s"$newId:phase", "writing", config.getBuiltInPermissions("private").mapValues(_.map(Permission)), Nil)
+                }
+                val created = for {
+                  // create the paper into the database
+                  () <- manager.create(newId, None)
+                  paper <- manager.saveComponent(newId, Paper(s"$newId:core", name.trim, new Date))
+                  roles <- manager.saveComponent(newId, PaperRole(s"$newId:roles", UsersGroups(Set(user.name), Set()), UsersGroups(Set(), Set()),
+                    UsersGroups(Set(), Set())))
+                  phase <- manager.saveComponent(newId, newPhase)
+                  copied <- Try {
+                    configuration.paperDir(newId).mkdirs && {
+                      for(file <- snapshot.files)
+                        copyFile(snapshotFile(configuration, paperId, snapshotId, file), configuration.paperDir(newId) / file)
+                      true
+                    }
+                  }
+                } yield copied
+                created match {
+                  case Success(true) =>
+                    // notifiy creation hooks
+                    for(hook <- context.getAll[PaperCreated])
+                      Try(hook.afterCreate(newId, manager)) recover {
+                        case e => logError("Error in post paper creation hook", e)
+                      }
+                    Success(talk.setStatus(HStatus.Created).writeJson(newId))
+                  case Success(false) =>
+                    logError(s"Unable to create the paper directory: ${configuration.paperDir(newId)}")
+                    deletePaper(manager, newId)
+                    Success(
+                      talk
+                        .setStatus(HStatus.InternalServerError)
+                        .writeJson(ErrorResponse("cannot_create_paper", "Something went wrong on the server side")))
+                  case Failure(e) =>
+                    deletePaper(manager, newId)
+                    Failure(e)
+                }
+              }
+            case None =>
+              Success(
+                talk
+                  .setStatus(HStatus.NotFound)
+                  .writeJson(ErrorResponse("not_found", s"No snapshot $snapshotId for paper $paperId")))
+          }
+        case _ =>
+          Success(
+            talk
+              .setStatus(HStatus.BadRequest)
+              .writeJson(ErrorResponse("cannot_create_paper", "Some parameters are missing")))
+      }
+    case _ =>
+      Success(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to fork this paper")))
+  }
+
+  // removes whatever was already created of a new paper whose branching failed
+  private def deletePaper(manager: EntityManager, newId: String): Unit = {
+    val paperDir = configuration.paperDir(newId)
+    if(paperDir.exists)
+      paperDir.deleteRecursive()
+    manager.deleteEntity(newId) recover {
+      case e => logError(s"Unable to delete the partially created paper $newId", e)
+    }
+  }
+
+}
@@ -0,0 +1,59 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http.CouchSupport
+
+import couch.{
+  PaperChat,
+  ChatMessage
+}
+
+import tiscaf.HTalk
+
+import scala.util.Try
+
+/** A chat message sent by the client */
+final case class NewChatMessage(text: String)
+
+/** Mixin this trait to read and extend the chat history of a paper.
+ *  Only the last messages are kept in the history.
+ *
+ *  @author agent
+ */
+trait ChatSupport {
+  this: CouchSupport =>
+
+  /** How many messages are kept in the history of a paper */
+  val chatHistorySize = 500
+
+  /** Returns the chat history of the paper, or an empty one if nobody talked yet */
+  def chat(paperId: String)(implicit talk: HTalk): Try[PaperChat] =
+    entityManager("blue_papers").getComponent[PaperChat](paperId) map {
+      case Some(chat) => chat
+      case None       => PaperChat(s"$paperId:chat", Nil)
+    }
+
+  /** Appends the message to the history of the paper */
+  def addChatMessage(paperId: String, message: ChatMessage)(implicit talk: HTalk): Try[Unit] =
+    updateComponent(paperId, PaperChat(s"$paperId:chat", Nil)) { current =>
+      Some(current.copy(messages = (current.messages :+ message).takeRight(chatHistorySize)))
+    } map (_ => ())
+
+}
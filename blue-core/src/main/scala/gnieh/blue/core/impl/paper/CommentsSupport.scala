@@ -0,0 +1,66 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http.CouchSupport
+
+import couch.{
+  PaperComments,
+  CommentThread,
+  CommentAnchor,
+  Suggestion
+}
+
+import tiscaf.HTalk
+
+import scala.util.Try
+
+/** A new comment thread sent by the client, it may suggest a replacement for the anchored range */
+final case class NewCommentThread(anchor: CommentAnchor, text: Option[String], suggestion: Option[String])
+
+/** A reply to a comment thread sent by the client */
+final case class NewComment(text: String)
+
+/** The part of a thread that may be modified by a JSON Patch */
+final case class CommentThreadState(resolved: Boolean, anchor: CommentAnchor, suggestion: Option[Suggestion])
+
+/** Mixin this trait to read and modify the comments of a paper.
+ *  All the threads of a paper are stored in the same component, so that
+ *  concurrent modifications are retried a few times before giving up.
+ *
+ *  @author agent
+ */
+trait CommentsSupport {
+  this: CouchSupport =>
+
+  /** Returns the comments of the paper, or an empty comment component if none exists yet */
+  def comments(paperId: String)(implicit talk: HTalk): Try[PaperComments] =
+    entityManager("blue_papers").getComponent[PaperComments](paperId) map {
+      case Some(comments) => comments
+      case None           => PaperComments(s"$paperId:comments", Nil)
+    }
+
+  /** Applies the modification to the current threads and saves them.
+   *  If the modification returns `None`, nothing is saved and `None` is returned */
+  def updateComments(paperId: String)(modify: List[CommentThread] => Option[List[CommentThread]])(implicit talk: HTalk): Try[Option[PaperComments]] =
+    updateComponent(paperId, PaperComments(s"$paperId:comments", Nil)) { current =>
+      modify(current.threads) map (threads => current.copy(threads = threads))
+    }
+
+}
@@ -0,0 +1,99 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http._
+import common._
+import permission._
+
+import couch.{
+  CommentAnchor,
+  CommentThread,
+  Suggestion,
+  Comment => PaperComment
+}
+
+import com.typesafe.config.Config
+
+import tiscaf._
+
+import scala.util.{
+  Try,
+  Success
+}
+
+import java.util.{
+  Date,
+  UUID
+}
+
+import gnieh.sohva.control.CouchClient
+
+/** Starts a new comment thread anchored to a range in a file or to an area in the compiled paper.
+ *  A thread anchored to a range may suggest a replacement text for this range, the comment is
+ *  then optional. Suggesting requires the `suggest` or `edit` permission
+ *
+ *  @author agent
+ */
+class CreateCommentThreadLet(paperId: String, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) with CommentsSupport {
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = (user, permissions) match {
+    case (Some(user), Comment()) =>
+      talk.readJson[NewCommentThread] match {
+        case Some(NewCommentThread(_, _, Some(_))) if !permissions.contains(Suggest) && !permissions.contains(Edit) =>
+          Success(
+            talk
+              .setStatus(HStatus.Forbidden)
+              .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to suggest changes to this paper")))
+        case Some(NewCommentThread(anchor, text, suggestion)) if isValid(anchor, text, suggestion) =>
+          val comments =
+            for(t <- text.toList if t.trim.nonEmpty)
+              yield PaperComment(UUID.randomUUID.toString, user.name, new Date, t)
+          val thread =
+            CommentThread(UUID.randomUUID.toString, anchor, false, comments, suggestion.map(Suggestion(user.name, _, None)))
+          updateComments(paperId)(threads => Some(threads :+ thread)) map { _ =>
+            talk.setStatus(HStatus.Created).writeJson(thread)
+          } recover {
+            case e =>
+              logError(s"Unable to save new comment thread for paper $paperId", e)
+              talk
+                .setStatus(HStatus.InternalServerError)
+                .writeJson(ErrorResponse("cannot_save_data", "The comment could not be saved, please retry"))
+          }
+        case _ =>
+          Success(
+            talk
+              .setStatus(HStatus.BadRequest)
+              .writeJson(ErrorResponse("cannot_comment", "A comment needs a text or a suggestion and a valid anchor")))
+      }
+    case _ =>
+      Success(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to comment this paper")))
+  }
+
+  // suggestions replace a range of text
+  private def isValid(anchor: CommentAnchor, text: Option[String], suggestion: Option[String]): Boolean =
+    if(suggestion.isDefined)
+      anchor.isRange
+    else
+      (anchor.isRange || anchor.isArea) && text.exists(_.trim.nonEmpty)
+
+}
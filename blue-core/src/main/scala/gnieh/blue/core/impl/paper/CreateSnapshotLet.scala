@@ -0,0 +1,106 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http._
+import common._
+import permission._
+
+import couch.Snapshot
+
+import com.typesafe.config.Config
+
+import org.osgi.framework.BundleContext
+
+import tiscaf._
+
+import net.liftweb.json.JValue
+
+import scala.util.{
+  Try,
+  Success
+}
+
+import java.util.{
+  Date,
+  UUID
+}
+
+import gnieh.sohva.control.CouchClient
+
+/** Takes a named snapshot of the paper: its files, its compiled version and
+ *  its compiler settings are frozen and the snapshot description is returned.
+ *
+ *  @author agent
+ */
+class CreateSnapshotLet(paperId: String, context: BundleContext, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) with SnapshotSupport with SynchroSupport {
+
+  import FileUtils._
+  import OsgiUtils._
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = (user, permissions) match {
+    case (Some(user), Publish()) =>
+      talk.readJson[NewSnapshot] match {
+        case Some(NewSnapshot(name)) if name.trim.nonEmpty =>
+          for(synchro <- context.get[SynchroServer])
+            persistSynchronized(synchro, paperId)
+
+          val id = UUID.randomUUID.toString
+          // the compiled paper is owned by the compilation module, if it is deployed
+          val artifacts = context.get[CompilationArtifacts]
+          val files = sourceFiles(configuration, paperId, artifacts)
+          val pdf = artifacts.flatMap(_.pdf(paperId))
+
+          val result = for {
+            // the compiler settings are owned by the compilation module, if it is deployed
+            compiler <- database("blue_papers").getDocById[JValue](s"$paperId:compiler")
+            _ <- Try {
+              for(file <- files)
+                copyFile(configuration.paperDir(paperId) / file, snapshotFile(configuration, paperId, id, file))
+              for(pdf <- pdf)
+                copyFile(pdf, snapshotPdf(configuration, paperId, id))
+            }
+            snapshot = Snapshot(id, name.trim, user.name, new Date, files, pdf.isDefined, compiler)
+            _ <- addSnapshot(paperId, snapshot)
+          } yield snapshot
+
+          result map { snapshot =>
+            talk.setStatus(HStatus.Created).writeJson(snapshot)
+          } recover {
+            case e =>
+              logError(s"Unable to take snapshot of paper $paperId", e)
+              configuration.snapshotDir(paperId, id).deleteRecursive()
+              talk
+                .setStatus(HStatus.InternalServerError)
+                .writeJson(ErrorResponse("cannot_save_data", "The snapshot could not be taken, please retry"))
+          }
+        case _ =>
+          Success(
+            talk
+              .setStatus(HStatus.BadRequest)
+              .writeJson(ErrorResponse("cannot_take_snapshot", "A snapshot needs a name")))
+      }
+    case _ =>
+      Success(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to take snapshots of this paper")))
+  }
+
+}
@@ -0,0 +1,53 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http._
+import common._
+import permission._
+
+import com.typesafe.config.Config
+
+import tiscaf._
+
+import scala.util.{
+  Try,
+  Success
+}
+
+import gnieh.sohva.control.CouchClient
+
+/** Returns the chat history of the paper, the oldest message first
+ *
+ *  @author agent
+ */
+class GetChatLet(paperId: String, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) with ChatSupport {
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = permissions match {
+    case Chat() =>
+      for(paperChat <- chat(paperId))
+        yield talk.writeJson(paperChat.messages)
+    case _ =>
+      Success(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to see the chat")))
+  }
+
+}
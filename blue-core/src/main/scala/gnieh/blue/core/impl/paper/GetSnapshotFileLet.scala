@@ -0,0 +1,77 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import com.typesafe.config.Config
+
+import java.io.FileInputStream
+
+import tiscaf._
+
+import resource._
+
+import http._
+import common._
+import permission._
+
+import scala.util.Try
+
+import gnieh.sohva.control.CouchClient
+
+/** Retrieves a file saved in a snapshot, so that it can be compared to other versions.
+ *
+ *  @author agent
+ */
+class GetSnapshotFileLet(paperId: String, snapshotId: String, filename: String, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) with SnapshotSupport {
+
+  import FileUtils._
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = permissions match {
+    case Download() =>
+      snapshot(paperId, snapshotId) map {
+        case Some(snapshot) if snapshot.files.contains(filename) =>
+          val file = snapshotFile(configuration, paperId, snapshotId, filename)
+          for(fis <- managed(new FileInputStream(file))) {
+            val length = fis.available
+            val array = new Array[Byte](length)
+            fis.read(array)
+
+            val mime =
+              if(file.extension.matches(synchronizedExt))
+                s"text/plain;charset=UTF-8"
+              else
+                HMime.exts.get(file.extension.drop(1).toLowerCase).getOrElse("application/octet-stream")
+
+            talk.setContentLength(length)
+              .setContentType(mime)
+              .write(array)
+          }
+        case _ =>
+          talk
+            .setStatus(HStatus.NotFound)
+            .writeJson(ErrorResponse("unknown_resource", s"Unable to find file $filename in snapshot $snapshotId of paper $paperId"))
+      }
+    case _ =>
+      Try(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no right to download the paper snapshots")))
+  }
+
+}
@@ -0,0 +1,98 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http._
+import common._
+import permission._
+
+import com.typesafe.config.Config
+
+import tiscaf._
+
+import gnieh.diffson._
+
+import scala.util.{
+  Try,
+  Success
+}
+
+import gnieh.sohva.control.CouchClient
+
+/** Resolves or reopens a comment thread, or moves its anchor when the client
+ *  relocated it after concurrent edits.
+ *  Only people who may edit the paper accept or reject a suggestion
+ *
+ *  @author agent
+ */
+class ModifyCommentThreadLet(paperId: String, threadId: String, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) with CommentsSupport {
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = permissions match {
+    case Comment() =>
+      // the modification must be sent as a JSON Patch document on the thread state
+      // (`resolved`, `anchor` and `suggestion` fields). No revision is required because modifications
+      // of different threads must not conflict, concurrent modifications are retried
+      talk.readJson[JsonPatch] match {
+        case Some(patch) if decidesSuggestion(patch) && !permissions.contains(Edit) =>
+          Success(
+            talk
+              .setStatus(HStatus.Forbidden)
+              .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to accept or reject suggestions")))
+        case Some(patch) =>
+          updateComments(paperId) { threads =>
+            threads.find(_.id == threadId) map { thread =>
+              val state = patch(CommentThreadState(thread.resolved, thread.anchor, thread.suggestion))
+              val thread1 = thread.copy(resolved = state.resolved, anchor = state.anchor, suggestion = state.suggestion)
+              threads.map(t => if(t.id == threadId) thread1 else t)
+            }
+          } map {
+            case Some(_) =>
+              talk.writeJson(true)
+            case None =>
+              talk
+                .setStatus(HStatus.NotFound)
+                .writeJson(ErrorResponse("nothing_to_do", s"Unknown comment thread $threadId"))
+          } recover {
+            case e =>
+              logError(s"Unable to modify thread $threadId for paper $paperId", e)
+              talk
+                .setStatus(HStatus.InternalServerError)
+                .writeJson(ErrorResponse("cannot_save_data", "The thread could not be saved, please retry"))
+          }
+        case None =>
+          // nothing to do
+          Success(
+            talk
+              .setStatus(HStatus.NotModified)
+              .writeJson(ErrorResponse("nothing_to_do", "No changes sent")))
+      }
+    case _ =>
+      Success(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to comment this paper")))
+  }
+
+  // whether the patch modifies the suggestion of the current thread
+  private def decidesSuggestion(patch: JsonPatch)(implicit talk: HTalk): Boolean =
+    comments(paperId).toOption.flatMap(_.threads.find(_.id == threadId)).exists { thread =>
+      Try(patch(CommentThreadState(thread.resolved, thread.anchor, thread.suggestion)).suggestion != thread.suggestion).getOrElse(false)
+    }
+
+}
@@ -0,0 +1,77 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http._
+import common._
+import permission._
+
+import couch.ChatMessage
+
+import com.typesafe.config.Config
+
+import tiscaf._
+
+import scala.util.{
+  Try,
+  Success
+}
+
+import java.util.{
+  Date,
+  UUID
+}
+
+import gnieh.sohva.control.CouchClient
+
+/** Saves a message in the chat history of the paper and returns it.
+ *  The message is not sent to the other peers, which is done through the synchronization messages
+ *
+ *  @author agent
+ */
+class PostChatMessageLet(paperId: String, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) with ChatSupport {
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = (user, permissions) match {
+    case (Some(user), Chat()) =>
+      talk.readJson[NewChatMessage] match {
+        case Some(NewChatMessage(text)) if text.trim.nonEmpty =>
+          val message = ChatMessage(UUID.randomUUID.toString, user.name, new Date, text)
+          addChatMessage(paperId, message) map { _ =>
+            talk.setStatus(HStatus.Created).writeJson(message)
+          } recover {
+            case e =>
+              logError(s"Unable to save chat message for paper $paperId", e)
+              talk
+                .setStatus(HStatus.InternalServerError)
+                .writeJson(ErrorResponse("cannot_save_data", "The message could not be saved, please retry"))
+          }
+        case _ =>
+          Success(
+            talk
+              .setStatus(HStatus.BadRequest)
+              .writeJson(ErrorResponse("cannot_chat", "A chat message needs a text")))
+      }
+    case _ =>
+      Success(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to chat about this paper")))
+  }
+
+}
@@ -0,0 +1,102 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package core
+package impl
+package paper
+
+import http.CouchSupport
+
+import common._
+
+import couch.{
+  PaperSnapshots,
+  Snapshot
+}
+
+import tiscaf.HTalk
+
+import java.io.File
+import java.nio.file.Files
+
+import scala.util.Try
+
+/** A snapshot creation request sent by the client */
+final case class NewSnapshot(name: String)
+
+/** A request sent by the client to start a new paper from a snapshot */
+final case class BranchSnapshot(name: String)
+
+/** Mixin this trait to read and extend the snapshots of a paper.
+ *  The source files of a snapshot are copied in the `files` directory of the snapshot directory,
+ *  keeping their paths, and the compiled paper next to it.
+ *
+ *  @author agent
+ */
+trait SnapshotSupport {
+  this: CouchSupport =>
+
+  import FileUtils._
+
+  /** Returns the snapshots of the paper, or no snapshot if none was taken yet */
+  def snapshots(paperId: String)(implicit talk: HTalk): Try[PaperSnapshots] =
+    entityManager("blue_papers").getComponent[PaperSnapshots](paperId) map {
+      case Some(snapshots) => snapshots
+      case None            => PaperSnapshots(s"$paperId:snapshots", Nil)
+    }
+
+  /** Returns the snapshot with the given identifier, if any */
+  def snapshot(paperId: String, snapshotId: String)(implicit talk: HTalk): Try[Option[Snapshot]] =
+    snapshots(paperId) map (_.snapshots.find(_.id == snapshotId))
+
+  /** Appends the snapshot to the list of snapshots of the paper */
+  def addSnapshot(paperId: String, snapshot: Snapshot)(implicit talk: HTalk): Try[Unit] =
+    updateComponent(paperId, PaperSnapshots(s"$paperId:snapshots", Nil)) { current =>
+      Some(current.copy(snapshots = current.snapshots :+ snapshot))
+    } map (_ => ())
+
+  /** The saved copy of a file of the snapshot */
+  def snapshotFile(configuration: PaperConfiguration, paperId: String, snapshotId: String, filename: String): File =
+    configuration.snapshotDir(paperId, snapshotId) / "files" / filename
+
+  /** The saved compiled paper of the snapshot */
+  def snapshotPdf(configuration: PaperConfiguration, paperId: String, snapshotId: String): File =
+    configuration.snapshotDir(paperId, snapshotId) / "main.pdf"
+
+  /** The source files of the paper, relative to the paper directory.
+   *  Hidden files and directories, such as the history of the paper, TeX temporary files
+   *  and the files produced by the compilation module, if it is deployed, are left out
+   */
+  def sourceFiles(configuration: PaperConfiguration, paperId: String, artifacts: Option[CompilationArtifacts]): List[String] = {
+    def sources(dir: File, prefix: String): List[String] =
+      dir.filter(f => !f.getName.startsWith(".") && !artifacts.exists(_.isArtifact(paperId, f))) flatMap { f =>
+        if(f.isDirectory)
+          sources(f, s"$prefix${f.getName}/")
+        else if(f.isTeXTemporary)
+          Nil
+        else
+          List(s"$prefix${f.getName}")
+      }
+    sources(configuration.paperDir(paperId), "").sorted
+  }
+
+  /** Copies the file to the given destination, creating the parent directories if needed */
+  def copyFile(from: File, to: File): Unit = {
+    to.getParentFile.mkdirs
+    Files.copy(from.toPath, to.toPath)
+  }
+
+}
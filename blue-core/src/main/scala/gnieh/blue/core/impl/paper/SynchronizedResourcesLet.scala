@@ -39,7 +39,7 @@ import gnieh.sohva.control.CouchClient
 class SynchronizedResourcesLet(paperId: String, val couch: CouchClient, config: Config, logger: Logger) extends SyncPermissionLet(paperId, config, logger) {
 
   def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = Try(permissions match {
-    case Edit() =>
+    case Edit() | Read() | Suggest() =>
       import FileUtils._
       val files = configuration.paperDir(paperId).filter(_.extension.matches(synchronizedExt)).map(_.getName)
       talk.writeJson(files)
@@ -24,6 +24,7 @@ import java.io.BufferedInputStream
 
 import scala.io.Source
 import scala.util.{Try, Failure, Success}
+import scala.concurrent.Future
 
 import com.typesafe.config.Config
 
@@ -37,7 +38,7 @@ class MobwriteServer(configuration: Config) extends SynchroServer {
   val url = configuration.getString("mobwrite.url")
   val port = configuration.getInt("mobwrite.port")
 
-  def session(data: String): Try[String] = {
+  def session(data: String, author: Option[String]): Try[String] = {
     (for(socket <- managed(new Socket(url, port))) yield {
       // Write data to daemon
       val outputStream = socket.getOutputStream
@@ -52,6 +53,12 @@ class MobwriteServer(configuration: Config) extends SynchroServer {
     }).opt.fold[Try[String]](Failure(new SynchroFailureException("Error with legacy mobwrite server")))(Success(_))
   }
 
+  def events(paperId: String, peerId: String, user: Option[String]): Future[String] =
+    Future.failed(new SynchroFailureException("Events are not supported by the legacy mobwrite server"))
+
+  def restore(paperId: String, filename: String, revisionId: String, author: Option[String]): Try[Unit] =
+    Failure(new SynchroFailureException("Revisions are not supported by the legacy mobwrite server"))
+
   def persist(paperId: String): Unit = {
   }
 
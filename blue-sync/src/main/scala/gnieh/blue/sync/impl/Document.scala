@@ -25,4 +25,7 @@ import java.io.File
  */
 class Document(val path: String, var text: String) {
   lazy val filename = new File(path).getName()
+
+  /** The users who modified the text since the last recorded revision */
+  var authors = Set.empty[String]
 }
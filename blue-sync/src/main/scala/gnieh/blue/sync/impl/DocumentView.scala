@@ -59,6 +59,9 @@ class DocumentView(val document: Document) {
   /** Flag if messages are to be retrieved or not */
   var retrieveMessages = false
 
+  /** Was the peer notified that the document was modified since its last synchronization ? */
+  var notified = false
+
   def restoreBackupShadow(): Unit = {
     edits.clear()
     shadow = backupShadow
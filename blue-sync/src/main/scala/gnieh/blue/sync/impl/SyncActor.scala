@@ -22,7 +22,12 @@ import scala.collection.JavaConversions._
 import org.osgi.service.log.LogService
 import akka.actor.Actor
 
+import scala.concurrent.Promise
+import scala.concurrent.duration._
+import scala.collection.mutable
+
 import java.util.{Date, Calendar}
+import java.util.concurrent.TimeUnit
 
 import name.fraser.neil.plaintext.DiffMatchPatch
 
@@ -40,7 +45,9 @@ import store._
 case class SyncContext(views: Map[(PeerId, Filepath), DocumentView],
                        documents: Map[Filepath, Document],
                        messages: Map[PeerId, List[Message]],
-                       lastModificationTime: Date) {
+                       lastModificationTime: Date,
+                       subscribers: Map[PeerId, Promise[SyncEvents]] = Map.empty[PeerId, Promise[SyncEvents]],
+                       peers: Map[PeerId, Option[String]] = Map.empty[PeerId, Option[String]]) {
 
     def updateViews(views: Map[(PeerId, Filepath), DocumentView]) =
 		this.copy(views = views)
@@ -53,6 +60,12 @@ case class SyncContext(views: Map[(PeerId, Filepath), DocumentView],
 
     def updateLastModificationTime() =
         this.copy(lastModificationTime = Calendar.getInstance.getTime())
+
+    def updateSubscribers(subscribers: Map[PeerId, Promise[SyncEvents]]) =
+        this.copy(subscribers = subscribers)
+
+    def updatePeers(peers: Map[PeerId, Option[String]]) =
+        this.copy(peers = peers)
 }
 
 /** This class encapsulates a result from a synchronization action.
@@ -64,6 +77,9 @@ case class SyncContext(views: Map[(PeerId, Filepath), DocumentView],
 case class SyncActionResult(syncContext: SyncContext, commands: List[Command])
 
 
+/** Sent to itself by the actor when a subscription expires. */
+private case class SubscriptionTimeout(peerId: PeerId, promise: Promise[SyncEvents])
+
 /** This actor handles synchronisation of documents.
  *  It is created upon reception of first `Join` system message,
  *  and should be destroyed when all corresponding `Part` messages
@@ -75,6 +91,7 @@ class SyncActor(
     config: PaperConfiguration,
     paperId: PaperId,
     store: Store,
+    history: History,
     dmp: DiffMatchPatch,
     val logger: LogService)
   extends Actor
@@ -83,8 +100,23 @@ class SyncActor(
   import FileUtils._
   import net.liftweb.json.JObject
 
+  import context.dispatcher
+
   private val paperDir = config.paperDir(paperId)
 
+  // subscriptions are answered before common proxies close idle connections
+  private val subscriptionTimeout = 25.seconds
+
+  // a new revision of a modified document is started at most this often while peers are connected,
+  // in between the started revision is amended every time the document is saved
+  private val revisionInterval = config.config.getDuration("blue.paper.revision-interval", TimeUnit.MILLISECONDS)
+
+  // the date of the last recorded revision of each document, loaded from the history the first time
+  private val lastRevisions = mutable.Map.empty[Filepath, Long]
+
+  // the revisions started by this actor, that may still be amended
+  private val openRevisions = mutable.Map.empty[Filepath, String]
+
   def receive = receiving(SyncContext(Map.empty[(PeerId, Filepath), DocumentView],
                                       Map.empty[Filepath, Document],
                                       Map.empty[PeerId, List[Message]].withDefaultValue(Nil),
@@ -104,46 +136,68 @@ class SyncActor(
       logInfo(s"peer $peerId left paper $paperId")
       val newViews = syncContext.views.filter { case ((peer, _), _) => peer != peerId }
       val newMessages = syncContext.messages - peerId
-      context.become(receiving(syncContext.updateViews(newViews).updateMessages(newMessages)))
+      syncContext.subscribers.get(peerId).foreach(_.trySuccess(SyncEvents.empty))
+      val newSubscribers = syncContext.subscribers - peerId
+      val newPeers = syncContext.peers - peerId
+      context.become(receiving(syncContext.updateViews(newViews).updateMessages(newMessages).updateSubscribers(newSubscribers).updatePeers(newPeers)))
     }
 
-    case SyncSession(peerId, paperId, commands) => {
-      val newSyncContext = Try {
-        @tailrec
-        def doCommands(lastFilename: Option[String],
-          syncContext: SyncContext,
-          commands: List[Command],
-          acc: List[Command]): (SyncContext, List[Command]) =
-          commands match {
-            case (message @ Message(_, _, filename)) :: rest =>
-              val newAcc = acc ++ flushStackIfNeeded(peerId, lastFilename, filename, syncContext)
-              val newSyncContext = processMessage(syncContext, peerId, message).syncContext
-              doCommands(filename, newSyncContext, rest, newAcc)
-            case SyncCommand(filename, revision, action) :: rest =>
-              val newAcc = acc ++ flushStackIfNeeded(peerId, lastFilename, Some(filename), syncContext)
-              val newSyncContext = applyAction(syncContext, peerId, filename, revision, action)
-              doCommands(Some(filename), newSyncContext, rest, newAcc)
-            case Nil =>
-              val newAcc = acc ++ flushStackIfNeeded(peerId, lastFilename, None, syncContext)
-              (syncContext, newAcc)
+    case SyncSession(peerId, paperId, commands) =>
+      claimPeer(syncContext, peerId, None) match {
+        case Some(claimedContext) => synchronize(claimedContext, peerId, paperId, None, commands)
+        case None                 => sender ! akka.actor.Status.Failure(new ForeignPeerException(peerId))
+      }
+
+    case AuthoredSyncSession(author, SyncSession(peerId, paperId, commands)) =>
+      claimPeer(syncContext, peerId, Some(author)) match {
+        case Some(claimedContext) => synchronize(claimedContext, peerId, paperId, Some(author), commands)
+        case None                 => sender ! akka.actor.Status.Failure(new ForeignPeerException(peerId))
+      }
+
+    case Subscribe(peerId, user, promise) =>
+      claimPeer(syncContext, peerId, user) match {
+        case Some(claimedContext) =>
+          // a peer has at most one subscription, the previous one is answered
+          claimedContext.subscribers.get(peerId).foreach(_.trySuccess(SyncEvents.empty))
+          val events = pendingEvents(claimedContext, peerId)
+          if(events.isEmpty) {
+            context.system.scheduler.scheduleOnce(subscriptionTimeout, self, SubscriptionTimeout(peerId, promise))
+            context.become(receiving(claimedContext.updateSubscribers(claimedContext.subscribers.updated(peerId, promise))))
+          } else {
+            promise.success(events)
+            context.become(receiving(consumeEvents(claimedContext.updateSubscribers(claimedContext.subscribers - peerId), peerId)))
           }
-        val (newSyncContext, commandResponse) = doCommands(None, syncContext, commands, Nil)
-
-        val messageResult = retrieveMessages(newSyncContext, peerId, paperId)
-        sender ! SyncSession(peerId, paperId, commandResponse ++ messageResult.commands)
-        messageResult.syncContext
-      } recover {
-        case e: Exception =>
-          logError(s"Error while processing synchronization from peer $peerId", e)
-          sender ! akka.actor.Status.Failure(e)
-          throw e
+        case None =>
+          promise.failure(new ForeignPeerException(peerId))
       }
-      context.become(receiving(newSyncContext.get))
-    }
+
+    case SubscriptionTimeout(peerId, promise) =>
+      if(promise.trySuccess(SyncEvents.empty) && syncContext.subscribers.get(peerId) == Some(promise))
+        context.become(receiving(syncContext.updateSubscribers(syncContext.subscribers - peerId)))
 
     case PersistPaper(promise) =>
       promise.complete(persistPapers(syncContext))
 
+    case RestoreRevision(filename, revisionId, author, promise) =>
+      val filepath = (paperDir / filename).getCanonicalPath
+      history.load(filepath, revisionId) match {
+        case Some(text) =>
+          val document = syncContext.documents.getOrElse(filepath, loadDocument(filepath))
+          // the current state is kept first so that the restoration may be reverted too
+          if(document.authors.nonEmpty)
+            recordRevision(document)
+          // the peers retrieve the restored text with their next synchronization session
+          document.text = text
+          document.authors = author.toSet
+          store.save(document)
+          recordRevision(document)
+          promise.success(())
+          val restoredContext = syncContext.updateDocuments(syncContext.documents + (filepath -> document)).updateLastModificationTime()
+          context.become(receiving(notifySubscribers(restoredContext)))
+        case None =>
+          promise.failure(new SynchroFailureException(s"Unknown revision $revisionId of file $filename"))
+      }
+
     case LastModificationDate(promise) =>
       promise.success(syncContext.lastModificationTime)
 
@@ -151,21 +205,102 @@ class SyncActor(
       logInfo(s"Stop command received for paper $paperId")
       // Stop receiving messages first
 	  context.become(stopping)
+	  for(promise <- syncContext.subscribers.values)
+	    promise.trySuccess(SyncEvents.empty)
 	  // Clean-up and stop
 	  persistPapers(syncContext)
 	  context.stop(self)
 
   }
 
+  /* A peer belongs to the user who used it first until it parts, so that nobody
+   * can synchronize or receive the events on behalf of another user */
+  def claimPeer(syncContext: SyncContext, peerId: PeerId, user: Option[String]): Option[SyncContext] =
+    syncContext.peers.get(peerId) match {
+      case None =>
+        Some(syncContext.updatePeers(syncContext.peers.updated(peerId, user)))
+      case Some(owner) if owner == user =>
+        Some(syncContext)
+      case Some(_) =>
+        logWarn(s"peer $peerId of paper $paperId was used by another user")
+        None
+    }
+
+  /* Processes the commands of a synchronization session and answers the peer */
+  def synchronize(syncContext: SyncContext,
+                  peerId: PeerId,
+                  paperId: PaperId,
+                  author: Option[String],
+                  commands: List[Command]): Unit = {
+    val newSyncContext = Try {
+      @tailrec
+      def doCommands(lastFilename: Option[String],
+        syncContext: SyncContext,
+        commands: List[Command],
+        acc: List[Command]): (SyncContext, List[Command]) =
+        commands match {
+          case (message @ Message(_, _, filename)) :: rest =>
+            val newAcc = acc ++ flushStackIfNeeded(peerId, lastFilename, filename, syncContext)
+            val newSyncContext = processMessage(syncContext, peerId, message).syncContext
+            doCommands(filename, newSyncContext, rest, newAcc)
+          case SyncCommand(filename, revision, action) :: rest =>
+            val newAcc = acc ++ flushStackIfNeeded(peerId, lastFilename, Some(filename), syncContext)
+            val newSyncContext = applyAction(syncContext, peerId, author, filename, revision, action)
+            doCommands(Some(filename), newSyncContext, rest, newAcc)
+          case Nil =>
+            val newAcc = acc ++ flushStackIfNeeded(peerId, lastFilename, None, syncContext)
+            (syncContext, newAcc)
+        }
+      val (newSyncContext, commandResponse) = doCommands(None, syncContext, commands, Nil)
+
+      val messageResult = retrieveMessages(newSyncContext, peerId, paperId)
+      sender ! SyncSession(peerId, paperId, commandResponse ++ messageResult.commands)
+      notifySubscribers(messageResult.syncContext)
+    } recover {
+      case e: Exception =>
+        logError(s"Error while processing synchronization from peer $peerId", e)
+        sender ! akka.actor.Status.Failure(e)
+        throw e
+    }
+    context.become(receiving(newSyncContext.get))
+  }
+
+  /* Saves the documents and keeps the history of the modified ones up to date,
+   * a new revision is started at most once per revision interval,
+   * otherwise the revision started by this actor is amended */
   def persistPapers(syncContext: SyncContext): Try[Unit] =
     Try {
       for {
         doc <- syncContext.documents.values
-      } store.save(doc)
+      } {
+        store.save(doc)
+        if(doc.authors.nonEmpty) {
+          val now = System.currentTimeMillis
+          val last = lastRevisions.getOrElseUpdate(doc.path, history.revisions(doc.path).headOption.fold(0l)(_.date.getTime))
+          openRevisions.get(doc.path) match {
+            case Some(revisionId) if now - last < revisionInterval =>
+              history.amend(doc, revisionId, doc.authors)
+              doc.authors = Set.empty
+            case _ =>
+              val revision = recordRevision(doc)
+              openRevisions(doc.path) = revision.id
+          }
+        }
+      }
     }
 
+  /* Records the current text of the document as a new revision */
+  def recordRevision(document: Document): Revision = {
+    val revision = history.record(document, document.authors)
+    lastRevisions(document.path) = revision.date.getTime
+    openRevisions -= document.path
+    document.authors = Set.empty
+    revision
+  }
+
   def applyAction(syncContext: SyncContext,
                   peer: PeerId,
+                  author: Option[String],
                   filename: Filepath,
                   revision: Long,
                   action: SyncAction): SyncContext = {
@@ -175,7 +310,7 @@ class SyncActor(
     val filepath = (paperDir / filename).getCanonicalPath
 
     // Load document and associated view
-    val document = currentSyncContext.documents.getOrElse(filepath, store.load(filepath))
+    val document = currentSyncContext.documents.getOrElse(filepath, loadDocument(filepath))
     val view = currentSyncContext.views.getOrElse((peer, filepath), new DocumentView(document))
     if (!currentSyncContext.documents.contains(filepath))
       currentSyncContext = currentSyncContext.updateDocuments(syncContext.documents + (filepath -> document))
@@ -218,11 +353,24 @@ class SyncActor(
       view.deltaOk = true
     }
 
-    action match {
+    val previousText = document.text
+    val newSyncContext = action match {
       case x: Delta => processDelta(currentSyncContext, view, x, revision)
       case x: Raw => processRaw(currentSyncContext, view, x, revision)
       case Nullify => nullify(currentSyncContext, view)
     }
+    if(document.text != previousText)
+      document.authors ++= author
+    newSyncContext
+  }
+
+  /* Loads the document from the store, recording its initial state in the history
+   * if it has no revision yet so that the first modifications can be reverted */
+  def loadDocument(filepath: Filepath): Document = {
+    val document = store.load(filepath)
+    if(history.revisions(filepath).isEmpty)
+      history.record(document, Set.empty)
+    document
   }
 
   def nullify(syncContext: SyncContext, view: DocumentView): SyncContext = {
@@ -292,6 +440,38 @@ class SyncActor(
             SyncActionResult(newSyncContext, m.toList)
     }
 
+  /* The events a peer has not been notified of yet */
+  def pendingEvents(syncContext: SyncContext, peer: PeerId): SyncEvents = {
+    val modified = for {
+      ((p, _), view) <- syncContext.views
+      if p == peer && !view.notified && view.shadow != view.document.text
+    } yield view.document.filename
+    SyncEvents(syncContext.messages.getOrElse(peer, Nil), modified.toSet)
+  }
+
+  /* Marks the pending events of the peer as notified */
+  def consumeEvents(syncContext: SyncContext, peer: PeerId): SyncContext = {
+    for(((p, _), view) <- syncContext.views if p == peer && view.shadow != view.document.text)
+      view.notified = true
+    if(syncContext.messages.contains(peer))
+      syncContext.updateMessages(syncContext.messages.updated(peer, Nil))
+    else
+      syncContext
+  }
+
+  /* Completes the subscriptions of the peers for which there are new events */
+  def notifySubscribers(syncContext: SyncContext): SyncContext =
+    syncContext.subscribers.foldLeft(syncContext) {
+      case (ctx, (peer, promise)) =>
+        val events = pendingEvents(ctx, peer)
+        if(events.isEmpty) {
+          ctx
+        } else {
+          promise.trySuccess(events)
+          consumeEvents(ctx.updateSubscribers(ctx.subscribers - peer), peer)
+        }
+    }
+
   def applyPatches(syncContext: SyncContext, view: DocumentView, delta: Delta): SyncContext = {
     // Compute diffs
     // XXX: not very Scala-ish...
@@ -419,6 +599,7 @@ class SyncActor(
 
     view.shadow = mastertext
     view.changed = true
+    view.notified = false
 
     view.edits.toList.map {
       case SyncCommand(_, _, command)  => command
@@ -20,6 +20,7 @@ package impl
 import http._
 import common._
 import let._
+import store.FsHistory
 
 import com.typesafe.config.Config
 
@@ -32,11 +33,26 @@ import gnieh.sohva.control.CouchClient
  */
 class SyncApi(couch: CouchClient, val config: Config, synchroServer: SynchroServer, logger: Logger) extends RestApi {
 
+  private val history = new FsHistory(config.getInt("blue.paper.history"))
+
+  GET {
+    case p"papers/$paperid/sync/$peerid" =>
+      new SyncEventsLet(paperid, peerid, synchroServer, couch, config, logger)
+    case p"papers/$paperid/files/synchronized/$filename" =>
+      new SynchronizedFileLet(paperid, filename, synchroServer, couch, config, logger)
+    case p"papers/$paperid/files/history/$filename" =>
+      new FileRevisionsLet(paperid, filename, synchroServer, history, couch, config, logger)
+    case p"papers/$paperid/files/history/$filename/$revision" =>
+      new FileRevisionLet(paperid, filename, revision, history, couch, config, logger)
+  }
+
   POST {
     case p"papers/$paperid/q" =>
       new QLet(paperid, synchroServer, couch, config, logger)
     case p"papers/$paperid/sync" =>
       new SynchronizePaperLet(paperid, synchroServer, couch, config, logger)
+    case p"papers/$paperid/files/history/$filename/$revision" =>
+      new RestoreRevisionLet(paperid, filename, revision, synchroServer, history, couch, config, logger)
   }
 
 }
@@ -27,7 +27,7 @@ import org.osgi.framework.BundleContext
 import org.osgi.service.log.LogService
 import name.fraser.neil.plaintext.DiffMatchPatch
 
-import store.FsStore
+import store.{FsStore, FsHistory}
 import common._
 
 /** The synchronization system actor is responsible for managing
@@ -40,19 +40,29 @@ class SyncDispatcher(bndContext: BundleContext, config: Config, val logger: LogS
   private val configuration = new PaperConfiguration(config)
   private val dmp = new DiffMatchPatch
   private val store = new FsStore
+  private val history = new FsHistory(config.getInt("blue.paper.history"))
 
   def props(username: String, paperId: String): Try[Props] =
-    Try(Props(new SyncActor(configuration, paperId, store, dmp, logger)))
+    Try(Props(new SyncActor(configuration, paperId, store, history, dmp, logger)))
 
   override def unknownReceiver(paperId: String, msg: Any): Unit = msg match {
     case SyncSession(peerId, paperId, commands) =>
-      sender ! akka.actor.Status.Failure(new SynchroFailureException(s"Nobody is connected to paper $paperId"))
+      sender ! akka.actor.Status.Failure(new NobodyConnectedException(paperId))
+
+    case AuthoredSyncSession(_, _) =>
+      sender ! akka.actor.Status.Failure(new NobodyConnectedException(paperId))
 
     case PersistPaper(promise) =>
-      promise.complete(Failure(new SynchroFailureException(s"Nobody is connected to paper $paperId")))
+      promise.complete(Failure(new NobodyConnectedException(paperId)))
 
     case LastModificationDate(promise) =>
-      promise.complete(Failure(new SynchroFailureException(s"Nobody is connected to paper $paperId")))
+      promise.complete(Failure(new NobodyConnectedException(paperId)))
+
+    case RestoreRevision(_, _, _, promise) =>
+      promise.complete(Failure(new NobodyConnectedException(paperId)))
+
+    case Subscribe(_, _, promise) =>
+      promise.complete(Failure(new NobodyConnectedException(paperId)))
 
   }
 
@@ -38,6 +38,38 @@ final case class PersistPaper(promise: Promise[Unit])
  */
 final case class LastModificationDate(promise: Promise[Date])
 
+/** A command sent for restoring a saved revision of a synchronized file on behalf of a user.
+ *  The current text of the file is recorded in its history before being replaced.
+ *
+ * @author agent
+ */
+final case class RestoreRevision(filename: Filepath, revisionId: String, author: Option[String], promise: Promise[Unit])
+
+/** A command sent by a peer to be notified of the next events on the paper on behalf of a user.
+ *  The promise is completed as soon as there are events for this peer,
+ *  or with no events once the subscription timed out.
+ *  It fails if the peer belongs to another user.
+ *
+ * @author agent
+ */
+final case class Subscribe(peerId: PeerId, user: Option[String], promise: Promise[SyncEvents])
+
+/** The events pushed to a subscribed peer: the messages sent to it and the synchronized
+ *  files other peers modified since its last synchronization session.
+ *  Modifications are only notified, the peer retrieves them with a synchronization session
+ *  so that both shadows stay in sync.
+ *
+ * @author agent
+ */
+final case class SyncEvents(messages: List[Message], modified: Set[Filepath]) {
+  def isEmpty: Boolean =
+    messages.isEmpty && modified.isEmpty
+}
+
+object SyncEvents {
+  val empty = SyncEvents(Nil, Set())
+}
+
 /** A command list sent for specific peer and file.
  *
  *  @author Audric Schiltknecht
@@ -47,6 +79,13 @@ final case class SyncSession(peerId: PeerId,
                              paperId: PaperId,
                              commands: List[Command])
 
+/** A synchronization session sent on behalf of an authenticated user.
+ *  The user is recorded as author of the modifications in the revision history.
+ *
+ *  @author agent
+ */
+final case class AuthoredSyncSession(author: String, session: SyncSession)
+
 /** A command to be performed during a Synchronization Session
  *
  *  @author Audric Schiltknecht
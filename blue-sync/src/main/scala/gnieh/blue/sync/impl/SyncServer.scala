@@ -28,7 +28,8 @@ import akka.util.Timeout
 import net.liftweb.json._
 import net.liftweb.json.Serialization
 
-import scala.concurrent.{Await, Promise}
+import scala.concurrent.{Await, Future, Promise}
+import scala.concurrent.ExecutionContext.Implicits.global
 import scala.concurrent.duration._
 import scala.util.{Try, Success, Failure}
 
@@ -53,18 +54,54 @@ class SyncServer(dispatcher: ActorRef, configuration: Config) extends SynchroSer
     new SyncActionSerializer +
     new EditSerializer
 
-  def session(data: String): Try[String] = {
+  def session(data: String, author: Option[String]): Try[String] = {
     val syncSession = Serialization.read[SyncSession](data)
+    val message = author.fold[Any](syncSession)(AuthoredSyncSession(_, syncSession))
     Try {
-      val response = Await.result((dispatcher ? Forward(syncSession.paperId, syncSession)).mapTo[SyncSession],
+      val response = Await.result((dispatcher ? Forward(syncSession.paperId, message)).mapTo[SyncSession],
         timeout.duration)
       Serialization.write[SyncSession](response)
     } recoverWith {
+        case e: ForeignPeerException =>
+          Failure(e)
         case e =>
           Failure(new SynchroFailureException("Unable to get reponse from synchro dispatcher", e))
     }
   }
 
+  def events(paperId: String, peerId: String, user: Option[String]): Future[String] = {
+    val promise = Promise[SyncEvents]()
+
+    dispatcher ! Forward(paperId, Subscribe(peerId, user, promise))
+    promise.future.map {
+      case SyncEvents(messages, modified) =>
+        val builder = new StringBuilder
+        // the stream is closed after each answer, ask the client to subscribe again right away
+        builder.append("retry: 100\n\n")
+        if(messages.nonEmpty)
+          builder.append("event: sync\ndata: ")
+            .append(Serialization.write[SyncSession](SyncSession(peerId, paperId, messages)))
+            .append("\n\n")
+        if(modified.nonEmpty)
+          builder.append("event: modified\ndata: ")
+            .append(Serialization.write(modified.toList))
+            .append("\n\n")
+        builder.toString
+    } recoverWith {
+      case e: ForeignPeerException =>
+        Future.failed(e)
+      case e =>
+        Future.failed(new SynchroFailureException("Unable to get events from synchro dispatcher", e))
+    }
+  }
+
+  def restore(paperId: String, filename: String, revisionId: String, author: Option[String]): Try[Unit] = {
+    val promise = Promise[Unit]()
+
+    dispatcher ! Forward(paperId, RestoreRevision(filename, revisionId, author, promise))
+    Try(Await.result(promise.future, timeout.duration))
+  }
+
   def persist(paperId: String): Unit = {
     val promise = Promise[Unit]()
 
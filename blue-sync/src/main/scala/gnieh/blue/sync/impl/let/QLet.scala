@@ -69,7 +69,7 @@ class QLet(paperId: String, synchroServer: SynchroServer, val couch: CouchClient
           // Convert mobwrite protocol to \BlueLaTeX's
           ProtocolTranslator.mobwrite2bluelatex(paperId, data).foreach(syncSession => {
             val sessionText = Serialization.write[SyncSession](syncSession)
-            synchroServer.session(sessionText) match {
+            synchroServer.session(sessionText, user.map(_.name)) match {
               case Success(result) => {
                 val respSyncSession = Serialization.read[SyncSession](result)
                 talkValue ++= ProtocolTranslator.bluelatex2mobwrite(respSyncSession)._2
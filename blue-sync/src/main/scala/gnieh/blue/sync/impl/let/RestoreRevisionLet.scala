@@ -0,0 +1,74 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package sync
+package impl
+package let
+
+import common._
+import http._
+import permission._
+import store.History
+
+import com.typesafe.config.Config
+
+import tiscaf._
+
+import scala.util.{Try, Success, Failure}
+
+import gnieh.sohva.control.CouchClient
+
+/** Restores a saved revision of a synchronized file in the synchronization session of the paper,
+ *  so that the peers editing it get the restored text without losing the modifications made meanwhile
+ *  from the history.
+ *  Only authors may send this kind of request
+ *
+ *  @author agent
+ */
+class RestoreRevisionLet(paperId: String, filename: String, revision: String, synchroServer: SynchroServer, history: History, val couch: CouchClient, config: Config, logger: Logger)
+    extends SyncPermissionLet(paperId, config, logger) {
+
+  import FileUtils._
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = Try(permissions match {
+    case Edit() =>
+      val dir = configuration.paperDir(paperId)
+      val file = dir / filename
+      val exists =
+        file.getParentFile.getCanonicalPath == dir.getCanonicalPath &&
+          file.extension.matches(synchronizedExt) &&
+          history.load(file.getCanonicalPath, revision).isDefined
+      if(exists)
+        synchroServer.restore(paperId, filename, revision, user.map(_.name)) match {
+          case Success(()) =>
+            talk.writeJson(true)
+          case Failure(e) =>
+            logError(s"Could not restore revision $revision of file $filename for paper $paperId", e)
+            talk
+              .setStatus(HStatus.InternalServerError)
+              .writeJson(ErrorResponse("sync_error", s"Something went wrong when restoring revision $revision of file $filename"))
+        }
+      else
+        talk
+          .setStatus(HStatus.NotFound)
+          .writeJson(ErrorResponse("unknown_resource", s"Unable to find revision $revision of file $filename for paper $paperId"))
+    case _ =>
+      talk
+        .setStatus(HStatus.Forbidden)
+        .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to modify the paper content"))
+  })
+
+}
@@ -0,0 +1,70 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package sync
+package impl
+package let
+
+import common._
+import http._
+import permission._
+
+import com.typesafe.config.Config
+
+import tiscaf._
+
+import scala.concurrent.Future
+
+import gnieh.sohva.control.CouchClient
+
+/** Waits for the next synchronization events of a peer and sends them as a server-sent events stream.
+ *  The stream is closed after each answer and the client subscribes again.
+ *  Only authors may send this kind of request, for the peers they use
+ *
+ *  @author agent
+ */
+class SyncEventsLet(paperId: String, peerId: String, synchroServer: SynchroServer, val couch: CouchClient, config: Config, logger: Logger)
+    extends AsyncPermissionLet(paperId, config, logger) {
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Future[Any] = permissions match {
+    case Edit() =>
+      synchroServer.events(paperId, peerId, user.map(_.name)) map { result =>
+        val bytes = result.getBytes(talk.encoding)
+        talk
+          .setContentType(s"text/event-stream;charset=${talk.encoding}")
+          .setHeader("Cache-Control", "no-cache")
+          .setContentLength(bytes.size)
+          .write(bytes)
+      } recover {
+        case e: ForeignPeerException =>
+          talk
+            .setStatus(HStatus.Forbidden)
+            .writeJson(ErrorResponse("no_sufficient_rights", e.getMessage))
+        case e =>
+          logError(s"Could not retrieve synchronization events for paper $paperId", e)
+          talk
+            .setStatus(HStatus.InternalServerError)
+            .writeJson(ErrorResponse("sync_error",
+                                     s"Something went wrong when retrieving synchronization events for $paperId"))
+      }
+    case _ =>
+      Future.successful(
+        talk
+          .setStatus(HStatus.Forbidden)
+          .writeJson(ErrorResponse("no_sufficient_rights", "You have not permission to modify the paper content")))
+  }
+
+}
@@ -45,7 +45,7 @@ class SynchronizePaperLet(paperId: String, synchroServer: SynchroServer, val cou
       talk.req.octets match {
         case Some(octets) =>
           val data = new String(octets, talk.req.contentEncoding)
-          synchroServer.session(data) match {
+          synchroServer.session(data, user.map(_.name)) match {
             case Success(result) =>
               // TODO use `writeJson` once the synchronization server returns
               // a SyncSession instead of a string
@@ -54,6 +54,10 @@ class SynchronizePaperLet(paperId: String, synchroServer: SynchroServer, val cou
                 .setContentType(s"${HMime.json};charset=${talk.encoding}")
                 .setContentLength(bytes.size)
                 .write(bytes)
+            case Failure(e: ForeignPeerException) =>
+              talk
+                .setStatus(HStatus.Forbidden)
+                .writeJson(ErrorResponse("no_sufficient_rights", e.getMessage))
             case Failure(f) => {
               logError(s"Could not process synchronization session for paper $paperId", f)
               talk
@@ -0,0 +1,75 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package sync
+package impl
+package let
+
+import common._
+import http._
+import permission._
+
+import com.typesafe.config.Config
+
+import tiscaf._
+
+import resource._
+
+import scala.io.{
+  Source,
+  Codec
+}
+
+import scala.util.Try
+
+import gnieh.sohva.control.CouchClient
+
+/** Returns the current content of a synchronized file, so that people who may read the
+ *  paper source but not edit it can see it.
+ *  Authors and people allowed to read the paper or to suggest changes may send this kind of request
+ *
+ *  @author agent
+ */
+class SynchronizedFileLet(paperId: String, filename: String, synchroServer: SynchroServer, val couch: CouchClient, config: Config, logger: Logger)
+    extends SyncPermissionLet(paperId, config, logger) with SynchroSupport {
+
+  import FileUtils._
+
+  def permissionAct(user: Option[UserInfo], role: Role, permissions: Set[Permission])(implicit talk: HTalk): Try[Unit] = Try(permissions match {
+    case Edit() | Read() | Suggest() =>
+      val dir = configuration.paperDir(paperId)
+      val file = dir / filename
+      if(file.exists && file.getParentFile.getCanonicalPath == dir.getCanonicalPath && file.extension.matches(synchronizedExt)) {
+        persistSynchronized(synchroServer, paperId)
+        val content = managed(Source.fromFile(file)(Codec.UTF8)).acquireAndGet(_.mkString)
+        val bytes = content.getBytes(talk.encoding)
+        talk
+          .setContentType(s"text/plain;charset=${talk.encoding}")
+          .setHeader("Cache-Control", "no-cache")
+          .setContentLength(bytes.size)
+          .write(bytes)
+      } else {
+        talk
+          .setStatus(HStatus.NotFound)
+          .writeJson(ErrorResponse("unknown_resource", s"Unable to find synchronized file $filename for paper $paperId"))
+      }
+    case _ =>
+      talk
+        .setStatus(HStatus.Forbidden)
+        .writeJson(ErrorResponse("no_sufficient_rights", "You have no permission to read the paper content"))
+  })
+
+}
@@ -0,0 +1,145 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package sync
+package impl
+package store
+
+import scala.io._
+import java.io._
+import java.util.Date
+import java.nio.charset.CodingErrorAction
+
+import scala.util.Try
+
+import net.liftweb.json._
+
+import resource._
+
+/** Stores the revisions of a document as files in the `.history` directory
+ *  next to it. Each revision is made of its text and of a Json file
+ *  describing it, both named after the revision date.
+ *  Only the given number of revisions is kept per document, older ones are deleted.
+ *  The last revision may be amended as long as the document is being modified.
+ *
+ *  @author agent
+ */
+class FsHistory(size: Int) extends History {
+
+  import common.FileUtils._
+
+  implicit val codec = Codec("UTF-8")
+  codec.onMalformedInput(CodingErrorAction.REPLACE)
+  codec.onUnmappableCharacter(CodingErrorAction.REPLACE)
+
+  private implicit val formats = DefaultFormats
+
+  private val RevisionId = "[0-9]+".r
+
+  def record(document: Document, authors: Set[String]): Revision = {
+    val dir = historyDir(document.path)
+    if(!dir.exists && !dir.mkdirs)
+      throw new StoreException(s"Cannot create history directory for ${document.path}")
+
+    // revisions are named after their date, make sure two revisions never share a name
+    val now = System.currentTimeMillis
+    val last = revisionIds(dir).headOption.getOrElse(0l)
+    val revision = Revision(math.max(now, last + 1).toString, new Date(now), authors.toList.sorted)
+
+    write(dir, revision, document.text)
+
+    // only keep the last revisions
+    for(old <- revisionIds(dir).drop(size)) {
+      (dir / s"$old.rev").delete()
+      (dir / s"$old.json").delete()
+    }
+
+    revision
+  }
+
+  def amend(document: Document, revisionId: String, authors: Set[String]): Revision = {
+    val dir = historyDir(document.path)
+    read(dir / s"$revisionId.json") match {
+      case Some(previous) =>
+        val revision = previous.copy(date = new Date, authors = (previous.authors.toSet ++ authors).toList.sorted)
+        write(dir, revision, document.text)
+        revision
+      case None =>
+        throw new StoreException(s"Unknown revision $revisionId for ${document.path}")
+    }
+  }
+
+  def revisions(documentPath: String): List[Revision] = {
+    val dir = historyDir(documentPath)
+    if(dir.isDirectory) {
+      val revisions = for {
+        file <- dir.listFiles.toList
+        if file.extension == ".json"
+        revision <- read(file)
+      } yield revision
+      revisions.sortBy(-_.id.toLong)
+    } else {
+      Nil
+    }
+  }
+
+  def load(documentPath: String, revisionId: String): Option[String] = revisionId match {
+    case RevisionId() =>
+      val file = historyDir(documentPath) / s"$revisionId.rev"
+      if(file.exists)
+        Some(managed(Source.fromFile(file)).acquireAndGet(_.mkString))
+      else
+        None
+    case _ =>
+      None
+  }
+
+  private def read(file: File): Option[Revision] =
+    if(file.exists)
+      Try(managed(Source.fromFile(file)).acquireAndGet { source =>
+        Serialization.read[Revision](source.mkString)
+      }).toOption
+    else
+      None
+
+  private def write(dir: File, revision: Revision, text: String): Unit = {
+    for(writer <- managed(new BufferedWriter(new OutputStreamWriter(new FileOutputStream(dir / s"${revision.id}.rev"), codec.charSet)))) {
+      writer.write(text)
+      writer.flush()
+    }
+    for(writer <- managed(new BufferedWriter(new OutputStreamWriter(new FileOutputStream(dir / s"${revision.id}.json"), codec.charSet)))) {
+      writer.write(Serialization.write(revision))
+      writer.flush()
+    }
+  }
+
+  /* the identifiers of the revisions in the history directory, the most recent first,
+   * without reading their description */
+  private def revisionIds(dir: File): List[Long] =
+    if(dir.isDirectory)
+      dir.list.toList.collect {
+        case name if name.endsWith(".json") && RevisionId.pattern.matcher(name.dropRight(5)).matches =>
+          name.dropRight(5).toLong
+      }.sortBy(-_)
+    else
+      Nil
+
+  private def historyDir(documentPath: String): File = {
+    val file = new File(documentPath)
+    file.getParentFile / ".history" / file.getName
+  }
+
+}
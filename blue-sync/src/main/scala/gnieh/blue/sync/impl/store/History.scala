@@ -0,0 +1,52 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package sync
+package impl
+package store
+
+import java.util.Date
+
+/** A saved revision of a synchronized document, with the users who modified it
+ *  since the previous revision.
+ *
+ *  @author agent
+ */
+final case class Revision(id: String, date: Date, authors: List[String])
+
+/** Describes the interface that all revision histories must implement.
+ *  A history keeps the successive saved states of a document so that
+ *  they can be compared and restored later.
+ *
+ *  @author agent
+ */
+trait History {
+
+  /** Records the current text of the document as a new revision authored by the given users. */
+  def record(document: Document, authors: Set[String]): Revision
+
+  /** Replaces the text of an existing revision with the current text of the document,
+   *  and adds the given users to its authors.
+   */
+  def amend(document: Document, revisionId: String, authors: Set[String]): Revision
+
+  /** Returns the revisions of the document, the most recent first. */
+  def revisions(documentPath: String): List[Revision]
+
+  /** Loads the text of a revision of the document, if it exists. */
+  def load(documentPath: String, revisionId: String): Option[String]
+
+}
@@ -38,9 +38,9 @@ import name.fraser.neil.plaintext.DiffMatchPatch
 import java.util.{Date, Calendar}
 
 import gnieh.blue.common.PaperConfiguration
-import gnieh.blue.common.{Join, Part}
+import gnieh.blue.common.{Join, Part, Stop, ForeignPeerException}
 
-import gnieh.blue.sync.impl.store.Store
+import gnieh.blue.sync.impl.store.{Store, History, Revision}
 
 class DummyLogger extends LogService {
 
@@ -82,6 +82,35 @@ class DummyStore extends Store {
   def get(documentPath: String): Option[String] = documents.get(documentPath)
 }
 
+class DummyHistory extends History {
+  import scala.collection.mutable.Map
+
+  var entries = Map.empty[String, List[(Revision, String)]].withDefaultValue(Nil)
+
+  def record(document: Document, authors: Set[String]): Revision = {
+    val revision = Revision(entries(document.path).size.toString, new Date, authors.toList.sorted)
+    entries(document.path) = (revision, document.text) :: entries(document.path)
+    revision
+  }
+
+  def amend(document: Document, revisionId: String, authors: Set[String]): Revision = {
+    val (previous, _) = entries(document.path).find(_._1.id == revisionId).get
+    val revision = previous.copy(date = new Date, authors = (previous.authors.toSet ++ authors).toList.sorted)
+    entries(document.path) = entries(document.path).map {
+      case (r, _) if r.id == revisionId => (revision, document.text)
+      case entry                        => entry
+    }
+    revision
+  }
+
+  def revisions(documentPath: String): List[Revision] = entries(documentPath).map(_._1)
+
+  def load(documentPath: String, revisionId: String): Option[String] =
+    entries(documentPath).find(_._1.id == revisionId).map(_._2)
+
+  def clear(): Unit = entries.clear()
+}
+
 
 class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
                             with ImplicitSender
@@ -99,12 +128,13 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
                                  new EditSerializer
 
   override def afterAll() { system.shutdown() }
-  override def beforeEach() { store.clear() }
+  override def beforeEach() { store.clear(); history.clear() }
   implicit val timeout: Timeout = 1
 
   val config = new PaperConfiguration(ConfigFactory.load())
   val dmp = new DiffMatchPatch
   val store = new DummyStore
+  val history = new DummyHistory
   val logger = new DummyLogger
 
   feature("A synchronization actor should handle commands from one client") {
@@ -112,7 +142,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("a user sends a delta command on an empty file") {
 
       Given("a fresh synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a delta from user")
       val request = SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false))))
@@ -128,7 +158,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("a user sends a raw command on an empty file") {
 
       Given("a fresh synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a delta from user")
       val request = SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "", false))))
@@ -144,7 +174,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("a user sends a delta command on a file he already used") {
 
       Given("a synchronization actor, already used by a user")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
       syncActor ! SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false))))
       expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 1, Delta(0, List(Equality(5)), false)))))
 
@@ -162,7 +192,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("a new user send a delta command an existing file") {
 
       Given("a synchronization actor, already used by a user")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
       syncActor ! SyncSession("user1", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false))))
       expectMsg(SyncSession("user1", "paperId", List(SyncCommand("testPaper", 1, Delta(0, List(Equality(5)), false)))))
 
@@ -180,7 +210,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("a user sends a synchronization command with invalid server revision on empty file") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a synchronization command with invalid server revision")
       val request = SyncSession("user", "paperId", List(SyncCommand("testPaper", 51, Delta(0, List(), false))))
@@ -196,7 +226,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("a user sends a synchronization command with invalid server revision on existing file") {
 
       Given("a synchronization actor, already used by a user")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
       syncActor ! SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false))))
       expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 1, Delta(0, List(Equality(5)), false)))))
 
@@ -214,7 +244,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("a user sends a synchronization command with invalid server revision on existing file and accepts the raw response") {
 
       Given("a synchronization actor, already used by a user")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
       syncActor ! SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false))))
       expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 1, Delta(0, List(Equality(5)), false)))))
 
@@ -238,7 +268,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("persists an existing file on disk") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a user sending commands to the actor")
       syncActor ! SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false))))
@@ -258,7 +288,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("synchronization message for raw content with accent") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a raw request with accent from user")
       val request = SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "tête", false))))
@@ -281,7 +311,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("synchronization message for delta content with accent") {
 
       Given("a synchronization actor with an existing paper")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
       syncActor ! SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "Hello", false))))
       expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Equality(5)), false)))))
 
@@ -306,7 +336,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("error during synchronization session for content with accent") {
 
       Given("a synchronization actor with an existing paper")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
       syncActor ! SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "tête", false))))
       expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Equality(4)), false)))))
 
@@ -323,7 +353,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("error during synchronization session for content with space") {
 
       Given("a synchronization actor with an existing paper")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
       syncActor ! SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "My name is", false))))
       expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Equality(10)), false)))))
 
@@ -340,7 +370,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("retrieving the last modification date for 'empty' paper should be possible") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       When("a user retrieves the last modification date")
       val p = Promise[Date]()
@@ -356,7 +386,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("retrieving the last modification date for modified paper should return new date") {
 
       Given("a synchronization actor with an existing paper")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
       syncActor ! SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "Hello", false))))
       expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Equality(5)), false)))))
 
@@ -382,7 +412,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("simple broadcast message") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a list of connected users")
       val connectedUsers = List("user1", "user2")
@@ -424,7 +454,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("multiple broadcast messages") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a list of connected users")
       val connectedUsers = List("user1", "user2")
@@ -478,7 +508,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("broadcast messages and synchronization commands interlaced") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a list of connected users")
       val connectedUsers = List("user1", "user2")
@@ -553,7 +583,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("clean-up when client leaves") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a list of connected users")
       val connectedUsers = List("user1", "user2")
@@ -597,7 +627,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("consecutive retrieves of broadcast messages") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a list of connected users")
       val connectedUsers = List("user1", "user2")
@@ -670,7 +700,7 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     scenario("several sync messages") {
 
       Given("a synchronization actor")
-      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, dmp, logger))
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
 
       And("a list of connected users")
       val connectedUsers = List("user1")
@@ -733,4 +763,210 @@ class SyncActorSpec extends TestKit(ActorSystem("SyncActorSpec"))
     }
   }
 
+  feature("A synchronization actor should notify subscribed clients") {
+
+    scenario("a subscribed user receives broadcast messages") {
+
+      Given("a synchronization actor")
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
+
+      And("a list of connected users")
+      val connectedUsers = List("user1", "user2")
+      connectedUsers foreach ( syncActor ! Join(_, "paperId") )
+
+      And("a user subscribed to the events")
+      val p = Promise[SyncEvents]()
+      syncActor ! Subscribe("user2", None, p)
+
+      When("an other user sends a message")
+      val message = Message("11th", JObject(List(JField("content", JString("Bow ties are cool")))), None)
+      syncActor ! SyncSession("user1", "paperId", List(message))
+      expectMsg(SyncSession("user1", "paperId", List()))
+
+      Then("the subscribed user should be notified of the message")
+      Await.result(p.future, Duration.Inf) should be(SyncEvents(List(message), Set()))
+
+      And("the message should not be sent again in the next synchronization session")
+      syncActor ! SyncSession("user2", "paperId", List())
+      expectMsg(SyncSession("user2", "paperId", List()))
+
+    }
+
+    scenario("a subscribed user is notified once of a modified file") {
+
+      Given("a synchronization actor with two users synchronizing the same file")
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
+      syncActor ! SyncSession("user1", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false))))
+      expectMsg(SyncSession("user1", "paperId", List(SyncCommand("testPaper", 1, Delta(0, List(Equality(5)), false)))))
+      syncActor ! SyncSession("user2", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "", false))))
+      expectMsg(SyncSession("user2", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false)))))
+
+      And("the second user subscribed to the events")
+      val p = Promise[SyncEvents]()
+      syncActor ! Subscribe("user2", None, p)
+
+      When("the first user modifies the file")
+      syncActor ! SyncSession("user1", "paperId", List(SyncCommand("testPaper", 1, Delta(1, List(Equality(5), Add(" World")), false))))
+      expectMsg(SyncSession("user1", "paperId", List(SyncCommand("testPaper", 2, Delta(1, List(Equality(11)), false)))))
+
+      Then("the subscribed user should be notified of the modification")
+      Await.result(p.future, Duration.Inf) should be(SyncEvents(Nil, Set("testPaper")))
+
+      And("not be notified again before it synchronized the file")
+      val pp = Promise[SyncEvents]()
+      syncActor ! Subscribe("user2", None, pp)
+      pp.isCompleted should be(false)
+
+    }
+
+    scenario("a user cannot subscribe with the peer of another user") {
+
+      Given("a synchronization actor")
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
+
+      And("a peer subscribed by a user")
+      val p = Promise[SyncEvents]()
+      syncActor ! Subscribe("user1", Some("gerard"), p)
+
+      When("another user subscribes with this peer")
+      val pp = Promise[SyncEvents]()
+      syncActor ! Subscribe("user1", Some("lucas"), pp)
+
+      Then("the subscription should be refused")
+      a[ForeignPeerException] should be thrownBy Await.result(pp.future, Duration.Inf)
+
+      And("the first subscription should still be waiting")
+      p.isCompleted should be(false)
+
+      And("nobody else should synchronize with this peer either")
+      syncActor ! SyncSession("user1", "paperId", List())
+      expectMsgType[akka.actor.Status.Failure]
+
+    }
+  }
+
+  feature("A synchronization actor should record the revisions of the documents") {
+
+    scenario("the initial state of a document is recorded when it is loaded") {
+
+      Given("a synchronization actor")
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
+
+      When("a user modifies a file")
+      syncActor ! AuthoredSyncSession("gerard", SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false)))))
+      expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 1, Delta(0, List(Equality(5)), false)))))
+
+      Then("the previous state of the file should have been recorded without author")
+      val path = config.resource("paperId","testPaper").getCanonicalPath
+      history.revisions(path).map(_.authors) should be(List(Nil))
+      history.load(path, history.revisions(path).head.id) should be(Some(""))
+
+    }
+
+    scenario("the authors of the modifications are recorded when the actor stops") {
+
+      Given("a synchronization actor")
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
+
+      And("two users modifying a file")
+      syncActor ! AuthoredSyncSession("gerard", SyncSession("user1", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false)))))
+      expectMsg(SyncSession("user1", "paperId", List(SyncCommand("testPaper", 1, Delta(0, List(Equality(5)), false)))))
+      syncActor ! AuthoredSyncSession("lucas", SyncSession("user2", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "Hello World", true)))))
+      expectMsgType[SyncSession]
+
+      When("the actor is stopped")
+      syncActor ! Stop
+
+      Then("a new revision should be recorded with both authors")
+      val path = config.resource("paperId","testPaper").getCanonicalPath
+      val revisions = history.revisions(path)
+      revisions.size should be(2)
+      revisions.head.authors should be(List("gerard", "lucas"))
+      history.load(path, revisions.head.id) should be(Some("Hello World"))
+
+    }
+
+    scenario("the started revision is kept up to date until the revision interval elapsed") {
+
+      Given("a synchronization actor")
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
+
+      And("a user who modified a file that was saved")
+      syncActor ! AuthoredSyncSession("gerard", SyncSession("user1", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false)))))
+      expectMsg(SyncSession("user1", "paperId", List(SyncCommand("testPaper", 1, Delta(0, List(Equality(5)), false)))))
+      val p = Promise[Unit]()
+      syncActor ! PersistPaper(p)
+      Await.result(p.future, Duration.Inf)
+
+      When("another user modifies the file before the revision interval elapsed and it is saved again")
+      syncActor ! AuthoredSyncSession("lucas", SyncSession("user2", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "Hello World", true)))))
+      expectMsgType[SyncSession]
+      val pp = Promise[Unit]()
+      syncActor ! PersistPaper(pp)
+      Await.result(pp.future, Duration.Inf)
+
+      Then("the started revision should contain the last saved text with both authors")
+      val path = config.resource("paperId","testPaper").getCanonicalPath
+      val revisions = history.revisions(path)
+      revisions.size should be(2)
+      revisions.head.authors should be(List("gerard", "lucas"))
+      history.load(path, revisions.head.id) should be(Some("Hello World"))
+
+    }
+
+    scenario("a revision is restored in the synchronization session") {
+
+      Given("a synchronization actor")
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
+
+      And("a user who modified a file that was saved")
+      syncActor ! AuthoredSyncSession("gerard", SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(Add("Hello")), false)))))
+      expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 1, Delta(0, List(Equality(5)), false)))))
+      val p = Promise[Unit]()
+      syncActor ! PersistPaper(p)
+      Await.result(p.future, Duration.Inf)
+
+      And("the user subscribed to the events")
+      val events = Promise[SyncEvents]()
+      syncActor ! Subscribe("user", Some("gerard"), events)
+
+      When("another user restores the initial revision")
+      val path = config.resource("paperId","testPaper").getCanonicalPath
+      val initial = history.revisions(path).last
+      val restored = Promise[Unit]()
+      syncActor ! RestoreRevision("testPaper", initial.id, Some("lucas"), restored)
+      Await.result(restored.future, Duration.Inf)
+
+      Then("the restored text should be saved")
+      store.get(path) should be(Some(""))
+
+      And("recorded as a new revision of the other user, the modified text being kept")
+      val revisions = history.revisions(path)
+      revisions.size should be(3)
+      revisions.head.authors should be(List("lucas"))
+      history.load(path, revisions(1).id) should be(Some("Hello"))
+
+      And("the first user should be notified of the modification")
+      Await.result(events.future, Duration.Inf) should be(SyncEvents(Nil, Set("testPaper")))
+
+    }
+
+    scenario("no revision is recorded when nobody modified the document") {
+
+      Given("a synchronization actor")
+      val syncActor = TestActorRef(new SyncActor(config, "paperId", store, history, dmp, logger))
+
+      And("a user synchronizing a file without modifying it")
+      syncActor ! AuthoredSyncSession("gerard", SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Raw(0, "", false)))))
+      expectMsg(SyncSession("user", "paperId", List(SyncCommand("testPaper", 0, Delta(0, List(), false)))))
+
+      When("the actor is stopped")
+      syncActor ! Stop
+
+      Then("only the initial state should be recorded")
+      history.revisions(config.resource("paperId","testPaper").getCanonicalPath).size should be(1)
+
+    }
+  }
+
 }
@@ -23,7 +23,19 @@ import http.ErrorResponse
 
 /** Scenarios for the compilation of a paper:
  *   - non author is not allowed to register to compilation stream
+ *   - compilation status is available to people involved in the paper
+ *   - cancelling when no compilation runs
+ *   - compilations that did not run are not kept in the history
+ *   - snippets must not be empty to be previewed
+ *   - only people allowed to edit a paper may preview its snippets
+ *   - page dimensions are only available to people involved in the paper
  */
+final case class Progress(status: String)
+
+final case class Record(id: String, trigger: String, status: String)
+
+final case class Dimension(width: Float, height: Float)
+
 class CompilationSpec extends BlueScenario with SomeUsers with SomePapers {
 
   val predefinedPapers = List(paper1, paper2)
@@ -110,5 +122,185 @@ class CompilationSpec extends BlueScenario with SomeUsers with SomePapers {
 
   }
 
-}
+  feature("People involved in a paper must be able to follow its compilation") {
+
+    scenario("An author gets the status of the last compilation") {
+
+      Given("an authenticated author")
+      val (loggedin, _) = login(gerard)
+
+      loggedin should be(true)
 
+      When("he registers to a compilation stream for which no compilation task is started")
+      evaluating {
+        post[Boolean](List("papers", paper1._id, "compiler"), Map(), headers = Map("Content-Length" -> "0", "Content-Type" -> "application/json"))
+      } should produce[BlueErrorException]
+
+      Then("the compilation status tells that it was aborted")
+      val (progress, _) = get[Progress](List("papers", paper1._id, "compiler", "status"))
+      progress.status should be("aborted")
+
+    }
+
+    scenario("An author cancels a compilation when none is running") {
+
+      Given("an authenticated author")
+      val (loggedin, _) = login(gerard)
+
+      loggedin should be(true)
+
+      When("he cancels the compilation of a paper")
+      val exn = evaluating {
+        post[Boolean](List("papers", paper1._id, "compiler", "cancel"), Map(), headers = Map("Content-Length" -> "0", "Content-Type" -> "application/json"))
+      } should produce[BlueErrorException]
+
+      Then("he is told that nothing was running")
+      exn.status should be(404)
+      exn.error.name should be("nothing_to_cancel")
+
+    }
+
+    scenario("A person not involved in a paper cannot get its compilation status") {
+
+      Given("an authenticated person")
+      val (loggedin, _) = login(prince)
+
+      loggedin should be(true)
+
+      When("he asks for the compilation status of a paper in which he is not involved")
+      val exn = evaluating {
+        get[Progress](List("papers", paper1._id, "compiler", "status"))
+      } should produce[BlueErrorException]
+
+      Then("he receives an error message")
+      exn.status should be(403)
+      exn.error.name should be("no_sufficient_rights")
+
+    }
+
+  }
+
+
+  feature("People involved in a paper must be able to browse its previous compilations") {
+
+    scenario("A compilation that did not run is not kept in the history") {
+
+      Given("an authenticated author")
+      val (loggedin, _) = login(gerard)
+
+      loggedin should be(true)
+
+      When("he registers to a compilation stream for which no compilation task is started")
+      evaluating {
+        post[Boolean](List("papers", paper1._id, "compiler"), Map(), headers = Map("Content-Length" -> "0", "Content-Type" -> "application/json"))
+      } should produce[BlueErrorException]
+
+      Then("the compilation history of the paper is empty")
+      val (records, _) = get[List[Record]](List("papers", paper1._id, "compilations"))
+      records should be(Nil)
+
+    }
+
+    scenario("An author asks for the PDF of an unknown compilation") {
+
+      Given("an authenticated author")
+      val (loggedin, _) = login(gerard)
+
+      loggedin should be(true)
+
+      When("he asks for the PDF of a compilation that is not in the history")
+      val exn = evaluating {
+        get[Boolean](List("papers", paper1._id, "compilations", "0", "pdf"))
+      } should produce[BlueErrorException]
+
+      Then("he is told that it does not exist")
+      exn.status should be(404)
+      exn.error.name should be("not_found")
+
+    }
+
+  }
+
+
+  feature("Authors of a paper must be able to preview a snippet alone") {
+
+    scenario("An author previews an empty snippet") {
+
+      Given("an authenticated author")
+      val (loggedin, _) = login(gerard)
+
+      loggedin should be(true)
+
+      When("he asks for the preview of an empty snippet")
+      val exn = evaluating {
+        postData[Boolean](List("papers", paper1._id, "compiler", "snippet"), Map("text" -> "  "), headers = Map("Content-Type" -> "application/json"))
+      } should produce[BlueErrorException]
+
+      Then("he is told that the snippet is invalid")
+      exn.status should be(400)
+      exn.error.name should be("invalid_snippet")
+
+    }
+
+    scenario("A reviewer cannot preview the snippets of a paper") {
+
+      Given("an authenticated reviewer")
+      val (loggedin, _) = login(gerard)
+
+      loggedin should be(true)
+
+      When("he asks for the preview of a snippet of a paper he reviews")
+      val exn = evaluating {
+        postData[Boolean](List("papers", paper2._id, "compiler", "snippet"), Map("text" -> "\\verbatiminput{main.tex}"), headers = Map("Content-Type" -> "application/json"))
+      } should produce[BlueErrorException]
+
+      Then("he receives an error message")
+      exn.status should be(403)
+      exn.error.name should be("no_sufficient_rights")
+
+    }
+
+    scenario("A person not involved in a paper cannot preview its snippets") {
+
+      Given("an authenticated person")
+      val (loggedin, _) = login(prince)
+
+      loggedin should be(true)
+
+      When("he asks for the preview of a snippet of a paper in which he is not involved")
+      val exn = evaluating {
+        postData[Boolean](List("papers", paper1._id, "compiler", "snippet"), Map("text" -> "$x^2$"), headers = Map("Content-Type" -> "application/json"))
+      } should produce[BlueErrorException]
+
+      Then("he receives an error message")
+      exn.status should be(403)
+      exn.error.name should be("no_sufficient_rights")
+
+    }
+
+  }
+
+
+  feature("People involved in a paper must be able to lay its preview out before the pages are rendered") {
+
+    scenario("A person not involved in a paper cannot get its page dimensions") {
+
+      Given("an authenticated person")
+      val (loggedin, _) = login(prince)
+
+      loggedin should be(true)
+
+      When("he asks for the page dimensions of a paper in which he is not involved")
+      val exn = evaluating {
+        get[List[Dimension]](List("papers", paper1._id, "compiled", "dimensions"))
+      } should produce[BlueErrorException]
+
+      Then("he receives an error message")
+      exn.status should be(403)
+      exn.error.name should be("no_sufficient_rights")
+
+    }
+
+  }
+
+}
@@ -28,6 +28,8 @@ import couch.Paper
 /** Scenarios for the compiler settings management:
  *   - author retrieving existing settings for a compiler,
  *   - author saving settings for a compiler,
+ *   - author choosing the main document to compile,
+ *   - author configuring the build pipeline,
  *   - non author trying to retrieve settings for a compiler,
  *   - non author trying to save settings for a compiler
  */
@@ -84,6 +86,91 @@ class CompilerSettingsSpec extends BlueScenario with SomeUsers {
 
     }
 
+
+    scenario("Choosing the main document") {
+
+      Given("an authenticated person")
+      val (loggedin, _) = post[Boolean](List("session"), Map("username" -> gerard.username, "password" -> gerard.password))
+
+      loggedin should be(true)
+
+      When("he creates a new paper")
+      val title = "Some Thesis"
+      val (paperId, _) = post[String](List("papers"), Map("paper_name" -> title, "paper_title" -> title))
+
+      Then("the paper main file is compiled by default")
+      val (compilerSettings, headers) = get[CompilerSettings](List("papers", paperId, "compiler"))
+
+      compilerSettings.main should be(None)
+
+      val revision = headers("ETag").head
+
+      And("he cannot choose a file outside of the paper as main document")
+      val exn = evaluating {
+        patch[Boolean](List("papers", paperId, "compiler"), JsonDiff.diff(compilerSettings, compilerSettings.copy(main = Some("../other/main.tex"))), revision)
+      } should produce[BlueErrorException]
+
+      exn.status should be(400)
+      exn.error.name should be("invalid_main_file")
+
+      And("he can choose another file of the paper")
+      val (saved, _) = patch[Boolean](List("papers", paperId, "compiler"), JsonDiff.diff(compilerSettings, compilerSettings.copy(main = Some("chapters/thesis.tex"))), revision)
+
+      saved should be(true)
+
+      val (newCompilerSettings, _) = get[CompilerSettings](List("papers", paperId, "compiler"))
+
+      newCompilerSettings.main should be(Some("chapters/thesis.tex"))
+
+      val (loggedout, _) = delete[Boolean](List("session"))
+
+      loggedout should be(true)
+
+    }
+
+
+    scenario("Configuring the build pipeline") {
+
+      Given("an authenticated person")
+      val (loggedin, _) = post[Boolean](List("session"), Map("username" -> gerard.username, "password" -> gerard.password))
+
+      loggedin should be(true)
+
+      When("he creates a new paper")
+      val title = "Some Indexed Paper"
+      val (paperId, _) = post[String](List("papers"), Map("paper_name" -> title, "paper_title" -> title))
+
+      val (compilerSettings, headers) = get[CompilerSettings](List("papers", paperId, "compiler"))
+
+      val revision = headers("ETag").head
+
+      Then("he cannot use an unknown build tool")
+      val exn = evaluating {
+        patch[Boolean](List("papers", paperId, "compiler"), JsonDiff.diff(compilerSettings, compilerSettings.copy(index = Some("rm"))), revision)
+      } should produce[BlueErrorException]
+
+      exn.status should be(400)
+      exn.error.name should be("invalid_pipeline")
+
+      And("he can run biber and makeindex with reruns")
+      val newSettings = compilerSettings.copy(bibliography = Some("biber"), index = Some("makeindex"), reruns = Some(2))
+      val (saved, _) = patch[Boolean](List("papers", paperId, "compiler"), JsonDiff.diff(compilerSettings, newSettings), revision)
+
+      saved should be(true)
+
+      val (newCompilerSettings, _) = get[CompilerSettings](List("papers", paperId, "compiler"))
+
+      newCompilerSettings.bibliography should be(Some("biber"))
+      newCompilerSettings.index should be(Some("makeindex"))
+      newCompilerSettings.reruns should be(Some(2))
+      newCompilerSettings.latexmk should be(None)
+
+      val (loggedout, _) = delete[Boolean](List("session"))
+
+      loggedout should be(true)
+
+    }
+
   }
 
 }
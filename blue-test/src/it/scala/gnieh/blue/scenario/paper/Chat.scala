@@ -0,0 +1,79 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package scenario
+package paper
+
+import org.scalatest._
+
+import couch.ChatMessage
+
+/** Scenarios for the chat of a paper:
+ *   - author sending a message kept in the history,
+ *   - reviewer trying to read the chat
+ *
+ *  @author agent
+ */
+class ChatSpec extends BlueScenario with SomeUsers with SomePapers {
+
+  val predefinedPeople: List[Person] =
+    List(gerard, prince)
+
+  val predefinedPapers: List[Paper] =
+    List(paper2.copy(authors = Set("pprince")))
+
+  val json = Map("Content-Type" -> "application/json")
+
+  feature("Authors must be able to chat about their paper") {
+
+    scenario("Author sends a message that is kept in the history") {
+
+      Given("an authenticated author")
+      val (loggedin, _) = login(prince)
+
+      loggedin should be(true)
+
+      When("the author sends a chat message")
+      val (message, _) =
+        postData[ChatMessage](List("papers", paper2._id, "chat"), Map("text" -> "@glambert see main.tex:12"), headers = json)
+
+      message.author should be("pprince")
+
+      Then("the message is in the chat history of the paper")
+      val (messages, _) = get[List[ChatMessage]](List("papers", paper2._id, "chat"))
+
+      messages.map(m => (m.id, m.text)) should be(List((message.id, "@glambert see main.tex:12")))
+
+    }
+
+    scenario("Reviewer tries to read the chat") {
+
+      Given("an authenticated reviewer")
+      login(gerard)
+
+      When("the reviewer gets the chat history")
+      val exc = evaluating {
+        get[List[ChatMessage]](List("papers", paper2._id, "chat"))
+      } should produce[BlueErrorException]
+
+      Then("it is forbidden")
+      exc.status should be(403)
+
+    }
+
+  }
+
+}
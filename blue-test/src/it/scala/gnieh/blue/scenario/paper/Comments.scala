@@ -0,0 +1,156 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package scenario
+package paper
+
+import org.scalatest._
+
+import gnieh.diffson.JsonDiff
+
+import couch.{
+  CommentThread,
+  CommentAnchor,
+  Comment,
+  Suggestion
+}
+
+/** Scenarios for comment threads:
+ *   - reviewer commenting an area of the compiled paper,
+ *   - author replying to and resolving a thread,
+ *   - reviewer suggesting a change accepted by an author,
+ *   - non involved person trying to comment
+ *
+ *  @author agent
+ */
+class CommentsSpec extends BlueScenario with SomeUsers with SomePapers {
+
+  val predefinedPeople: List[Person] =
+    List(gerard, prince)
+
+  val predefinedPapers: List[Paper] =
+    List(paper2.copy(authors = Set("pprince")))
+
+  val json = Map("Content-Type" -> "application/json")
+
+  val areaAnchor =
+    CommentAnchor(None, None, None, None, Some(1), Some(0.1), Some(0.2), Some(0.5), Some(0.1))
+
+  feature("People involved in a paper must be able to discuss parts of it in comment threads") {
+
+    scenario("Reviewer comments an area and author resolves the thread") {
+
+      Given("an authenticated reviewer")
+      val (loggedin, _) = login(gerard)
+
+      loggedin should be(true)
+
+      When("he comments an area of the compiled paper")
+      val (thread, _) =
+        postData[CommentThread](List("papers", paper2._id, "comments"),
+          Map("anchor" -> areaAnchor, "text" -> "This figure is too small"),
+          headers = json)
+
+      thread.resolved should be(false)
+      thread.anchor should be(areaAnchor)
+      thread.comments.map(c => (c.author, c.text)) should be(List(("glambert", "This figure is too small")))
+
+      Then("an author of the paper sees the thread")
+      login(prince)
+      val (threads, _) = get[List[CommentThread]](List("papers", paper2._id, "comments"))
+
+      threads.map(_.id) should be(List(thread.id))
+
+      And("he can reply to it")
+      val (reply, _) =
+        postData[Comment](List("papers", paper2._id, "comments", thread.id), Map("text" -> "Fixed"), headers = json)
+
+      reply.author should be("pprince")
+
+      And("resolve it")
+      val (resolved, _) =
+        patch[Boolean](List("papers", paper2._id, "comments", thread.id),
+          JsonDiff.diff(Map("resolved" -> false), Map("resolved" -> true)), "")
+
+      resolved should be(true)
+
+      val (threads1, _) = get[List[CommentThread]](List("papers", paper2._id, "comments"))
+
+      threads1.map(t => (t.resolved, t.comments.size)) should be(List((true, 2)))
+
+    }
+
+    scenario("Reviewer suggests a change that only an author may accept") {
+
+      Given("an authenticated reviewer")
+      login(gerard)
+
+      When("he suggests to replace some text")
+      val rangeAnchor =
+        CommentAnchor(Some("main.tex"), Some(10), Some(15), Some("shiny"), None, None, None, None, None)
+      val (thread, _) =
+        postData[CommentThread](List("papers", paper2._id, "comments"),
+          Map("anchor" -> rangeAnchor, "suggestion" -> "brand new"),
+          headers = json)
+
+      thread.comments should be(Nil)
+      thread.suggestion should be(Some(Suggestion("glambert", "brand new", None)))
+
+      Then("he cannot accept it himself")
+      val accept = JsonDiff.diff(
+        Map("resolved" -> false, "suggestion" -> Suggestion("glambert", "brand new", None)),
+        Map("resolved" -> true, "suggestion" -> Suggestion("glambert", "brand new", Some(true))))
+      val exc = evaluating {
+        patch[Boolean](List("papers", paper2._id, "comments", thread.id), accept, "")
+      } should produce[BlueErrorException]
+
+      exc.status should be(403)
+
+      And("an author can")
+      login(prince)
+      val (accepted, _) = patch[Boolean](List("papers", paper2._id, "comments", thread.id), accept, "")
+
+      accepted should be(true)
+
+      val (threads, _) = get[List[CommentThread]](List("papers", paper2._id, "comments"))
+
+      threads.map(t => (t.resolved, t.suggestion)) should be(List((true, Some(Suggestion("glambert", "brand new", Some(true))))))
+
+    }
+
+    scenario("Somebody not involved in the paper tries to comment it") {
+
+      Given("an authenticated person")
+      login(gerard)
+
+      When("he comments a paper he is not involved in")
+      val paper = post[String](List("papers"), Map("paper_name" -> "Private", "paper_title" -> "Private"))
+      login(prince)
+      val exc = evaluating {
+        postData[CommentThread](List("papers", paper._1, "comments"),
+          Map("anchor" -> areaAnchor, "text" -> "Nice"),
+          headers = json)
+      } should produce[BlueErrorException]
+
+      Then("he is not allowed to")
+      exc.status should be(403)
+      exc.error.name should be("no_sufficient_rights")
+
+    }
+
+  }
+
+}
@@ -0,0 +1,80 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+package gnieh.blue
+package scenario
+package paper
+
+import org.scalatest._
+
+import couch.Snapshot
+
+/** Scenarios for the named snapshots of a paper:
+ *   - author taking a snapshot that is then listed,
+ *   - reviewer trying to take a snapshot
+ *
+ *  @author agent
+ */
+class SnapshotsSpec extends BlueScenario with SomeUsers with SomePapers {
+
+  val predefinedPeople: List[Person] =
+    List(gerard, prince)
+
+  val predefinedPapers: List[Paper] =
+    List(paper2.copy(authors = Set("pprince")))
+
+  val json = Map("Content-Type" -> "application/json")
+
+  feature("Authors must be able to take named snapshots of their paper") {
+
+    scenario("Author takes a snapshot that is then listed") {
+
+      Given("an authenticated author")
+      val (loggedin, _) = login(prince)
+
+      loggedin should be(true)
+
+      When("the author takes a snapshot")
+      val (snapshot, _) =
+        postData[Snapshot](List("papers", paper2._id, "snapshots"), Map("name" -> "submitted to ICALP"), headers = json)
+
+      snapshot.name should be("submitted to ICALP")
+      snapshot.author should be("pprince")
+
+      Then("the snapshot is in the list of snapshots of the paper")
+      val (snapshots, _) = get[List[Snapshot]](List("papers", paper2._id, "snapshots"))
+
+      snapshots.map(s => (s.id, s.name)) should be(List((snapshot.id, "submitted to ICALP")))
+
+    }
+
+    scenario("Reviewer tries to take a snapshot") {
+
+      Given("an authenticated reviewer")
+      login(gerard)
+
+      When("the reviewer takes a snapshot")
+      val exc = evaluating {
+        postData[Snapshot](List("papers", paper2._id, "snapshots"), Map("name" -> "camera-ready"), headers = json)
+      } should produce[BlueErrorException]
+
+      Then("it is forbidden")
+      exc.status should be(403)
+
+    }
+
+  }
+
+}
@@ -125,7 +125,7 @@ class UserInformationSpec extends BlueScenario with SomeUsers {
 
       And("he modifies and saves his own user data")
       val etag = headers("ETag").head
-      val p = JsonDiff.diff(savedData, savedData.copy(affiliation = None))
+      val p = JsonDiff.diff(savedData, savedData.copy(affiliation = None, color = Some("#336699")))
       val (saved, _) = patch[Boolean](List("users", gerard.username, "info"), p, etag)
 
       saved should be(true)
@@ -137,6 +137,7 @@ class UserInformationSpec extends BlueScenario with SomeUsers {
       data.last_name should be(gerard.last_name)
       data.email should be(gerard.email_address)
       data.affiliation should be(None)
+      data.color should be(Some("#336699"))
 
       val (loggedout, _) = delete[Boolean](List("session"))
 
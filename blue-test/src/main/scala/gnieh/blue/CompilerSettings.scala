@@ -15,5 +15,12 @@
  */
 package gnieh.blue
 
-case class CompilerSettings(compiler: String, timeout: Int, interval: Int)
+case class CompilerSettings(compiler: String,
+                            timeout: Int,
+                            interval: Int,
+                            main: Option[String] = None,
+                            bibliography: Option[String] = None,
+                            index: Option[String] = None,
+                            reruns: Option[Int] = None,
+                            latexmk: Option[Boolean] = None)
 
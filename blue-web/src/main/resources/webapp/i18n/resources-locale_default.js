@@ -1097,5 +1097,735 @@
         "key":"_synctex_tooltip_",
         "value":"Whether the compiler generates SyncTeX data.",
         "description":"tooltip edit paper: affiliation"
+    },
+    {
+        "key":"_Split_",
+        "value":"Split",
+        "description":"Split the editor"
+    },
+    {
+        "key":"_split_tooltip_",
+        "value":"Edit two files side by side",
+        "description":"tooltip paper page: split editor"
+    },
+    {
+        "key":"_Offline_",
+        "value":"Offline",
+        "description":"The synchronization server cannot be reached"
+    },
+    {
+        "key":"_Syncing_",
+        "value":"Syncing",
+        "description":"Local changes are being sent to the server"
+    },
+    {
+        "key":"_Pending_changes_",
+        "value":"Pending",
+        "description":"Number of files with changes not sent to the server yet"
+    },
+    {
+        "key":"_Connected_",
+        "value":"Connected",
+        "description":"All changes are synchronized with the server"
+    },
+    {
+        "key":"_Last_sync_",
+        "value":"Last synchronization",
+        "description":"Time of the last synchronization"
+    },
+    {
+        "key":"_Lost_changes_",
+        "value":"Lost changes",
+        "description":"Legend of the local text discarded by the server"
+    },
+    {
+        "key":"_Server_changes_",
+        "value":"Server text",
+        "description":"Legend of the text received from the server"
+    },
+    {
+        "key":"_Overwrite_warning_",
+        "value":"The server overwrote your local changes in:",
+        "description":"Warning displayed when the server discarded local changes"
+    },
+    {
+        "key":"_sync_status_tooltip_",
+        "value":"State of the synchronization with the server",
+        "description":"Tooltip of the synchronization status"
+    },
+    {
+        "key":"_Comments_",
+        "value":"Comments",
+        "description":"Comment threads panel"
+    },
+    {
+        "key":"_comments_tooltip_",
+        "value":"Comment threads of the paper",
+        "description":"Tooltip of the comments panel button"
+    },
+    {
+        "key":"_Comment_",
+        "value":"Comment",
+        "description":"Create a comment thread"
+    },
+    {
+        "key":"_Comment_selection_",
+        "value":"Comment selection",
+        "description":"Comment the selected text"
+    },
+    {
+        "key":"_comment_selection_tooltip_",
+        "value":"Comment the text selected in the editor (Ctrl+Alt+M)",
+        "description":"Tooltip of the comment selection button"
+    },
+    {
+        "key":"_Comment_area_",
+        "value":"Comment an area",
+        "description":"Comment an area of the preview"
+    },
+    {
+        "key":"_comment_area_tooltip_",
+        "value":"Draw an area on the preview to comment it",
+        "description":"Tooltip of the comment area button"
+    },
+    {
+        "key":"_Show_resolved_",
+        "value":"Show resolved threads",
+        "description":"Display the resolved comment threads"
+    },
+    {
+        "key":"_New_comment_",
+        "value":"New comment",
+        "description":"Placeholder of a new comment"
+    },
+    {
+        "key":"_Reply_",
+        "value":"Reply",
+        "description":"Reply to a comment thread"
+    },
+    {
+        "key":"_Resolve_",
+        "value":"Resolve",
+        "description":"Resolve a comment thread"
+    },
+    {
+        "key":"_Reopen_",
+        "value":"Reopen",
+        "description":"Reopen a comment thread"
+    },
+    {
+        "key":"_Detached_",
+        "value":"text not found",
+        "description":"The commented text was not found anymore"
+    },
+    {
+        "key":"_Page_",
+        "value":"Page",
+        "description":"Page of the paper"
+    },
+    {
+        "key":"_No_comment_found_",
+        "value":"No comment",
+        "description":"No comment thread to display"
+    },
+    {
+        "key":"_Comment_Empty_selection_",
+        "value":"Select the text to comment",
+        "description":"Error when commenting without selection"
+    },
+    {
+        "key":"_Get_comments_Not_connected_",
+        "value":"You are not connected",
+        "description":"Error when getting comments"
+    },
+    {
+        "key":"_Get_comments_Something_wrong_happened_",
+        "value":"Unable to get the comments",
+        "description":"Error when getting comments"
+    },
+    {
+        "key":"_Save_comment_Not_connected_",
+        "value":"You are not connected",
+        "description":"Error when saving a comment"
+    },
+    {
+        "key":"_Save_comment_Not_allowed_",
+        "value":"You are not allowed to comment this paper",
+        "description":"Error when saving a comment"
+    },
+    {
+        "key":"_Save_comment_Something_wrong_happened_",
+        "value":"Unable to save the comment",
+        "description":"Error when saving a comment"
+    },
+    {
+        "key":"_Suggest_changes_",
+        "value":"Suggest changes",
+        "description":"Option of the reviewers"
+    },
+    {
+        "key":"_suggest_changes_tooltip_",
+        "value":"Edit a copy of the sources and send the changes as suggestions to the authors",
+        "description":"Tooltip of the suggestion mode"
+    },
+    {
+        "key":"_Suggested_changes_",
+        "value":"Suggested changes:",
+        "description":"Number of changes in the suggestion mode"
+    },
+    {
+        "key":"_Submit_suggestions_",
+        "value":"Submit suggestions",
+        "description":"Button of the suggestion mode"
+    },
+    {
+        "key":"_Discard_",
+        "value":"Discard",
+        "description":"Button of the suggestion mode"
+    },
+    {
+        "key":"_Discard_suggestions_confirm_",
+        "value":"The changes not submitted will be lost. Continue?",
+        "description":"Confirmation when leaving the suggestion mode"
+    },
+    {
+        "key":"_Accept_",
+        "value":"Accept",
+        "description":"Button of a suggestion"
+    },
+    {
+        "key":"_Reject_",
+        "value":"Reject",
+        "description":"Button of a suggestion"
+    },
+    {
+        "key":"_Accepted_",
+        "value":"accepted",
+        "description":"State of a suggestion"
+    },
+    {
+        "key":"_Rejected_",
+        "value":"rejected",
+        "description":"State of a suggestion"
+    },
+    {
+        "key":"_Accept_all_",
+        "value":"Accept all",
+        "description":"Button of the comment panel"
+    },
+    {
+        "key":"_Reject_all_",
+        "value":"Reject all",
+        "description":"Button of the comment panel"
+    },
+    {
+        "key":"_Accept_suggestion_Detached_",
+        "value":"The text of the suggestion was modified, it cannot be applied anymore",
+        "description":"Warning when accepting a suggestion"
+    },
+    {
+        "key":"_Suggest_Not_connected_",
+        "value":"You are not connected",
+        "description":"Error when loading a file to suggest changes"
+    },
+    {
+        "key":"_Suggest_File_not_found_",
+        "value":"The file does not exist",
+        "description":"Error when loading a file to suggest changes"
+    },
+    {
+        "key":"_Suggest_Something_wrong_happened_",
+        "value":"Something wrong happened",
+        "description":"Error when loading a file to suggest changes"
+    },
+    {
+        "key":"_chat_tooltip_",
+        "value":"Chat with the other authors",
+        "description":"Tooltip of the chat list type"
+    },
+    {
+        "key":"_No_chat_message_",
+        "value":"No message yet",
+        "description":"Empty chat"
+    },
+    {
+        "key":"_Chat_message_",
+        "value":"Message, @name to mention someone, file.tex:12 to link a line",
+        "description":"Placeholder of the chat input"
+    },
+    {
+        "key":"_Send_",
+        "value":"Send",
+        "description":"Button of the chat"
+    },
+    {
+        "key":"_Get_chat_Not_connected_",
+        "value":"You are not connected",
+        "description":"Error when getting the chat"
+    },
+    {
+        "key":"_Get_chat_Something_wrong_happened_",
+        "value":"Something wrong happened",
+        "description":"Error when getting the chat"
+    },
+    {
+        "key":"_Send_chat_Not_connected_",
+        "value":"You are not connected",
+        "description":"Error when sending a chat message"
+    },
+    {
+        "key":"_Send_chat_Not_allowed_",
+        "value":"You are not allowed to chat about this paper",
+        "description":"Error when sending a chat message"
+    },
+    {
+        "key":"_Send_chat_Something_wrong_happened_",
+        "value":"Something wrong happened",
+        "description":"Error when sending a chat message"
+    },
+    {
+        "key":"_follow_tooltip_",
+        "value":"Follow this collaborator",
+        "description":"Tooltip of a connected user"
+    },
+    {
+        "key":"_Follow_",
+        "value":"Follow",
+        "description":"Button of a connected user"
+    },
+    {
+        "key":"_Stop_following_",
+        "value":"Stop following",
+        "description":"Button of a connected user"
+    },
+    {
+        "key":"_Follow_preview_",
+        "value":"Follow in the preview",
+        "description":"Option of the follow mode"
+    },
+    {
+        "key":"_Following_",
+        "value":"Following",
+        "description":"Banner of the follow mode"
+    },
+    {
+        "key":"_Idle_",
+        "value":"Idle",
+        "description":"State of a connected user"
+    },
+    {
+        "key":"_Active_",
+        "value":"Active",
+        "description":"State of a connected user"
+    },
+    {
+        "key":"_Color_",
+        "value":"Colour",
+        "description":"Label of the colour of the user"
+    },
+    {
+        "key":"_color_tooltip_",
+        "value":"The colour of your cursor and of your changes in the papers",
+        "description":"Tooltip of the colour of the user"
+    },
+    {
+        "key":"_history_tooltip_",
+        "value":"Revision history of the files",
+        "description":"Tooltip of the history list type"
+    },
+    {
+        "key":"_History_Not_connected_",
+        "value":"You are not connected",
+        "description":"Error when loading the revision history"
+    },
+    {
+        "key":"_History_File_not_found_",
+        "value":"The revision does not exist",
+        "description":"Error when loading the revision history"
+    },
+    {
+        "key":"_History_Something_wrong_happened_",
+        "value":"Something wrong happened",
+        "description":"Error when loading the revision history"
+    },
+    {
+        "key":"_Initial_version_",
+        "value":"Initial version",
+        "description":"Revision recorded before any modification"
+    },
+    {
+        "key":"_No_revision_",
+        "value":"No saved revision",
+        "description":"Empty revision history"
+    },
+    {
+        "key":"_Compare_",
+        "value":"Compare",
+        "description":"Compare a revision with the current text"
+    },
+    {
+        "key":"_Restore_paper_",
+        "value":"Restore paper",
+        "description":"Restore every file of the paper to a revision"
+    },
+    {
+        "key":"_Restore_file_",
+        "value":"Restore file",
+        "description":"Restore a file to a revision"
+    },
+    {
+        "key":"_Current_version_",
+        "value":"Current version",
+        "description":"Legend of the current text in a revision comparison"
+    },
+    {
+        "key":"_No_difference_",
+        "value":"The revision is identical to the current version",
+        "description":"Revision comparison without difference"
+    },
+    {
+        "key":"_Restore_file_confirm_",
+        "value":"Are you sure you want to restore the file \"\\s\" as it was on \\s?",
+        "description":"Restore file confirmation"
+    },
+    {
+        "key":"_Restore_paper_confirm_",
+        "value":"Are you sure you want to restore every file of the paper as it was on \\s?",
+        "description":"Restore paper confirmation"
+    },
+    {
+        "key":"_Snapshots_",
+        "value":"Snapshots",
+        "description":"Title of the snapshot section of the paper settings"
+    },
+    {
+        "key":"_Snapshot_name_",
+        "value":"Snapshot name",
+        "description":"Name of a new snapshot"
+    },
+    {
+        "key":"_snapshot_name_tooltip_",
+        "value":"Freeze the sources, resources and compiled PDF of the paper under this name, e.g. \"submitted to ICALP\"",
+        "description":"Tooltip of the snapshot name"
+    },
+    {
+        "key":"_Take_snapshot_",
+        "value":"Take snapshot",
+        "description":"Button creating a snapshot"
+    },
+    {
+        "key":"_No_snapshot_",
+        "value":"No snapshot",
+        "description":"No snapshot of the paper"
+    },
+    {
+        "key":"_Branch_",
+        "value":"Branch",
+        "description":"Create a new paper from a snapshot"
+    },
+    {
+        "key":"_Snapshot_Branch_name_",
+        "value":"Name of the new paper",
+        "description":"Prompt for the name of a paper created from a snapshot"
+    },
+    {
+        "key":"_Snapshot_Some_parameters_are_missing_",
+        "value":"Some parameters are missing",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Snapshot_Not_connected_",
+        "value":"You are not connected",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Snapshot_Not_allowed_",
+        "value":"You are not allowed to do this with the snapshots of this paper",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Snapshot_Not_found_",
+        "value":"Snapshot not found",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Snapshot_Something_wrong_happened_",
+        "value":"Something wrong happened with the snapshots",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Bad_boxes_",
+        "value":"Bad boxes",
+        "description":"Overfull and underfull boxes reported by the compiler"
+    },
+    {
+        "key":"_Group_by_file_",
+        "value":"By file",
+        "description":"Group the problems by file"
+    },
+    {
+        "key":"_problems_dock_tooltip_",
+        "value":"Move the problems panel",
+        "description":"Tooltip of the button docking the problems panel"
+    },
+    {
+        "key":"_problems_tooltip_",
+        "value":"Errors, warnings and bad boxes of the last compilation",
+        "description":"Tooltip of the problems panel"
+    },
+    {
+        "key":"_No_problem_",
+        "value":"No problem",
+        "description":"No problem in the compilation log"
+    },
+    {
+        "key":"_Unknown_file_",
+        "value":"Unknown file",
+        "description":"Problems whose file is unknown"
+    },
+    {
+        "key":"_Log_context_",
+        "value":"Log",
+        "description":"Show the raw log of a problem"
+    },
+    {
+        "key":"_Quick_fix_available_",
+        "value":"Click on the icon to fix it",
+        "description":"Annotation of a problem which can be fixed"
+    },
+    {
+        "key":"_Quick_fix_Use_package_",
+        "value":"Add \\usepackage{\\s}",
+        "description":"Fix loading the package defining an undefined command"
+    },
+    {
+        "key":"_Quick_fix_Remove_package_",
+        "value":"Comment out \\usepackage{\\s}",
+        "description":"Fix disabling a package which is not installed"
+    },
+    {
+        "key":"_Quick_fix_Math_mode_",
+        "value":"Put \"\\s\" in math mode",
+        "description":"Fix wrapping text in math mode"
+    },
+    {
+        "key":"_Quick_fix_Label_",
+        "value":"Add a \\label{\\s} stub at the end of the document",
+        "description":"Fix creating a missing label"
+    },
+    {
+        "key":"_Quick_fix_Bib_entry_",
+        "value":"Add a bibliography entry for \\s",
+        "description":"Fix creating a missing bibliography entry"
+    },
+    {
+        "key":"_Quick_fix_No_bibliography_",
+        "value":"There is no bibliography file in the paper",
+        "description":"Error when no bib file exists for a bibliography entry fix"
+    },
+    {
+        "key":"_Quick_fix_Not_applied_",
+        "value":"The fix could not be applied to the sources",
+        "description":"Error when a quick fix cannot be applied"
+    },
+    {
+        "key":"_Compilation_queued_",
+        "value":"Queued",
+        "description":"The compilation waits to be started"
+    },
+    {
+        "key":"_Compilation_timeout_",
+        "value":"Killed after timeout",
+        "description":"The compilation was killed by the timeout"
+    },
+    {
+        "key":"_Compilation_not_started_",
+        "value":"The compiler could not be started",
+        "description":"The compiler program failed to start"
+    },
+    {
+        "key":"_Compilation_cancelled_",
+        "value":"Cancelled",
+        "description":"The compilation was cancelled"
+    },
+    {
+        "key":"_cancel_compilation_tooltip_",
+        "value":"Cancel the running compilation",
+        "description":"Tooltip of the button cancelling the compilation"
+    },
+    {
+        "key":"_Cancel_compilation_Something_wrong_happened_",
+        "value":"Something wrong happened while cancelling the compilation",
+        "description":"Error when cancelling the compilation"
+    },
+    {
+        "key":"_Compilation_history_",
+        "value":"Previous compilations",
+        "description":"Placeholder of the compilation history dropdown"
+    },
+    {
+        "key":"_compilations_tooltip_",
+        "value":"Open a previous compilation next to the current preview",
+        "description":"Tooltip of the compilation history dropdown"
+    },
+    {
+        "key":"_Compilation_trigger_manual_",
+        "value":"manual",
+        "description":"Compilation explicitly asked for from the editor"
+    },
+    {
+        "key":"_Compilation_trigger_background_",
+        "value":"background",
+        "description":"Compilation started by the background task"
+    },
+    {
+        "key":"_Compilation_trigger_api_",
+        "value":"API",
+        "description":"Compilation started through the API"
+    },
+    {
+        "key":"_Compilation_counts_",
+        "value":"\\s errors, \\s warnings",
+        "description":"Number of errors and warnings of a compilation in the history"
+    },
+    {
+        "key":"_Compilation_no_pdf_",
+        "value":"This compilation produced no PDF",
+        "description":"Displayed when an older compilation has no PDF"
+    },
+    {
+        "key":"_Main_file_",
+        "value":"Main file",
+        "description":"Label of the root document selection in the compiler options"
+    },
+    {
+        "key":"_Invalid_main_file_",
+        "value":"The main file must be a .tex file of the paper",
+        "description":"Error displayed when an invalid main file is chosen"
+    },
+    {
+        "key":"_latexmk_tooltip_",
+        "value":"Let latexmk run the compiler and the tools as many times as needed",
+        "description":"Tooltip of the latexmk compiler option"
+    },
+    {
+        "key":"_Bibliography_",
+        "value":"Bibliography",
+        "description":"Label of the bibliography tool option"
+    },
+    {
+        "key":"_Index_",
+        "value":"Index",
+        "description":"Label of the index tool option"
+    },
+    {
+        "key":"_Reruns_",
+        "value":"Reruns",
+        "description":"Label of the compiler reruns option"
+    },
+    {
+        "key":"_reruns_tooltip_",
+        "value":"Maximum number of times the compiler runs again until references are stable",
+        "description":"Tooltip of the compiler reruns option"
+    },
+    {
+        "key":"_Invalid_pipeline_",
+        "value":"Unknown build tool or too many compiler reruns",
+        "description":"Error displayed when the build pipeline settings are refused"
+    },
+    {
+        "key":"_None_",
+        "value":"None",
+        "description":"Option for no tool"
+    },
+    {
+        "key":"_Chapter_mode_",
+        "value":"Edited chapter only",
+        "description":"Label of the partial compilation option"
+    },
+    {
+        "key":"_chapter_mode_tooltip_",
+        "value":"Ctrl + S only typesets the edited chapter with \\includeonly, references come from the last full build",
+        "description":"Tooltip of the partial compilation option"
+    },
+    {
+        "key":"_Partial_preview_",
+        "value":"Partial preview:",
+        "description":"Badge displayed on the preview of a partial compilation"
+    },
+    {
+        "key":"_Full_rebuild_",
+        "value":"Full rebuild",
+        "description":"Button compiling the whole paper after a partial compilation"
+    },
+    {
+        "key":"_Snippet_preview_",
+        "value":"Preview snippet",
+        "description":"Button rendering the selection or the current environment alone"
+    },
+    {
+        "key":"_snippet_preview_tooltip_",
+        "value":"Render the selected text, or the equation, figure or picture containing the cursor, alone",
+        "description":"Tooltip of the snippet preview button"
+    },
+    {
+        "key":"_Snippet_no_environment_",
+        "value":"Select some text or place the cursor in an environment to preview it",
+        "description":"Warning when there is nothing to preview"
+    },
+    {
+        "key":"_Snippet_rendering_",
+        "value":"rendering…",
+        "description":"Shown while the snippet is rendered"
+    },
+    {
+        "key":"_Snippet_invalid_",
+        "value":"This snippet cannot be rendered, check the preamble of the main file",
+        "description":"Error when the snippet or the preamble is invalid"
+    },
+    {
+        "key":"_Snippet_unable_to_render_",
+        "value":"Unable to render the snippet",
+        "description":"Error when the snippet could not be rendered"
+    },
+    {
+        "key":"_Lock_scroll_",
+        "value":"Lock scroll",
+        "description":"Button locking the scroll of the editor and the preview together"
+    },
+    {
+        "key":"_lock_scroll_tooltip_",
+        "value":"Scroll the preview with the editor and the editor with the preview",
+        "description":"Tooltip of the scroll lock button"
+    },
+    {
+        "key":"_Find_in_preview_",
+        "value":"Find in the preview",
+        "description":"Placeholder of the preview search field"
+    },
+    {
+        "key":"_find_in_preview_tooltip_",
+        "value":"Search a text in the compiled paper",
+        "description":"Tooltip of the preview search button"
+    },
+    {
+        "key":"_previous_match_tooltip_",
+        "value":"Previous match (Shift + Enter)",
+        "description":"Tooltip of the previous match button"
+    },
+    {
+        "key":"_next_match_tooltip_",
+        "value":"Next match (Enter)",
+        "description":"Tooltip of the next match button"
+    },
+    {
+        "key":"_edit_match_tooltip_",
+        "value":"Edit the source of this match",
+        "description":"Tooltip of the source of the shown match"
+    },
+    {
+        "key":"_Search_preview_error_",
+        "value":"The compiled paper could not be searched",
+        "description":"Error when the preview could not be searched"
     }
 ]
@@ -1093,5 +1093,735 @@
         "key":"_synctex_tooltip_",
         "value":"Activer/désactiver la génération des données SyncTeX.",
         "description":"tooltip edit paper: affiliation"
+    },
+    {
+        "key":"_Split_",
+        "value":"Diviser",
+        "description":"Split the editor"
+    },
+    {
+        "key":"_split_tooltip_",
+        "value":"Éditer deux fichiers à la fois",
+        "description":"tooltip paper page: split editor"
+    },
+    {
+        "key":"_Offline_",
+        "value":"Hors ligne",
+        "description":"The synchronization server cannot be reached"
+    },
+    {
+        "key":"_Syncing_",
+        "value":"Synchronisation",
+        "description":"Local changes are being sent to the server"
+    },
+    {
+        "key":"_Pending_changes_",
+        "value":"En attente",
+        "description":"Number of files with changes not sent to the server yet"
+    },
+    {
+        "key":"_Connected_",
+        "value":"Connecté",
+        "description":"All changes are synchronized with the server"
+    },
+    {
+        "key":"_Last_sync_",
+        "value":"Dernière synchronisation",
+        "description":"Time of the last synchronization"
+    },
+    {
+        "key":"_Lost_changes_",
+        "value":"Modifications perdues",
+        "description":"Legend of the local text discarded by the server"
+    },
+    {
+        "key":"_Server_changes_",
+        "value":"Texte du serveur",
+        "description":"Legend of the text received from the server"
+    },
+    {
+        "key":"_Overwrite_warning_",
+        "value":"Le serveur a écrasé vos modifications locales dans :",
+        "description":"Warning displayed when the server discarded local changes"
+    },
+    {
+        "key":"_sync_status_tooltip_",
+        "value":"État de la synchronisation avec le serveur",
+        "description":"Tooltip of the synchronization status"
+    },
+    {
+        "key":"_Comments_",
+        "value":"Commentaires",
+        "description":"Comment threads panel"
+    },
+    {
+        "key":"_comments_tooltip_",
+        "value":"Fils de discussion du papier",
+        "description":"Tooltip of the comments panel button"
+    },
+    {
+        "key":"_Comment_",
+        "value":"Commenter",
+        "description":"Create a comment thread"
+    },
+    {
+        "key":"_Comment_selection_",
+        "value":"Commenter la sélection",
+        "description":"Comment the selected text"
+    },
+    {
+        "key":"_comment_selection_tooltip_",
+        "value":"Commenter le texte sélectionné dans l'éditeur (Ctrl+Alt+M)",
+        "description":"Tooltip of the comment selection button"
+    },
+    {
+        "key":"_Comment_area_",
+        "value":"Commenter une zone",
+        "description":"Comment an area of the preview"
+    },
+    {
+        "key":"_comment_area_tooltip_",
+        "value":"Dessiner une zone sur l'aperçu pour la commenter",
+        "description":"Tooltip of the comment area button"
+    },
+    {
+        "key":"_Show_resolved_",
+        "value":"Afficher les fils résolus",
+        "description":"Display the resolved comment threads"
+    },
+    {
+        "key":"_New_comment_",
+        "value":"Nouveau commentaire",
+        "description":"Placeholder of a new comment"
+    },
+    {
+        "key":"_Reply_",
+        "value":"Répondre",
+        "description":"Reply to a comment thread"
+    },
+    {
+        "key":"_Resolve_",
+        "value":"Résoudre",
+        "description":"Resolve a comment thread"
+    },
+    {
+        "key":"_Reopen_",
+        "value":"Rouvrir",
+        "description":"Reopen a comment thread"
+    },
+    {
+        "key":"_Detached_",
+        "value":"texte introuvable",
+        "description":"The commented text was not found anymore"
+    },
+    {
+        "key":"_Page_",
+        "value":"Page",
+        "description":"Page of the paper"
+    },
+    {
+        "key":"_No_comment_found_",
+        "value":"Aucun commentaire",
+        "description":"No comment thread to display"
+    },
+    {
+        "key":"_Comment_Empty_selection_",
+        "value":"Sélectionnez le texte à commenter",
+        "description":"Error when commenting without selection"
+    },
+    {
+        "key":"_Get_comments_Not_connected_",
+        "value":"Vous n'êtes pas connecté",
+        "description":"Error when getting comments"
+    },
+    {
+        "key":"_Get_comments_Something_wrong_happened_",
+        "value":"Impossible de récupérer les commentaires",
+        "description":"Error when getting comments"
+    },
+    {
+        "key":"_Save_comment_Not_connected_",
+        "value":"Vous n'êtes pas connecté",
+        "description":"Error when saving a comment"
+    },
+    {
+        "key":"_Save_comment_Not_allowed_",
+        "value":"Vous n'êtes pas autorisé à commenter ce papier",
+        "description":"Error when saving a comment"
+    },
+    {
+        "key":"_Save_comment_Something_wrong_happened_",
+        "value":"Impossible d'enregistrer le commentaire",
+        "description":"Error when saving a comment"
+    },
+    {
+        "key":"_Suggest_changes_",
+        "value":"Suggérer des modifications",
+        "description":"Option of the reviewers"
+    },
+    {
+        "key":"_suggest_changes_tooltip_",
+        "value":"Modifier une copie des sources et envoyer les modifications aux auteurs comme suggestions",
+        "description":"Tooltip of the suggestion mode"
+    },
+    {
+        "key":"_Suggested_changes_",
+        "value":"Modifications suggérées :",
+        "description":"Number of changes in the suggestion mode"
+    },
+    {
+        "key":"_Submit_suggestions_",
+        "value":"Envoyer les suggestions",
+        "description":"Button of the suggestion mode"
+    },
+    {
+        "key":"_Discard_",
+        "value":"Abandonner",
+        "description":"Button of the suggestion mode"
+    },
+    {
+        "key":"_Discard_suggestions_confirm_",
+        "value":"Les modifications non envoyées seront perdues. Continuer ?",
+        "description":"Confirmation when leaving the suggestion mode"
+    },
+    {
+        "key":"_Accept_",
+        "value":"Accepter",
+        "description":"Button of a suggestion"
+    },
+    {
+        "key":"_Reject_",
+        "value":"Rejeter",
+        "description":"Button of a suggestion"
+    },
+    {
+        "key":"_Accepted_",
+        "value":"acceptée",
+        "description":"State of a suggestion"
+    },
+    {
+        "key":"_Rejected_",
+        "value":"rejetée",
+        "description":"State of a suggestion"
+    },
+    {
+        "key":"_Accept_all_",
+        "value":"Tout accepter",
+        "description":"Button of the comment panel"
+    },
+    {
+        "key":"_Reject_all_",
+        "value":"Tout rejeter",
+        "description":"Button of the comment panel"
+    },
+    {
+        "key":"_Accept_suggestion_Detached_",
+        "value":"Le texte de la suggestion a été modifié, elle ne peut plus être appliquée",
+        "description":"Warning when accepting a suggestion"
+    },
+    {
+        "key":"_Suggest_Not_connected_",
+        "value":"Vous n'êtes pas connecté",
+        "description":"Error when loading a file to suggest changes"
+    },
+    {
+        "key":"_Suggest_File_not_found_",
+        "value":"Le fichier n'existe pas",
+        "description":"Error when loading a file to suggest changes"
+    },
+    {
+        "key":"_Suggest_Something_wrong_happened_",
+        "value":"Quelque chose d'anormal est survenu",
+        "description":"Error when loading a file to suggest changes"
+    },
+    {
+        "key":"_chat_tooltip_",
+        "value":"Discuter avec les autres auteurs",
+        "description":"Tooltip of the chat list type"
+    },
+    {
+        "key":"_No_chat_message_",
+        "value":"Aucun message",
+        "description":"Empty chat"
+    },
+    {
+        "key":"_Chat_message_",
+        "value":"Message, @nom pour mentionner quelqu’un, fichier.tex:12 pour un lien vers une ligne",
+        "description":"Placeholder of the chat input"
+    },
+    {
+        "key":"_Send_",
+        "value":"Envoyer",
+        "description":"Button of the chat"
+    },
+    {
+        "key":"_Get_chat_Not_connected_",
+        "value":"Vous n'êtes pas connecté",
+        "description":"Error when getting the chat"
+    },
+    {
+        "key":"_Get_chat_Something_wrong_happened_",
+        "value":"Quelque chose d'anormal est survenu",
+        "description":"Error when getting the chat"
+    },
+    {
+        "key":"_Send_chat_Not_connected_",
+        "value":"Vous n'êtes pas connecté",
+        "description":"Error when sending a chat message"
+    },
+    {
+        "key":"_Send_chat_Not_allowed_",
+        "value":"Vous n'êtes pas autorisé à discuter de cet article",
+        "description":"Error when sending a chat message"
+    },
+    {
+        "key":"_Send_chat_Something_wrong_happened_",
+        "value":"Quelque chose d'anormal est survenu",
+        "description":"Error when sending a chat message"
+    },
+    {
+        "key":"_follow_tooltip_",
+        "value":"Suivre ce collaborateur",
+        "description":"Tooltip of a connected user"
+    },
+    {
+        "key":"_Follow_",
+        "value":"Suivre",
+        "description":"Button of a connected user"
+    },
+    {
+        "key":"_Stop_following_",
+        "value":"Arrêter de suivre",
+        "description":"Button of a connected user"
+    },
+    {
+        "key":"_Follow_preview_",
+        "value":"Suivre dans l'aperçu",
+        "description":"Option of the follow mode"
+    },
+    {
+        "key":"_Following_",
+        "value":"Vous suivez",
+        "description":"Banner of the follow mode"
+    },
+    {
+        "key":"_Idle_",
+        "value":"Inactif",
+        "description":"State of a connected user"
+    },
+    {
+        "key":"_Active_",
+        "value":"Actif",
+        "description":"State of a connected user"
+    },
+    {
+        "key":"_Color_",
+        "value":"Couleur",
+        "description":"Label of the colour of the user"
+    },
+    {
+        "key":"_color_tooltip_",
+        "value":"La couleur de votre curseur et de vos modifications dans les articles",
+        "description":"Tooltip of the colour of the user"
+    },
+    {
+        "key":"_history_tooltip_",
+        "value":"Historique des révisions des fichiers",
+        "description":"Tooltip of the history list type"
+    },
+    {
+        "key":"_History_Not_connected_",
+        "value":"Vous n'êtes pas connecté",
+        "description":"Error when loading the revision history"
+    },
+    {
+        "key":"_History_File_not_found_",
+        "value":"La révision n'existe pas",
+        "description":"Error when loading the revision history"
+    },
+    {
+        "key":"_History_Something_wrong_happened_",
+        "value":"Quelque chose d'anormal est survenu",
+        "description":"Error when loading the revision history"
+    },
+    {
+        "key":"_Initial_version_",
+        "value":"Version initiale",
+        "description":"Revision recorded before any modification"
+    },
+    {
+        "key":"_No_revision_",
+        "value":"Aucune révision enregistrée",
+        "description":"Empty revision history"
+    },
+    {
+        "key":"_Compare_",
+        "value":"Comparer",
+        "description":"Compare a revision with the current text"
+    },
+    {
+        "key":"_Restore_paper_",
+        "value":"Restaurer l'article",
+        "description":"Restore every file of the paper to a revision"
+    },
+    {
+        "key":"_Restore_file_",
+        "value":"Restaurer le fichier",
+        "description":"Restore a file to a revision"
+    },
+    {
+        "key":"_Current_version_",
+        "value":"Version actuelle",
+        "description":"Legend of the current text in a revision comparison"
+    },
+    {
+        "key":"_No_difference_",
+        "value":"La révision est identique à la version actuelle",
+        "description":"Revision comparison without difference"
+    },
+    {
+        "key":"_Restore_file_confirm_",
+        "value":"Êtes-vous sûr de vouloir restaurer le fichier \"\\s\" tel qu'il était le \\s ?",
+        "description":"Restore file confirmation"
+    },
+    {
+        "key":"_Restore_paper_confirm_",
+        "value":"Êtes-vous sûr de vouloir restaurer tous les fichiers de l'article tels qu'ils étaient le \\s ?",
+        "description":"Restore paper confirmation"
+    },
+    {
+        "key":"_Snapshots_",
+        "value":"Instantanés",
+        "description":"Title of the snapshot section of the paper settings"
+    },
+    {
+        "key":"_Snapshot_name_",
+        "value":"Nom de l'instantané",
+        "description":"Name of a new snapshot"
+    },
+    {
+        "key":"_snapshot_name_tooltip_",
+        "value":"Fige les sources, ressources et le PDF compilé de l'article sous ce nom, par ex. « soumis à ICALP »",
+        "description":"Tooltip of the snapshot name"
+    },
+    {
+        "key":"_Take_snapshot_",
+        "value":"Prendre un instantané",
+        "description":"Button creating a snapshot"
+    },
+    {
+        "key":"_No_snapshot_",
+        "value":"Aucun instantané",
+        "description":"No snapshot of the paper"
+    },
+    {
+        "key":"_Branch_",
+        "value":"Dériver",
+        "description":"Create a new paper from a snapshot"
+    },
+    {
+        "key":"_Snapshot_Branch_name_",
+        "value":"Nom du nouvel article",
+        "description":"Prompt for the name of a paper created from a snapshot"
+    },
+    {
+        "key":"_Snapshot_Some_parameters_are_missing_",
+        "value":"Certains paramètres sont manquants",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Snapshot_Not_connected_",
+        "value":"Vous n'êtes pas connecté",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Snapshot_Not_allowed_",
+        "value":"Vous n'êtes pas autorisé à faire cela avec les instantanés de cet article",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Snapshot_Not_found_",
+        "value":"Instantané introuvable",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Snapshot_Something_wrong_happened_",
+        "value":"Un problème est survenu avec les instantanés",
+        "description":"Snapshot error"
+    },
+    {
+        "key":"_Bad_boxes_",
+        "value":"Boîtes mal remplies",
+        "description":"Overfull and underfull boxes reported by the compiler"
+    },
+    {
+        "key":"_Group_by_file_",
+        "value":"Par fichier",
+        "description":"Group the problems by file"
+    },
+    {
+        "key":"_problems_dock_tooltip_",
+        "value":"Déplacer le panneau des problèmes",
+        "description":"Tooltip of the button docking the problems panel"
+    },
+    {
+        "key":"_problems_tooltip_",
+        "value":"Erreurs, avertissements et boîtes mal remplies de la dernière compilation",
+        "description":"Tooltip of the problems panel"
+    },
+    {
+        "key":"_No_problem_",
+        "value":"Aucun problème",
+        "description":"No problem in the compilation log"
+    },
+    {
+        "key":"_Unknown_file_",
+        "value":"Fichier inconnu",
+        "description":"Problems whose file is unknown"
+    },
+    {
+        "key":"_Log_context_",
+        "value":"Journal",
+        "description":"Show the raw log of a problem"
+    },
+    {
+        "key":"_Quick_fix_available_",
+        "value":"Cliquez sur l'icône pour le corriger",
+        "description":"Annotation of a problem which can be fixed"
+    },
+    {
+        "key":"_Quick_fix_Use_package_",
+        "value":"Ajouter \\usepackage{\\s}",
+        "description":"Fix loading the package defining an undefined command"
+    },
+    {
+        "key":"_Quick_fix_Remove_package_",
+        "value":"Commenter \\usepackage{\\s}",
+        "description":"Fix disabling a package which is not installed"
+    },
+    {
+        "key":"_Quick_fix_Math_mode_",
+        "value":"Mettre « \\s » en mode mathématique",
+        "description":"Fix wrapping text in math mode"
+    },
+    {
+        "key":"_Quick_fix_Label_",
+        "value":"Ajouter un \\label{\\s} à la fin du document",
+        "description":"Fix creating a missing label"
+    },
+    {
+        "key":"_Quick_fix_Bib_entry_",
+        "value":"Ajouter une entrée bibliographique pour \\s",
+        "description":"Fix creating a missing bibliography entry"
+    },
+    {
+        "key":"_Quick_fix_No_bibliography_",
+        "value":"L'article ne contient aucun fichier de bibliographie",
+        "description":"Error when no bib file exists for a bibliography entry fix"
+    },
+    {
+        "key":"_Quick_fix_Not_applied_",
+        "value":"La correction n'a pas pu être appliquée aux sources",
+        "description":"Error when a quick fix cannot be applied"
+    },
+    {
+        "key":"_Compilation_queued_",
+        "value":"En attente",
+        "description":"The compilation waits to be started"
+    },
+    {
+        "key":"_Compilation_timeout_",
+        "value":"Interrompue après le délai maximal",
+        "description":"The compilation was killed by the timeout"
+    },
+    {
+        "key":"_Compilation_not_started_",
+        "value":"Le compilateur n'a pas pu être lancé",
+        "description":"The compiler program failed to start"
+    },
+    {
+        "key":"_Compilation_cancelled_",
+        "value":"Annulée",
+        "description":"The compilation was cancelled"
+    },
+    {
+        "key":"_cancel_compilation_tooltip_",
+        "value":"Annuler la compilation en cours",
+        "description":"Tooltip of the button cancelling the compilation"
+    },
+    {
+        "key":"_Cancel_compilation_Something_wrong_happened_",
+        "value":"Un problème est survenu lors de l'annulation de la compilation",
+        "description":"Error when cancelling the compilation"
+    },
+    {
+        "key":"_Compilation_history_",
+        "value":"Compilations précédentes",
+        "description":"Placeholder of the compilation history dropdown"
+    },
+    {
+        "key":"_compilations_tooltip_",
+        "value":"Ouvrir une compilation précédente à côté de l'aperçu actuel",
+        "description":"Tooltip of the compilation history dropdown"
+    },
+    {
+        "key":"_Compilation_trigger_manual_",
+        "value":"manuelle",
+        "description":"Compilation explicitly asked for from the editor"
+    },
+    {
+        "key":"_Compilation_trigger_background_",
+        "value":"arrière-plan",
+        "description":"Compilation started by the background task"
+    },
+    {
+        "key":"_Compilation_trigger_api_",
+        "value":"API",
+        "description":"Compilation started through the API"
+    },
+    {
+        "key":"_Compilation_counts_",
+        "value":"\\s erreurs, \\s avertissements",
+        "description":"Number of errors and warnings of a compilation in the history"
+    },
+    {
+        "key":"_Compilation_no_pdf_",
+        "value":"Cette compilation n'a produit aucun PDF",
+        "description":"Displayed when an older compilation has no PDF"
+    },
+    {
+        "key":"_Main_file_",
+        "value":"Fichier principal",
+        "description":"Label of the root document selection in the compiler options"
+    },
+    {
+        "key":"_Invalid_main_file_",
+        "value":"Le fichier principal doit être un fichier .tex du papier",
+        "description":"Error displayed when an invalid main file is chosen"
+    },
+    {
+        "key":"_latexmk_tooltip_",
+        "value":"Laisser latexmk lancer le compilateur et les outils autant de fois que nécessaire",
+        "description":"Tooltip of the latexmk compiler option"
+    },
+    {
+        "key":"_Bibliography_",
+        "value":"Bibliographie",
+        "description":"Label of the bibliography tool option"
+    },
+    {
+        "key":"_Index_",
+        "value":"Index",
+        "description":"Label of the index tool option"
+    },
+    {
+        "key":"_Reruns_",
+        "value":"Relances",
+        "description":"Label of the compiler reruns option"
+    },
+    {
+        "key":"_reruns_tooltip_",
+        "value":"Nombre maximum de relances du compilateur jusqu'à ce que les références soient stables",
+        "description":"Tooltip of the compiler reruns option"
+    },
+    {
+        "key":"_Invalid_pipeline_",
+        "value":"Outil de compilation inconnu ou trop de relances du compilateur",
+        "description":"Error displayed when the build pipeline settings are refused"
+    },
+    {
+        "key":"_None_",
+        "value":"Aucun",
+        "description":"Option for no tool"
+    },
+    {
+        "key":"_Chapter_mode_",
+        "value":"Chapitre édité uniquement",
+        "description":"Label of the partial compilation option"
+    },
+    {
+        "key":"_chapter_mode_tooltip_",
+        "value":"Ctrl + S ne compose que le chapitre édité avec \\includeonly, les références proviennent de la dernière compilation complète",
+        "description":"Tooltip of the partial compilation option"
+    },
+    {
+        "key":"_Partial_preview_",
+        "value":"Aperçu partiel :",
+        "description":"Badge displayed on the preview of a partial compilation"
+    },
+    {
+        "key":"_Full_rebuild_",
+        "value":"Compilation complète",
+        "description":"Button compiling the whole paper after a partial compilation"
+    },
+    {
+        "key":"_Snippet_preview_",
+        "value":"Aperçu du fragment",
+        "description":"Button rendering the selection or the current environment alone"
+    },
+    {
+        "key":"_snippet_preview_tooltip_",
+        "value":"Afficher le texte sélectionné, ou l'équation, la figure ou l'image contenant le curseur, seul",
+        "description":"Tooltip of the snippet preview button"
+    },
+    {
+        "key":"_Snippet_no_environment_",
+        "value":"Sélectionnez du texte ou placez le curseur dans un environnement pour l'afficher",
+        "description":"Warning when there is nothing to preview"
+    },
+    {
+        "key":"_Snippet_rendering_",
+        "value":"rendu…",
+        "description":"Shown while the snippet is rendered"
+    },
+    {
+        "key":"_Snippet_invalid_",
+        "value":"Ce fragment ne peut pas être affiché, vérifiez le préambule du fichier principal",
+        "description":"Error when the snippet or the preamble is invalid"
+    },
+    {
+        "key":"_Snippet_unable_to_render_",
+        "value":"Impossible d'afficher le fragment",
+        "description":"Error when the snippet could not be rendered"
+    },
+    {
+        "key":"_Lock_scroll_",
+        "value":"Défilement lié",
+        "description":"Button locking the scroll of the editor and the preview together"
+    },
+    {
+        "key":"_lock_scroll_tooltip_",
+        "value":"Faire défiler l'aperçu avec l'éditeur et l'éditeur avec l'aperçu",
+        "description":"Tooltip of the scroll lock button"
+    },
+    {
+        "key":"_Find_in_preview_",
+        "value":"Rechercher dans l'aperçu",
+        "description":"Placeholder of the preview search field"
+    },
+    {
+        "key":"_find_in_preview_tooltip_",
+        "value":"Rechercher un texte dans le document compilé",
+        "description":"Tooltip of the preview search button"
+    },
+    {
+        "key":"_previous_match_tooltip_",
+        "value":"Résultat précédent (Maj + Entrée)",
+        "description":"Tooltip of the previous match button"
+    },
+    {
+        "key":"_next_match_tooltip_",
+        "value":"Résultat suivant (Entrée)",
+        "description":"Tooltip of the next match button"
+    },
+    {
+        "key":"_edit_match_tooltip_",
+        "value":"Modifier la source de ce résultat",
+        "description":"Tooltip of the source of the shown match"
+    },
+    {
+        "key":"_Search_preview_error_",
+        "value":"Impossible de rechercher dans le document compilé",
+        "description":"Error when the preview could not be searched"
     }
 ]
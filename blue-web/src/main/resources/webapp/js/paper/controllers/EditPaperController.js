@@ -19,6 +19,7 @@
 */
 angular.module('bluelatex.Paper.Controllers.EditPaper', 
   ['bluelatex.Paper.Services.Paper',
+   'bluelatex.Paper.Services.Diff',
    'bluelatex.User.Services.User',
    'angucomplete'])
   .controller('EditPaperController', 
@@ -28,6 +29,8 @@ angular.module('bluelatex.Paper.Controllers.EditPaper',
      'UserService',
      '$routeParams',
      'MessagesService',
+     'DiffService',
+     'localize',
      '$q',
     function ($scope,
               $location,
@@ -35,6 +38,8 @@ angular.module('bluelatex.Paper.Controllers.EditPaper',
               UserService,
               $routeParams,
               MessagesService,
+              DiffService,
+              localize,
               $q) {
       /**
       * Paper id
@@ -271,5 +276,143 @@ angular.module('bluelatex.Paper.Controllers.EditPaper',
       $scope.modifyPaperRole = function() {
         return PaperService.modifyRoles($scope.paperRoles, clone_paperRoles);
       }
+
+      /*************/
+      /* Snapshots */
+      /*************/
+
+      $scope.snapshots = [];
+      $scope.newSnapshot = { name: '' };
+      $scope.takingSnapshot = false;
+      // versions compared, a null snapshot is the current version of the paper
+      $scope.comparison = {
+        from: null,
+        to: null,
+        file: null,
+        files: [],
+        result: null
+      };
+
+      var snapshotError = function (err) {
+        MessagesService.clear();
+        switch (err.status) {
+        case 400:
+          MessagesService.error('_Snapshot_Some_parameters_are_missing_',err);
+          break;
+        case 401:
+          MessagesService.error('_Snapshot_Not_connected_',err);
+          break;
+        case 403:
+          MessagesService.error('_Snapshot_Not_allowed_',err);
+          break;
+        case 404:
+          MessagesService.error('_Snapshot_Not_found_',err);
+          break;
+        default:
+          MessagesService.error('_Snapshot_Something_wrong_happened_',err);
+        }
+      };
+
+      /**
+      * Get the snapshots of the paper, most recent first
+      */
+      var getSnapshots = function () {
+        PaperService.getSnapshots(paperId).then(function (snapshots) {
+          $scope.snapshots = snapshots.reverse();
+        }, snapshotError);
+      };
+      getSnapshots();
+
+      /**
+      * Freeze the current sources, resources and PDF under a name
+      */
+      $scope.takeSnapshot = function () {
+        if(!$scope.newSnapshot.name) return;
+        $scope.takingSnapshot = true;
+        PaperService.createSnapshot(paperId, $scope.newSnapshot.name).then(function (snapshot) {
+          $scope.snapshots.unshift(snapshot);
+          $scope.newSnapshot.name = '';
+          updateComparedFiles();
+        }, snapshotError).finally(function () {
+          $scope.takingSnapshot = false;
+        });
+      };
+
+      $scope.snapshotZipUrl = function (snapshot) {
+        return PaperService.getSnapshotZipUrl(paperId, snapshot.id);
+      };
+
+      /**
+      * Create a new paper from a snapshot, with the compiler settings recorded in it
+      */
+      $scope.branchSnapshot = function (snapshot) {
+        var name = prompt(localize.getLocalizedString('_Snapshot_Branch_name_'), $scope.paper.name + ' (' + snapshot.name + ')');
+        if(!name) return;
+        PaperService.branchSnapshot(paperId, snapshot.id, name).then(function (newId) {
+          var done = function () {
+            $location.path('/paper/' + newId + '/edit');
+          };
+          if(!snapshot.compiler) return done();
+          PaperService.getPaperCompiler(newId).then(function (current) {
+            var settings = JSON.parse(JSON.stringify(current));
+            for(var key in snapshot.compiler) {
+              if(settings.hasOwnProperty(key)) settings[key] = snapshot.compiler[key];
+            }
+            return PaperService.editPaperCompiler(newId, settings, current);
+          }).finally(done);
+        }, snapshotError);
+      };
+
+      /**
+      * List the sources which can be compared between the two selected versions
+      */
+      var updateComparedFiles = function () {
+        var versions = [$scope.comparison.from, $scope.comparison.to];
+        var promises = versions.map(function (snapshot) {
+          if(snapshot) return $q.when(snapshot.files);
+          return PaperService.getSynchronized(paperId).then(function (files) {
+            return files.map(function (file) { return file.title; });
+          });
+        });
+        $q.all(promises).then(function (lists) {
+          var files = [];
+          lists.forEach(function (list) {
+            list.forEach(function (file) {
+              if(/\.(tex|bib)$/.test(file) && files.indexOf(file) < 0) files.push(file);
+            });
+          });
+          files.sort();
+          $scope.comparison.files = files;
+          if(files.indexOf($scope.comparison.file) < 0) $scope.comparison.file = files[0] || null;
+        }, snapshotError);
+      };
+      $scope.$watch('comparison.from', updateComparedFiles);
+      $scope.$watch('comparison.to', updateComparedFiles);
+
+      /**
+      * Get the text of a file in a version, a missing file is an empty text
+      */
+      var versionText = function (snapshot, file) {
+        if(snapshot && snapshot.files.indexOf(file) < 0) return $q.when('');
+        var promise = snapshot ?
+          PaperService.getSnapshotFile(paperId, snapshot.id, file) :
+          PaperService.getSynchronizedFile(paperId, file);
+        return promise.then(function (text) {
+          return text;
+        }, function (err) {
+          return err.status == 404 ? '' : $q.reject(err);
+        });
+      };
+
+      /**
+      * Compare the selected file between the two selected versions
+      */
+      $scope.compare = function () {
+        var file = $scope.comparison.file;
+        if(!file) return;
+        $q.all([versionText($scope.comparison.from, file), versionText($scope.comparison.to, file)]).then(function (texts) {
+          $scope.comparison.result = angular.extend({ file: file }, DiffService.sideBySide(texts[0], texts[1]));
+        }, snapshotError);
+      };
     }
   ]);
@@ -21,11 +21,23 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
   'angularFileUpload',
   'ngDialog',
   'bluelatex.Paper.Directives.Toc',
+  'bluelatex.Paper.Directives.SyncStatus',
   'bluelatex.Paper.Services.Ace',
+  'bluelatex.Paper.Services.Pane',
+  'bluelatex.Paper.Services.SharedFiles',
+  'bluelatex.Paper.Services.SyncStatus',
+  'bluelatex.Paper.Services.Follow',
+  'bluelatex.Paper.Services.Presence',
+  'bluelatex.Paper.Services.Problems',
+  'bluelatex.Paper.Services.QuickFix',
+  'bluelatex.Paper.Services.ChapterMode',
+  'bluelatex.Paper.Services.ScrollSync',
   'bluelatex.Paper.Services.Paper',
   'bluelatex.Paper.Services.Ace',
   'bluelatex.Latex.Services.SyncTexParser',
   'bluelatex.Paper.Services.Latex',
+  'bluelatex.Paper.Services.Diff',
+  'bluelatex.Paper.Services.PdfSearch',
   'bluelatex.Shared.Services.WindowActive',
   'MobWrite',
   'bluelatex.Paper'])
@@ -36,6 +48,15 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
     '$http',
     '$location',
     'AceService',
+    'PaneService',
+    'SharedFilesService',
+    'SyncStatusService',
+    'FollowService',
+    'PresenceService',
+    'ProblemsService',
+    'QuickFixService',
+    'ChapterModeService',
+    'ScrollSyncService',
     'PaperService',
     '$routeParams',
     'MessagesService',
@@ -43,6 +64,8 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
     '$document',
     'WindowActiveService',
     'LatexService',
+    'DiffService',
+    'PdfSearchService',
     'MobWriteService',
     'AceMobWriteClient',
     '$q',
@@ -54,6 +77,15 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
               $http,
               $location,
               AceService,
+              PaneService,
+              SharedFilesService,
+              SyncStatusService,
+              FollowService,
+              PresenceService,
+              ProblemsService,
+              QuickFixService,
+              ChapterModeService,
+              ScrollSyncService,
               PaperService,
               $routeParams,
               MessagesService,
@@ -61,6 +93,8 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
               $document,
               WindowActiveService,
               LatexService,
+              DiffService,
+              PdfSearchService,
               MobWriteService,
               AceMobWriteClient,
               $q,
@@ -86,6 +120,10 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       $scope.paper = {};
       // data of the current page
       $scope.currentFile = {};
+      // the editor panes, the main one displays the current file
+      $scope.panes = PaneService.reset($scope.currentFile);
+      $scope.isSplitMode = PaneService.isSplitMode;
+      $scope.isActivePane = PaneService.isActivePane;
 
       // synctex data
       $scope.synctex = null;
@@ -95,6 +133,10 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       $scope.logs = [];
       // the number of page
       $scope.totalPage = 0;
+      // the dimensions of each page, to lay the preview out before the pages are rendered
+      $scope.pageDimensions = [];
+      // the pages displayed in the preview, only these ones are rendered
+      $scope.visiblePages = { first: 1, last: 1 };
 
       // table of contents of the current paper
       $scope.toc = [];
@@ -120,9 +162,6 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       $scope.pdf = null;
       $scope.revision=Math.random();
 
-      // save the laste cursor position per file
-      var cursorPositionFile = {};
-
       /**************/
       /* Exit Paper */
       /**************/
@@ -131,6 +170,19 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
         WindowActiveService.removeObserverCallback(windowStatusCallback);
         AceMobWriteClient.message({ type: 'leave', 'user': $rootScope.loggedUser.name });
         stopMobWrite();
+        AceService.removeFileChangeCallback(fileChangeCallback);
+        clearTimeout(tocTimeout);
+        clearInterval(commentsInterval);
+        PresenceService.stop();
+        clearTimeout(fadeTimeout);
+        clearTimeout(offscreenTimeout);
+        FollowService.stop();
+        $scope.closeSnippetPreview();
+        ScrollSyncService.stop();
+        for(var file in commentTimeouts) {
+          clearTimeout(commentTimeouts[file]);
+        }
+        AceService.removeFileSessions($scope.paperId);
         PaperService.leavePaper($scope.paperId, peerId);
       };
       
@@ -157,22 +209,934 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       /**
       * Start mobWrite
       */
-      var initMobWrite = function () {
-        AceMobWriteClient.message({ type: 'cursor', 'user': $rootScope.loggedUser.name });
-        return MobWriteService.share({paper_id: $scope.paperId,file:$scope.currentFile.title}).then(function (){
+      var initMobWrite = function (pane) {
+        if(pane == null) {
+          pane = PaneService.getActivePane();
+        }
+        var file = PaneService.getFile(pane);
+        AceService.switchSession($scope.paperId, file.title, pane);
+        broadcastCursors();
+        // the file is usually already shared with the other files of the paper
+        return MobWriteService.share({paper_id: $scope.paperId,file:file.title}).then(function (){
           displayAnnotation();
-          $scope.toc = LatexService.parseTOC(AceService.getContent());
+          displayComments();
+          if(!PaneService.isActivePane(pane)) return;
+          updateTOC();
           AceService.getEditor().focus();
-          $scope.goToLine(0, 0);
         });
       };
 
       /**
-      * Stop sharing file
+      * Share every synchronized file of the paper, so that they are all
+      * kept up to date, and stop sharing the ones that were removed.
+      */
+      var shareSynchronizedFiles = function () {
+        return SharedFilesService.share($scope.paperId, $scope.synchronizedFiles).then(function () {
+          displayAnnotation();
+          displayComments();
+          updateTOC();
+        });
+      };
+
+      /**
+      * Stop sharing the files of the paper
       */
       var stopMobWrite = function () {
-        if(AceService.getContent() != '') {
-          MobWriteService.unshare({paper_id: $scope.paperId,file:$scope.currentFile.title});
+        SharedFilesService.unshareAll($scope.paperId);
+        SyncStatusService.dismissOverwrites();
+      };
+
+      /************/
+      /* Comments */
+      /************/
+      // the comment threads of the paper
+      $scope.commentThreads = [];
+      // the thread opened in the comment panel
+      $scope.currentThread = null;
+      // the thread being written, with its anchor
+      $scope.newThread = null;
+      // display the resolved threads in the comment panel
+      $scope.showResolved = false;
+      // when enabled, an area drawn on the preview starts a new thread
+      $scope.commentMode = false;
+      // where the range of each thread currently is in its file
+      $scope.commentLocations = {};
+      // the markers of the threads displayed in each file
+      var commentMarkers = {};
+      // the marker displaying the texts suggested in each file
+      var suggestionMarkers = {};
+      var commentTimeouts = {};
+
+      /**
+      * Get the comment threads of the paper
+      */
+      var getComments = function () {
+        return PaperService.getComments($scope.paperId).then(function (threads) {
+          for (var i = 0; i < threads.length; i++) {
+            if($scope.currentThread && $scope.currentThread.id == threads[i].id) {
+              threads[i].reply = $scope.currentThread.reply;
+              $scope.currentThread = threads[i];
+            }
+          }
+          $scope.commentThreads = threads;
+          displayComments();
+        }, function (err) {
+          MessagesService.clear();
+          switch (err.status) {
+          case 401:
+            MessagesService.error('_Get_comments_Not_connected_',err);
+            break;
+          default:
+            MessagesService.error('_Get_comments_Something_wrong_happened_',err);
+          }
+        });
+      };
+
+      var commentError = function (err) {
+        MessagesService.clear();
+        switch (err.status) {
+        case 401:
+          MessagesService.error('_Save_comment_Not_connected_',err);
+          break;
+        case 403:
+          MessagesService.error('_Save_comment_Not_allowed_',err);
+          break;
+        default:
+          MessagesService.error('_Save_comment_Something_wrong_happened_',err);
+        }
+      };
+
+      // let the other peers know that they have to get the comments again
+      var commentsChanged = function () {
+        AceMobWriteClient.message({ type: 'comments', 'user': $rootScope.loggedUser.name });
+      };
+
+      /**
+      * Find the range of a thread in the text of its file.
+      * The range tracked in the editor is kept as long as it is not empty,
+      * otherwise the quoted text is searched around the last known position,
+      * first exactly then approximately.
+      * Returns null if the range cannot be found anymore.
+      */
+      var locateThread = function (thread, text) {
+        var location = $scope.commentLocations[thread.id];
+        if(location != null && location.end > location.start && location.end <= text.length) {
+          return { start: location.start, end: location.end };
+        }
+        var start = location ? location.start : thread.anchor.start;
+        var end = location ? location.end : thread.anchor.end;
+        var quote = thread.anchor.quote || '';
+        if(text.substring(start, end) == quote) {
+          return { start: start, end: end };
+        }
+        if(quote.length == 0) return null;
+        // the nearest occurrence of the quoted text
+        var after = text.indexOf(quote, start);
+        var before = text.lastIndexOf(quote, start);
+        var found = after;
+        if(after < 0 || (before >= 0 && start - before <= after - start)) {
+          found = before;
+        }
+        if(found >= 0) {
+          return { start: found, end: found + quote.length };
+        }
+        // the quoted text was modified, look for something close to its beginning
+        var dmp = new diff_match_patch();
+        found = dmp.match_main(text, quote.substring(0, dmp.Match_MaxBits), Math.min(start, text.length));
+        if(found < 0) return null;
+        return { start: found, end: Math.min(found + quote.length, text.length) };
+      };
+
+      /**
+      * Remove the markers of the threads of a file, keeping where their ranges
+      * were moved by the edits
+      */
+      var removeFileComments = function (filename) {
+        var markers = commentMarkers[filename] || [];
+        for (var i = 0; i < markers.length; i++) {
+          var marker = markers[i];
+          var doc = marker.session.getDocument();
+          $scope.commentLocations[marker.thread.id] = {
+            start: doc.positionToIndex(marker.range.start),
+            end: doc.positionToIndex(marker.range.end)
+          };
+          marker.session.removeMarker(marker.id);
+          marker.session.removeGutterDecoration(marker.row, 'comment_gutter');
+          marker.range.start.detach();
+          marker.range.end.detach();
+        }
+        delete commentMarkers[filename];
+        if(suggestionMarkers[filename]) {
+          suggestionMarkers[filename].session.removeMarker(suggestionMarkers[filename].id);
+          delete suggestionMarkers[filename];
+        }
+      };
+
+      /**
+      * Display texts next to positions of a session, in the colour of their author.
+      * Ace does not display the markers of empty ranges, so the texts are drawn
+      * by a dynamic marker, over the text.
+      * Returns the marker to remove from the session.
+      */
+      var addTextBubbles = function (session, bubbles) {
+        var escapeHTML = ace.require('ace/lib/lang').escapeHTML;
+        var marker = session.addDynamicMarker({
+          update: function (html, markerLayer, session, config) {
+            for (var i = 0; i < bubbles.length; i++) {
+              var position = session.documentToScreenPosition(bubbles[i].position.row, bubbles[i].position.column);
+              if(position.row < config.firstRow || position.row > config.lastRow) continue;
+              html.push('<div class="' + bubbles[i].clazz + '" style="',
+                        'top:' + markerLayer.$getTop(position.row, config) + 'px;',
+                        'left:' + (markerLayer.$padding + position.column * config.characterWidth) + 'px;',
+                        'min-height:' + config.lineHeight + 'px;">',
+                        escapeHTML(bubbles[i].text), '</div>');
+            }
+          }
+        }, true);
+        return { session: session, id: marker.id };
+      };
+
+      /**
+      * Display the threads of a file as markers on their range and in the gutter.
+      * The ranges are anchored in the document so that they follow the edits.
+      */
+      var displayFileComments = function (filename) {
+        removeFileComments(filename);
+        var Range = ace.require('ace/range').Range;
+        var session = AceService.getFileSession($scope.paperId, filename);
+        var doc = session.getDocument();
+        var text = session.getValue();
+        var markers = [];
+        var bubbles = [];
+        for (var i = 0; i < $scope.commentThreads.length; i++) {
+          var thread = $scope.commentThreads[i];
+          if(thread.anchor.file != filename) continue;
+          var location = locateThread(thread, text);
+          if(location == null) {
+            delete $scope.commentLocations[thread.id];
+            continue;
+          }
+          var range = new Range(0, 0, 0, 0);
+          range.start = doc.createAnchor(doc.indexToPosition(location.start));
+          range.end = doc.createAnchor(doc.indexToPosition(location.end));
+          location.row = range.start.row;
+          $scope.commentLocations[thread.id] = location;
+          var clazz = 'comment_range' + (thread.resolved ? ' resolved' : '');
+          // a pending suggestion strikes its range out and shows its text at the end of it
+          if($scope.isPendingSuggestion(thread)) {
+            var style = getUserStyle(thread.suggestion.author);
+            clazz = 'suggestion_delete ' + style.class + 'Color';
+            if(thread.suggestion.text) {
+              bubbles.push({ position: range.end, text: thread.suggestion.text, clazz: 'suggestion_bubble ' + style.class + 'Bg ' + style.forground });
+            }
+          }
+          var marker = {
+            thread: thread,
+            session: session,
+            range: range,
+            row: range.start.row,
+            id: session.addMarker(range, clazz, 'text')
+          };
+          if(!thread.resolved) {
+            session.addGutterDecoration(marker.row, 'comment_gutter');
+          }
+          markers.push(marker);
+        }
+        commentMarkers[filename] = markers;
+        if(bubbles.length > 0) {
+          suggestionMarkers[filename] = addTextBubbles(session, bubbles);
+        }
+      };
+
+      // the marker of a displayed thread
+      var findCommentMarker = function (thread) {
+        var markers = commentMarkers[thread.anchor.file] || [];
+        for (var i = 0; i < markers.length; i++) {
+          if(markers[i].thread.id == thread.id) return markers[i];
+        }
+        return null;
+      };
+
+      /**
+      * Display the threads of every opened file
+      */
+      var displayComments = function () {
+        for (var i = 0; i < $scope.synchronizedFiles.length; i++) {
+          var filename = $scope.synchronizedFiles[i].title;
+          if(!AceService.hasFileSession($scope.paperId, filename)) continue;
+          displayFileComments(filename);
+        }
+        $scope.$$phase || $scope.$apply();
+      };
+
+      // the gutter does not follow the edits, it is updated once the user stops typing
+      var updateFileComments = function (filename) {
+        clearTimeout(commentTimeouts[filename]);
+        commentTimeouts[filename] = setTimeout(function () {
+          delete commentTimeouts[filename];
+          if(!AceService.hasFileSession($scope.paperId, filename)) return;
+          displayFileComments(filename);
+          $scope.$$phase || $scope.$apply();
+        }, 300);
+      };
+
+      // the threads of which the range is not found anymore are still displayed in the panel
+      $scope.isDetached = function (thread) {
+        return thread.anchor.file != null && $scope.commentLocations[thread.id] == null;
+      };
+
+      // a suggestion is pending until an author accepts or rejects it
+      $scope.isPendingSuggestion = function (thread) {
+        return thread.suggestion != null && thread.suggestion.accepted == null;
+      };
+
+      $scope.threadFilter = function (thread) {
+        return $scope.showResolved || !thread.resolved;
+      };
+
+      $scope.toggleResolved = function () {
+        $scope.showResolved = !$scope.showResolved;
+      };
+
+      $scope.toggleComments = function () {
+        $scope.listType = $scope.listType == 'comments' ? 'files' : 'comments';
+      };
+
+      /**
+      * Open a thread and show what it is about
+      */
+      $scope.selectThread = function (thread) {
+        $scope.currentThread = thread;
+        $scope.listType = 'comments';
+        if(thread.anchor.page != null) {
+          $scope.changePage(thread.anchor.page);
+          return;
+        }
+        // reviewers do not see the sources
+        if($scope.status != 'author' || $scope.isDetached(thread)) return;
+        var select = function () {
+          var location = $scope.commentLocations[thread.id];
+          if(location == null) return;
+          var Range = ace.require('ace/range').Range;
+          var doc = AceService.getEditor().getSession().getDocument();
+          var start = doc.indexToPosition(location.start);
+          var end = doc.indexToPosition(location.end);
+          $scope.goToLine(start.row + 1);
+          AceService.getEditor().selection.setSelectionRange(new Range(start.row, start.column, end.row, end.column));
+        };
+        if($scope.currentFile.title == thread.anchor.file) {
+          select();
+        } else {
+          $q.when($scope.changeFileFromName(thread.anchor.file)).then(select);
+        }
+      };
+
+      /**
+      * Start a thread on the text selected in the editor
+      */
+      $scope.commentSelection = function () {
+        var editor = AceService.getEditor();
+        var range = editor.getSelectionRange();
+        if(range.isEmpty()) {
+          MessagesService.clear();
+          MessagesService.warning('_Comment_Empty_selection_');
+          return;
+        }
+        var doc = editor.getSession().getDocument();
+        $scope.newThread = {
+          anchor: {
+            file: $scope.currentFile.title,
+            start: doc.positionToIndex(range.start),
+            end: doc.positionToIndex(range.end),
+            quote: editor.getSession().getTextRange(range)
+          },
+          text: ''
+        };
+        $scope.listType = 'comments';
+        $scope.$$phase || $scope.$apply();
+      };
+
+      $scope.toggleCommentMode = function () {
+        $scope.commentMode = !$scope.commentMode;
+      };
+
+      /**
+      * Start a thread on an area of a page drawn in the preview.
+      * The area is expressed in fractions of the page dimensions.
+      */
+      $scope.commentArea = function (page, area) {
+        $scope.commentMode = false;
+        $scope.newThread = {
+          anchor: {
+            page: page,
+            x: area.x,
+            y: area.y,
+            width: area.width,
+            height: area.height
+          },
+          text: ''
+        };
+        $scope.listType = 'comments';
+      };
+
+      $scope.cancelThread = function () {
+        $scope.newThread = null;
+      };
+
+      /**
+      * Save the new thread with its first comment
+      */
+      $scope.createThread = function () {
+        if($scope.newThread == null || !$scope.newThread.text) return;
+        PaperService.createCommentThread($scope.paperId, $scope.newThread.anchor, $scope.newThread.text).then(function (thread) {
+          $scope.newThread = null;
+          $scope.commentThreads.push(thread);
+          $scope.currentThread = thread;
+          displayComments();
+          commentsChanged();
+        }, commentError);
+      };
+
+      /**
+      * Answer to a thread
+      */
+      $scope.replyThread = function (thread) {
+        if(!thread.reply) return;
+        PaperService.replyCommentThread($scope.paperId, thread.id, thread.reply).then(function (comment) {
+          thread.comments.push(comment);
+          thread.reply = '';
+          commentsChanged();
+        }, commentError);
+      };
+
+      /**
+      * Resolve or reopen a thread, and decide of its suggestion.
+      * The range of the thread is saved where it is now, so that it is found
+      * by the next loads even if the text around it was modified.
+      */
+      var modifyThread = function (thread, resolved, suggestion) {
+        var anchor = thread.anchor;
+        var location = $scope.commentLocations[thread.id];
+        var marker = findCommentMarker(thread);
+        if(marker != null) {
+          var doc = marker.session.getDocument();
+          location = {
+            start: doc.positionToIndex(marker.range.start),
+            end: doc.positionToIndex(marker.range.end)
+          };
+        }
+        if(location != null) {
+          var text = AceService.getFileSession($scope.paperId, anchor.file).getValue();
+          anchor = angular.extend({}, anchor, {
+            start: location.start,
+            end: location.end,
+            quote: text.substring(location.start, location.end)
+          });
+        }
+        var newvalue = {resolved: resolved, anchor: anchor, suggestion: suggestion || thread.suggestion};
+        return PaperService.modifyCommentThread($scope.paperId, thread.id, newvalue, thread).then(function () {
+          thread.resolved = newvalue.resolved;
+          thread.anchor = newvalue.anchor;
+          thread.suggestion = newvalue.suggestion;
+          displayComments();
+          commentsChanged();
+        }, commentError);
+      };
+
+      $scope.resolveThread = function (thread) {
+        modifyThread(thread, true);
+      };
+
+      $scope.reopenThread = function (thread) {
+        modifyThread(thread, false);
+      };
+
+      /**
+      * Replace the range of a suggestion with its text in the shared file.
+      * Accepting or rejecting a suggestion resolves its thread.
+      */
+      $scope.acceptSuggestion = function (thread) {
+        var marker = findCommentMarker(thread);
+        if(marker == null) {
+          MessagesService.clear();
+          MessagesService.warning('_Accept_suggestion_Detached_');
+          return $q.when();
+        }
+        var Range = ace.require('ace/range').Range;
+        var doc = marker.session.getDocument();
+        var start = doc.positionToIndex(marker.range.start);
+        var range = new Range(marker.range.start.row, marker.range.start.column, marker.range.end.row, marker.range.end.column);
+        marker.session.replace(range, thread.suggestion.text);
+        // the range now contains the accepted text
+        var position = doc.indexToPosition(start);
+        marker.range.start.setPosition(position.row, position.column);
+        position = doc.indexToPosition(start + thread.suggestion.text.length);
+        marker.range.end.setPosition(position.row, position.column);
+        return modifyThread(thread, true, angular.extend({}, thread.suggestion, { accepted: true }));
+      };
+
+      $scope.rejectSuggestion = function (thread) {
+        return modifyThread(thread, true, angular.extend({}, thread.suggestion, { accepted: false }));
+      };
+
+      // one suggestion after the other, so that each one is applied on the text modified by the previous ones
+      var decideAllSuggestions = function (decide) {
+        var threads = $scope.commentThreads.filter($scope.isPendingSuggestion);
+        var promise = $q.when();
+        angular.forEach(threads, function (thread) {
+          promise = promise.then(function () {
+            return decide(thread);
+          });
+        });
+        return promise;
+      };
+
+      $scope.acceptAllSuggestions = function () {
+        return decideAllSuggestions($scope.acceptSuggestion);
+      };
+
+      $scope.rejectAllSuggestions = function () {
+        return decideAllSuggestions($scope.rejectSuggestion);
+      };
+
+      $scope.hasPendingSuggestions = function () {
+        return $scope.commentThreads.some($scope.isPendingSuggestion);
+      };
+
+      /***************/
+      /* Suggestions */
+      /***************/
+      // reviewers suggest changes by editing a copy of a file that is not synchronized
+      $scope.suggestMode = false;
+      // the file being edited and the changes made to it
+      $scope.suggestedFile = null;
+      $scope.suggestedChanges = [];
+      var suggestionEditor = null;
+      var suggestedOriginal = '';
+      var suggestedMarkers = [];
+      var suggestionTimeout = null;
+
+      /**
+      * Compute the changes made to the copy of the file, as the ranges of the saved file
+      * that are replaced by some text, and display them in the colour of the reviewer
+      */
+      var computeSuggestedChanges = function () {
+        var Range = ace.require('ace/range').Range;
+        var session = suggestionEditor.getSession();
+        var doc = session.getDocument();
+        var style = getUserStyle($rootScope.loggedUser.name);
+        for (var i = 0; i < suggestedMarkers.length; i++) {
+          session.removeMarker(suggestedMarkers[i]);
+        }
+        suggestedMarkers = [];
+        var dmp = new diff_match_patch();
+        var diffs = dmp.diff_main(suggestedOriginal, session.getValue());
+        dmp.diff_cleanupSemantic(diffs);
+        var changes = [];
+        var bubbles = [];
+        var change = null;
+        // the offsets in the saved text and in the modified one
+        var offset = 0;
+        var modifiedOffset = 0;
+        for (i = 0; i < diffs.length; i++) {
+          var text = diffs[i][1];
+          if(diffs[i][0] == DIFF_EQUAL) {
+            change = null;
+            offset += text.length;
+            modifiedOffset += text.length;
+            continue;
+          }
+          if(change == null) {
+            change = { start: offset, end: offset, quote: '', text: '' };
+            changes.push(change);
+          }
+          if(diffs[i][0] == DIFF_DELETE) {
+            change.end += text.length;
+            change.quote += text;
+            offset += text.length;
+            bubbles.push({ position: doc.indexToPosition(modifiedOffset), text: text, clazz: 'suggestion_bubble deleted ' + style.class + 'Color' });
+          } else {
+            var start = doc.indexToPosition(modifiedOffset);
+            modifiedOffset += text.length;
+            var end = doc.indexToPosition(modifiedOffset);
+            change.text += text;
+            suggestedMarkers.push(session.addMarker(new Range(start.row, start.column, end.row, end.column), 'suggestion_insert ' + style.class + 'Bg ' + style.forground, 'text'));
+          }
+        }
+        if(bubbles.length > 0) {
+          suggestedMarkers.push(addTextBubbles(session, bubbles).id);
+        }
+        $scope.suggestedChanges = changes;
+        $scope.$$phase || $scope.$apply();
+      };
+
+      var suggestionError = function (err) {
+        MessagesService.clear();
+        switch (err.status) {
+        case 401:
+          MessagesService.error('_Suggest_Not_connected_',err);
+          break;
+        case 404:
+          MessagesService.error('_Suggest_File_not_found_',err);
+          break;
+        default:
+          MessagesService.error('_Suggest_Something_wrong_happened_',err);
+        }
+      };
+
+      // the changes not submitted yet are lost when another file is edited
+      var discardSuggestedChanges = function () {
+        return $scope.suggestedChanges.length == 0 || confirm(localize.getLocalizedString('_Discard_suggestions_confirm_'));
+      };
+
+      /**
+      * Edit a copy of the saved content of a file
+      */
+      $scope.suggestFile = function (file) {
+        if(file == null || suggestionEditor == null) return;
+        if(file != $scope.suggestedFile && !discardSuggestedChanges()) return;
+        PaperService.getSynchronizedFile($scope.paperId, file.title).then(function (text) {
+          $scope.suggestedFile = file;
+          suggestedOriginal = text;
+          suggestionEditor.getSession().setValue(text);
+          computeSuggestedChanges();
+        }, suggestionError);
+      };
+
+      $scope.toggleSuggestMode = function () {
+        if($scope.suggestMode && !discardSuggestedChanges()) return;
+        $scope.suggestMode = !$scope.suggestMode;
+        $scope.suggestedChanges = [];
+        suggestionEditor = null;
+        suggestedMarkers = [];
+      };
+
+      /**
+      * Load the editor of the reviewers. It is never shared with the other peers.
+      */
+      $scope.suggestionAceLoaded = function (_editor) {
+        suggestionEditor = _editor;
+        _editor.setOptions({
+          enableBasicAutocompletion: true,
+          enableSnippets: true
+        });
+        _editor.completers[1] = texCompleter;
+        _editor.on('change', function () {
+          clearTimeout(suggestionTimeout);
+          suggestionTimeout = setTimeout(function () {
+            if(suggestionEditor == _editor) computeSuggestedChanges();
+          }, 300);
+        });
+        $q.when($scope.synchronizedFiles.length > 0 || getSynchronizedFiles()).then(function () {
+          $scope.suggestedFile = null;
+          $scope.suggestFile($scope.currentFile.title != null ? $scope.currentFile : $scope.synchronizedFiles[0]);
+        });
+      };
+
+      /**
+      * Send each change as a thread suggesting to replace a range of the file
+      */
+      $scope.submitSuggestions = function () {
+        var file = $scope.suggestedFile;
+        var promises = [];
+        for (var i = 0; i < $scope.suggestedChanges.length; i++) {
+          var change = $scope.suggestedChanges[i];
+          var anchor = { file: file.title, start: change.start, end: change.end, quote: change.quote };
+          promises.push(PaperService.createCommentThread($scope.paperId, anchor, null, change.text));
+        }
+        $q.all(promises).then(function (threads) {
+          $scope.commentThreads = $scope.commentThreads.concat(threads);
+          $scope.listType = 'comments';
+          $scope.suggestedChanges = [];
+          // start again from the saved file, the changes are now in the comment panel
+          $scope.suggestFile(file);
+        }, commentError);
+      };
+
+      $scope.discardSuggestions = function () {
+        if(!discardSuggestedChanges()) return;
+        $scope.suggestedChanges = [];
+        $scope.suggestFile($scope.suggestedFile);
+      };
+
+      // the reviewers do not synchronize the files and do not send messages,
+      // so nobody is notified of their new comments
+      var commentsInterval = setInterval(getComments, 30000);
+
+      /********/
+      /* Chat */
+      /********/
+      // the messages of the chat, the oldest first
+      $scope.chatMessages = [];
+      $scope.chat = { text: '' };
+      // the messages received while the chat panel was closed
+      $scope.chatUnread = 0;
+      $scope.chatMentioned = false;
+      // a line of a synchronized file (`main.tex:12`) or a mentioned user (`@name`)
+      var chatTokens = /([\w\-\/]+\.(?:tex|bib)):(\d+)|@([\w\-]+(?:\.[\w\-]+)*)/g;
+
+      /**
+      * Split the text of a message into the parts to display:
+      * plain text, links to a file line and mentions
+      */
+      var parseChatMessage = function (message) {
+        var parts = [];
+        var last = 0;
+        var match;
+        chatTokens.lastIndex = 0;
+        while((match = chatTokens.exec(message.text)) != null) {
+          if(match.index > last) {
+            parts.push({ text: message.text.substring(last, match.index) });
+          }
+          if(match[1]) {
+            parts.push({ text: match[0], file: match[1], line: parseInt(match[2]) });
+          } else {
+            parts.push({ text: match[0], mention: getUserStyle(match[3]), me: match[3] == $rootScope.loggedUser.name });
+          }
+          last = chatTokens.lastIndex;
+        }
+        if(last < message.text.length) {
+          parts.push({ text: message.text.substring(last) });
+        }
+        message.parts = parts;
+        message.style = getUserStyle(message.author);
+        message.mentionsMe = parts.some(function (part) {
+          return part.me;
+        });
+        return message;
+      };
+
+      var getChat = function () {
+        return PaperService.getChat($scope.paperId).then(function (messages) {
+          $scope.chatMessages = messages.map(parseChatMessage);
+        }, function (err) {
+          MessagesService.clear();
+          switch (err.status) {
+          case 401:
+            MessagesService.error('_Get_chat_Not_connected_',err);
+            break;
+          default:
+            MessagesService.error('_Get_chat_Something_wrong_happened_',err);
+          }
+        });
+      };
+
+      /**
+      * Add a message to the chat, counting it as unread if the chat is closed
+      */
+      var receiveChatMessage = function (message) {
+        for (var i = 0; i < $scope.chatMessages.length; i++) {
+          if($scope.chatMessages[i].id == message.id) return;
+        }
+        $scope.chatMessages.push(parseChatMessage(message));
+        if($scope.listType != 'chat' && message.author != $rootScope.loggedUser.name) {
+          $scope.chatUnread++;
+          $scope.chatMentioned = $scope.chatMentioned || message.mentionsMe;
+        }
+        $scope.$$phase || $scope.$apply();
+      };
+
+      /**
+      * Save the message in the history and send it to the other peers
+      */
+      $scope.sendChatMessage = function () {
+        if(!$scope.chat.text || !$scope.chat.text.trim()) return;
+        PaperService.postChatMessage($scope.paperId, $scope.chat.text).then(function (message) {
+          $scope.chat.text = '';
+          receiveChatMessage(message);
+          AceMobWriteClient.message({ type: 'chat', 'user': $rootScope.loggedUser.name, message: message });
+        }, function (err) {
+          MessagesService.clear();
+          switch (err.status) {
+          case 401:
+            MessagesService.error('_Send_chat_Not_connected_',err);
+            break;
+          case 403:
+            MessagesService.error('_Send_chat_Not_allowed_',err);
+            break;
+          default:
+            MessagesService.error('_Send_chat_Something_wrong_happened_',err);
+          }
+        });
+      };
+
+      $scope.chatKeyDown = function ($event) {
+        // Shift-Enter for a new line
+        if($event.keyCode == 13 && !$event.shiftKey) {
+          $event.preventDefault();
+          $scope.sendChatMessage();
+        }
+      };
+
+      $scope.openChatLink = function (part) {
+        if($scope.currentFile.title == part.file) {
+          $scope.goToLine(part.line);
+        } else {
+          $scope.changeFileFromName(part.file, part.line);
+        }
+      };
+
+      $scope.$watch('listType', function (value) {
+        if(value != 'chat') return;
+        $scope.chatUnread = 0;
+        $scope.chatMentioned = false;
+      });
+
+      /***********/
+      /* History */
+      /***********/
+      // the saved revisions of the file selected in the history panel, the most recent first,
+      // and the revision compared to the current text of the file
+      $scope.history = {
+        file: null,
+        revisions: [],
+        comparison: null
+      };
+
+      var historyError = function (err) {
+        MessagesService.clear();
+        switch (err.status) {
+        case 401:
+          MessagesService.error('_History_Not_connected_',err);
+          break;
+        case 404:
+          MessagesService.error('_History_File_not_found_',err);
+          break;
+        default:
+          MessagesService.error('_History_Something_wrong_happened_',err);
+        }
+      };
+
+      /**
+      * Load the revisions of a file
+      */
+      $scope.showHistory = function (file) {
+        if(file == null) return;
+        $scope.history.file = file;
+        $scope.history.revisions = [];
+        $scope.history.comparison = null;
+        PaperService.getFileRevisions($scope.paperId, file.title).then(function (revisions) {
+          $scope.history.revisions = revisions;
+        }, historyError);
+      };
+
+      /**
+      * Compare a revision of the selected file with its current text
+      */
+      $scope.compareRevision = function (revision) {
+        var file = $scope.history.file.title;
+        PaperService.getFileRevision($scope.paperId, file, revision.id).then(function (text) {
+          var current = AceService.getFileSession($scope.paperId, file).getValue();
+          $scope.history.comparison = angular.extend({ file: file, revision: revision, text: text }, DiffService.sideBySide(text, current));
+        }, historyError);
+      };
+
+      $scope.closeComparison = function () {
+        $scope.history.comparison = null;
+      };
+
+      /**
+      * Restore the compared revision of the file
+      */
+      $scope.restoreRevision = function () {
+        var comparison = $scope.history.comparison;
+        var date = new Date(comparison.revision.date).toLocaleString();
+        if(!confirm(localize.getLocalizedString('_Restore_file_confirm_', comparison.file, date))) return;
+        // the server replaces the text in the synchronization session and records the current one,
+        // every peer then gets the restored text like any other edit
+        PaperService.restoreFileRevision($scope.paperId, comparison.file, comparison.revision.id).then(function () {
+          $scope.history.comparison = null;
+          $scope.showHistory($scope.history.file);
+        }, historyError);
+      };
+
+      /**
+      * Restore every file to its last revision saved at the date of the given one.
+      * The files that did not exist yet are kept as is.
+      */
+      $scope.restorePaper = function (revision) {
+        var date = new Date(revision.date);
+        if(!confirm(localize.getLocalizedString('_Restore_paper_confirm_', date.toLocaleString()))) return;
+        var promises = $scope.synchronizedFiles.map(function (file) {
+          return PaperService.getFileRevisions($scope.paperId, file.title).then(function (revisions) {
+            for (var i = 0; i < revisions.length; i++) {
+              if(new Date(revisions[i].date).getTime() <= date.getTime()) {
+                return { file: file.title, revision: revisions[i].id };
+              }
+            }
+            return null;
+          });
+        });
+        // the files are only modified once every revision was found
+        $q.all(promises).then(function (restored) {
+          return $q.all(restored.filter(function (r) { return r != null; }).map(function (r) {
+            return PaperService.restoreFileRevision($scope.paperId, r.file, r.revision);
+          }));
+        }).then(function () {
+          $scope.history.comparison = null;
+          $scope.showHistory($scope.history.file);
+        }, historyError);
+      };
+
+      $scope.$watch('listType', function (value) {
+        if(value != 'history') return;
+        $scope.showHistory($scope.currentFile.title != null ? $scope.currentFile : $scope.synchronizedFiles[0]);
+      });
+
+      /**
+      * Update the table of contents of the whole paper
+      */
+      var updateTOC = function () {
+        $scope.toc = LatexService.parseProjectTOC(AceService.getFileContents($scope.paperId), $scope.mainFile());
+        $scope.$$phase || $scope.$apply();
+      };
+
+      // the table of contents follows the changes of every file, local or remote
+      var tocTimeout = null;
+      var fileChangeCallback = function (paperId, file) {
+        if(paperId != $scope.paperId) return;
+        clearTimeout(tocTimeout);
+        tocTimeout = setTimeout(updateTOC, 500);
+        updateFileComments(file);
+      };
+      AceService.registerFileChangeCallback(fileChangeCallback);
+
+      /**
+      * Go to a line of a file
+      */
+      $scope.goToFileLine = function (filename, line) {
+        if($scope.currentFile.title == filename) {
+          $scope.goToLine(line);
+        } else {
+          $scope.changeFileFromName(filename, line);
+        }
+      };
+
+      var cursorMessage = function () {
+        return {
+          type: 'cursor',
+          'user': $rootScope.loggedUser.name,
+          email: $rootScope.loggedUser.email,
+          color: $rootScope.loggedUser.color,
+          idle: PresenceService.isIdle(pageActive),
+          files: PaneService.getDisplayedFiles()
+        };
+      };
+
+      // the other peers are told regularly that this one is still here
+      PresenceService.start(function () {
+        broadcastCursors();
+        displayCursors();
+        $scope.$$phase || $scope.$apply();
+      });
+
+      /**
+      * Send the cursor of every pane to the other peers
+      */
+      var broadcastCursors = function () {
+        var files = PaneService.getDisplayedFiles();
+        for (var i = 0; i < files.length; i++) {
+          AceMobWriteClient.message(cursorMessage(), files[i]);
         }
       };
 
@@ -202,12 +1166,19 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       * Get the number of page of the paper
       */
       var getPages = function () {
-        PaperService.getPages($scope.paperId).then(function (data) {
-          $scope.totalPage = data.response;
+        // the preview is laid out once both are known so that it does not move
+        var dimensions = PaperService.getPageDimensions($scope.paperId).then(null, function (err) {
+          return [];
+        });
+        $q.all([PaperService.getPages($scope.paperId), dimensions]).then(function (data) {
+          $scope.totalPage = data[0].response;
+          $scope.pageDimensions = data[1];
           if($scope.currentPage == 0) {
             $scope.currentPage = 1;
             $scope.linePage = 1;
             $scope.page = 1;
+          } else if($scope.currentPage > $scope.totalPage) {
+            $scope.currentPage = Math.max($scope.totalPage, 1);
           }
         });
       };
@@ -219,29 +1190,169 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       * Download the log file
       */
       var getLog = function () {
-        PaperService.getLog($scope.paperId).then(function (data) {
-          $scope.logs = LatexParser.parse(data,{});
+        $q.all([PaperService.getLog($scope.paperId), LatexService.getPackages()]).then(function (results) {
+          $scope.logs = LatexParser.parse(results[0],{});
+          ProblemsService.read($scope.logs.all || [], function (entry) {
+            return QuickFixService.suggest(entry, results[1]);
+          });
           displayAnnotation();
         });
+        getBuildSteps();
       };
+
+      // the programs run during the last build, and the output of the selected one
+      $scope.buildSteps = {
+        list: [],
+        selected: null,
+        output: null
+      };
+
+      var getBuildSteps = function () {
+        PaperService.getBuildSteps($scope.paperId).then(function (steps) {
+          $scope.buildSteps.list = steps;
+          if($scope.buildSteps.selected) {
+            showBuildStep($scope.buildSteps.selected);
+          }
+        });
+      };
+
+      var showBuildStep = function (program) {
+        $scope.buildSteps.selected = program;
+        PaperService.getBuildStepLog($scope.paperId, program).then(function (output) {
+          $scope.buildSteps.output = output;
+        }, function () {
+          $scope.buildSteps.selected = null;
+          $scope.buildSteps.output = null;
+        });
+      };
+
+      /**
+      * Show or hide the output of a program run during the last build
+      */
+      $scope.toggleBuildStep = function (step) {
+        if($scope.buildSteps.selected == step.name) {
+          $scope.buildSteps.selected = null;
+          $scope.buildSteps.output = null;
+        } else {
+          showBuildStep(step.name);
+        }
+      };
+
+      // the problems panel, its filters, grouping and dock are kept between sessions
+      $scope.problems = ProblemsService.reset();
+      $scope.toggleProblemFilter = ProblemsService.toggleFilter;
+      $scope.toggleProblemGrouping = ProblemsService.toggleGrouping;
+      $scope.toggleProblemContext = ProblemsService.toggleContext;
+
+      /**
+      * Open the problems panel where it is docked
+      */
+      $scope.showProblems = function () {
+        if($scope.problems.dock == 'left') {
+          $scope.listType = 'problems';
+        } else {
+          $scope.problems.visible = true;
+        }
+      };
+
+      $scope.closeProblems = function () {
+        if($scope.problems.dock == 'left') {
+          $scope.listType = null;
+        } else {
+          $scope.problems.visible = false;
+        }
+      };
+
+      /**
+      * Move the problems panel between the side list and the bottom of the editor
+      */
+      $scope.toggleProblemsDock = function () {
+        $scope.closeProblems();
+        ProblemsService.toggleDock();
+        $scope.showProblems();
+      };
+
+      // the side list entry opens the panel at the bottom when it is docked there
+      $scope.$watch('listType', function (value) {
+        if(value != 'problems' || $scope.problems.dock == 'left') return;
+        $scope.listType = null;
+        $scope.problems.visible = true;
+      });
+
+      /**
+      * Go to the source of a problem
+      */
+      $scope.goToProblem = function (entry) {
+        if(!entry.file) return;
+        if($scope.currentFile.title == entry.file) {
+          if(entry.line) $scope.goToLine(entry.line);
+        } else {
+          $scope.changeFileFromName(entry.file, entry.line);
+        }
+      };
+
       /*
-      * Display compiler annotations
+      * Display compiler annotations in the session of every opened file
       */
       var displayAnnotation = function() {
-        AceService.getSession().setAnnotations([]);
-        var annotations = [];
-        if($scope.logs.all == null) return;
-        for (var i = 0; i < $scope.logs.all.length; i++) {
-          var error = $scope.logs.all[i];
-          if(error.filename != $scope.currentFile.title) continue;
-          annotations.push({
-            row: error.line - 1,
-            column: 1,
-            text: error.message,
-            type: (error.level=="error")?"error":'warning' // also warning and information
-          });
+        var fixable = localize.getLocalizedString('_Quick_fix_available_');
+        for (var i = 0; i < $scope.synchronizedFiles.length; i++) {
+          var filename = $scope.synchronizedFiles[i].title;
+          if(!AceService.hasFileSession($scope.paperId, filename)) continue;
+          var session = AceService.getFileSession($scope.paperId, filename);
+          var annotations = [];
+          for (var j = 0; j < $scope.problems.all.length; j++) {
+            var error = $scope.problems.all[j];
+            if(error.file != filename || !error.line) continue;
+            annotations.push({
+              row: error.line - 1,
+              column: 1,
+              text: error.message + (error.fixes.length > 0 ? '\n' + fixable : ''),
+              type: (error.level=="error")?"error":(error.level=="warning")?"warning":"info"
+            });
+          }
+          session.setAnnotations(annotations);
         }
-        AceService.getSession().setAnnotations(annotations);
+      };
+
+      /***************/
+      /* Quick fixes */
+      /***************/
+
+      // the fixes of a line, opened from the gutter
+      $scope.quickFixMenu = null;
+
+      /**
+      * Apply a fix, and show where the sources were modified
+      */
+      $scope.applyQuickFix = function (entry, fix) {
+        $scope.quickFixMenu = null;
+        var result = QuickFixService.apply({
+          id: $scope.paperId,
+          main: $scope.mainFile(),
+          files: $scope.synchronizedFiles.map(function (file) {
+            return file.title;
+          })
+        }, entry, fix);
+        if(!result) return;
+        displayAnnotation();
+        if(result !== true) $scope.goToProblem(result);
+      };
+
+      /**
+      * Open the fixes of the problems on a line of a file
+      */
+      var openQuickFixMenu = function (file, row) {
+        var entries = $scope.problems.all.filter(function (entry) {
+          return entry.file == file && entry.line == row + 1 && entry.fixes.length > 0;
+        });
+        if(entries.length == 0) return false;
+        $scope.quickFixMenu = { file: file, line: row + 1, entries: entries };
+        return true;
+      };
+
+      $scope.closeQuickFixMenu = function () {
+        $scope.quickFixMenu = null;
       };
 
       /**
@@ -250,9 +1361,12 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       var getSynchronizedFiles = function () {
         return PaperService.getSynchronized($scope.paperId).then(function (data) {
           $scope.synchronizedFiles = data;
+          // keep the opened file when the list is refreshed
+          if($scope.currentFile.title != null) return;
           for (var i = 0; i < $scope.synchronizedFiles.length; i++) {
-            if($scope.synchronizedFiles[i].title == "main.tex") {
+            if($scope.synchronizedFiles[i].title == $scope.mainFile()) {
               $scope.currentFile = $scope.synchronizedFiles[i];
+              PaneService.setFile($scope.currentFile);
               break;
             }
           }
@@ -276,22 +1390,34 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       $scope.newFile = function(filename) {
         PaperService.newSynchronizedFile($rootScope.loggedUser, $scope.paperId, filename).then(function() {
           $scope.new_file_name = '';
-          getSynchronizedFiles();
+          getSynchronizedFiles().then(function () {
+            shareSynchronizedFiles();
+          });
           getResources();
           $scope.resources = [];
-          $scope.synchronizedFiles = [];
         });
       };
 
       $scope.removeSynchronisedFile = function(file) {
         if(!confirm(localize.getLocalizedString('_Delete_synchronized_file_confirm_', file.title))) return;
-        if(file == $scope.currentFile) {
-          MobWriteService.unshare({paper_id: $scope.paperId,file:$scope.currentFile.title});
+        // a deleted file cannot stay in a pane
+        if(PaneService.getPaneOfFile(file.title) != null && PaneService.isSplitMode()) {
+          $scope.closeSplitMode();
         }
+        var reopen = file.title == $scope.currentFile.title;
+        MobWriteService.unshare({paper_id: $scope.paperId,file:file.title});
         PaperService.deleteSynchronizedFile($rootScope.loggedUser, $scope.paperId, file.title).then(function() {
+          if(reopen) {
+            $scope.currentFile = {};
+            PaneService.setFile($scope.currentFile);
+          }
+          AceService.removeFileSession($scope.paperId, file.title);
           $scope.synchronizedFiles = [];
           getSynchronizedFiles().then(function(){
-            initMobWrite();
+            shareSynchronizedFiles();
+            if(reopen) {
+              initMobWrite();
+            }
           });
         });
       };
@@ -452,7 +1578,7 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       * Get the paper compiler info
       */
       var getCompilerInfo = function() {
-        PaperService.getPaperCompiler($scope.paperId).then(function (data) {
+        return PaperService.getPaperCompiler($scope.paperId).then(function (data) {
           $scope.compiler = data;
           $scope.newcompiler = JSON.parse(JSON.stringify(data));
         }, function (error) {
@@ -460,15 +1586,48 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
           MessagesService.error('_Get_compiler_Unable_to_get_compiler_info_');
         });
       }; 
+      /*
+      * The root document compiled for the paper
+      */
+      $scope.mainFile = function () {
+        return ($scope.compiler && $scope.compiler.main) || 'main.tex';
+      };
+
+      /*
+      * The synchronized files that can be chosen as root document
+      * instead of the default main file
+      */
+      $scope.texFiles = function () {
+        return ($scope.synchronizedFiles || []).filter(function (file) {
+          return /\.tex$/.test(file.title) && file.title != 'main.tex';
+        });
+      };
+
       /*
       * Modify compiler options
       */
       $scope.modifyCompiler = function () {
+        // the build pipeline settings are optional
+        var pipelineChanged = ['main', 'bibliography', 'index', 'reruns', 'latexmk'].some(function (setting) {
+          var before = $scope.compiler[setting] == null ? null : $scope.compiler[setting];
+          var after = $scope.newcompiler[setting] == null ? null : $scope.newcompiler[setting];
+          return before !== after;
+        });
         if($scope.compiler.interval != $scope.newcompiler.interval || 
            $scope.compiler.synctex != $scope.newcompiler.synctex || 
+           pipelineChanged ||
            $scope.compiler.compiler != $scope.newcompiler.compiler) {
           PaperService.editPaperCompiler($scope.paperId, $scope.newcompiler, $scope.compiler).then(function () {
-            getCompilerInfo();
+            // the table of contents starts from the root document
+            getCompilerInfo().then(updateTOC);
+          }, function (err) {
+            MessagesService.clear();
+            if(err.data && err.data.name == 'invalid_main_file') {
+              MessagesService.error('_Invalid_main_file_',err);
+            } else if(err.data && err.data.name == 'invalid_pipeline') {
+              MessagesService.error('_Invalid_pipeline_',err);
+            }
+            $scope.newcompiler = JSON.parse(JSON.stringify($scope.compiler));
           });
         } 
       };
@@ -481,40 +1640,90 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
           MessagesService.error('_Get_compilers_Unable_to_get_compiler_list_');
         });
       };
-      getCompilers();
+      getCompilers();
+
+      /**************/
+      /* Navigation */
+      /**************/
+
+      /*
+      * Change the file of the current pane
+      */
+      $scope.changeFile = function (file, line) {
+        var deferred = $q.defer();
+        if($scope.currentFile.title == file.title) return;
+        // a file is displayed in one pane at most, go to the pane displaying it
+        var pane = PaneService.getPaneOfFile(file.title);
+        if(pane != null) {
+          $scope.focusPane(pane);
+          if(line) {
+            $scope.goToLine(line);
+          }
+          deferred.resolve();
+          return deferred.promise;
+        }
+        $scope.currentFile = file;
+        PaneService.setFile(file);
+        initMobWrite().then(function (data) {
+          displayCursors();
+          if(line) {
+            $scope.goToLine(line);
+          }
+          deferred.resolve(data);
+        }, function(err) {
+          deferred.reject(err);
+        });
+        return deferred.promise;
+      };
+      /**
+      * Make a pane the current one
+      */
+      $scope.focusPane = function (pane) {
+        if(!PaneService.focus(pane)) return;
+        $scope.currentFile = PaneService.getFile(pane);
+        AceService.setActiveEditor(pane);
+        $scope.currentLine = parseInt(AceService.getEditor().selection.getCursor().row)+1;
+        $scope.$$phase || $scope.$apply();
+      };
 
-      /**************/
-      /* Navigation */
-      /**************/
+      /**
+      * Open a second pane next to the current one
+      */
+      $scope.openSplitMode = function () {
+        // the split pane is filled when its editor is loaded
+        PaneService.openSplitMode();
+      };
 
-      /*
-      * Change the current file
+      /**
+      * Close the second pane
       */
-      $scope.changeFile = function (file, line) {
-        var deferred = $q.defer();
-        cursorPositionFile[$scope.currentFile.title] = MobWriteService.shared[$scope.currentFile.title].captureCursor_();
-        if($scope.currentFile == file) return;
-        MobWriteService.unshare({paper_id: $scope.paperId,file:$scope.currentFile.title}).then(function(data) {
-          $scope.currentFile = file;
-          $scope.content = '';
-          AceService.setContent($scope.content);
-          AceService.getEditor().focus();
-          displayCursors();
-          initMobWrite().then(function (data) {
-            if(line) {
-              $scope.goToLine(line);
-            } else if(cursorPositionFile[file.title] != null) {
-              MobWriteService.shared[$scope.currentFile.title].restoreCursor_(cursorPositionFile[file.title]);
+      $scope.closeSplitMode = function () {
+        if(!PaneService.isSplitMode()) return;
+        $scope.focusPane('main');
+        PaneService.closeSplitMode();
+        AceService.removeEditor('split');
+        resizeEditors();
+      };
+
+      $scope.toggleSplitMode = function () {
+        if(PaneService.isSplitMode()) {
+          $scope.closeSplitMode();
+        } else {
+          $scope.openSplitMode();
+        }
+      };
+
+      // the editors have to follow the size of their pane
+      var resizeEditors = function () {
+        setTimeout(function () {
+          for(var pane in PaneService.getPanes()) {
+            if(AceService.getEditor(pane)) {
+              AceService.getEditor(pane).resize();
             }
-            deferred.resolve(data);
-          }, function(err) {
-            deferred.reject(err);
-          });
-        }, function(err) {
-          deferred.reject(err);
+          }
         });
-        return deferred.promise;
       };
+
       /**
       * Change the current file with the name of the file
       */
@@ -576,9 +1785,12 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
             pageActive = true;
             $scope.compile();
           }
+          PresenceService.activity();
         } else {
           pageActive = false;
         }
+        // let the other peers know whether the user is idle
+        broadcastCursors();
       };
       WindowActiveService.registerObserverCallback(windowStatusCallback);
 
@@ -602,12 +1814,126 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       
       getPages();
       parsePDF();
+      getComments();
+
+      /**********************/
+      /* Compilation status */
+      /**********************/
+
+      // progress of the current or last compilation
+      $scope.compilation = { status: 'idle' };
+
+      var updateCompilationStatus = function () {
+        return PaperService.getCompilationStatus($scope.paperId).then(function (progress) {
+          $scope.compilation = progress;
+        });
+      };
+
+      /**
+      * Poll the compilation status as long as a compilation is awaited
+      */
+      var statusPolling = false;
+      var pollCompilationStatus = function () {
+        statusPolling = true;
+        updateCompilationStatus().finally(function () {
+          if(compileActive) {
+            setTimeout(pollCompilationStatus, 1000);
+          } else {
+            statusPolling = false;
+          }
+        });
+      };
+
+      /**
+      * Kill the running compilation
+      */
+      $scope.cancelCompilation = function () {
+        PaperService.cancelCompilation($scope.paperId).then(function () {
+          updateCompilationStatus();
+        }, function (err) {
+          MessagesService.clear();
+          switch (err.status) {
+          // the compilation ended in the meantime
+          case 404:
+            break;
+          case 401:
+            MessagesService.error('_Not_connected_',err);
+            break;
+          default:
+            MessagesService.error('_Cancel_compilation_Something_wrong_happened_',err);
+          }
+        });
+      };
+
+      /***********************/
+      /* Compilation history */
+      /***********************/
+
+      $scope.compilations = {
+        list: [],
+        // the older compilation displayed next to the current preview
+        selected: null
+      };
+
+      var updateCompilations = function () {
+        return PaperService.getCompilations($scope.paperId).then(function (list) {
+          $scope.compilations.list = list;
+          // the displayed compilation may have been removed from the history
+          if($scope.compilations.selected) {
+            $scope.compilations.selected = list.filter(function (compilation) {
+              return compilation.id == $scope.compilations.selected.id;
+            })[0] || null;
+          }
+        });
+      };
+
+      /**
+      * Label of a compilation in the history dropdown
+      */
+      $scope.compilationLabel = function (compilation) {
+        return new Date(compilation.date).toLocaleString() + ' (' +
+          localize.getLocalizedString('_Compilation_trigger_' + compilation.trigger + '_') + ') - ' +
+          localize.getLocalizedString('_Compilation_counts_', compilation.errors || 0, compilation.warnings || 0);
+      };
+
+      $scope.compilationPDFUrl = function (compilation) {
+        return PaperService.getCompilationPDFUrl($scope.paperId, compilation.id);
+      };
+
+      $scope.compilationLogUrl = function (compilation) {
+        return PaperService.getCompilationLogUrl($scope.paperId, compilation.id);
+      };
+
+      $scope.closeCompilation = function () {
+        $scope.compilations.selected = null;
+      };
+
+      /*****************************/
+      /* Partial chapter compiling */
+      /*****************************/
+
+      $scope.chapterMode = ChapterModeService.state;
+
+      // the chapter typeset in the current preview if it is partial
+      $scope.partialPreview = null;
+
+      $scope.toggleChapterMode = ChapterModeService.save;
+
+      /**
+      * Compile the whole paper again after partial compilations
+      */
+      $scope.fullRebuild = function () {
+        $scope.compile('manual');
+      };
 
       /**
       * Compile the paper
+      * the trigger tells the server whether the compilation was explicitly asked for,
+      * the root document, if given, is compiled instead of the main file
+      * and only the chapter is typeset, if given
       */
       var compileActive = false;
-      $scope.compile = function () {
+      $scope.compile = function (trigger, root, chapter) {
         var deferred = $q.defer();
         if(!pageActive){
           deferred.reject("page active");
@@ -618,10 +1944,14 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
           return deferred.promise;
         }
         compileActive = true;
-        PaperService.subscribePaperCompiler($scope.paperId).then(function (data) {
+        if(!statusPolling) pollCompilationStatus();
+        PaperService.subscribePaperCompiler($scope.paperId, trigger, root, chapter).then(function (data) {
           compileActive = false;
+          updateCompilationStatus();
+          updateCompilations();
           getLog();
           if(data.response == true) {
+            $scope.partialPreview = chapter || null;
             $scope.revision++;
             parsePDF();
             getSyncTex();
@@ -634,6 +1964,8 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
         }, function (err) {
           deferred.reject(err);
           compileActive = false;
+          updateCompilationStatus();
+          if(err.status != 304) updateCompilations();
           switch (err.status) {
           // no change
           case 304:
@@ -648,6 +1980,9 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
           // other bugs
           default:
             getLog();
+            if(err.data && err.data.name == 'compilation_timeout') {
+              MessagesService.error('_Compilation_timeout_',err);
+            }
             if(config.compilation_type === 'background') {
               setTimeout(function() {
                 $scope.compile();
@@ -712,10 +2047,16 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       var texCmds = null;
       var texCompleter = {
         getCompletions: function(editor, session, pos, prefix, callback) {
+          // the commands and labels of every file of the paper
+          var contents = AceService.getFileContents($scope.paperId);
+          var content = '';
+          for(var file in contents) {
+            content += contents[file] + '\n';
+          }
           // list all commands created by the user
-          var usrCommands = LatexService.parseCommands(AceService.getContent());
+          var usrCommands = LatexService.parseCommands(content);
           // list all labels used by the user
-          var labels = LatexService.parseLabels(AceService.getContent());
+          var labels = LatexService.parseLabels(content);
           usrCommands = usrCommands.concat(labels);
 
           if(texCmds == null ){
@@ -748,43 +2089,217 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       };
 
 
+      /*******************/
+      /* Snippet preview */
+      /*******************/
+      // the snippet rendered alone in a popover, its range follows the edits of its document
+      $scope.snippetPreview = null;
+      var snippetTimeout = null;
+
+      var renderSnippet = function () {
+        var Range = ace.require('ace/range').Range;
+        var snippet = $scope.snippetPreview;
+        // one rendering at a time, the edits made meanwhile are rendered once it is done
+        if(snippet.loading) {
+          snippet.pending = true;
+          return;
+        }
+        snippet.pending = false;
+        var text = snippet.doc.getTextRange(new Range(snippet.start.row, snippet.start.column, snippet.end.row, snippet.end.column));
+        snippet.loading = true;
+        PaperService.previewSnippet($scope.paperId, text).then(function (url) {
+          if($scope.snippetPreview != snippet) return URL.revokeObjectURL(url);
+          if(snippet.image) URL.revokeObjectURL(snippet.image);
+          snippet.image = url;
+          snippet.error = null;
+        }, function (err) {
+          if($scope.snippetPreview != snippet) return;
+          snippet.error = err.data != null && err.data.name == 'snippet_error' ? err.data.description : null;
+          switch (err.status) {
+            case 400:
+              if(snippet.error == null) snippet.error = localize.getLocalizedString('_Snippet_invalid_');
+              break;
+            case 401:
+              MessagesService.error('_Not_connected_', err);
+              break;
+            default:
+              snippet.error = localize.getLocalizedString('_Snippet_unable_to_render_');
+          }
+        }).finally(function () {
+          snippet.loading = false;
+          if(snippet.pending && $scope.snippetPreview == snippet) {
+            clearTimeout(snippetTimeout);
+            snippetTimeout = setTimeout(function () {
+              if($scope.snippetPreview != snippet) return;
+              renderSnippet();
+              $scope.$$phase || $scope.$apply();
+            }, 800);
+          }
+        });
+      };
+
+      /**
+      * Render the selected text alone, or the environment containing the cursor
+      * if nothing is selected, and render it again as it is edited
+      */
+      $scope.previewSnippet = function () {
+        var editor = AceService.getEditor();
+        var range = editor.getSelectionRange();
+        if(range.isEmpty()) {
+          var cursor = editor.selection.getCursor();
+          range = LatexService.environmentAt(editor.getSession().getDocument().getAllLines(), cursor.row, cursor.column);
+        }
+        if(range == null) {
+          MessagesService.clear();
+          MessagesService.warning('_Snippet_no_environment_');
+          return;
+        }
+        $scope.closeSnippetPreview();
+        var doc = editor.getSession().getDocument();
+        var snippet = {
+          file: $scope.currentFile.title,
+          doc: doc,
+          start: doc.createAnchor(range.start),
+          end: doc.createAnchor(range.end),
+          image: null,
+          error: null,
+          loading: false
+        };
+        // wait for a pause in the edits of the snippet before rendering it again
+        snippet.onChange = function (e) {
+          var changed = e.data ? e.data.range : e;
+          if(changed.end.row < snippet.start.row || changed.start.row > snippet.end.row) return;
+          clearTimeout(snippetTimeout);
+          snippetTimeout = setTimeout(function () {
+            if($scope.snippetPreview != snippet) return;
+            renderSnippet();
+            $scope.$$phase || $scope.$apply();
+          }, 800);
+        };
+        doc.on('change', snippet.onChange);
+        $scope.snippetPreview = snippet;
+        renderSnippet();
+        $scope.$$phase || $scope.$apply();
+      };
+
+      $scope.closeSnippetPreview = function () {
+        var snippet = $scope.snippetPreview;
+        if(snippet == null) return;
+        clearTimeout(snippetTimeout);
+        snippet.doc.removeListener('change', snippet.onChange);
+        snippet.start.detach();
+        snippet.end.detach();
+        if(snippet.image) URL.revokeObjectURL(snippet.image);
+        $scope.snippetPreview = null;
+      };
+
+      /**
+      * Add the paper features to the editor of a pane
+      */
+      var initEditor = function (_editor, pane) {
+        _editor.commands.addCommand({
+            name: "compile",
+            bindKey: {win: "Ctrl-S", mac: "Command-S"},
+            exec: function(editor) {
+              $scope.compileInProgress = true;
+              $scope.$$phase || $scope.$apply();
+              MobWriteService.synchronize().then(function() {
+                $scope.logs = [];
+                // a chapter file may declare the root document to compile
+                var root = LatexService.texRoot(editor.getValue(), $scope.currentFile.title);
+                $scope.compile('manual', root, ChapterModeService.chapterOf($scope.currentFile.title, root || $scope.mainFile())).finally(function() {
+                  $scope.compileInProgress = false;
+                  $scope.$$phase || $scope.$apply();
+                });
+              });
+            }
+        });
+        // the editor drives the preview when the scrolls are locked,
+        // and the indicators of the off-screen cursors follow the scroll
+        var onEditorScroll = function () {
+          if(PaneService.isActivePane(pane)) editorScrolled(_editor);
+          scheduleOffscreenCursors();
+        };
+        _editor.getSession().on("changeScrollTop", onEditorScroll);
+        _editor.on("changeSession", function (e) {
+          if(e.oldSession) e.oldSession.removeListener("changeScrollTop", onEditorScroll);
+          e.session.on("changeScrollTop", onEditorScroll);
+          scheduleOffscreenCursors();
+        });
+        // listen on the editor as the selection changes with the session
+        _editor.on("changeSelection", function(){
+          var file = PaneService.getFile(pane);
+          if(file == null || file.title == null) return;
+          PresenceService.activity();
+          AceMobWriteClient.message(cursorMessage(), file.title);
+          if(!PaneService.isActivePane(pane)) return;
+          // the preview jumps to the page of the cursor, which must not move the editor back
+          if($scope.scrollLock.locked) ScrollSyncService.lead('editor');
+          $scope.currentLine = parseInt(_editor.selection.getCursor().row)+1;
+          $rootScope.$$phase || $rootScope.$apply();
+          if(!$scope.synctex) return;
+          if(!$scope.synctex.blockNumberLine[$scope.currentFile.title]) return;
+          if(!$scope.synctex.blockNumberLine[$scope.currentFile.title][$scope.currentLine]) return;
+          var pages = Object.keys($scope.synctex.blockNumberLine[$scope.currentFile.title][$scope.currentLine]);
+          if(pages.length < 1) return;
+          $scope.linePage = pages[0];
+        });
+        _editor.commands.addCommand({
+            name: "comment",
+            bindKey: {win: "Ctrl-Alt-M", mac: "Command-Alt-M"},
+            exec: function(editor) {
+              $scope.commentSelection();
+            }
+        });
+        _editor.commands.addCommand({
+            name: "previewSnippet",
+            bindKey: {win: "Ctrl-Alt-P", mac: "Command-Alt-P"},
+            exec: function(editor) {
+              $scope.previewSnippet();
+            }
+        });
+        // open the threads of a line from its gutter marker
+        _editor.on("guttermousedown", function (e) {
+          var file = PaneService.getFile(pane);
+          if(file == null || commentMarkers[file.title] == null) return;
+          var row = e.getDocumentPosition().row;
+          var markers = commentMarkers[file.title];
+          for (var i = 0; i < markers.length; i++) {
+            if(markers[i].row == row && !markers[i].thread.resolved) {
+              $scope.selectThread(markers[i].thread);
+              $scope.$$phase || $scope.$apply();
+              return e.stop();
+            }
+          }
+        });
+        // open the fixes of the problems of a line from its annotation
+        _editor.on("guttermousedown", function (e) {
+          var file = PaneService.getFile(pane);
+          if(file == null || file.title == null) return;
+          if(!openQuickFixMenu(file.title, e.getDocumentPosition().row)) return;
+          $scope.$$phase || $scope.$apply();
+          return e.stop();
+        });
+        _editor.setOptions({
+            enableBasicAutocompletion: true,
+            enableSnippets: true
+        });
+        // enable autocompletation
+        _editor.completers[1] = texCompleter;
+        _editor.on("focus", function () {
+          $scope.focusPane(pane);
+        });
+        _editor.on("change", function () {
+          displayCursors();
+        });
+      };
+
       /**
       * Load ACE editor
       */
       $scope.aceLoaded = function (_editor) {
         AceService.aceLoaded(_editor, function () {
-          _editor.commands.addCommand({
-              name: "compile",
-              bindKey: {win: "Ctrl-S", mac: "Command-S"},
-              exec: function(editor) {
-                $scope.compileInProgress = true;
-                $scope.$$phase || $scope.$apply();
-                MobWriteService.synchronize().then(function() {
-                  $scope.logs = [];
-                  $scope.compile().finally(function() {
-                    $scope.compileInProgress = false;
-                    $scope.$$phase || $scope.$apply();
-                  });
-                });
-              }
-          });
-          AceService.getEditor().selection.on("changeCursor", function(){
-            AceMobWriteClient.message({ type: 'cursor', 'user': $rootScope.loggedUser.name });
-            $scope.currentLine = parseInt(_editor.selection.getCursor().row)+1;
-            $rootScope.$$phase || $rootScope.$apply();
-            if(!$scope.synctex) return;
-            if(!$scope.synctex.blockNumberLine[$scope.currentFile.title]) return;
-            if(!$scope.synctex.blockNumberLine[$scope.currentFile.title][$scope.currentLine]) return;
-            var pages = Object.keys($scope.synctex.blockNumberLine[$scope.currentFile.title][$scope.currentLine]);
-            if(pages.length < 1) return;
-            $scope.linePage = pages[0];
-          });
-          AceService.getEditor().setOptions({
-              enableBasicAutocompletion: true,
-              enableSnippets: true
-          });
-          // enable autocompletation
-          _editor.completers[1] = texCompleter;
+          initEditor(_editor, 'main');
           var promiseJoin = PaperService.joinPaper($scope.paperId,peerId).then(function () {
             $scope.compile();
           });
@@ -793,6 +2308,7 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
             getSynchronizedFiles(),
             promiseJoin
           ]).then(function () {
+            shareSynchronizedFiles();
             initMobWrite();
           });
           getSyncTex();
@@ -804,12 +2320,32 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
             $rootScope.$$phase || $rootScope.$apply();
           },1500);
           getLog();
-          AceService.getSession().on("change", function () {
-            displayCursors();
-            $scope.toc = LatexService.parseTOC(AceService.getContent());
-          });
+          getChat();
           _editor.focus();
-        });
+        }, 'main');
+      };
+
+      /**
+      * Load the ACE editor of the split pane
+      */
+      $scope.splitAceLoaded = function (_editor) {
+        AceService.aceLoaded(_editor, function () {
+          initEditor(_editor, 'split');
+          // open the first file that is not already in the main pane
+          for (var i = 0; i < $scope.synchronizedFiles.length; i++) {
+            if($scope.synchronizedFiles[i].title != PaneService.getFile('main').title) {
+              PaneService.setFile($scope.synchronizedFiles[i], 'split');
+              break;
+            }
+          }
+          resizeEditors();
+          if(PaneService.getFile('split') == null) {
+            $scope.closeSplitMode();
+            return;
+          }
+          $scope.focusPane('split');
+          initMobWrite('split');
+        }, 'split');
       };
 
       $scope.aceChanged = function (e) {};
@@ -845,83 +2381,429 @@ angular.module('bluelatex.Paper.Controllers.LatexPaper', [
       var userStyle = document.createElement('style');
       userStyle.type = 'text/css';
       document.getElementsByTagName('head')[0].appendChild(userStyle);
+      // the colours of the users met in the paper, by name
+      var userStyles = {};
       var createUserStyle = function () {
         
         userStyle.innerHTML = '';
-        var userKeys = Object.keys($scope.connectedUsers);
-        for(var user in $scope.connectedUsers) {
-          userStyle.innerHTML += '.'+$scope.connectedUsers[user].class+'Color {color: '+$scope.connectedUsers[user].color+'!important;}';
-          userStyle.innerHTML += '.'+$scope.connectedUsers[user].class+'Bg {background-color: '+$scope.connectedUsers[user].color+'!important;}';
+        for(var user in userStyles) {
+          userStyle.innerHTML += '.'+userStyles[user].class+'Color {color: '+userStyles[user].color+'!important;}';
+          userStyle.innerHTML += '.'+userStyles[user].class+'Bg {background-color: '+userStyles[user].color+'!important;}';
+        }
+      };
+
+      /**
+      * The colour of a user, chosen in the user profile or derived from the name.
+      * The colour chosen by the user may be given, as it is sent with the cursors.
+      */
+      var getUserStyle = function (name, color) {
+        if(color == null && $rootScope.loggedUser && name == $rootScope.loggedUser.name) {
+          color = $rootScope.loggedUser.color;
+        }
+        // the colour is inserted in a style sheet
+        if(!/^#[0-9a-fA-F]{6}$/.test(color)) {
+          color = null;
+        }
+        if(!userStyles[name] || (color != null && color != userStyles[name].color)) {
+          color = color || (userStyles[name] ? userStyles[name].color : stringToColour(name));
+          var rgb = hexToRgb(color);
+          var fColor = Math.round(((rgb.r * 299) + (rgb.g * 587) + (rgb.b * 114)) /1000) > 128?'black':'white';
+          userStyles[name] = {
+            color: color,
+            name: name,
+            class: name.replace(/\./g,'').replace(/ /g,'-'),
+            forground: fColor
+          };
+          createUserStyle();
+        }
+        return userStyles[name];
+      };
+
+      // remove the marker of a peer from the session it was displayed in
+      var removeCursor = function (peer) {
+        if(peer.range != null && peer.session != null) {
+          peer.session.removeMarker(peer.range);
+          peer.session.removeMarker(peer.flag);
+        }
+        peer.range = null;
+        peer.flag = null;
+      };
+
+      /*
+      * Remove the cursors of a peer that are not in one of the given files.
+      * Returns true if the peer had cursors.
+      */
+      var removePeerCursors = function (user, from, files) {
+        var known = false;
+        for(var key in user.peer) {
+          if(user.peer[key].from != from) continue;
+          known = true;
+          if(files.indexOf(user.peer[key].file) < 0) {
+            removeCursor(user.peer[key]);
+            delete user.peer[key];
+          }
         }
+        return known;
       };
 
+      // the selections of the peers fade after a few seconds
+      var fadeDelay = 5000;
+      var fadeTimeout = null;
+
       var displayCursors = function () {
         var Range = ace.require('ace/range').Range;
+        var fadeTime = new Date(new Date().getTime() - fadeDelay);
         for(var user in $scope.connectedUsers) {
           for(var peer in $scope.connectedUsers[user].peer){
-            if($scope.connectedUsers[user].peer[peer].range) {
-              AceService.getSession().removeMarker($scope.connectedUsers[user].peer[peer].range);
-              $scope.connectedUsers[user].peer[peer].range == null;
-            }
-            var now = new Date();
-            now.setMinutes(now.getMinutes() - 1);
-            if($scope.connectedUsers[user].peer[peer].time <= now) {
+            removeCursor($scope.connectedUsers[user].peer[peer]);
+            // the peers that missed several heartbeats are gone
+            if(PresenceService.isExpired($scope.connectedUsers[user].peer[peer])) {
               delete $scope.connectedUsers[user].peer[peer];
-              if(Object.keys($scope.connectedUsers[user].peer).length == 0) {
-                delete $scope.connectedUsers[user];
-              }
               continue;
             }
-            if($scope.connectedUsers[user].peer[peer].file == $scope.currentFile.title) {
+            // the cursors are displayed in every pane showing their file
+            if(PaneService.getPaneOfFile($scope.connectedUsers[user].peer[peer].file) != null) {
               var cursor = $scope.connectedUsers[user].peer[peer].getPosition();
+              if(cursor == null) continue;
+              var session = AceService.getFileSession($scope.paperId, $scope.connectedUsers[user].peer[peer].file);
+              // the selections and the flags fade once the peer stopped moving
+              var faded = $scope.connectedUsers[user].peer[peer].time <= fadeTime ? ' faded' : '';
               var cursorClass= "ace_cursor "+$scope.connectedUsers[user].class+"Color";
               if(cursor.start.row != cursor.end.row || cursor.start.column != cursor.end.column) {
-                cursorClass= "ace_selection "+$scope.connectedUsers[user].class+"Bg";
+                cursorClass= "ace_selection remote_selection "+$scope.connectedUsers[user].class+"Bg"+faded;
               }
               var range = new Range(cursor.start.row,cursor.start.column,cursor.end.row,cursor.end.column + 1);
-              $scope.connectedUsers[user].peer[peer].range = AceService.getSession().addMarker(range, cursorClass, "line"); 
+              $scope.connectedUsers[user].peer[peer].session = session;
+              $scope.connectedUsers[user].peer[peer].range = session.addMarker(range, cursorClass, "line");
+              $scope.connectedUsers[user].peer[peer].flag = addTextBubbles(session, [{
+                position: cursor.end,
+                text: $scope.connectedUsers[user].name,
+                clazz: 'cursor_flag '+$scope.connectedUsers[user].class+'Bg '+$scope.connectedUsers[user].forground+faded
+              }]).id;
+            }
+          }
+          PresenceService.updatePresence($scope.connectedUsers, user);
+        }
+        scheduleOffscreenCursors();
+      };
+
+      /**
+      * The cursors of the peers that are above or below the visible rows of each pane,
+      * displayed at the top or at the bottom of its gutter
+      */
+      $scope.offscreenCursors = {};
+      var updateOffscreenCursors = function () {
+        var offscreen = {};
+        for(var pane in PaneService.getPanes()) {
+          var file = PaneService.getFile(pane);
+          var editor = AceService.getEditor(pane);
+          if(file == null || editor == null || !PaneService.isDisplayed(pane)) continue;
+          offscreen[pane] = { width: editor.renderer.gutterWidth, above: [], below: [] };
+          var first = editor.getFirstVisibleRow();
+          var last = editor.getLastVisibleRow();
+          for(var user in $scope.connectedUsers) {
+            for(var key in $scope.connectedUsers[user].peer) {
+              var peer = $scope.connectedUsers[user].peer[key];
+              if(peer.file != file.title) continue;
+              var cursor = peer.getPosition();
+              if(cursor == null || (cursor.end.row >= first && cursor.end.row <= last)) continue;
+              offscreen[pane][cursor.end.row < first ? 'above' : 'below'].push({
+                name: $scope.connectedUsers[user].name,
+                clazz: $scope.connectedUsers[user].class+'Bg '+$scope.connectedUsers[user].forground,
+                row: cursor.end.row
+              });
             }
           }
         }
+        if(angular.equals(offscreen, $scope.offscreenCursors)) return;
+        $scope.offscreenCursors = offscreen;
+        $scope.$$phase || $scope.$apply();
+      };
+
+      // the indicators are updated once the editors are rendered after a scroll or a cursor message
+      var offscreenTimeout = null;
+      var scheduleOffscreenCursors = function () {
+        if(offscreenTimeout != null) return;
+        offscreenTimeout = setTimeout(function () {
+          offscreenTimeout = null;
+          updateOffscreenCursors();
+        }, 100);
+      };
+
+      $scope.goToOffscreenCursor = function (pane, cursor) {
+        $scope.focusPane(pane);
+        AceService.getEditor(pane).scrollToLine(cursor.row, true, true);
+      };
+
+      /**********/
+      /* Follow */
+      /**********/
+      // the collaborator whose cursor is followed, with the preview or not
+      $scope.following = FollowService.state;
+
+      /**
+      * Show the file and the cursor of a peer of the followed collaborator,
+      * and the page of the preview containing this cursor
+      */
+      var followPeer = function (peer) {
+        var show = function () {
+          var position = peer.getPosition();
+          if(position == null || $scope.currentFile.title != peer.file) return;
+          var editor = AceService.getEditor();
+          if(!editor.isRowFullyVisible(position.start.row)) {
+            editor.scrollToLine(position.start.row, true, false);
+          }
+          if(!FollowService.state.preview || !$scope.synctex) return;
+          var lines = $scope.synctex.blockNumberLine[peer.file];
+          if(!lines || !lines[position.start.row + 1]) return;
+          var pages = Object.keys(lines[position.start.row + 1]);
+          if(pages.length > 0) $scope.changePage(pages[0]);
+        };
+        if($scope.currentFile.title == peer.file) {
+          show();
+        } else {
+          $q.when($scope.changeFileFromName(peer.file)).then(show);
+        }
+      };
+
+      $scope.followUser = function (user) {
+        FollowService.follow(user.name);
+        var peer = FollowService.lastPeer(user);
+        if(peer != null) followPeer(peer);
+      };
+
+      $scope.stopFollowing = FollowService.stop;
+
+      $scope.toggleFollow = function (user) {
+        if(FollowService.isFollowing(user.name)) {
+          FollowService.stop();
+        } else {
+          $scope.followUser(user);
+        }
+      };
+
+      $scope.toggleFollowPreview = FollowService.togglePreview;
+
+      /***************/
+      /* Scroll lock */
+      /***************/
+      $scope.scrollLock = ScrollSyncService.state;
+
+      // the space kept above the synchronized line in the preview, in px
+      var scrollMargin = 20;
+
+      /**
+      * Keep the part of the preview typeset from the first visible lines of the editor in view
+      */
+      var editorScrolled = function (editor) {
+        if(!$scope.synctex) return;
+        ScrollSyncService.scrolled('editor', function () {
+          var lines = $scope.synctex.blockNumberLine[$scope.currentFile.title];
+          var preview = document.getElementById('preview');
+          if(!lines || !preview) return;
+          for (var row = editor.getFirstVisibleRow(); row <= editor.getLastVisibleRow(); row++) {
+            if(!lines[row + 1]) continue;
+            var page = Math.min.apply(null, Object.keys(lines[row + 1]));
+            var container = preview.children[page - 1];
+            var dimension = $scope.pageDimensions[page - 1];
+            if(!container || !dimension) return;
+            var top = Math.min.apply(null, lines[row + 1][page].map(function (elem) {
+              return elem.bottom - elem.height;
+            }));
+            var box = container.getElementsByClassName('container')[0];
+            var target = container.offsetTop + box.offsetTop +
+              (top + $scope.synctex.offset.y) / dimension.height * box.offsetHeight - scrollMargin;
+            ScrollSyncService.animate(preview.scrollTop, Math.max(target, 0), function (position) {
+              preview.scrollTop = position;
+            });
+            return;
+          }
+        });
+      };
+
+      /**
+      * Show in the editor the source of the part of the preview at its top
+      */
+      var previewScrolled = function (event) {
+        if(event.target.id != 'preview' || !$scope.synctex) return;
+        ScrollSyncService.scrolled('preview', function () {
+          var preview = event.target;
+          var top = preview.scrollTop + scrollMargin;
+          for (var i = 0; i < preview.children.length; i++) {
+            var container = preview.children[i];
+            if(container.offsetTop + container.offsetHeight <= top) continue;
+            var box = container.getElementsByClassName('container')[0];
+            var dimension = $scope.pageDimensions[i];
+            if(!box || !dimension) return;
+            var height = (top - container.offsetTop - box.offsetTop) / box.offsetHeight * dimension.height - $scope.synctex.offset.y;
+            var line = ScrollSyncService.sourceLineAt($scope.synctex, $scope.currentFile.title, i + 1, height);
+            if(line == null) return;
+            var editor = AceService.getEditor();
+            var session = editor.getSession();
+            ScrollSyncService.animate(session.getScrollTop(), session.documentToScreenRow(line - 1, 0) * editor.renderer.lineHeight, function (position) {
+              session.setScrollTop(position);
+            });
+            return;
+          }
+        });
+      };
+
+      $scope.toggleScrollLock = function () {
+        if($scope.scrollLock.locked) {
+          ScrollSyncService.stop();
+        } else {
+          ScrollSyncService.start(previewScrolled);
+        }
+      };
+
+      /******************/
+      /* Preview search */
+      /******************/
+      // the text searched in the preview, its matches and the one shown with its source
+      $scope.search = PdfSearchService.reset();
+      // the document searched when the preview displays images
+      var searchedPdf = null;
+
+      var searchDocument = function () {
+        if($scope.pdf != null) return $q.when($scope.pdf);
+        if(searchedPdf == null || searchedPdf.revision != $scope.revision) {
+          var deferred = $q.defer();
+          PDFJS.getDocument($scope.pdfURL+"?"+$scope.revision).then(function (pdf) {
+            deferred.resolve(pdf);
+          }, function (error) {
+            deferred.reject(error);
+          });
+          searchedPdf = { revision: $scope.revision, promise: deferred.promise };
+        }
+        return searchedPdf.promise;
+      };
+
+      $scope.toggleSearch = PdfSearchService.toggle;
+
+      /**
+      * Search the query in the compiled paper and show the first match from the current page
+      */
+      $scope.searchPreview = function () {
+        var query = $scope.search.query;
+        if(query.trim() == '') return PdfSearchService.clear();
+        searchDocument().then(function (pdf) {
+          return PdfSearchService.search(pdf, query);
+        }).then(function (matches) {
+          if(query != $scope.search.query) return;
+          var index = PdfSearchService.found(query, matches, $scope.currentPage);
+          if(index >= 0) showMatch(index);
+        }, function (err) {
+          MessagesService.clear();
+          MessagesService.error('_Search_preview_error_', err);
+        });
+      };
+
+      /**
+      * Scroll the preview to a match
+      */
+      var showMatch = function (index) {
+        var match = PdfSearchService.select(index, $scope.synctex);
+        var preview = document.getElementById('preview');
+        var container = preview && preview.children[match.page - 1];
+        if(!container) return;
+        var box = container.getElementsByClassName('container')[0];
+        var target = container.offsetTop + box.offsetTop + match.rects[0].y * box.offsetHeight - preview.clientHeight / 3;
+        ScrollSyncService.animate(preview.scrollTop, Math.max(target, 0), function (position) {
+          preview.scrollTop = position;
+        });
+      };
+
+      $scope.nextMatch = function () {
+        var index = PdfSearchService.step(1);
+        if(index >= 0) showMatch(index);
+      };
+
+      $scope.prevMatch = function () {
+        var index = PdfSearchService.step(-1);
+        if(index >= 0) showMatch(index);
+      };
+
+      $scope.searchKeyDown = function ($event) {
+        if($event.keyCode == 13) {
+          // Enter for the next match, Shift-Enter for the previous one
+          $event.preventDefault();
+          if($scope.search.query != $scope.search.searched) {
+            $scope.searchPreview();
+          } else if($event.shiftKey) {
+            $scope.prevMatch();
+          } else {
+            $scope.nextMatch();
+          }
+        } else if($event.keyCode == 27) {
+          $scope.toggleSearch();
+        }
       };
+
+      /**
+      * Open the source of the shown match in the editor
+      */
+      $scope.editMatchSource = function () {
+        var source = $scope.search.source;
+        if(source == null) return;
+        $q.when($scope.changeFileFromName(source.file, source.line)).then(function () {
+          $scope.goToLine(source.line);
+        });
+      };
+
+      // the matches are searched again in each new version of the paper
+      var searchAgain = function () {
+        if($scope.search.searched != null) $scope.searchPreview();
+      };
+      $scope.$watch('pdf', function (pdf) {
+        if(pdf != null) searchAgain();
+      });
+      $scope.$watch('revision', function (revision, oldRevision) {
+        if($scope.previewType == 'image' && revision != oldRevision) searchAgain();
+      });
+
       //action listener: action in the menu
       $rootScope.$on('MobWriteMessage', function (event, message) {
         if(message.json.type == 'leave') {
           if(!$scope.connectedUsers[message.json.user]) return;
-          if($scope.connectedUsers[message.json.user].peer[message.from]){
-            AceService.getSession().removeMarker($scope.connectedUsers[message.json.user].peer[message.from].range);
-            delete $scope.connectedUsers[message.json.user].peer[message.from];
-          }
-          if(Object.keys($scope.connectedUsers[message.json.user].peer).length == 0) {
-            delete $scope.connectedUsers[message.json.user];
-          }
+          removePeerCursors($scope.connectedUsers[message.json.user], message.from, []);
+          PresenceService.updatePresence($scope.connectedUsers, message.json.user);
+        } else if(message.json.type == 'comments') {
+          getComments();
+        } else if(message.json.type == 'chat') {
+          receiveChatMessage(message.json.message);
         } else if(message.json.type == "cursor") {
           if(!$scope.connectedUsers[message.json.user]) {
-            var color = stringToColour(message.json.user);
-            var rgb = hexToRgb(color);
-            var fColor = Math.round(((rgb.r * 299) + (rgb.g * 587) + (rgb.b * 114)) /1000) > 128?'black':'white';
-            $scope.connectedUsers[message.json.user] = {
-              peer: {},
-              color: color,
-              name: message.json.user,
-              class: message.json.user.replace(/\./g,'').replace(/ /g,'-'),
-              forground: fColor
-            };
-          }
-          if($scope.connectedUsers[message.json.user].peer[message.from]){
-            AceService.getSession().removeMarker($scope.connectedUsers[message.json.user].peer[message.from].range);
-          } else {
-            AceMobWriteClient.message({ type: 'cursor', 'user': $rootScope.loggedUser.name });
+            $scope.connectedUsers[message.json.user] = angular.extend({ peer: {} }, getUserStyle(message.json.user));
+          }
+          // the user may have changed its colour
+          angular.extend($scope.connectedUsers[message.json.user], getUserStyle(message.json.user, message.json.color));
+          $scope.connectedUsers[message.json.user].email = message.json.email;
+          // a peer has one cursor per file displayed in its panes
+          var files = message.json.files || [message.filename];
+          var known = removePeerCursors($scope.connectedUsers[message.json.user], message.from, files);
+          var key = message.from + '/' + message.filename;
+          if($scope.connectedUsers[message.json.user].peer[key]){
+            removeCursor($scope.connectedUsers[message.json.user].peer[key]);
+          } else if(!known) {
+            // a new peer, let it know where our cursors are
+            broadcastCursors();
           }
-          $scope.connectedUsers[message.json.user].peer[message.from] = {
+          $scope.connectedUsers[message.json.user].peer[key] = {
+            from: message.from,
             getPosition: message.json.getPosition,
             range: null,
+            session: null,
             file: message.filename,
+            idle: message.json.idle,
             time: new Date()
           };
-          createUserStyle();
 
           displayCursors();
+          clearTimeout(fadeTimeout);
+          fadeTimeout = setTimeout(displayCursors, fadeDelay + 100);
+          if(FollowService.isFollowing(message.json.user)) {
+            followPeer($scope.connectedUsers[message.json.user].peer[key]);
+          }
         }
       });
 
@@ -23,6 +23,13 @@ angular.module('bluelatex.Latex.Directives.Preview', ['bluelatex.Paper.Services.
              PaperService,
              $q) {
 
+    // the canvases and images of the pages scrolled away, reused by the pages scrolled to
+    var pool = { canvas: [], img: [] };
+    // the number of pages rendered before and after the visible ones
+    var margin = 1;
+    // the dimensions of a page until they are known (A4, in PDF points)
+    var defaultDimension = { width: 595, height: 842 };
+
     return {
       'require': 'blPreview',
       'scope': {
@@ -36,12 +43,23 @@ angular.module('bluelatex.Latex.Directives.Preview', ['bluelatex.Paper.Services.
         'currentLine': '=currentline',
         'linePage': '=linepage',
         'currentFile': '=currentfile',
+        'commentMode': '=commentmode',
+        'commentThreads': '=commentthreads',
+        'dimension': '=dimension',
+        'visiblePages': '=visiblepages',
+        'searchRects': '=searchrects',
+        'searchCurrent': '=searchcurrent',
         'displaysynctexbox': '@'
       },
       'controller': function($scope) {
         var element;
         var viewport;
         var pdfDimension;
+        // the canvas or image displaying the page, null while the page is not rendered
+        var surface = null;
+        var renderTask = null;
+        // whether the surface displays a previous version of the page
+        var stale = true;
 
         $scope.hightlights = [];
 
@@ -165,16 +183,110 @@ angular.module('bluelatex.Latex.Directives.Preview', ['bluelatex.Paper.Services.
           updateHightlight($scope.currentFile.title, line);
         });
 
-        function renderPdf(p) {
-          p.getPage(parseInt($scope.page)).then(renderPage);
-        }
+        /**
+        * Size the page from its dimensions, so that the preview is laid out
+        * the same whether the page is rendered or not
+        */
+        var layout = function () {
+          var dimension = $scope.dimension || defaultDimension;
+          var ratio = Number($scope.scale);
+          if(!ratio)
+            ratio = element[0].clientWidth/dimension.width;
+          pdfDimension = {
+            scale: ratio,
+            height: dimension.height*ratio
+          };
+          var containerDiv = element[0].getElementsByClassName('container')[0];
+          var width = Math.floor(dimension.width*ratio) + 'px';
+          var height = Math.floor(dimension.height*ratio) + 'px';
+          if(containerDiv.style.width == width && containerDiv.style.height == height) return;
+          containerDiv.style.width = width;
+          containerDiv.style.height = height;
+          $scope.$emit('previewPageResized', $scope.page);
+        };
+
+        // take a canvas or an image from the pool to display the page
+        var acquire = function (tag) {
+          if(surface != null && surface.tagName.toLowerCase() == tag) return surface;
+          release();
+          surface = pool[tag].pop() || document.createElement(tag);
+          var containerDiv = element[0].getElementsByClassName('container')[0];
+          containerDiv.insertBefore(surface, containerDiv.firstChild);
+          return surface;
+        };
+
+        // give the canvas or image of the page back to the pool
+        var release = function () {
+          if(renderTask != null) {
+            renderTask.cancel();
+            renderTask = null;
+          }
+          if(surface == null) return;
+          surface.parentNode.removeChild(surface);
+          if(surface.tagName.toLowerCase() == 'canvas') {
+            // free the memory of the drawing
+            surface.width = 0;
+            surface.height = 0;
+          } else {
+            surface.removeAttribute('src');
+          }
+          pool[surface.tagName.toLowerCase()].push(surface);
+          surface = null;
+        };
+
+        var render = function () {
+          stale = false;
+          if($scope.type == 'pdf' && $scope.pdf != null) {
+            acquire('canvas');
+            $scope.pdf.getPage(parseInt($scope.page)).then(renderPage);
+          } else if($scope.type == 'image') {
+            acquire('img').src = $scope.getUrlImagePreview() + '&' + $scope.revision;
+          }
+        };
+
+        var isVisible = function () {
+          var visible = $scope.visiblePages;
+          return visible == null || ($scope.page >= visible.first - margin && $scope.page <= visible.last + margin);
+        };
+
+        /**
+        * Render the page when it is scrolled to, or when it changed while visible,
+        * and release it when it is scrolled away
+        */
+        var update = function () {
+          if(element == null) return;
+          if(!isVisible()) {
+            release();
+          } else if(surface == null || stale) {
+            render();
+          }
+        };
+
         // update preview when the pdf change
         $scope.$watch('pdf', function(pdf) {
-          if(pdf!=null)
-            renderPdf(pdf);
+          if(pdf == null) return;
+          stale = true;
+          update();
         });
+        // the images are reloaded for each new revision
+        $scope.$watch('revision', function(revision, oldRevision) {
+          if($scope.type != 'image' || revision == oldRevision) return;
+          stale = true;
+          update();
+        });
+        $scope.$watch('visiblePages', function () {
+          update();
+        }, true);
+        $scope.$watch('dimension', function () {
+          if(element == null) return;
+          layout();
+          if($scope.type == 'pdf' && surface != null) render();
+        }, true);
+
         // create the pdf preview
         function renderPage(page) {
+          // the page was scrolled away while it was loaded
+          if(surface == null || surface.tagName.toLowerCase() != 'canvas') return;
           var parent = element[0];
           var ratio  = Number($scope.scale);
           if(!ratio)
@@ -182,7 +294,7 @@ angular.module('bluelatex.Latex.Directives.Preview', ['bluelatex.Paper.Services.
 
           var containerDiv = parent.getElementsByClassName('container')[0];
           var textLayerDiv = parent.getElementsByClassName('textLayer')[0];
-          var canvas = parent.getElementsByTagName('canvas')[0];
+          var canvas = surface;
           var hightlights = parent.getElementsByTagName('hightlights')[0];
 
           var viewport = page.getViewport(ratio);
@@ -246,46 +358,104 @@ angular.module('bluelatex.Latex.Directives.Preview', ['bluelatex.Paper.Services.
             viewport: viewport
           };
 
-          page.render(renderContext);
+          if(renderTask != null) renderTask.cancel();
+          var task = renderTask = page.render(renderContext);
+          task.promise.then(function () {
+            if(renderTask == task) renderTask = null;
+          }, function () {
+            // cancelled as the page was scrolled away or rendered again
+          });
         }
         // resize the preview 
         $scope.resize = function (e) {
           element = e;
-          if($scope.pdf) {
-            $scope.pdf.getPage($scope.page).then(renderPage);
-          } else {
-            var img = element[0].getElementsByTagName('img')[0];
-            if(img) {
-              element[0] = img.parentElement;
-              pdfDimension = {
-                scale: img.width/(img.naturalWidth*0.72),
-                height: img.height
-              };
-              if($scope.synctex)
-                updateHightlight($scope.currentFile.title, $scope.currentLine);
-            }
+          layout();
+          if($scope.type == 'pdf' && surface != null) {
+            render();
+          } else if($scope.synctex) {
+            updateHightlight($scope.currentFile.title, $scope.currentLine);
           }
         };
         $scope.init = function(e) {
           element = e;
+          layout();
+          update();
+          $scope.$on('$destroy', release);
           element.on('click', getCurrentLine);
+          element.on('mousedown', startArea);
+          element.on('mousemove', drawArea);
+          element.on('mouseup', endArea);
+          element.on('mouseleave', endArea);
         };
 
-        $scope.loadImage = function (e) {
-          setTimeout(function () {
-            var img = e[0].getElementsByTagName('img')[0];
-            img.onload=function (event) {
-              pdfDimension = {
-                scale: img.width/(img.naturalWidth*0.72),
-                height: img.height
-              };
-            };
-          },500);
+        /*
+        * Comments
+        */
+        // the area being drawn, in fractions of the page dimensions
+        $scope.drawing = null;
+        var drawStart = null;
+        // the click ending the drawing must not move the editor
+        var areaDrawn = false;
+
+        var areaPosition = function (event) {
+          var rect = element[0].getElementsByClassName('container')[0].getBoundingClientRect();
+          return {
+            x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+            y: Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1)
+          };
+        };
+
+        var startArea = function (event) {
+          if(!$scope.commentMode) return;
+          event.preventDefault();
+          drawStart = areaPosition(event);
+          $scope.drawing = { x: drawStart.x, y: drawStart.y, width: 0, height: 0 };
+          $scope.$apply();
+        };
+
+        var drawArea = function (event) {
+          if(drawStart == null) return;
+          var position = areaPosition(event);
+          $scope.drawing = {
+            x: Math.min(drawStart.x, position.x),
+            y: Math.min(drawStart.y, position.y),
+            width: Math.abs(position.x - drawStart.x),
+            height: Math.abs(position.y - drawStart.y)
+          };
+          $scope.$apply();
+        };
+
+        var endArea = function (event) {
+          if(drawStart == null) return;
+          drawArea(event);
+          var area = $scope.drawing;
+          drawStart = null;
+          $scope.drawing = null;
+          areaDrawn = event.type == 'mouseup';
+          // ignore the simple clicks
+          if(area.width > 0.01 && area.height > 0.01) {
+            $scope.$parent.$parent.commentArea($scope.page, area);
+          }
+          $scope.$apply();
+        };
+
+        // the threads attached to an area of this page
+        $scope.isPageThread = function (thread) {
+          return thread.anchor.page == $scope.page && !thread.resolved;
+        };
+
+        $scope.selectThread = function (thread, event) {
+          event.stopPropagation();
+          $scope.$parent.$parent.selectThread(thread);
         };
 
         // find the line associate to the position of the click event
         var seuil = 2;
         var getCurrentLine = function(event) {
+          if($scope.commentMode || areaDrawn) {
+            areaDrawn = false;
+            return;
+          }
           (function() {
             var deferred = $q.defer();
             setTimeout(function(event) {
@@ -387,13 +557,7 @@ angular.module('bluelatex.Latex.Directives.Preview', ['bluelatex.Paper.Services.
           //if(elm.type!='x') return;
           var block = document.createElement('div');
 
-          if(pdfDimension==null) {
-            var img = element[0].getElementsByTagName('img')[0];
-            pdfDimension = {
-              scale: img.height/(img.naturalHeight*0.72),
-              height: img.height
-            };
-          }
+          if(pdfDimension==null) layout();
 
           var s1 = convertToViewportPoint(elm.left, elm.bottom, pdfDimension);
           var s2 = convertToViewportPoint(elm.width, elm.height, pdfDimension);
@@ -505,21 +669,19 @@ angular.module('bluelatex.Latex.Directives.Preview', ['bluelatex.Paper.Services.
         });
 
         $scope.init(element);
-        if($scope.type == 'pdf') {
-          //$scope.loadPDF(element);
-        } else if($scope.type == 'image') {
-          $scope.loadImage(element);
-        }
       },
-      'template': '<div class="container"><img src="{{getUrlImagePreview()}}&{{revision}}" ng-if="type==\'image\'"><canvas ng-if="type==\'pdf\'" height="0"></canvas><div class="textLayer" ng-if="type==\'pdf\'"></div><div class="hightlights" ng-if="synctex"><div class="hightlight_line" ng-repeat="hightlight in hightlights" style="height:{{hightlight.height}};width:{{hightlight.width}};left:{{hightlight.left}};top:{{hightlight.top}}"></div></div></div>'
+      'template': '<div class="container"><div class="textLayer" ng-if="type==\'pdf\'"></div><div class="hightlights" ng-if="synctex"><div class="hightlight_line" ng-repeat="hightlight in hightlights" style="height:{{hightlight.height}};width:{{hightlight.width}};left:{{hightlight.left}};top:{{hightlight.top}}"></div></div><div class="searchMatches"><div class="searchMatch" ng-repeat="rect in searchRects" ng-class="{current: rect.match == searchCurrent}" style="left:{{rect.x*100}}%;top:{{rect.y*100}}%;width:{{rect.width*100}}%;height:{{rect.height*100}}%"></div></div><div class="commentAreas" ng-class="{drawing: commentMode}"><div class="commentArea" ng-repeat="thread in commentThreads | filter:isPageThread" ng-click="selectThread(thread, $event)" style="left:{{thread.anchor.x*100}}%;top:{{thread.anchor.y*100}}%;width:{{thread.anchor.width*100}}%;height:{{thread.anchor.height*100}}%"></div><div class="commentArea new" ng-if="drawing" style="left:{{drawing.x*100}}%;top:{{drawing.y*100}}%;width:{{drawing.width*100}}%;height:{{drawing.height*100}}%"></div></div></div>'
     };
   }]).directive('whenScrolled', function() {
     return function($scope, elm, attr) {
         var raw = elm[0];
         var scrollTimeout;
-        elm.bind('scroll', function() {
-          clearTimeout(scrollTimeout);
-          scrollTimeout = setTimeout(function () {
+        var resizeTimeout;
+        // the first visible page and the fraction of it scrolled away,
+        // to keep it in place when the pages are laid out again
+        var anchor = null;
+
+        var update = function () {
             var max = null;
             var witchMax = 0;
             var prev = null;
@@ -545,10 +707,48 @@ angular.module('bluelatex.Latex.Directives.Preview', ['bluelatex.Paper.Services.
               }
               prev = visible;
             }
+            // the pages intersecting the preview
+            var first = null;
+            var last = 0;
+            for (var i = 0; i < raw.children.length; i++) {
+              var c = raw.children[i];
+              if(c.offsetTop + c.offsetHeight < raw.scrollTop) continue;
+              if(c.offsetTop > raw.scrollTop + raw.clientHeight) break;
+              if(first == null) {
+                first = i;
+                anchor = { index: i, offset: (raw.scrollTop - c.offsetTop) / c.offsetHeight };
+              }
+              last = i;
+            }
             $scope.$apply(function () {
               $scope.currentPage = (witchMax +1);
+              if(first != null) {
+                $scope.visiblePages = { first: first + 1, last: last + 1 };
+              }
             });
-          }, 10);
+        };
+
+        elm.bind('scroll', function() {
+          clearTimeout(scrollTimeout);
+          scrollTimeout = setTimeout(update, 10);
+        });
+
+        // the pages above the anchor may have been resized by a new compilation or a zoom
+        var restore = function () {
+          if(anchor == null || raw.children[anchor.index] == null) return;
+          var c = raw.children[anchor.index];
+          var top = Math.round(c.offsetTop + anchor.offset * c.offsetHeight);
+          if(top != raw.scrollTop) {
+            raw.scrollTop = top;
+          }
+        };
+
+        $scope.$on('previewPageResized', function () {
+          clearTimeout(resizeTimeout);
+          resizeTimeout = setTimeout(function () {
+            restore();
+            update();
+          }, 0);
         });
     };
 });
\ No newline at end of file
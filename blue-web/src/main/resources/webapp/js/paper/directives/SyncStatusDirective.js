@@ -0,0 +1,60 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// directives displaying the state of the synchronization
+angular.module('bluelatex.Paper.Directives.SyncStatus', ['bluelatex.Paper.Services.SyncStatus'])
+  .directive('blSyncStatus', function() {
+    return {
+      replace: true,
+      scope: true,
+      templateUrl: 'partials/paper/latex/sync_status.html',
+      controller: ['$scope', 'SyncStatusService',
+        function ($scope, SyncStatusService) {
+          $scope.syncStatus = SyncStatusService.status;
+          $scope.syncState = SyncStatusService.getState;
+        }
+      ]
+    };
+  })
+  // warn about the local changes overwritten by the server
+  .directive('blSyncOverwrites', function() {
+    return {
+      replace: true,
+      scope: true,
+      templateUrl: 'partials/paper/latex/sync_overwrites.html',
+      controller: ['$scope', 'SyncStatusService',
+        function ($scope, SyncStatusService) {
+          $scope.syncStatus = SyncStatusService.status;
+          // the overwrite of which the diff is displayed
+          $scope.overwrite = null;
+
+          $scope.showOverwrite = function (overwrite) {
+            SyncStatusService.getDiffs(overwrite);
+            $scope.overwrite = overwrite;
+          };
+
+          $scope.closeOverwrite = function () {
+            $scope.overwrite = null;
+          };
+
+          $scope.dismissOverwrites = function () {
+            $scope.overwrite = null;
+            SyncStatusService.dismissOverwrites();
+          };
+        }
+      ]
+    };
+  });
@@ -25,6 +25,15 @@ angular.module('bluelatex.Paper.Directives.Toc', [])
         var currentlevel = -1;
         var lastLi;
         var lastLine = 0;
+        // the current entry is searched among the entries of the current file
+        var currentFile = $scope.currentFile ? $scope.currentFile.title : null;
+        var isInCurrentFile = function (line) {
+          return line.file == null || line.file == currentFile;
+        };
+        var lastIndex = -1;
+        for (var i = 0; i < toc.length; i++) {
+          if(isInCurrentFile(toc[i])) lastIndex = i;
+        }
         elm.text('');
         for (var i = 0; i < toc.length; i++) {
           var line = toc[i];
@@ -66,15 +75,20 @@ angular.module('bluelatex.Paper.Directives.Toc', [])
           //create a new li
           var li = $document[0].createElement('li');
           var a = $document[0].createElement('a');
-          a.setAttribute('ng-click', 'goToLine(' + line.line + ')');
+          if(line.file != null) {
+            a.setAttribute('ng-click', 'goToFileLine(\'' + line.file + '\', ' + line.line + ')');
+          } else {
+            a.setAttribute('ng-click', 'goToLine(' + line.line + ')');
+          }
           a.innerHTML = line.title;
           li.appendChild(a);
           current.appendChild(li);
 
+          if(!isInCurrentFile(line)) continue;
           if(!lastLi) lastLi = li;
           if(lastLine <=$scope.currentLine  &&  line.line > $scope.currentLine) {
             lastLi.setAttribute('class', 'current');
-          } else if(i==toc.length-1 && line.line <= $scope.currentLine) {
+          } else if(i==lastIndex && line.line <= $scope.currentLine) {
             li.setAttribute('class', 'current');
           }
           lastLine = line.line;
@@ -94,6 +108,9 @@ angular.module('bluelatex.Paper.Directives.Toc', [])
         scope.$watch('currentLine', function (value) {
           updateTOC(elm, scope.toc, scope);
         });
+        scope.$watch('currentFile', function (value) {
+          updateTOC(elm, scope.toc, scope);
+        });
         updateTOC(elm, scope.toc, scope);
       };
     }
@@ -14,7 +14,7 @@
  * limitations under the License.
  */
  
-angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
+angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace','bluelatex.Paper.Services.OfflineStore'])
   .factory("AceMobWriteClient", [
     '$rootScope',
     'MobWriteService',
@@ -22,16 +22,63 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
     'AceService',
     'config',
     '$log',
+    'OfflineStoreService',
     function ($rootScope,
               MobWriteService,
               MobWriteConfig,
               AceService,
               config,
-              $log) {
+              $log,
+              OfflineStoreService) {
 
       var api_prefix = config.api_prefix;
 
-      var message = null;
+      // the pending messages for any shared file, sent in order so that none is lost
+      var pendingMessages = [];
+      // the pending messages for a specific shared file
+      var fileMessages = {};
+
+      /*******************/
+      /* Offline storage */
+      /*******************/
+      // the pending saves of the shared files
+      var saveTimeouts = {};
+
+      var digest = function () {
+        $rootScope.$$phase || $rootScope.$apply();
+      };
+
+      var offlineKey = function (shared) {
+        return shared.paperId + '/' + shared.file;
+      };
+
+      /**
+      * Store the changes of a shared file the server did not acknowledge yet,
+      * or forget them when there are none
+      */
+      var saveOfflineState = function (shared) {
+        clearTimeout(saveTimeouts[offlineKey(shared)]);
+        delete saveTimeouts[offlineKey(shared)];
+        // nothing can be replayed before the server acknowledged a text
+        if(shared.ackedShadow_ == null) return;
+        var clientText = shared.getClientText();
+        var shadowText = shared.ackedShadow_;
+        if(clientText === shared.savedText_ && shadowText === shared.savedShadow_) return;
+        shared.savedText_ = clientText;
+        shared.savedShadow_ = shadowText;
+        OfflineStoreService.save(shared.paperId, shared.file, shadowText, clientText);
+      };
+
+      /**
+      * Store the state of a shared file once the user stopped typing
+      */
+      var scheduleOfflineSave = function (shared) {
+        clearTimeout(saveTimeouts[offlineKey(shared)]);
+        saveTimeouts[offlineKey(shared)] = setTimeout(function () {
+          saveOfflineState(shared);
+        }, 1000);
+      };
+
       /**
       * Constructor of shared object representing a text field.
       * @param {Node} node A textarea, text or password input.
@@ -41,6 +88,7 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
         // Call our prototype's constructor.
         MobWriteService.shareObj.apply(this, [paper.file]);
         MobWriteConfig.syncGateway = api_prefix + "/papers/" + paper.paper_id + "/" + (MobWriteConfig.messageType=='json'?'sync':'q');
+        MobWriteConfig.eventGateway = api_prefix + "/papers/" + paper.paper_id + "/sync/" + MobWriteService.syncUsername;
 
         this.paperId = paper.paper_id;
         this.file = paper.file;
@@ -49,22 +97,82 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
       // The textarea shared object's parent is a shareObj.
       shareAceObj.prototype = new MobWriteService.shareObj('');
 
+      /**
+       * Retrieve the Ace session of the shared file.
+       * @return {EditSession} The session owned by AceService for this file.
+       */
+      shareAceObj.prototype.getSession = function() {
+        return AceService.getFileSession(this.paperId, this.file);
+      };
 
       /**
        * Retrieve the user's text.
        * @return {string} Plaintext content.
        */
       shareAceObj.prototype.getClientText = function() {
-        return shareAceObj.normalizeLinebreaks_(AceService.getContent());
+        return shareAceObj.normalizeLinebreaks_(this.getSession().getValue());
       };
 
 
+      /**
+       * Collect the changes of the user.
+       * The first synchronization of a file restores the changes stored offline,
+       * which are then replayed as a delta against the text the server last acknowledged.
+       * @return {Array.<Object>} The edits to send.
+       */
+      shareAceObj.prototype.syncText = function() {
+        var self = this;
+        if(!this.restored_) {
+          if(!this.restoring_) {
+            this.restoring_ = true;
+            OfflineStoreService.load(this.paperId, this.file).then(function (state) {
+              if(state && state.clientText != state.shadowText && self.getClientText() == '') {
+                $log.info('Restoring offline changes of ' + self.file);
+                self.restoredShadow_ = state.shadowText;
+                self.getSession().setValue(state.clientText);
+              }
+            })['finally'](function () {
+              self.restored_ = true;
+              self.restoring_ = false;
+            });
+            digest();
+          }
+          // wait for the offline changes before the first synchronization
+          return [];
+        }
+        if(this.restoredShadow_ != null) {
+          // send the text the offline changes were made on, the changes follow as a delta
+          this.clientVersion++;
+          this.editStack.push({
+            "filename": MobWriteConfig.idPrefix + this.file,
+            "revision": this.serverVersion,
+            "action": {
+              "name": "raw",
+              "revision": this.clientVersion,
+              "data": this.restoredShadow_,
+              "overwrite": false
+            }
+          });
+          this.shadowText = this.restoredShadow_;
+          this.deltaOk = true;
+          this.restoredShadow_ = null;
+        }
+        if(this.editStack.length == 0) {
+          // every edit was acknowledged, the server knows the shadow text
+          this.ackedShadow_ = this.shadowText;
+        }
+        saveOfflineState(this);
+        return MobWriteService.shareObj.prototype.syncText.apply(this);
+      };
+
       /**
        * Set the user's text.
        * @param {string} text New text
        */
       shareAceObj.prototype.setClientText = function(text) {
-        AceService.getSession().setValue(text);
+        this.updating_ = true;
+        this.getSession().setValue(text);
+        this.updating_ = false;
       };
 
 
@@ -85,6 +193,7 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
 
         // Set the new text only if there is a change to be made.
         if (oldClientText != newClientText) {
+          this.updating_ = true;
           var splittedText = oldClientText.split('\n');
           var simpleDiff = simpleDiffer.getSimpleDiff();
 
@@ -94,21 +203,21 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
               var offset = convertOffetToRomColumn(mutation.start, splittedText);
               
               // get the current scroll position
-              var scrollTop = AceService.getSession().getScrollTop();
+              var scrollTop = this.getSession().getScrollTop();
               // get the height of a line
               var lineHeight = AceService.getEditor().renderer.lineHeight;
               // get the number of screen lines
-              var sreenLengthBefore = AceService.getSession().getScreenLength();
+              var sreenLengthBefore = this.getSession().getScreenLength();
               // convert the scroll position to screen line number
               var scrollLineNumber = scrollTop / lineHeight;
               // convert screen position to text position
-              var textPosition = AceService.getSession().screenToDocumentPosition(Math.ceil(scrollLineNumber), 0);
+              var textPosition = this.getSession().screenToDocumentPosition(Math.ceil(scrollLineNumber), 0);
 
               // insert the new text
-              AceService.getSession().insert(offset, mutation.text);
+              this.getSession().insert(offset, mutation.text);
 
               // get the number of screen lines
-              var sreenLengthAfter = AceService.getSession().getScreenLength();
+              var sreenLengthAfter = this.getSession().getScreenLength();
               // if the text is inserted before the scroll position
               if(offset.row <= textPosition.row) {
                 // performs the number of screen line added
@@ -116,10 +225,10 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
                 // convert number of line to height
                 var scrollToAdd = lengthFiff * lineHeight;
                 // change the scroll position
-                AceService.getSession().setScrollTop(scrollTop + scrollToAdd);
+                this.getSession().setScrollTop(scrollTop + scrollToAdd);
               } else {
                 // conserves the scroll position
-                AceService.getSession().setScrollTop(scrollTop);
+                this.getSession().setScrollTop(scrollTop);
               }
             } else if (mutation.type == 'delete') {
               // convert text offset to row, Column
@@ -128,20 +237,20 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
               var range = new Range(offset.start.row,offset.start.column,offset.end.row,offset.end.column);
 
               // get the current scroll position
-              var scrollTop = AceService.getSession().getScrollTop();
+              var scrollTop = this.getSession().getScrollTop();
               // get the height of a line
               var lineHeight = AceService.getEditor().renderer.lineHeight;
               // get the number of screen lines
-              var sreenLengthBefore = AceService.getSession().getScreenLength();
+              var sreenLengthBefore = this.getSession().getScreenLength();
               // convert the scroll position to screen line number
               var scrollLineNumber = scrollTop / lineHeight;
               // convert screen position to text position
-              var textPosition = AceService.getSession().screenToDocumentPosition(Math.ceil(scrollLineNumber), 0);
+              var textPosition = this.getSession().screenToDocumentPosition(Math.ceil(scrollLineNumber), 0);
 
-              AceService.getSession().remove(range);
+              this.getSession().remove(range);
               
               // get the number of screen lines
-              var sreenLengthAfter = AceService.getSession().getScreenLength();
+              var sreenLengthAfter = this.getSession().getScreenLength();
               // if the text is inserted before the scroll position
               if(offset.start.row <= textPosition.row) {
                 // performs the number of screen line added
@@ -149,13 +258,19 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
                 // convert number of line to height
                 var scrollToAdd = lengthFiff * lineHeight;
                 // change the scroll position
-                AceService.getSession().setScrollTop(scrollTop + scrollToAdd);
+                this.getSession().setScrollTop(scrollTop + scrollToAdd);
               } else {
                 // conserves the scroll position
-                AceService.getSession().setScrollTop(scrollTop);
+                this.getSession().setScrollTop(scrollTop);
               }
             }
           }
+          // the first text received for a file is read from its beginning
+          if (oldClientText == '') {
+            this.getSession().selection.moveTo(0, 0);
+            this.getSession().setScrollTop(0);
+          }
+          this.updating_ = false;
         }
       };
 
@@ -291,13 +406,13 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
         var text = this.getClientText();
         var cursor = {};
 
-        var range = AceService.getEditor().selection.getRange();
+        var range = this.getSession().selection.getRange();
 
         selectionStart = convertRowColumn(range.start, text);
         selectionEnd = convertRowColumn(range.end, text);
 
-        cursor.scrollTop  = AceService.getSession().getScrollTop();
-        cursor.scrollLeft = AceService.getSession().getScrollLeft();
+        cursor.scrollTop  = this.getSession().getScrollTop();
+        cursor.scrollLeft = this.getSession().getScrollLeft();
 
         cursor.startPrefix = text.substring(selectionStart - padLength, selectionStart);
         cursor.startSuffix = text.substring(selectionStart, selectionStart + padLength);
@@ -322,11 +437,11 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
         var Range = ace.require('ace/range').Range;
 
         // Restore selection.
-        AceService.getSession().selection.setRange(new Range(position.start.row,position.start.column,position.end.row,position.end.column));
+        this.getSession().selection.setRange(new Range(position.start.row,position.start.column,position.end.row,position.end.column));
 
         // Restore scrollbar locations
-        AceService.getSession().setScrollTop(cursor.scrollTop);
-        AceService.getSession().setScrollLeft(cursor.scrollLeft);
+        this.getSession().setScrollTop(cursor.scrollTop);
+        this.getSession().setScrollLeft(cursor.scrollLeft);
       };
 
       /**
@@ -440,13 +555,17 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
       }
 
       shareAceObj.prototype.messages = function () {
-        var json = message;
+        var json = fileMessages[this.file];
+        if(json != null) {
+          delete fileMessages[this.file];
+        } else {
+          json = pendingMessages.shift();
+        }
         if(json == null) return;
 
         if(json.type == 'cursor') {
           json.cursor = this.captureCursor_();
         }
-        message = null;
         return {
           from: MobWriteService.syncUsername,
           filename: this.file,
@@ -457,10 +576,12 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
 
       shareAceObj.prototype.onMessage = function (message) {
         if(message.json.type == "cursor") {
-          var self = this;
           message.json.getPosition = function () {
-            return self.getCursorPosition(message.json.cursor); 
-          } 
+            // the position is relative to the text of the file the cursor is in
+            var file = MobWriteService.shared[message.filename];
+            if(file == null) return null;
+            return file.getCursorPosition(message.json.cursor);
+          };
         }
         $rootScope.$broadcast('MobWriteMessage', message);
       };
@@ -494,10 +615,24 @@ angular.module('bluelatex.Paper', ['MobWrite','bluelatex.Paper.Services.Ace'])
       // Register this shareHandler with MobWrite.
       MobWriteService.shareHandlers.push(shareAceObj.shareHandler);
 
+      // The changes made by the user are pending until the server acknowledges them,
+      // the changes coming from the server are not
+      AceService.registerFileChangeCallback(function (paperId, file) {
+        var shared = MobWriteService.shared[file];
+        if(shared && shared.paperId == paperId && !shared.updating_) {
+          MobWriteService.localChange(file);
+          scheduleOfflineSave(shared);
+        }
+      });
+
       return {
         shareAceObj: shareAceObj,
-        message: function(m) {
-          message = m;
+        message: function(m, file) {
+          if(file) {
+            fileMessages[file] = m;
+          } else {
+            pendingMessages.push(m);
+          }
         }
       };
     }
@@ -21,9 +21,18 @@ angular.module('bluelatex.Paper.Services.Ace', ['ngStorage','ui.ace'])
       var _session;
       var _editor;
       var _renderer;
+      // the editors by pane, _editor is the one of the active pane
+      var _editors = {};
 
       var _cursors = [];
 
+      // one edit session per synchronized file, keyed by paper and file,
+      // so that undo history, folds, cursor, scroll and annotations
+      // survive a file switch
+      var _fileSessions = {};
+      // callbacks called when the content of a file session changes
+      var _fileChangeCallbacks = [];
+
       // ace default settings
       var aceSettings = {
         fontSize: '12px',
@@ -53,30 +62,46 @@ angular.module('bluelatex.Paper.Services.Ace', ['ngStorage','ui.ace'])
         aceSettings = $localStorage.aceSettings;
       }
 
-      // change ace settings
-      var loadSettings = function () {
-        $localStorage.aceSettings = aceSettings;
+      // apply the session level settings to a session
+      var loadSessionSettings = function (session) {
+        session.setUseWrapMode(aceSettings.useWrapMode);
+        session.setUseSoftTabs(aceSettings.useSoftTab);
+        session.setTabSize(aceSettings.tabSize);
+        session.setMode(aceSettings.mode);
+        session.modeName = aceSettings.modeName;
+      };
+
+      // apply the editor level settings to an editor
+      var loadEditorSettings = function (editor) {
+        editor.setTheme(aceSettings.theme);
+        editor.setFontSize(aceSettings.fontSize);
+        editor.setReadOnly(aceSettings.readOnly);
+        editor.setKeyboardHandler(aceSettings.keyBinding);
+        editor.setSelectionStyle(aceSettings.fullLineSelection ? 'line' : 'text');
+        editor.setHighlightActiveLine(aceSettings.highlightActiveLine);
+        editor.setShowInvisibles(aceSettings.showInvisibles);
+        editor.setDisplayIndentGuides(aceSettings.showIndentGuides);
 
-        _editor.setTheme(aceSettings.theme);
-        _editor.setFontSize(aceSettings.fontSize);
-        _editor.setReadOnly(aceSettings.readOnly);
-        _editor.setKeyboardHandler(aceSettings.keyBinding);
-        _editor.setSelectionStyle(aceSettings.fullLineSelection ? 'line' : 'text');
-        _editor.setHighlightActiveLine(aceSettings.highlightActiveLine);
-        _editor.setShowInvisibles(aceSettings.showInvisibles);
-        _editor.setDisplayIndentGuides(aceSettings.showIndentGuides);
+        editor.renderer.setShowPrintMargin(aceSettings.showPrintMargin);
+        editor.setHighlightSelectedWord(aceSettings.highlightSelectedWord);
+        editor.setBehavioursEnabled(aceSettings.enableBehaviours);
+        editor.setFadeFoldWidgets(aceSettings.fadeFoldWidgets);
 
-        _editor.renderer.setShowPrintMargin(aceSettings.showPrintMargin);
-        _editor.setHighlightSelectedWord(aceSettings.highlightSelectedWord);
-        _editor.session.setUseSoftTabs(aceSettings.useSoftTab);
-        _editor.session.setTabSize(aceSettings.tabSize);
-        _editor.setBehavioursEnabled(aceSettings.enableBehaviours);
-        _editor.setFadeFoldWidgets(aceSettings.fadeFoldWidgets);
+        loadSessionSettings(editor.session);
 
-        _editor.session.setMode(aceSettings.mode);
-        _editor.session.modeName = aceSettings.modeName;
+        editor.renderer.setShowGutter(aceSettings.showGutter);
+      };
 
-        _renderer.setShowGutter(aceSettings.showGutter);
+      // change ace settings
+      var loadSettings = function () {
+        $localStorage.aceSettings = aceSettings;
+
+        for(var pane in _editors) {
+          loadEditorSettings(_editors[pane]);
+        }
+        for(var key in _fileSessions) {
+          loadSessionSettings(_fileSessions[key]);
+        }
       };
       // go to a specific line and give focus to ace
       var goToLine = function (line, column) {
@@ -84,36 +109,156 @@ angular.module('bluelatex.Paper.Services.Ace', ['ngStorage','ui.ace'])
         _editor.focus();
       };
 
-      var aceLoaded = function (_e, callback) {
-        // Editor part
-        _editor = _e;
+      var sessionKey = function (paperId, file) {
+        return paperId + '/' + file;
+      };
+
+      // true if a session was already created for the file
+      var hasFileSession = function (paperId, file) {
+        return _fileSessions[sessionKey(paperId, file)] != null;
+      };
+
+      // get the session of a file, create it if it does not exist yet
+      var getFileSession = function (paperId, file) {
+        var key = sessionKey(paperId, file);
+        if(_fileSessions[key] == null) {
+          var session = ace.createEditSession('', aceSettings.mode);
+          session.setUndoManager(new ace.UndoManager());
+          loadSessionSettings(session);
+          session.on("change", function (e) {
+            if(session === _session) {
+              content = session.getValue();
+            }
+            for (var i = 0; i < _fileChangeCallbacks.length; i++) {
+              _fileChangeCallbacks[i](paperId, file, e);
+            }
+          });
+          _fileSessions[key] = session;
+        }
+        return _fileSessions[key];
+      };
+
+      // display the session of a file in the editor of a pane (the active one by default)
+      var switchSession = function (paperId, file, pane) {
+        var editor = getEditor(pane);
+        var session = getFileSession(paperId, file);
+        if(editor.getSession() !== session) {
+          editor.setSession(session);
+        }
+        return session;
+      };
+
+      // get the editor of a pane, the editor of the active pane by default
+      var getEditor = function (pane) {
+        if(pane == null) {
+          return _editor;
+        }
+        return _editors[pane];
+      };
 
+      // the editor of this pane becomes the one used by default
+      var setActiveEditor = function (pane) {
+        if(_editors[pane] == null) return;
+        _editor = _editors[pane];
         _session = _editor.getSession();
         _renderer = _editor.renderer;
         content = _session.getValue();
+      };
+
+      // forget the editor of a pane before it is destroyed
+      var removeEditor = function (pane) {
+        var editor = _editors[pane];
+        if(editor == null) return;
+        // detach the file session so that it survives the editor
+        editor.setSession(ace.createEditSession(''));
+        delete _editors[pane];
+        if(_editor === editor) {
+          for(var other in _editors) {
+            setActiveEditor(other);
+            break;
+          }
+        }
+      };
+
+      // forget the session of a file
+      var removeFileSession = function (paperId, file) {
+        var key = sessionKey(paperId, file);
+        if(_fileSessions[key] != null) {
+          _fileSessions[key].destroy();
+          delete _fileSessions[key];
+        }
+      };
+
+      // get the content of every file session of a paper, by file name
+      var getFileContents = function (paperId) {
+        var prefix = sessionKey(paperId, '');
+        var contents = {};
+        for(var key in _fileSessions) {
+          if(key.indexOf(prefix) == 0) {
+            contents[key.substring(prefix.length)] = _fileSessions[key].getValue();
+          }
+        }
+        return contents;
+      };
+
+      // register a callback called with the paper, the file and the change event
+      // each time a file session changes
+      var registerFileChangeCallback = function (callback) {
+        _fileChangeCallbacks.push(callback);
+      };
+
+      var removeFileChangeCallback = function (callback) {
+        var index = _fileChangeCallbacks.indexOf(callback);
+        if(index >= 0) {
+          _fileChangeCallbacks.splice(index, 1);
+        }
+      };
+
+      // forget all the sessions of a paper
+      var removeFileSessions = function (paperId) {
+        var prefix = sessionKey(paperId, '');
+        for(var key in _fileSessions) {
+          if(key.indexOf(prefix) == 0) {
+            _fileSessions[key].destroy();
+            delete _fileSessions[key];
+          }
+        }
+      };
+
+      var aceLoaded = function (_e, callback, pane) {
+        if(pane == null) {
+          pane = 'main';
+        }
+        // Editor part
+        _editors[pane] = _e;
+        setActiveEditor(pane);
 
         // disable key bindings
-        _editor.commands.bindKeys({
+        _e.commands.bindKeys({
           "ctrl-t":null,              // transpose letters
           "ctrl-l":null, "cmd-l":null // go to line
         });
 
         // add undo support
-        _session.setUndoManager(new ace.UndoManager());
-        _editor.setOptions({
+        _e.getSession().setUndoManager(new ace.UndoManager());
+        _e.setOptions({
             spellcheck: true
         });
 
         // Event when the session change
-        _editor.on("changeSession", function () {
+        _e.on("changeSession", function () {
+          if(_e !== _editor) return;
           _session = _editor.getSession();
+          content = _session.getValue();
         });
         // When the content change
-        _session.on("change", function () {
+        _e.getSession().on("change", function () {
+          if(_e.getSession() !== _session) return;
           content = _session.getValue();
         });
-        loadSettings();
-        callback(_editor);
+        loadEditorSettings(_e);
+        $localStorage.aceSettings = aceSettings;
+        callback(_e);
       };
 
       return {
@@ -122,14 +267,22 @@ angular.module('bluelatex.Paper.Services.Ace', ['ngStorage','ui.ace'])
           return content;
         },
         setContent: function (c) {
-          return _session.setValue(c);
-        },
-        getEditor: function () {
-          return _editor;
+          return _editor.getSession().setValue(c);
         },
+        getEditor: getEditor,
+        setActiveEditor: setActiveEditor,
+        removeEditor: removeEditor,
         getSession: function () {
           return _editor.getSession();
         },
+        hasFileSession: hasFileSession,
+        getFileSession: getFileSession,
+        switchSession: switchSession,
+        removeFileSession: removeFileSession,
+        removeFileSessions: removeFileSessions,
+        getFileContents: getFileContents,
+        registerFileChangeCallback: registerFileChangeCallback,
+        removeFileChangeCallback: removeFileChangeCallback,
         loadSettings: loadSettings,
         aceLoaded: aceLoaded,
         aceSettings: aceSettings,
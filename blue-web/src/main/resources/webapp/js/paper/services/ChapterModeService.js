@@ -0,0 +1,50 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* The chapter mode, in which only the edited chapter is typeset when the
+* paper is compiled. The choice of the user is kept between sessions.
+*/
+angular.module('bluelatex.Paper.Services.ChapterMode', ['ngStorage'])
+  .factory("ChapterModeService", ['config', '$localStorage',
+    function (config, $localStorage) {
+      // only explicit compilations may be partial
+      var state = {
+        available: config.compilation_type !== 'background',
+        enabled: $localStorage.chapterMode === true
+      };
+
+      var save = function () {
+        $localStorage.chapterMode = state.enabled;
+      };
+
+      /**
+      * The chapter to typeset alone when compiling the root document from
+      * the given file, the root document itself is always fully compiled
+      */
+      var chapterOf = function (file, root) {
+        if(!state.available || !state.enabled) return null;
+        if(!/\.tex$/.test(file) || file == root) return null;
+        return file;
+      };
+
+      return {
+        state: state,
+        save: save,
+        chapterOf: chapterOf
+      };
+    }
+  ]);
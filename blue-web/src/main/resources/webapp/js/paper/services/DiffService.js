@@ -0,0 +1,46 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+* Compute differences between two versions of a text
+*/
+angular.module("bluelatex.Paper.Services.Diff", [])
+  .factory("DiffService", [
+    function () {
+      return {
+        /**
+        * Split the differences between two texts in two sides: the old text with
+        * the removed parts and the new one with the added parts
+        */
+        sideBySide: function (before, after) {
+          var dmp = new diff_match_patch();
+          var diffs = dmp.diff_main(before, after);
+          dmp.diff_cleanupSemantic(diffs);
+          var left = [];
+          var right = [];
+          var changes = 0;
+          for (var i = 0; i < diffs.length; i++) {
+            var op = diffs[i][0];
+            var text = diffs[i][1];
+            if(op != DIFF_EQUAL) changes++;
+            if(op != DIFF_INSERT) left.push({ text: text, changed: op == DIFF_DELETE });
+            if(op != DIFF_DELETE) right.push({ text: text, changed: op == DIFF_INSERT });
+          }
+          return { left: left, right: right, changes: changes };
+        }
+      };
+    }
+  ]);
@@ -0,0 +1,92 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* Follow the cursor of a collaborator, until the user takes the control back
+* by typing, clicking or scrolling in an editor or in the preview
+*/
+angular.module('bluelatex.Paper.Services.Follow', [])
+  .factory("FollowService", ['$rootScope', '$document',
+    function ($rootScope, $document) {
+      // the collaborator whose cursor is followed, with the preview or not
+      var state = { name: null, preview: true };
+
+      // the events with which the user takes the control back
+      var followBreakers = ['keydown', 'mousedown', 'wheel', 'mousewheel', 'DOMMouseScroll'];
+
+      // whether the element is in an editor or in the preview
+      var isEditingElement = function (element) {
+        for(; element != null && element.className != null; element = element.parentNode) {
+          if(element.id == 'preview' || /(^| )ace_editor( |$)/.test(element.className)) return true;
+        }
+        return false;
+      };
+
+      var breakFollow = function (event) {
+        if(!isEditingElement(event.target)) return;
+        stop();
+        $rootScope.$$phase || $rootScope.$apply();
+      };
+
+      // follow a collaborator, the preview is followed too unless the user
+      // disabled it while following someone else
+      var follow = function (name) {
+        if(state.name == null) {
+          for (var i = 0; i < followBreakers.length; i++) {
+            $document[0].addEventListener(followBreakers[i], breakFollow, true);
+          }
+          state.preview = true;
+        }
+        state.name = name;
+      };
+
+      var stop = function () {
+        if(state.name == null) return;
+        for (var i = 0; i < followBreakers.length; i++) {
+          $document[0].removeEventListener(followBreakers[i], breakFollow, true);
+        }
+        state.name = null;
+      };
+
+      // whether a collaborator, or anyone if none is given, is followed
+      var isFollowing = function (name) {
+        return state.name != null && (name == null || state.name == name);
+      };
+
+      var togglePreview = function () {
+        if(state.name == null) return;
+        state.preview = !state.preview;
+      };
+
+      // the peer of a user that moved its cursor last
+      var lastPeer = function (user) {
+        var last = null;
+        for(var key in user.peer) {
+          if(last == null || user.peer[key].time > last.time) last = user.peer[key];
+        }
+        return last;
+      };
+
+      return {
+        state: state,
+        follow: follow,
+        stop: stop,
+        isFollowing: isFollowing,
+        togglePreview: togglePreview,
+        lastPeer: lastPeer
+      };
+    }
+  ]);
@@ -18,18 +18,16 @@ angular.module('bluelatex.Paper.Services.Latex', [])
   .factory("LatexService", ['$log','$q','$http',
     function ($log,$q,$http) {
       
+      // the sectioning commands, by level
+      var tocKeys = ['part','chapter', 'section', 'subsection', 'subsubsection', 'paragraph','subparagraph'];
+      var tocRegex = '\\\\(' + tocKeys.join('|') + ')(\\*)?{([^}]+)}|\\\\(input|include){([^}]+)}';
+
       /**
-      * Create the table of content
+      * Add the table of content of a file to toc.
+      * When files is given, the input and included files are followed.
       */
-      var parseTOC = function (content) {
-        var toc = [];
-        if(content == null) {
-          return content;
-        }
-        // search different section
-        var keys = ['part','chapter', 'section', 'subsection', 'subsubsection', 'paragraph','subparagraph'];
-        var regex = '\\\\(' + keys.join('|') + ')(\\*)?{([^}]+)}';
-        var reg = new RegExp(regex, "gi");
+      var parseFileTOC = function (content, filename, files, visited, toc) {
+        var reg = new RegExp(tocRegex, "gi");
         var astring = content.split('\n');
 
         for (var i = 0; i < astring.length; i++) {
@@ -41,18 +39,149 @@ angular.module('bluelatex.Paper.Services.Latex', [])
           }
           var result;
           while ((result = reg.exec(line)) !== null) {
+            if(result[4] != null) {
+              if(files == null) continue;
+              // the table of content of an input file takes place here
+              var input = result[5].trim();
+              if(files[input] == null) {
+                input += '.tex';
+              }
+              if(files[input] == null || visited[input]) continue;
+              visited[input] = true;
+              parseFileTOC(files[input], input, files, visited, toc);
+              continue;
+            }
             var type = (result[1]);
             toc.push({
               type: type,
-              level: keys.indexOf(type),
+              level: tocKeys.indexOf(type),
               ignore: result[2] == '*',
               title: result[3],
-              line: number
+              line: number,
+              file: filename
             });
           }
         }
         return toc;
       };
+
+      /**
+      * Create the table of content
+      */
+      var parseTOC = function (content) {
+        if(content == null) {
+          return content;
+        }
+        return parseFileTOC(content, null, null, {}, []);
+      };
+
+      /**
+      * Create the table of content of a whole paper, starting from the root file.
+      * files contains the content of the paper files by name.
+      */
+      var parseProjectTOC = function (files, root) {
+        if(files[root] == null) {
+          return [];
+        }
+        var visited = {};
+        visited[root] = true;
+        return parseFileTOC(files[root], root, files, visited, []);
+      };
+
+      /**
+      * Resolve a path relative to the directory of a paper file
+      */
+      var resolvePath = function (filename, path) {
+        var parts = filename.split('/').slice(0, -1);
+        var segments = path.split('/');
+        for (var i = 0; i < segments.length; i++) {
+          if(segments[i] == '..') {
+            parts.pop();
+          } else if(segments[i] != '.' && segments[i] != '') {
+            parts.push(segments[i]);
+          }
+        }
+        return parts.join('/');
+      };
+
+      /**
+      * Get the root document declared in the header of a file with a
+      * `% !TEX root = main.tex` magic comment, relative to the paper directory.
+      * Returns null if the file declares no root document.
+      */
+      var texRoot = function (content, filename) {
+        if(content == null) return null;
+        var lines = content.split('\n');
+        for (var i = 0; i < lines.length; i++) {
+          var line = lines[i].trim();
+          if(line == '') continue;
+          // magic comments are only read before the file content starts
+          if(line.charAt(0) != '%') break;
+          var result = /^%\s*!TEX\s+root\s*=\s*(.+)$/i.exec(line);
+          if(result) {
+            var root = resolvePath(filename, result[1].trim());
+            if(!/\.tex$/.test(root)) root += '.tex';
+            return root;
+          }
+        }
+        return null;
+      };
+      /**
+      * The environment tokens (\begin{name} and \end{name}) of a line, without its comment
+      */
+      var environmentTokens = function (line) {
+        var tokens = [];
+        line = line.replace(/(^|[^\\])%.*$/, '$1');
+        var reg = /\\(begin|end)\s*{([^}]+)}/g;
+        var result;
+        while ((result = reg.exec(line)) !== null) {
+          tokens.push({ begin: result[1] == 'begin', name: result[2], column: result.index, length: result[0].length });
+        }
+        return tokens;
+      };
+
+      /**
+      * Get the range of the innermost environment (other than the document)
+      * containing a position, from its \begin to the end of its \end.
+      * Returns null if the position is in no environment.
+      */
+      var environmentAt = function (lines, row, column) {
+        // look backward for an environment opened and not closed before the position
+        var closed = {};
+        var start = null;
+        for (var r = row; r >= 0 && start == null; r--) {
+          var tokens = environmentTokens(r == row ? lines[r].substring(0, column) : lines[r]);
+          for (var i = tokens.length - 1; i >= 0; i--) {
+            var token = tokens[i];
+            if(!token.begin) {
+              closed[token.name] = (closed[token.name] || 0) + 1;
+            } else if(closed[token.name]) {
+              closed[token.name]--;
+            } else if(token.name != 'document') {
+              start = { row: r, column: token.column, name: token.name };
+              break;
+            }
+          }
+        }
+        if(start == null) return null;
+        // then forward for the end matching it
+        var level = 0;
+        for (var r = start.row; r < lines.length; r++) {
+          var tokens = environmentTokens(lines[r]);
+          for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            if(token.name != start.name || (r == start.row && token.column < start.column)) continue;
+            level += token.begin ? 1 : -1;
+            if(level == 0) {
+              return {
+                start: { row: start.row, column: start.column },
+                end: { row: r, column: token.column + token.length }
+              };
+            }
+          }
+        }
+        return null;
+      };
       /**
       * Search new latex commands
       */
@@ -93,10 +222,80 @@ angular.module('bluelatex.Paper.Services.Latex', [])
         return commands;
       };
 
+      /**
+      * Get the package defining each known command (with its backslash) or environment
+      */
+      var packages = null;
+      var getPackages = function () {
+        if(packages == null) {
+          packages = $http.get("resources/texPackages.json").then(function (data) {
+            return data.data;
+          }, function (err) {
+            $log.error(err);
+            return {};
+          });
+        }
+        return packages;
+      };
+
+      /**
+      * The source text around which an error was raised:
+      * what TeX read before the error on the input line, and what it did not read yet
+      */
+      var errorContext = function (raw) {
+        var lines = raw.split('\n');
+        for (var i = 0; i < lines.length; i++) {
+          var result = /^l\.[0-9]+ (.*)$/.exec(lines[i]);
+          if(result) {
+            return { read: result[1], next: (lines[i+1] || '').replace(/^\s+/, '') };
+          }
+        }
+        return null;
+      };
+
+      /**
+      * Suggest fixes for a compiler log entry, given the known packages
+      */
+      var quickFixes = function (entry, packages) {
+        var fixes = [];
+        var message = entry.message || '';
+        var result;
+        if(/^Undefined control sequence/.test(message)) {
+          // the undefined command ends the first line of context
+          var commands = (entry.raw.split('\n')[1] || '').match(/\\[a-zA-Z@]+/g);
+          var command = commands ? commands[commands.length - 1] : null;
+          if(command && packages[command]) {
+            fixes.push({ type: 'usepackage', package: packages[command], command: command });
+          }
+        } else if((result = /Environment (\S+) undefined/.exec(message)) && packages[result[1]]) {
+          fixes.push({ type: 'usepackage', package: packages[result[1]], command: result[1] });
+        } else if((result = /File `([^']+)\.sty' not found/.exec(message))) {
+          fixes.push({ type: 'removepackage', package: result[1] });
+        } else if(/^Missing \$ inserted/.test(message)) {
+          var context = errorContext(entry.raw);
+          if(context && entry.line) {
+            var text = /(\S*)$/.exec(context.read)[1] + /^(\S*)/.exec(context.next)[1];
+            if(text != '') {
+              fixes.push({ type: 'math', text: text });
+            }
+          }
+        } else if((result = /^Citation `([^']+)' on page/.exec(message))) {
+          fixes.push({ type: 'bibentry', key: result[1] });
+        } else if((result = /^Reference `([^']+)' on page/.exec(message))) {
+          fixes.push({ type: 'label', key: result[1] });
+        }
+        return fixes;
+      };
+
       return {
         parseTOC: parseTOC,
+        parseProjectTOC: parseProjectTOC,
+        texRoot: texRoot,
+        environmentAt: environmentAt,
         parseCommands: parseCommands,
-        parseLabels: parseLabels
+        parseLabels: parseLabels,
+        getPackages: getPackages,
+        quickFixes: quickFixes
       };
     }
   ]);
\ No newline at end of file
@@ -0,0 +1,103 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* Store in IndexedDB the text of the synchronized files that the server
+* did not acknowledge yet, so that it survives a reload or a crash
+*/
+angular.module('bluelatex.Paper.Services.OfflineStore', [])
+  .factory("OfflineStoreService", ['$rootScope', '$q', '$log',
+    function ($rootScope, $q, $log) {
+      // the IndexedDB database keeping the changes not acknowledged by the server
+      var database = null;
+
+      var digest = function () {
+        $rootScope.$$phase || $rootScope.$apply();
+      };
+
+      // open the offline database, rejected if the browser has no IndexedDB
+      var openDatabase = function () {
+        if(database == null) {
+          var deferred = $q.defer();
+          database = deferred.promise;
+          if(!window.indexedDB) {
+            deferred.reject('IndexedDB is not available');
+          } else {
+            var request = window.indexedDB.open('bluelatex', 1);
+            request.onupgradeneeded = function (event) {
+              event.target.result.createObjectStore('files', { keyPath: 'id' });
+            };
+            request.onsuccess = function (event) {
+              deferred.resolve(event.target.result);
+              digest();
+            };
+            request.onerror = function (event) {
+              $log.warn('Unable to open the offline database', event.target.error);
+              deferred.reject(event.target.error);
+              digest();
+            };
+          }
+        }
+        return database;
+      };
+
+      var key = function (paperId, file) {
+        return paperId + '/' + file;
+      };
+
+      // load the state of a file stored offline, if any
+      var load = function (paperId, file) {
+        return openDatabase().then(function (db) {
+          var deferred = $q.defer();
+          var request = db.transaction('files', 'readonly').objectStore('files').get(key(paperId, file));
+          request.onsuccess = function (event) {
+            deferred.resolve(event.target.result);
+            digest();
+          };
+          request.onerror = function (event) {
+            deferred.reject(event.target.error);
+            digest();
+          };
+          return deferred.promise;
+        });
+      };
+
+      // store the text of a file and the text the server last acknowledged,
+      // or forget the file when they are the same
+      var save = function (paperId, file, shadowText, clientText) {
+        return openDatabase().then(function (db) {
+          var files = db.transaction('files', 'readwrite').objectStore('files');
+          if(clientText == shadowText) {
+            files['delete'](key(paperId, file));
+          } else {
+            files.put({
+              id: key(paperId, file),
+              paperId: paperId,
+              file: file,
+              shadowText: shadowText,
+              clientText: clientText,
+              date: new Date().getTime()
+            });
+          }
+        });
+      };
+
+      return {
+        load: load,
+        save: save
+      };
+    }
+  ]);
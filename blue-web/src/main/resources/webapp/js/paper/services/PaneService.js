@@ -0,0 +1,127 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* The editor panes of a paper: the main pane and the split pane, which
+* is only displayed in split mode. A file is displayed in one pane at most.
+*/
+angular.module('bluelatex.Paper.Services.Pane', [])
+  .factory("PaneService", [
+    function () {
+      var panes;
+      // the pane of the current file
+      var activePane;
+      var splitMode;
+
+      // start with the main pane displaying a file
+      var reset = function (file) {
+        panes = {
+          main: { file: file },
+          split: { file: null }
+        };
+        activePane = 'main';
+        splitMode = false;
+        return panes;
+      };
+
+      var isDisplayed = function (pane) {
+        return pane != 'split' || splitMode;
+      };
+
+      // the files displayed in the panes
+      var getDisplayedFiles = function () {
+        var files = [];
+        for(var pane in panes) {
+          if(!isDisplayed(pane)) continue;
+          if(panes[pane].file && panes[pane].file.title) {
+            files.push(panes[pane].file.title);
+          }
+        }
+        return files;
+      };
+
+      // the pane displaying a file, if any
+      var getPaneOfFile = function (filename) {
+        for(var pane in panes) {
+          if(!isDisplayed(pane)) continue;
+          if(panes[pane].file && panes[pane].file.title == filename) {
+            return pane;
+          }
+        }
+        return null;
+      };
+
+      // make a pane the active one, returns false if it already was
+      var focus = function (pane) {
+        if(activePane == pane) return false;
+        activePane = pane;
+        return true;
+      };
+
+      var openSplitMode = function () {
+        if(splitMode) return false;
+        splitMode = true;
+        return true;
+      };
+
+      // go back to the main pane only, returns the file the split pane displayed
+      var closeSplitMode = function () {
+        if(!splitMode) return null;
+        var file = panes.split.file;
+        activePane = 'main';
+        splitMode = false;
+        panes.split.file = null;
+        return file;
+      };
+
+      reset({});
+
+      return {
+        reset: reset,
+        getPanes: function () {
+          return panes;
+        },
+        getFile: function (pane) {
+          if(pane == null) {
+            pane = activePane;
+          }
+          return panes[pane].file;
+        },
+        // display a file in a pane, the active one by default
+        setFile: function (file, pane) {
+          if(pane == null) {
+            pane = activePane;
+          }
+          panes[pane].file = file;
+        },
+        getActivePane: function () {
+          return activePane;
+        },
+        isActivePane: function (pane) {
+          return activePane == pane;
+        },
+        isSplitMode: function () {
+          return splitMode;
+        },
+        isDisplayed: isDisplayed,
+        getDisplayedFiles: getDisplayedFiles,
+        getPaneOfFile: getPaneOfFile,
+        focus: focus,
+        openSplitMode: openSplitMode,
+        closeSplitMode: closeSplitMode
+      };
+    }
+  ]);
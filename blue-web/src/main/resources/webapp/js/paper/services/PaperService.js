@@ -525,6 +525,69 @@ angular.module('bluelatex.Paper.Services.Paper', ["ngResource",'angular-data.DSC
           });
           return deferred.promise;
         },
+        // the saved content of a synchronized file, as is
+        getSynchronizedFile: function (paper_id, filename) {
+          var deferred = $q.defer();
+          $http({
+            method:'get',
+            url: api_prefix + "/papers/"+paper_id+"/files/synchronized/"+filename,
+            transformResponse: function (data) {
+              return data;
+            }
+          }).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        getFileRevisions: function (paper_id, filename) {
+          var deferred = $q.defer();
+          $http({
+            method:'get',
+            url: api_prefix + "/papers/"+paper_id+"/files/history/"+filename
+          }).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        getFileRevision: function (paper_id, filename, revision) {
+          var deferred = $q.defer();
+          $http({
+            method:'get',
+            url: api_prefix + "/papers/"+paper_id+"/files/history/"+filename+"/"+revision,
+            transformResponse: function (data) {
+              return data;
+            }
+          }).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        restoreFileRevision: function (paper_id, filename, revision) {
+          var deferred = $q.defer();
+          $http({
+            method:'post',
+            url: api_prefix + "/papers/"+paper_id+"/files/history/"+filename+"/"+revision
+          }).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
         getZipUrl: function (paper_id) {
           return api_prefix + "/papers/" + paper_id + "/zip";
         },
@@ -593,10 +656,10 @@ angular.module('bluelatex.Paper.Services.Paper', ["ngResource",'angular-data.DSC
           });
           return promise;
         },
-        subscribePaperCompiler: function (paper_id) {
+        subscribePaperCompiler: function (paper_id, trigger, main, includeonly) {
           var deferred = $q.defer();
           var promise = deferred.promise;
-          compiler.subscribe({paper_id: paper_id},{}).$promise.then(function (data) {
+          compiler.subscribe({paper_id: paper_id, trigger: trigger, main: main, includeonly: includeonly},{}).$promise.then(function (data) {
             deferred.resolve(data);
           }, function (error) {
             deferred.reject(error);
@@ -605,6 +668,66 @@ angular.module('bluelatex.Paper.Services.Paper', ["ngResource",'angular-data.DSC
           });
           return promise;
         },
+        // the progress of the current or last compilation
+        getCompilationStatus: function (paper_id) {
+          var deferred = $q.defer();
+          $http({method:'get',url: api_prefix + "/papers/"+paper_id+"/compiler/status"}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        // kill the running compilation
+        cancelCompilation: function (paper_id) {
+          var deferred = $q.defer();
+          $http({method:'post',url: api_prefix + "/papers/"+paper_id+"/compiler/cancel"}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        // the last compilations of the paper, the most recent first
+        getCompilations: function (paper_id) {
+          var deferred = $q.defer();
+          $http({method:'get',url: api_prefix + "/papers/"+paper_id+"/compilations"}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        // compile a snippet alone with the preamble of the paper, resolved with the URL of its image
+        previewSnippet: function (paper_id, text) {
+          var deferred = $q.defer();
+          $http({method:'post',url: api_prefix + "/papers/"+paper_id+"/compiler/snippet", data: {text: text}, responseType: 'arraybuffer'}).then(function (data) {
+            deferred.resolve(URL.createObjectURL(new Blob([data.data], {type: 'image/png'})));
+          }, function (error) {
+            // the error description is received as binary data too
+            try {
+              error.data = JSON.parse(new TextDecoder('utf-8').decode(new Uint8Array(error.data)));
+            } catch(e) {
+              error.data = null;
+            }
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        getCompilationPDFUrl: function (paper_id, compilation_id) {
+          return api_prefix + "/papers/" + paper_id + "/compilations/" + compilation_id + "/pdf";
+        },
+        getCompilationLogUrl: function (paper_id, compilation_id) {
+          return api_prefix + "/papers/" + paper_id + "/compilations/" + compilation_id + "/log";
+        },
         joinPaper: function (paper_id, peer_id) {
           var deferred = $q.defer();
           var promise = deferred.promise;
@@ -670,6 +793,36 @@ angular.module('bluelatex.Paper.Services.Paper', ["ngResource",'angular-data.DSC
           });
           return deferred.promise;
         },
+        // the programs run during the last build
+        getBuildSteps: function (paper_id) {
+          var deferred = $q.defer();
+          $http({method:'get',url: api_prefix + "/papers/"+paper_id+"/compiled/steps"}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        // the output of a program run during the last build
+        getBuildStepLog: function (paper_id, program) {
+          var deferred = $q.defer();
+          $http({
+            method:'get',
+            url: api_prefix + "/papers/"+paper_id+"/compiled/steps/"+program+"/log",
+            transformResponse: function (data) {
+              return data;
+            }
+          }).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
         getPages: function (paper_id) {
           var deferred = $q.defer();
           var promise = deferred.promise;
@@ -682,6 +835,156 @@ angular.module('bluelatex.Paper.Services.Paper', ["ngResource",'angular-data.DSC
           });
           return promise;
         },
+        // the width and height of each page of the compiled paper, in PDF points
+        getPageDimensions: function (paper_id) {
+          var deferred = $q.defer();
+          $http({method:'get',url: api_prefix + "/papers/"+paper_id+"/compiled/dimensions"}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        getComments: function (paper_id) {
+          var deferred = $q.defer();
+          $http({method:'get',url: api_prefix + "/papers/"+paper_id+"/comments"}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        // a thread suggesting a replacement of its range may have no text
+        createCommentThread: function (paper_id, anchor, text, suggestion) {
+          var deferred = $q.defer();
+          $http({method:'post',url: api_prefix + "/papers/"+paper_id+"/comments", data: {anchor: anchor, text: text, suggestion: suggestion}}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        replyCommentThread: function (paper_id, thread_id, text) {
+          var deferred = $q.defer();
+          $http({method:'post',url: api_prefix + "/papers/"+paper_id+"/comments/"+thread_id, data: {text: text}}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        // only the `resolved`, `anchor` and `suggestion` fields of a thread can be modified
+        modifyCommentThread: function (paper_id, thread_id, newvalue, oldvalue) {
+          var deferred = $q.defer();
+          var path_json = jsonpatch.compare({resolved: oldvalue.resolved, anchor: oldvalue.anchor, suggestion: oldvalue.suggestion},
+                                            {resolved: newvalue.resolved, anchor: newvalue.anchor, suggestion: newvalue.suggestion});
+          $http({
+            method:'PATCH',
+            url: api_prefix + "/papers/"+paper_id+"/comments/"+thread_id,
+            headers: {'Content-Type': 'application/json-patch'},
+            data: path_json
+          }).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        getChat: function (paper_id) {
+          var deferred = $q.defer();
+          $http({method:'get',url: api_prefix + "/papers/"+paper_id+"/chat"}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        // the message is saved in the history, it is sent to the other peers by the synchronization
+        postChatMessage: function (paper_id, text) {
+          var deferred = $q.defer();
+          $http({method:'post',url: api_prefix + "/papers/"+paper_id+"/chat", data: {text: text}}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        getSnapshots: function (paper_id) {
+          var deferred = $q.defer();
+          $http({method:'get',url: api_prefix + "/papers/"+paper_id+"/snapshots"}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        createSnapshot: function (paper_id, name) {
+          var deferred = $q.defer();
+          $http({method:'post',url: api_prefix + "/papers/"+paper_id+"/snapshots", data: {name: name}}).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        getSnapshotFile: function (paper_id, snapshot_id, filename) {
+          var deferred = $q.defer();
+          $http({
+            method:'get',
+            url: api_prefix + "/papers/"+paper_id+"/snapshots/"+snapshot_id+"/files/"+filename,
+            transformResponse: function (data) {
+              return data;
+            }
+          }).then(function (data) {
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
+        getSnapshotZipUrl: function (paper_id, snapshot_id) {
+          return api_prefix + "/papers/" + paper_id + "/snapshots/" + snapshot_id + "/zip";
+        },
+        branchSnapshot: function (paper_id, snapshot_id, name) {
+          var deferred = $q.defer();
+          $http({
+            method:'post',
+            url: api_prefix + "/papers/"+paper_id+"/snapshots/"+snapshot_id+"/branch",
+            data: {name: name},
+            // the response is the identifier of the new paper
+            transformResponse: function (data) {
+              return JSON.parse(data);
+            }
+          }).then(function (data) {
+            _dataCache.remove('/userPapers');
+            deferred.resolve(data.data);
+          }, function (error) {
+            deferred.reject(error);
+          }, function (progress) {
+            deferred.notify(progress);
+          });
+          return deferred.promise;
+        },
         getUserPapers: function (user) {
           var deferred = $q.defer();
           if (_dataCache.get('/userPapers')) deferred.resolve(_dataCache.get('/userPapers'));
@@ -0,0 +1,244 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+* Search a text in the pages of a PDF document loaded with PDF.js
+*/
+angular.module("bluelatex.Paper.Services.PdfSearch", [])
+  .factory("PdfSearchService", ['$q',
+    function ($q) {
+      // the text of the pages of the last searched document, extracted once
+      var extracted = { pdf: null, pages: {} };
+
+      /**
+      * The text of a page without its whitespaces, as the lines and the words of the
+      * PDF are not always separated, and the position of each of its characters
+      */
+      var pageText = function (pdf, number) {
+        if(extracted.pdf != pdf) {
+          extracted = { pdf: pdf, pages: {} };
+        }
+        if(extracted.pages[number] == null) {
+          var deferred = $q.defer();
+          pdf.getPage(number).then(function (page) {
+            page.getTextContent().then(function (content) {
+              var text = {
+                page: number,
+                width: page.view[2] - page.view[0],
+                height: page.view[3] - page.view[1],
+                items: [],
+                chars: '',
+                positions: []
+              };
+              for (var i = 0; i < content.items.length; i++) {
+                var item = content.items[i];
+                text.items.push({
+                  length: item.str.length,
+                  left: item.transform[4] - page.view[0],
+                  bottom: item.transform[5] - page.view[1],
+                  width: item.width,
+                  height: item.height
+                });
+                for (var j = 0; j < item.str.length; j++) {
+                  if(/\s/.test(item.str.charAt(j))) continue;
+                  text.chars += item.str.charAt(j).toLowerCase();
+                  text.positions.push({ item: i, offset: j });
+                }
+              }
+              deferred.resolve(text);
+            }, function (error) {
+              deferred.reject(error);
+            });
+          }, function (error) {
+            deferred.reject(error);
+          });
+          // a failed extraction is tried again by the next search
+          var cache = extracted.pages;
+          deferred.promise.then(null, function () {
+            if(cache[number] === deferred.promise) {
+              delete cache[number];
+            }
+          });
+          cache[number] = deferred.promise;
+        }
+        return extracted.pages[number];
+      };
+
+      /**
+      * The areas covered by a match, in fractions of the page dimensions
+      * from its top left corner, and its position in PDF points from this corner
+      */
+      var matchOf = function (text, start, end) {
+        var first = text.positions[start];
+        var last = text.positions[end - 1];
+        var rects = [];
+        for (var i = first.item; i <= last.item; i++) {
+          var item = text.items[i];
+          if(item.length == 0) continue;
+          var from = i == first.item ? first.offset : 0;
+          var to = i == last.item ? last.offset + 1 : item.length;
+          var left = item.left + item.width * from / item.length;
+          rects.push({
+            x: left / text.width,
+            y: 1 - (item.bottom + item.height) / text.height,
+            width: item.width * (to - from) / item.length / text.width,
+            height: item.height / text.height
+          });
+        }
+        var firstItem = text.items[first.item];
+        return {
+          page: text.page,
+          rects: rects,
+          left: firstItem.left + firstItem.width * first.offset / Math.max(firstItem.length, 1),
+          baseline: text.height - firstItem.bottom
+        };
+      };
+
+      /**
+      * Search a text in every page of the document, ignoring the case and the whitespaces.
+      * Resolved with the matches in the order of the document.
+      */
+      var search = function (pdf, query) {
+        var needle = query.replace(/\s+/g, '').toLowerCase();
+        if(pdf == null || needle == '') return $q.when([]);
+        var pages = [];
+        for (var number = 1; number <= pdf.numPages; number++) {
+          pages.push(pageText(pdf, number));
+        }
+        return $q.all(pages).then(function (texts) {
+          var matches = [];
+          for (var i = 0; i < texts.length; i++) {
+            var index = texts[i].chars.indexOf(needle);
+            while(index != -1) {
+              matches.push(matchOf(texts[i], index, index + needle.length));
+              index = texts[i].chars.indexOf(needle, index + needle.length);
+            }
+          }
+          return matches;
+        });
+      };
+
+      // the text searched in the preview, its matches and the one shown with its source
+      var state;
+
+      // the search is closed when a paper is opened
+      var reset = function () {
+        state = {
+          visible: false,
+          query: '',
+          searched: null,
+          matches: [],
+          rects: {},
+          current: -1,
+          source: null
+        };
+        return state;
+      };
+
+      var clear = function () {
+        state.searched = null;
+        state.matches = [];
+        state.rects = {};
+        state.current = -1;
+        state.source = null;
+      };
+
+      var toggle = function () {
+        state.visible = !state.visible;
+        if(!state.visible) clear();
+      };
+
+      /**
+      * Keep the matches of a query with their areas by page.
+      * Returns the first match from the given page, or -1 if there is none.
+      */
+      var found = function (query, matches, page) {
+        var rects = {};
+        for (var i = 0; i < matches.length; i++) {
+          if(rects[matches[i].page] == null) rects[matches[i].page] = [];
+          for (var j = 0; j < matches[i].rects.length; j++) {
+            rects[matches[i].page].push(angular.extend({ match: i }, matches[i].rects[j]));
+          }
+        }
+        state.searched = query;
+        state.matches = matches;
+        state.rects = rects;
+        state.current = -1;
+        state.source = null;
+        for (var i = 0; i < matches.length; i++) {
+          if(matches[i].page >= page) return i;
+        }
+        return matches.length > 0 ? 0 : -1;
+      };
+
+      /**
+      * The source line typeset at the beginning of a match
+      */
+      var sourceOf = function (synctex, match) {
+        if(!synctex) return null;
+        var baseline = match.baseline - synctex.offset.y;
+        var left = match.left - synctex.offset.x;
+        var best = null;
+        var bestDistance = null;
+        var blocks = synctex.hBlocks;
+        for (var i = 0; i < blocks.length; i++) {
+          var block = blocks[i];
+          if(block.page != match.page || block.file == null) continue;
+          // prefer the blocks under the match to the other ones on its line
+          var distance = Math.abs(block.bottom - baseline) +
+            (left < block.left || left > block.left + block.width ? 1000 : 0);
+          if(bestDistance == null || distance < bestDistance) {
+            best = block;
+            bestDistance = distance;
+          }
+        }
+        if(best == null) return null;
+        var line = best.line;
+        for (var i = 0; i < best.elements.length; i++) {
+          if(best.elements[i].left <= left && best.elements[i].line > 0) line = best.elements[i].line;
+        }
+        return { file: best.file.name, line: line };
+      };
+
+      // show a match with its source
+      var select = function (index, synctex) {
+        var match = state.matches[index];
+        state.current = index;
+        state.source = sourceOf(synctex, match);
+        return match;
+      };
+
+      // the match after or before the shown one, or -1 if there is none
+      var step = function (delta) {
+        var count = state.matches.length;
+        if(count == 0) return -1;
+        return (state.current + delta + count) % count;
+      };
+
+      reset();
+
+      return {
+        search: search,
+        reset: reset,
+        clear: clear,
+        toggle: toggle,
+        found: found,
+        sourceOf: sourceOf,
+        select: select,
+        step: step
+      };
+    }
+  ]);
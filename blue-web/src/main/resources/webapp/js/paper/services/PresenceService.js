@@ -0,0 +1,88 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* The presence of the collaborators of a paper: the cursors are sent regularly
+* so that the other peers know that the user is still here and whether the user is idle
+*/
+angular.module('bluelatex.Paper.Services.Presence', ['bluelatex.Paper.Services.Follow'])
+  .factory("PresenceService", ['FollowService',
+    function (FollowService) {
+      // the cursors are sent regularly so that the other peers know that this one is still here
+      var presenceDelay = 30000;
+      // a peer that did not send its cursors for so long left the paper
+      var peerTimeout = 3 * presenceDelay;
+      // the user is idle after some time without moving in the editor or when the window is inactive
+      var idleDelay = 120000;
+      var lastActivity = new Date();
+      var presenceInterval = null;
+
+      // the user moved in the editor or came back to the window
+      var activity = function () {
+        lastActivity = new Date();
+      };
+
+      var isIdle = function (pageActive) {
+        return !pageActive || new Date().getTime() - lastActivity.getTime() > idleDelay;
+      };
+
+      // whether a peer missed several heartbeats
+      var isExpired = function (peer) {
+        return peer.time <= new Date(new Date().getTime() - peerTimeout);
+      };
+
+      /**
+      * Update where a user is and whether the user is idle, from the peer that moved last.
+      * A user without peer left the paper, and is not followed anymore.
+      */
+      var updatePresence = function (users, name) {
+        var user = users[name];
+        user.current = FollowService.lastPeer(user);
+        if(user.current == null) {
+          delete users[name];
+          if(FollowService.isFollowing(name)) {
+            FollowService.stop();
+          }
+          return;
+        }
+        user.idle = true;
+        for(var key in user.peer) {
+          user.idle = user.idle && user.peer[key].idle;
+        }
+      };
+
+      // call the heartbeat regularly, until stopped
+      var start = function (heartbeat) {
+        stop();
+        lastActivity = new Date();
+        presenceInterval = setInterval(heartbeat, presenceDelay);
+      };
+
+      var stop = function () {
+        clearInterval(presenceInterval);
+        presenceInterval = null;
+      };
+
+      return {
+        activity: activity,
+        isIdle: isIdle,
+        isExpired: isExpired,
+        updatePresence: updatePresence,
+        start: start,
+        stop: stop
+      };
+    }
+  ]);
@@ -0,0 +1,126 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* The problems of the last compilation, read from its log. The filters, the
+* grouping by file and the dock of the problems panel are kept between sessions.
+*/
+angular.module('bluelatex.Paper.Services.Problems', ['ngStorage'])
+  .factory("ProblemsService", ['$localStorage',
+    function ($localStorage) {
+      var problems;
+
+      // the file of a log entry, relative to the paper directory
+      var fileOf = function (entry) {
+        if(!entry.file) return null;
+        return entry.file.replace(/^\.\//, '');
+      };
+
+      // the panel is closed and empty when a paper is opened
+      var reset = function () {
+        problems = {
+          visible: false,
+          dock: $localStorage.problemsDock || 'left',
+          grouped: $localStorage.problemsGrouped !== false,
+          filters: $localStorage.problemsFilters || { error: true, warning: true, typesetting: true },
+          counts: { error: 0, warning: 0, typesetting: 0 },
+          all: [],
+          entries: [],
+          groups: [],
+          expanded: null
+        };
+        return problems;
+      };
+
+      // build the list of problems, filtered and grouped by file
+      var update = function () {
+        problems.entries = [];
+        problems.groups = [];
+        var groups = {};
+        for (var i = 0; i < problems.all.length; i++) {
+          var entry = problems.all[i];
+          if(!problems.filters[entry.level]) continue;
+          problems.entries.push(entry);
+          // without grouping, every entry is in a single group
+          var key = problems.grouped ? entry.file || '' : 'all';
+          if(!groups[key]) {
+            groups[key] = { file: problems.grouped ? entry.file : null, entries: [] };
+            problems.groups.push(groups[key]);
+          }
+          groups[key].entries.push(entry);
+        }
+        problems.groups.sort(function (a, b) {
+          return (a.file || '') < (b.file || '') ? -1 : 1;
+        });
+      };
+
+      // read the problems of the entries of a parsed log, with the fixes
+      // suggested for them
+      var read = function (logs, suggest) {
+        problems.all = [];
+        problems.counts = { error: 0, warning: 0, typesetting: 0 };
+        for (var i = 0; i < logs.length; i++) {
+          var entry = {
+            id: i,
+            level: logs[i].level,
+            file: fileOf(logs[i]),
+            line: logs[i].line,
+            message: logs[i].message,
+            raw: logs[i].raw,
+            fixes: suggest(logs[i])
+          };
+          problems.all.push(entry);
+          problems.counts[entry.level]++;
+        }
+        update();
+      };
+
+      var toggleFilter = function (level) {
+        problems.filters[level] = !problems.filters[level];
+        $localStorage.problemsFilters = problems.filters;
+        update();
+      };
+
+      var toggleGrouping = function () {
+        problems.grouped = !problems.grouped;
+        $localStorage.problemsGrouped = problems.grouped;
+        update();
+      };
+
+      // show the raw log of an entry, or hide it if it is already shown
+      var toggleContext = function (entry) {
+        problems.expanded = problems.expanded == entry.id ? null : entry.id;
+      };
+
+      // move the panel between the side list and the bottom of the editor
+      var toggleDock = function () {
+        problems.dock = problems.dock == 'left' ? 'bottom' : 'left';
+        $localStorage.problemsDock = problems.dock;
+      };
+
+      reset();
+
+      return {
+        reset: reset,
+        fileOf: fileOf,
+        read: read,
+        toggleFilter: toggleFilter,
+        toggleGrouping: toggleGrouping,
+        toggleContext: toggleContext,
+        toggleDock: toggleDock
+      };
+    }
+  ]);
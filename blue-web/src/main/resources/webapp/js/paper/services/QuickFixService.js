@@ -0,0 +1,154 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* The quick fixes of the problems of a compilation. A fix edits the
+* sessions of the synchronized files of a paper.
+*/
+angular.module('bluelatex.Paper.Services.QuickFix', ['bluelatex.Paper.Services.Ace', 'bluelatex.Paper.Services.Latex'])
+  .factory("QuickFixService", ['localize', 'AceService', 'LatexService', 'MessagesService',
+    function (localize, AceService, LatexService, MessagesService) {
+
+      // add the label displayed for a fix
+      var describe = function (fix) {
+        switch (fix.type) {
+        case 'usepackage':
+          fix.label = localize.getLocalizedString('_Quick_fix_Use_package_', fix.package);
+          break;
+        case 'removepackage':
+          fix.label = localize.getLocalizedString('_Quick_fix_Remove_package_', fix.package);
+          break;
+        case 'math':
+          fix.label = localize.getLocalizedString('_Quick_fix_Math_mode_', fix.text);
+          break;
+        case 'label':
+          fix.label = localize.getLocalizedString('_Quick_fix_Label_', fix.key);
+          break;
+        case 'bibentry':
+          fix.label = localize.getLocalizedString('_Quick_fix_Bib_entry_', fix.key);
+          break;
+        }
+        return fix;
+      };
+
+      // the fixes suggested for an entry of the log, with their label
+      var suggest = function (entry, packages) {
+        return LatexService.quickFixes(entry, packages).map(describe);
+      };
+
+      var fileDocument = function (paper, filename) {
+        return AceService.getFileSession(paper.id, filename).getDocument();
+      };
+
+      // find the first line matching a regular expression in the files of the paper
+      var findLine = function (paper, regex) {
+        for (var i = 0; i < paper.files.length; i++) {
+          var file = paper.files[i];
+          var lines = fileDocument(paper, file).getAllLines();
+          for (var row = 0; row < lines.length; row++) {
+            if(regex.test(lines[row])) return { file: file, row: row };
+          }
+        }
+        return null;
+      };
+
+      // escape the characters of a text that have a meaning in a regular expression
+      var escapeRegExp = function (text) {
+        return text.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+      };
+
+      var fixes = {
+        // load the package before the document starts
+        usepackage: function (paper, entry, fix) {
+          if(findLine(paper, new RegExp('^[^%]*\\\\usepackage(\\[[^\\]]*\\])?{[^}]*\\b' + escapeRegExp(fix.package) + '\\b'))) return true;
+          var doc = fileDocument(paper, paper.main);
+          var lines = doc.getAllLines();
+          for (var row = 0; row < lines.length; row++) {
+            if(/^[^%]*\\begin{document}/.test(lines[row])) {
+              doc.insertLines(row, ['\\usepackage{' + fix.package + '}']);
+              return { file: paper.main, line: row + 1 };
+            }
+          }
+          return false;
+        },
+        // comment the package out as it is not installed
+        removepackage: function (paper, entry, fix) {
+          var found = findLine(paper, new RegExp('^[^%]*\\\\usepackage(\\[[^\\]]*\\])?{' + escapeRegExp(fix.package) + '}'));
+          if(found == null) return false;
+          fileDocument(paper, found.file).insert({ row: found.row, column: 0 }, '% ');
+          return { file: found.file, line: found.row + 1 };
+        },
+        // wrap the text read when TeX entered math mode
+        math: function (paper, entry, fix) {
+          var doc = fileDocument(paper, entry.file);
+          var row = entry.line - 1;
+          var column = doc.getLine(row).indexOf(fix.text);
+          if(column < 0) return false;
+          doc.insert({ row: row, column: column + fix.text.length }, '$');
+          doc.insert({ row: row, column: column }, '$');
+          return { file: entry.file, line: entry.line };
+        },
+        // add a label stub at the end of the document, to be moved where it belongs
+        label: function (paper, entry, fix) {
+          var doc = fileDocument(paper, paper.main);
+          var lines = doc.getAllLines();
+          for (var row = lines.length - 1; row >= 0; row--) {
+            if(/^[^%]*\\end{document}/.test(lines[row])) {
+              doc.insertLines(row, ['% TODO move this label next to what it refers to', '\\label{' + fix.key + '}']);
+              return { file: paper.main, line: row + 2 };
+            }
+          }
+          return false;
+        },
+        // add an entry stub to the first bibliography file
+        bibentry: function (paper, entry, fix) {
+          for (var i = 0; i < paper.files.length; i++) {
+            var file = paper.files[i];
+            if(!/\.bib$/.test(file)) continue;
+            var doc = fileDocument(paper, file);
+            var row = doc.getLength();
+            doc.insertLines(row, ['', '@misc{' + fix.key + ',', '  author = {},', '  title = {},', '  year = {}', '}']);
+            return { file: file, line: row + 2 };
+          }
+          MessagesService.error('_Quick_fix_No_bibliography_');
+          return false;
+        }
+      };
+
+      /**
+      * Apply a fix of an entry to a paper, given with its id, its main file
+      * and its synchronized files.
+      * Returns the modified source line, true if nothing had to be modified
+      * or false if the fix could not be applied.
+      */
+      var apply = function (paper, entry, fix) {
+        var result = fixes[fix.type](paper, entry, fix);
+        if(!result) {
+          MessagesService.error('_Quick_fix_Not_applied_');
+          return false;
+        }
+        // the log is up to date with the next compilation
+        entry.fixes = [];
+        return result;
+      };
+
+      return {
+        describe: describe,
+        suggest: suggest,
+        apply: apply
+      };
+    }
+  ]);
@@ -0,0 +1,110 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* Scroll the editor and the preview together. The side scrolled by the user
+* leads, the scroll events of the other side are ignored meanwhile.
+*/
+angular.module('bluelatex.Paper.Services.ScrollSync', [])
+  .factory("ScrollSyncService", ['$window', '$document',
+    function ($window, $document) {
+      // whether the editor and the preview scroll together
+      var state = { locked: false };
+
+      // the duration of the smoothed scrolls, in ms
+      var duration = 200;
+      var leader = null;
+      var leaderTimeout = null;
+      var syncTimeout = null;
+      var animation = null;
+      var listener = null;
+
+      // the scroll events of the other side are ignored until the scroll ends
+      var lead = function (side) {
+        leader = side;
+        clearTimeout(leaderTimeout);
+        leaderTimeout = setTimeout(function () {
+          leader = null;
+        }, duration + 250);
+      };
+
+      // scroll smoothly from a position to another one
+      var animate = function (from, to, scrollTo) {
+        $window.cancelAnimationFrame(animation);
+        if(Math.abs(to - from) < 5) return;
+        var start = null;
+        var step = function (time) {
+          if(start == null) start = time;
+          var progress = Math.min((time - start) / duration, 1);
+          scrollTo(from + (to - from) * (1 - Math.pow(1 - progress, 3)));
+          if(progress < 1) animation = $window.requestAnimationFrame(step);
+        };
+        animation = $window.requestAnimationFrame(step);
+      };
+
+      // a side was scrolled, the other one is synchronized once the scroll settles
+      var scrolled = function (side, sync) {
+        if(!state.locked || (leader != null && leader != side)) return;
+        lead(side);
+        if(syncTimeout != null) return;
+        syncTimeout = setTimeout(function () {
+          syncTimeout = null;
+          sync();
+        }, 100);
+      };
+
+      // the scroll events do not bubble, they are captured for the preview
+      var start = function (previewScrolled) {
+        if(state.locked) return;
+        state.locked = true;
+        listener = previewScrolled;
+        $document[0].addEventListener('scroll', listener, true);
+      };
+
+      var stop = function () {
+        if(!state.locked) return;
+        state.locked = false;
+        $document[0].removeEventListener('scroll', listener, true);
+        listener = null;
+        $window.cancelAnimationFrame(animation);
+      };
+
+      /**
+      * The first line of a file typeset below a height of a page, in PDF points
+      */
+      var sourceLineAt = function (synctex, file, page, height) {
+        var best = null;
+        var blocks = synctex.hBlocks;
+        for (var i = 0; i < blocks.length; i++) {
+          var block = blocks[i];
+          if(block.page != page || block.line < 1 || block.bottom < height) continue;
+          if(block.file == null || block.file.name != file) continue;
+          if(best == null || block.bottom < best.bottom) best = block;
+        }
+        return best == null ? null : best.line;
+      };
+
+      return {
+        state: state,
+        lead: lead,
+        animate: animate,
+        scrolled: scrolled,
+        start: start,
+        stop: stop,
+        sourceLineAt: sourceLineAt
+      };
+    }
+  ]);
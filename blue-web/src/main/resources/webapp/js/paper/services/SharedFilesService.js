@@ -0,0 +1,56 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* Keep every synchronized file of a paper shared, so that they are all
+* kept up to date and not only the ones displayed in the editor.
+*/
+angular.module('bluelatex.Paper.Services.SharedFiles', ['MobWrite', 'bluelatex.Paper.Services.Ace'])
+  .factory("SharedFilesService", ['MobWriteService', 'AceService', '$q',
+    function (MobWriteService, AceService, $q) {
+
+      // share the synchronized files of a paper and stop sharing the ones that were removed
+      var share = function (paperId, synchronizedFiles) {
+        // the list could not be retrieved, keep the shared files
+        if(synchronizedFiles.length == 0) return $q.when();
+        var files = [];
+        var titles = [];
+        for (var i = 0; i < synchronizedFiles.length; i++) {
+          titles.push(synchronizedFiles[i].title);
+          files.push({paper_id: paperId,file:synchronizedFiles[i].title});
+        }
+        for(var title in MobWriteService.shared) {
+          if(titles.indexOf(title) < 0) {
+            MobWriteService.unshare({paper_id: paperId,file:title});
+            AceService.removeFileSession(paperId, title);
+          }
+        }
+        return MobWriteService.share.apply(null, files);
+      };
+
+      // stop sharing the files of a paper
+      var unshareAll = function (paperId) {
+        for(var title in MobWriteService.shared) {
+          MobWriteService.unshare({paper_id: paperId,file:title});
+        }
+      };
+
+      return {
+        share: share,
+        unshareAll: unshareAll
+      };
+    }
+  ]);
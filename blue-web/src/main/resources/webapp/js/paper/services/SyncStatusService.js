@@ -0,0 +1,58 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+/**
+* The state of the synchronization and the local changes overwritten
+* by the server, as they are displayed to the user
+*/
+angular.module('bluelatex.Paper.Services.SyncStatus', ['MobWrite'])
+  .factory("SyncStatusService", ['MobWriteService',
+    function (MobWriteService) {
+      // the state of the synchronization, updated by MobWrite
+      var status = MobWriteService.getStatus();
+
+      // the state displayed to the user: connected, syncing, pending or offline
+      var getState = function () {
+        if(status.state == 'offline') return 'offline';
+        if(status.pendingCount > 0) {
+          return status.state == 'syncing' ? 'syncing' : 'pending';
+        }
+        return 'connected';
+      };
+
+      // the diff between the text of the server and the local text it replaced
+      var getDiffs = function (overwrite) {
+        if(overwrite.diffs == null) {
+          var dmp = new diff_match_patch();
+          overwrite.diffs = dmp.diff_main(overwrite.serverText, overwrite.localText);
+          dmp.diff_cleanupSemantic(overwrite.diffs);
+        }
+        return overwrite.diffs;
+      };
+
+      // forget the overwrites the user was warned about
+      var dismissOverwrites = function () {
+        status.overwrites.splice(0, status.overwrites.length);
+      };
+
+      return {
+        status: status,
+        getState: getState,
+        getDiffs: getDiffs,
+        dismissOverwrites: dismissOverwrites
+      };
+    }
+  ]);
@@ -29,14 +29,21 @@ angularMobwrite
     minSyncInterval: 1000,
     maxSyncInterval: 4000,
     syncInterval: 2000,
+    // URL of the server-sent events pushed to this peer, if any
+    eventGateway: null,
+    // Maximum interval between syncs while events are pushed by the server
+    eventMaxSyncInterval: 10000,
+    // The server closes the events stream after each answer, or after a while without event.
+    // The events are lost if the browser does not get the next answer in this interval
+    eventTimeout: 30000,
     idPrefix: '',
     nullifyAll: false,
     communicationType: 'ajax',
     messageType: 'json'
   });
 
-angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfig',
-  function ($http, $log, $q,MobWriteConfig) {
+angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q', '$rootScope', 'MobWriteConfig',
+  function ($http, $log, $q, $rootScope, MobWriteConfig) {
 
     /**
      * PID of task which will trigger next Ajax request.
@@ -75,6 +82,122 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
      * @private
      */
     var syncAjaxObj_ = null;
+
+
+    /**
+     * Deferred of the shares waiting for their first synchronization.
+     * @type {Array.<Object>}
+     * @private
+     */
+    var pendingShares_ = [];
+
+
+    /**
+     * Source of the events pushed by the server.
+     * @type {EventSource?}
+     * @private
+     */
+    var eventSource_ = null;
+
+
+    /**
+     * Track whether the server currently pushes events.
+     * @type {boolean}
+     * @private
+     */
+    var eventsConnected_ = false;
+
+
+    /**
+     * PID of task which will notice that the events are not pushed anymore.
+     * @type {number?}
+     * @private
+     */
+    var eventsLostPid_ = null;
+
+
+    /**
+     * Track whether the server notified a change while a sync was airborne.
+     * @type {boolean}
+     * @private
+     */
+    var serverPending_ = false;
+
+
+    /**
+     * State of the synchronization, displayed to the user.
+     * `state` is one of 'connected', 'syncing' or 'offline',
+     * `pending` holds the files with changes the server did not acknowledge yet
+     * and `overwrites` the local texts the server discarded.
+     * @type {Object}
+     */
+    var syncStatus_ = {
+      state: 'connected',
+      pending: {},
+      pendingCount: 0,
+      lastSync: null,
+      overwrites: []
+    };
+
+
+    /**
+     * Make the status changes visible.
+     * @private
+     */
+    var statusChanged_ = function() {
+      syncStatus_.pendingCount = Object.keys(syncStatus_.pending).length;
+      $rootScope.$$phase || $rootScope.$apply();
+    };
+
+
+    /**
+     * Compute the files with changes the server did not acknowledge yet.
+     * @private
+     */
+    var updatePending_ = function() {
+      syncStatus_.pending = {};
+      for (var x in shared) {
+        if (shared.hasOwnProperty(x) &&
+            (shared[x].editStack.length > 0 || shared[x].getClientText() != shared[x].shadowText)) {
+          syncStatus_.pending[x] = true;
+        }
+      }
+    };
+
+
+    /**
+     * Notify a change of the user's text of a shared file.
+     * @param {string} file The file ID.
+     */
+    var localChange = function(file) {
+      if (shared.hasOwnProperty(file) && !syncStatus_.pending[file]) {
+        syncStatus_.pending[file] = true;
+        statusChanged_();
+      }
+    };
+
+
+    /**
+     * Record that the server overwrote the user's text.
+     * @param {string} file The file ID.
+     * @param {string} localText The discarded user's text.
+     * @param {string} serverText The server's text.
+     * @private
+     */
+    var overwritten_ = function(file, localText, serverText) {
+      if (localText == serverText) {
+        return;
+      }
+      var overwrite = {
+        file: file,
+        date: new Date(),
+        localText: localText,
+        serverText: serverText
+      };
+      syncStatus_.overwrites.push(overwrite);
+      $log.warn('Local changes of ' + file + ' overwritten by the server.');
+      $rootScope.$broadcast('MobWriteOverwrite', overwrite);
+    };
     /**
     * Return a random id that's 8 letters long.
     * 26*(26+10+4)^7 = 4,259,840,000,000
@@ -321,6 +444,15 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
       data.commands = [];
       data.peerId =  syncUsername;
 
+      // The shares waiting for this sync.
+      var pending = pendingShares_;
+      pendingShares_ = [];
+      var resolvePending = function (data) {
+        for (var i = 0; i < pending.length; i++) {
+          pending[i].resolve([data]);
+        }
+      };
+
       var empty = true;
       // Ask every shared object for their deltas.
       for (var x in shared) {
@@ -346,6 +478,8 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
         if (MobWriteConfig.debug) {
           $log.info('MobWrite task stopped.');
         }
+        stopEvents_();
+        resolvePending();
         return;
       }
       if (data.length == 1) {
@@ -367,6 +501,11 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
         $log.info('TO server:\n' + JSON.stringify(data));
       }
 
+      if (syncStatus_.state != 'offline') {
+        syncStatus_.state = 'syncing';
+        statusChanged_();
+      }
+
       // Schedule a watchdog task to catch us if something horrible happens.
       syncKillPid_ = setTimeout(syncKill_, MobWriteConfig.timeoutInterval);
 
@@ -378,7 +517,7 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
       var defer = $q.defer();
 
       if(MobWriteConfig.communicationType == 'ajax') {
-        syncAjaxObj_ = $http({
+        var request = syncAjaxObj_ = $http({
             url: MobWriteConfig.syncGateway,
             method: "POST",
             data: data,
@@ -386,14 +525,41 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
         }).success(function (value, status){
           syncCheckAjax_(value, status);
           defer.resolve(value);
+          resolvePending(value);
+        }).error(function (value, status){
+          if (syncAjaxObj_ !== request) {
+            // This request was already killed by the watchdog.
+            return;
+          }
+          // The shares it carried wait for the next sync,
+          // but the callers of this sync must not wait forever.
+          pendingShares_ = pending.concat(pendingShares_);
+          syncCheckAjax_(value, status);
+          defer.resolve();
         });
         syncAjaxObj_.resolve = defer.resolve;
+        syncAjaxObj_.pending = pending;
       } else if(MobWriteConfig.communicationType == 'webSocket') {
 
       }
       return defer.promise;
     };
 
+    /**
+     * Hand a message over to the object sharing its file if any,
+     * or to the given default object otherwise.
+     * @param {Object} command The message command.
+     * @param {Object?} file The default shared object.
+     * @private
+     */
+    var dispatchMessage_ = function(command, file) {
+      var target = shared.hasOwnProperty(command.filename) ? shared[command.filename] : file;
+      if(target && target.onMessage) {
+        // send message
+        target.onMessage(command);
+      }
+    };
+
     /**
      * Parse all server-side changes and distribute them to the shared objects.
      * @param {string} text Raw content from server.
@@ -415,10 +581,7 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
 
         // message
         if(command.action == null && command.json) {
-          if(file.onMessage) {
-            // send message
-            file.onMessage(command);
-          }
+          dispatchMessage_(command, file);
           continue;
         }
         
@@ -467,7 +630,9 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
             file.editStack = [];
             if (command.action.overwrite) {
               // Accept the server's raw text dump and wipe out any user's changes.
+              var localText = file.getClientText();
               file.setClientText(file.shadowText);
+              overwritten_(command.filename, localText, file.shadowText);
             }
             // Server-side activity.
             serverChange_ = true;
@@ -513,7 +678,9 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
                 if (command.action.overwrite) {
                   // Overwrite text.
                   file.shadowText = file.dmp.diff_text2(diffs);
+                  var localText = file.getClientText();
                   file.setClientText(file.shadowText);
+                  overwritten_(command.filename, localText, file.shadowText);
                 } else {
                   // Merge text.
                   var patches = file.dmp.patch_make(file.shadowText, diffs);
@@ -532,6 +699,11 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
       }
 
       computeSyncInterval_();
+      if (serverPending_) {
+        // The server notified changes while this sync was airborne.
+        serverPending_ = false;
+        MobWriteConfig.syncInterval = 0;
+      }
 
       // Ensure that there is only one sync task.
       clearTimeout(syncRunPid_);
@@ -548,7 +720,9 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
      * @private
      */
     var computeSyncInterval_ = function() {
-      var range = MobWriteConfig.maxSyncInterval - MobWriteConfig.minSyncInterval;
+      // Server-side changes are pushed, only client-side changes need frequent syncs.
+      var maxSyncInterval = eventsConnected_ ? MobWriteConfig.eventMaxSyncInterval : MobWriteConfig.maxSyncInterval;
+      var range = maxSyncInterval - MobWriteConfig.minSyncInterval;
       if (clientChange_) {
         // Client-side activity.
         // Cut the sync interval by 40% of the min-max range.
@@ -566,7 +740,83 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
       }
       // Keep the sync interval constrained between min and max.
       MobWriteConfig.syncInterval = Math.max(MobWriteConfig.minSyncInterval, MobWriteConfig.syncInterval);
-      MobWriteConfig.syncInterval = Math.min(MobWriteConfig.maxSyncInterval, MobWriteConfig.syncInterval);
+      MobWriteConfig.syncInterval = Math.min(maxSyncInterval, MobWriteConfig.syncInterval);
+    };
+
+
+    /**
+     * Listen to the events pushed by the server if it and the browser support them.
+     * Polling goes on anyway to send the client-side changes, and takes over
+     * alone when the events are not available.
+     * @private
+     */
+    var startEvents_ = function() {
+      if (eventSource_ || !MobWriteConfig.eventGateway || !window.EventSource ||
+          MobWriteConfig.communicationType != 'ajax' || MobWriteConfig.messageType != 'json') {
+        return;
+      }
+      eventSource_ = new EventSource(MobWriteConfig.eventGateway);
+      eventSource_.addEventListener('open', function() {
+        clearTimeout(eventsLostPid_);
+        eventsConnected_ = true;
+      });
+      eventSource_.addEventListener('error', function() {
+        clearTimeout(eventsLostPid_);
+        if (eventSource_ && eventSource_.readyState == EventSource.CLOSED) {
+          // The server refused the events, fall back to polling only.
+          if (MobWriteConfig.debug) {
+            $log.warn('Server events unavailable, polling.');
+          }
+          eventsConnected_ = false;
+          eventSource_ = null;
+        } else {
+          // The browser reconnects after each answer, poll again only if it does not succeed.
+          eventsLostPid_ = setTimeout(function() {
+            eventsConnected_ = false;
+          }, MobWriteConfig.eventTimeout);
+        }
+      });
+      // Messages sent by other peers.
+      eventSource_.addEventListener('sync', function(event) {
+        var sync = JSON.parse(event.data);
+        if (MobWriteConfig.debug) {
+          $log.info('EVENT from server:\n' + event.data);
+        }
+        $rootScope.$apply(function() {
+          for (var i = 0; i < sync.commands.length; i++) {
+            if (sync.commands[i].json) {
+              dispatchMessage_(sync.commands[i], null);
+            }
+          }
+        });
+      });
+      // Files modified by other peers, retrieve the changes right now.
+      eventSource_.addEventListener('modified', function(event) {
+        if (MobWriteConfig.debug) {
+          $log.info('EVENT from server, modified:\n' + event.data);
+        }
+        if (syncAjaxObj_) {
+          serverPending_ = true;
+        } else {
+          clearTimeout(syncRunPid_);
+          syncRunPid_ = setTimeout(synchronize, 10);
+        }
+      });
+    };
+
+
+    /**
+     * Stop listening to the events pushed by the server.
+     * @private
+     */
+    var stopEvents_ = function() {
+      if (eventSource_) {
+        eventSource_.close();
+        eventSource_ = null;
+      }
+      clearTimeout(eventsLostPid_);
+      eventsConnected_ = false;
+      serverPending_ = false;
     };
 
 
@@ -578,12 +828,16 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
       syncKillPid_ = null;
       if (syncAjaxObj_) {
         // Cleanup old Ajax connection.
+        // The shares it carried wait for the next sync.
+        pendingShares_ = syncAjaxObj_.pending.concat(pendingShares_);
         syncAjaxObj_.resolve();
         syncAjaxObj_ = null;
       }
       if (MobWriteConfig.debug) {
         $log.warn('Connection timeout.');
       }
+      syncStatus_.state = 'offline';
+      statusChanged_();
       clearTimeout(syncRunPid_);
       // Initiate a new sync right now.
       syncRunPid_ = setTimeout(synchronize, 1);
@@ -604,11 +858,23 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
       if (status == 200) {
         syncAjaxObj_ = null;
         analyzeResponse(value);
+        syncStatus_.state = 'connected';
+        syncStatus_.lastSync = new Date();
+        updatePending_();
+        statusChanged_();
       } else {
         if (MobWriteConfig.debug) {
           $log.warn('Connection error code: ' + status);
         }
         syncAjaxObj_ = null;
+        syncStatus_.state = 'offline';
+        updatePending_();
+        statusChanged_();
+        // Do not wait for the watchdog to try again.
+        clearTimeout(syncKillPid_);
+        syncKillPid_ = null;
+        clearTimeout(syncRunPid_);
+        syncRunPid_ = setTimeout(synchronize, MobWriteConfig.maxSyncInterval);
       }
     };
 
@@ -643,7 +909,7 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
      * @param {*} var_args Object(s) or ID(s) of object(s) to share.
      */
     var share = function(var_args) {
-      var promises = [];
+      var added = false;
       for (var i = 0; i < arguments.length; i++) {
         var el = arguments[i];
         var result = null;
@@ -667,32 +933,33 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
             continue;
           }
           shared[result.file] = result;
-
-          if (syncRunPid_ === null) {
-            // Startup the main task if it doesn't already exist.
-            if (MobWriteConfig.debug) {
-              $log.info('MobWrite task started.');
-            }
-          } else {
-            // Bring sync forward in time.
-            clearTimeout(syncRunPid_);
-          }
-          var deferredTimeout = $q.defer();
-          promises.push(deferredTimeout.promise);
-          syncRunPid_ = setTimeout(function () {
-            synchronize().then(function (data) {
-              deferredTimeout.resolve(data);
-            }, function(error) {
-              deferredTimeout.reject(error);
-            });
-          }, 10);
+          added = true;
         } else {
           if (MobWriteConfig.debug) {
             $log.warn('Share: Unknown widget type: ' + el + '.');
           }
         }
       }
-      return $q.all(promises);
+      if (!added) {
+        return $q.when([]);
+      }
+
+      if (syncRunPid_ === null) {
+        // Startup the main task if it doesn't already exist.
+        if (MobWriteConfig.debug) {
+          $log.info('MobWrite task started.');
+        }
+      } else {
+        // Bring sync forward in time.
+        clearTimeout(syncRunPid_);
+      }
+      // All the objects shared before the next sync are sent in one batch,
+      // and their shares are resolved when it is answered.
+      var deferred = $q.defer();
+      pendingShares_.push(deferred);
+      syncRunPid_ = setTimeout(synchronize, 10);
+      startEvents_();
+      return deferred.promise;
     };
 
 
@@ -1071,8 +1338,19 @@ angularMobwrite.factory("MobWriteService", ['$http', '$log', '$q','MobWriteConfi
     };
 
 
+    /**
+     * Retrieve the state of the synchronization.
+     * @return {Object} The status object, updated in place.
+     */
+    var getStatus = function() {
+      return syncStatus_;
+    };
+
+
     return {
       syncUsername: syncUsername,
+      getStatus: getStatus,
+      localChange: localChange,
       shareObj: shareObj,
       shared: shared,
       synchronize: synchronize,
@@ -0,0 +1,131 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('AceService', function () {
+  var AceService;
+  var editor;
+
+  beforeEach(function () {
+    AceService = angular.injector(['ng', 'bluelatex.Paper.Services.Ace']).get('AceService');
+    editor = ace.edit(document.createElement('div'));
+    AceService.aceLoaded(editor, function () {});
+  });
+
+  afterEach(function () {
+    editor.destroy();
+  });
+
+  describe('session pool', function () {
+
+    it('creates one session per file of a paper', function () {
+      expect(AceService.hasFileSession('paper1', 'main.tex')).toBe(false);
+      var session = AceService.getFileSession('paper1', 'main.tex');
+      expect(AceService.hasFileSession('paper1', 'main.tex')).toBe(true);
+      expect(AceService.getFileSession('paper1', 'main.tex')).toBe(session);
+      expect(AceService.getFileSession('paper1', 'intro.tex')).not.toBe(session);
+    });
+
+    it('keys the sessions by paper and file', function () {
+      var session = AceService.getFileSession('paper1', 'main.tex');
+      expect(AceService.getFileSession('paper2', 'main.tex')).not.toBe(session);
+      expect(AceService.hasFileSession('paper2', 'chapter1.tex')).toBe(false);
+    });
+
+    it('keeps the text and the undo history of a file when switching to another one', function () {
+      AceService.switchSession('paper1', 'main.tex');
+      editor.insert('Hello');
+      AceService.switchSession('paper1', 'intro.tex');
+      expect(editor.getValue()).toBe('');
+      editor.insert('World');
+
+      var session = AceService.switchSession('paper1', 'main.tex');
+      expect(editor.getSession()).toBe(session);
+      expect(AceService.getContent()).toBe('Hello');
+      expect(session.getUndoManager()).not.toBe(AceService.getFileSession('paper1', 'intro.tex').getUndoManager());
+    });
+
+    it('forgets the session of a removed file', function () {
+      var session = AceService.getFileSession('paper1', 'main.tex');
+      AceService.removeFileSession('paper1', 'main.tex');
+      expect(AceService.hasFileSession('paper1', 'main.tex')).toBe(false);
+      expect(AceService.getFileSession('paper1', 'main.tex')).not.toBe(session);
+    });
+
+    it('forgets the sessions of a paper only', function () {
+      AceService.getFileSession('paper1', 'main.tex');
+      AceService.getFileSession('paper1', 'intro.tex');
+      AceService.getFileSession('paper10', 'main.tex');
+      AceService.removeFileSessions('paper1');
+      expect(AceService.hasFileSession('paper1', 'main.tex')).toBe(false);
+      expect(AceService.hasFileSession('paper1', 'intro.tex')).toBe(false);
+      expect(AceService.hasFileSession('paper10', 'main.tex')).toBe(true);
+    });
+
+    it('gives the content of every file of a paper', function () {
+      AceService.getFileSession('paper1', 'main.tex').setValue('\\input{intro}');
+      AceService.getFileSession('paper1', 'intro.tex').setValue('Hello');
+      AceService.getFileSession('paper2', 'main.tex').setValue('Other');
+      expect(AceService.getFileContents('paper1')).toEqual({
+        'main.tex': '\\input{intro}',
+        'intro.tex': 'Hello'
+      });
+    });
+
+    it('notifies the changes of the file sessions', function () {
+      var changes = [];
+      var callback = function (paperId, file) {
+        changes.push(paperId + '/' + file);
+      };
+      AceService.registerFileChangeCallback(callback);
+      AceService.getFileSession('paper1', 'intro.tex').setValue('Hello');
+      AceService.removeFileChangeCallback(callback);
+      AceService.getFileSession('paper1', 'main.tex').setValue('World');
+      expect(changes).toEqual(['paper1/intro.tex']);
+    });
+
+  });
+
+  describe('panes', function () {
+    var split;
+
+    beforeEach(function () {
+      split = ace.edit(document.createElement('div'));
+      AceService.aceLoaded(split, function () {}, 'split');
+    });
+
+    afterEach(function () {
+      split.destroy();
+    });
+
+    it('displays a file in the editor of a pane', function () {
+      var session = AceService.switchSession('paper1', 'intro.tex', 'split');
+      expect(split.getSession()).toBe(session);
+      expect(AceService.getEditor('split')).toBe(split);
+      expect(AceService.getEditor('main')).toBe(editor);
+    });
+
+    it('keeps the session of a file when its pane is closed', function () {
+      var session = AceService.switchSession('paper1', 'intro.tex', 'split');
+      AceService.setActiveEditor('split');
+      AceService.removeEditor('split');
+      expect(AceService.getEditor()).toBe(editor);
+      expect(split.getSession()).not.toBe(session);
+      expect(AceService.getFileSession('paper1', 'intro.tex')).toBe(session);
+    });
+
+  });
+
+});
@@ -0,0 +1,63 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('ChapterModeService', function () {
+  var storage;
+  var config;
+
+  var inject = function () {
+    return angular.injector(['ng', 'bluelatex.Paper.Services.ChapterMode', function ($provide) {
+      $provide.value('$localStorage', storage);
+      $provide.constant('config', config);
+    }]).get('ChapterModeService');
+  };
+
+  beforeEach(function () {
+    storage = {};
+    config = { compilation_type: 'explicit' };
+  });
+
+  it('keeps the choice of the user', function () {
+    var ChapterModeService = inject();
+    expect(ChapterModeService.state.enabled).toBe(false);
+    ChapterModeService.state.enabled = true;
+    ChapterModeService.save();
+    expect(storage.chapterMode).toBe(true);
+    expect(inject().state.enabled).toBe(true);
+  });
+
+  it('typesets the edited chapter alone when enabled', function () {
+    var ChapterModeService = inject();
+    expect(ChapterModeService.chapterOf('chapters/intro.tex', 'main.tex')).toBe(null);
+    ChapterModeService.state.enabled = true;
+    expect(ChapterModeService.chapterOf('chapters/intro.tex', 'main.tex')).toBe('chapters/intro.tex');
+  });
+
+  it('always compiles the root document and other files fully', function () {
+    var ChapterModeService = inject();
+    ChapterModeService.state.enabled = true;
+    expect(ChapterModeService.chapterOf('main.tex', 'main.tex')).toBe(null);
+    expect(ChapterModeService.chapterOf('refs.bib', 'main.tex')).toBe(null);
+  });
+
+  it('is not available with background compilations', function () {
+    storage.chapterMode = true;
+    config.compilation_type = 'background';
+    var ChapterModeService = inject();
+    expect(ChapterModeService.state.available).toBe(false);
+    expect(ChapterModeService.chapterOf('chapters/intro.tex', 'main.tex')).toBe(null);
+  });
+});
@@ -0,0 +1,76 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('FollowService', function () {
+  var FollowService;
+  var editor;
+
+  var fire = function (type, target) {
+    var event = document.createEvent('Event');
+    event.initEvent(type, true, true);
+    target.dispatchEvent(event);
+  };
+
+  beforeEach(function () {
+    FollowService = angular.injector(['ng', 'bluelatex.Paper.Services.Follow']).get('FollowService');
+    editor = document.createElement('div');
+    editor.className = 'ace_editor ace-tm';
+    editor.appendChild(document.createElement('span'));
+    document.body.appendChild(editor);
+  });
+
+  afterEach(function () {
+    FollowService.stop();
+    document.body.removeChild(editor);
+  });
+
+  it('follows one collaborator at a time', function () {
+    FollowService.follow('alice');
+    expect(FollowService.isFollowing()).toBe(true);
+    expect(FollowService.isFollowing('alice')).toBe(true);
+    FollowService.follow('bob');
+    expect(FollowService.isFollowing('alice')).toBe(false);
+    expect(FollowService.state.name).toBe('bob');
+    FollowService.stop();
+    expect(FollowService.isFollowing()).toBe(false);
+  });
+
+  it('keeps following the preview or not when following someone else', function () {
+    FollowService.follow('alice');
+    expect(FollowService.state.preview).toBe(true);
+    FollowService.togglePreview();
+    FollowService.follow('bob');
+    expect(FollowService.state.preview).toBe(false);
+    FollowService.stop();
+    FollowService.follow('alice');
+    expect(FollowService.state.preview).toBe(true);
+  });
+
+  it('stops when the user types or clicks in an editor', function () {
+    FollowService.follow('alice');
+    fire('mousedown', document.body);
+    expect(FollowService.isFollowing()).toBe(true);
+    fire('keydown', editor.firstChild);
+    expect(FollowService.isFollowing()).toBe(false);
+  });
+
+  it('finds the peer of a user that moved last', function () {
+    var user = { peer: { a: { time: 2 }, b: { time: 5 }, c: { time: 1 } } };
+    expect(FollowService.lastPeer(user)).toBe(user.peer.b);
+    expect(FollowService.lastPeer({ peer: {} })).toBeNull();
+  });
+
+});
@@ -0,0 +1,120 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('OfflineStoreService', function () {
+  var OfflineStoreService;
+  // the object stores of the fake database
+  var stores;
+
+  // a minimal asynchronous IndexedDB
+  var fakeIndexedDB = function () {
+    var request = function (result) {
+      var r = {};
+      setTimeout(function () {
+        r.onsuccess({ target: { result: result } });
+      });
+      return r;
+    };
+    var db = {
+      createObjectStore: function (name) {
+        stores[name] = {};
+      },
+      transaction: function (name) {
+        return {
+          objectStore: function () {
+            var store = stores[name];
+            return {
+              get: function (key) {
+                return request(store[key]);
+              },
+              put: function (value) {
+                store[value.id] = value;
+              },
+              'delete': function (key) {
+                delete store[key];
+              }
+            };
+          }
+        };
+      }
+    };
+    return {
+      open: function () {
+        var r = {};
+        setTimeout(function () {
+          if(stores.files == null) {
+            r.onupgradeneeded({ target: { result: db } });
+          }
+          r.onsuccess({ target: { result: db } });
+        });
+        return r;
+      }
+    };
+  };
+
+  beforeEach(function () {
+    stores = {};
+    window.indexedDB = fakeIndexedDB();
+    OfflineStoreService = angular.injector(['ng', 'bluelatex.Paper.Services.OfflineStore']).get('OfflineStoreService');
+  });
+
+  afterEach(function () {
+    delete window.indexedDB;
+  });
+
+  it('stores the text of a file not acknowledged by the server', function (done) {
+    OfflineStoreService.save('paper', 'main.tex', 'Hello', 'Hello world').then(function () {
+      return OfflineStoreService.load('paper', 'main.tex');
+    }).then(function (state) {
+      expect(state.shadowText).toBe('Hello');
+      expect(state.clientText).toBe('Hello world');
+      expect(state.id).toBe('paper/main.tex');
+      done();
+    });
+  });
+
+  it('forgets a file once the server acknowledged its text', function (done) {
+    OfflineStoreService.save('paper', 'main.tex', 'Hello', 'Hello world').then(function () {
+      return OfflineStoreService.save('paper', 'main.tex', 'Hello world', 'Hello world');
+    }).then(function () {
+      return OfflineStoreService.load('paper', 'main.tex');
+    }).then(function (state) {
+      expect(state).toBeUndefined();
+      expect(stores.files).toEqual({});
+      done();
+    });
+  });
+
+  it('keeps the files of each paper apart', function (done) {
+    OfflineStoreService.save('paper1', 'main.tex', 'Hello', 'Hello world').then(function () {
+      return OfflineStoreService.load('paper2', 'main.tex');
+    }).then(function (state) {
+      expect(state).toBeUndefined();
+      done();
+    });
+  });
+
+  it('fails without IndexedDB', function (done) {
+    delete window.indexedDB;
+    var injector = angular.injector(['ng', 'bluelatex.Paper.Services.OfflineStore']);
+    injector.get('OfflineStoreService').load('paper', 'main.tex').then(null, function (error) {
+      expect(error).toBe('IndexedDB is not available');
+      done();
+    });
+    injector.get('$rootScope').$digest();
+  });
+
+});
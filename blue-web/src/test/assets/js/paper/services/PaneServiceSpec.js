@@ -0,0 +1,80 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+ 
+describe('PaneService', function () {
+  var PaneService;
+  var main = { title: 'main.tex' };
+  var intro = { title: 'intro.tex' };
+
+  beforeEach(function () {
+    PaneService = angular.injector(['ng', 'bluelatex.Paper.Services.Pane']).get('PaneService');
+    PaneService.reset(main);
+  });
+
+  describe('getPaneOfFile', function () {
+
+    it('finds the pane displaying a file', function () {
+      expect(PaneService.getPaneOfFile('main.tex')).toBe('main');
+      expect(PaneService.getPaneOfFile('intro.tex')).toBeNull();
+    });
+
+    it('ignores the split pane outside of split mode', function () {
+      PaneService.setFile(intro, 'split');
+      expect(PaneService.getPaneOfFile('intro.tex')).toBeNull();
+      expect(PaneService.getDisplayedFiles()).toEqual(['main.tex']);
+
+      PaneService.openSplitMode();
+      expect(PaneService.getPaneOfFile('intro.tex')).toBe('split');
+      expect(PaneService.getDisplayedFiles()).toEqual(['main.tex', 'intro.tex']);
+    });
+
+  });
+
+  describe('focus', function () {
+
+    it('makes the pane of a displayed file the active one', function () {
+      PaneService.openSplitMode();
+      PaneService.setFile(intro, 'split');
+      expect(PaneService.focus(PaneService.getPaneOfFile('intro.tex'))).toBe(true);
+      expect(PaneService.getActivePane()).toBe('split');
+      expect(PaneService.getFile()).toBe(intro);
+      expect(PaneService.focus('split')).toBe(false);
+    });
+
+    it('changes the file of the active pane only', function () {
+      PaneService.openSplitMode();
+      PaneService.setFile(intro, 'split');
+      PaneService.focus('split');
+      var chapter = { title: 'chapter.tex' };
+      PaneService.setFile(chapter);
+      expect(PaneService.getFile('split')).toBe(chapter);
+      expect(PaneService.getFile('main')).toBe(main);
+    });
+
+    it('goes back to the main pane when the split mode is closed', function () {
+      PaneService.openSplitMode();
+      PaneService.setFile(intro, 'split');
+      PaneService.focus('split');
+      expect(PaneService.closeSplitMode()).toBe(intro);
+      expect(PaneService.isSplitMode()).toBe(false);
+      expect(PaneService.getActivePane()).toBe('main');
+      expect(PaneService.getFile('split')).toBeNull();
+      expect(PaneService.closeSplitMode()).toBeNull();
+    });
+
+  });
+
+});
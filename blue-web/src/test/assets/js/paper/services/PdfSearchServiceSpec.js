@@ -0,0 +1,112 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('PdfSearchService', function () {
+  var PdfSearchService;
+  var $rootScope;
+  var $q;
+
+  // a document whose pages have one text item per string
+  var fakePdf = function (pages) {
+    return {
+      numPages: pages.length,
+      getPage: function (number) {
+        return $q.when({
+          view: [0, 0, 600, 800],
+          getTextContent: function () {
+            return $q.when({
+              items: pages[number - 1].map(function (str, i) {
+                return { str: str, transform: [1, 0, 0, 1, 100, 700 - 20 * i], width: str.length * 6, height: 10 };
+              })
+            });
+          }
+        });
+      }
+    };
+  };
+
+  var search = function (pdf, query) {
+    var matches = null;
+    PdfSearchService.search(pdf, query).then(function (result) {
+      matches = result;
+    });
+    $rootScope.$digest();
+    return matches;
+  };
+
+  beforeEach(function () {
+    var injector = angular.injector(['ng', 'bluelatex.Paper.Services.PdfSearch']);
+    PdfSearchService = injector.get('PdfSearchService');
+    $rootScope = injector.get('$rootScope');
+    $q = injector.get('$q');
+  });
+
+  it('finds the matches in every page ignoring the case and the whitespaces', function () {
+    var pdf = fakePdf([['The Blue', 'LaTeX editor'], ['blue latex', 'again']]);
+    var matches = search(pdf, 'bluelatex');
+    expect(matches.length).toBe(2);
+    expect(matches[0].page).toBe(1);
+    // the match spans two lines of the first page
+    expect(matches[0].rects.length).toBe(2);
+    expect(matches[1].page).toBe(2);
+    expect(search(pdf, ' ')).toEqual([]);
+  });
+
+  it('shows the first match from the current page', function () {
+    var state = PdfSearchService.reset();
+    var matches = search(fakePdf([['one'], ['two'], ['one']]), 'one');
+    expect(PdfSearchService.found('one', matches, 2)).toBe(1);
+    expect(state.searched).toBe('one');
+    expect(state.rects[3][0].match).toBe(1);
+    expect(PdfSearchService.found('one', matches, 4)).toBe(0);
+    expect(PdfSearchService.found('one', [], 1)).toBe(-1);
+  });
+
+  it('goes through the matches in a loop', function () {
+    PdfSearchService.reset();
+    var matches = search(fakePdf([['one one one']]), 'one');
+    PdfSearchService.found('one', matches, 1);
+    expect(PdfSearchService.step(-1)).toBe(1);
+    PdfSearchService.select(PdfSearchService.step(1), null);
+    PdfSearchService.select(PdfSearchService.step(1), null);
+    PdfSearchService.select(PdfSearchService.step(1), null);
+    expect(PdfSearchService.step(1)).toBe(0);
+  });
+
+  it('clears the matches when the search is closed', function () {
+    var state = PdfSearchService.reset();
+    PdfSearchService.toggle();
+    PdfSearchService.found('one', search(fakePdf([['one']]), 'one'), 1);
+    PdfSearchService.toggle();
+    expect(state.visible).toBe(false);
+    expect(state.matches).toEqual([]);
+    expect(state.searched).toBe(null);
+  });
+
+  it('finds the source line typeset at the beginning of a match', function () {
+    var synctex = {
+      offset: { x: 0, y: 0 },
+      hBlocks: [
+        { page: 1, file: { name: 'main.tex' }, line: 3, left: 0, width: 300, bottom: 100, elements: [] },
+        { page: 1, file: { name: 'intro.tex' }, line: 8, left: 0, width: 300, bottom: 130,
+          elements: [{ left: 10, line: 8 }, { left: 50, line: 9 }, { left: 200, line: 10 }] }
+      ]
+    };
+    expect(PdfSearchService.sourceOf(synctex, { page: 1, left: 60, baseline: 128 })).toEqual({ file: 'intro.tex', line: 9 });
+    expect(PdfSearchService.sourceOf(synctex, { page: 2, left: 60, baseline: 128 })).toBe(null);
+    expect(PdfSearchService.sourceOf(null, { page: 1, left: 60, baseline: 128 })).toBe(null);
+  });
+});
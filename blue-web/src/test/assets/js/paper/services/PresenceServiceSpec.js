@@ -0,0 +1,97 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('PresenceService', function () {
+  var PresenceService;
+  var FollowService;
+
+  beforeEach(function () {
+    jasmine.clock().install();
+    jasmine.clock().mockDate(new Date(2014, 6, 1));
+    var injector = angular.injector(['ng', 'bluelatex.Paper.Services.Presence']);
+    PresenceService = injector.get('PresenceService');
+    FollowService = injector.get('FollowService');
+  });
+
+  afterEach(function () {
+    PresenceService.stop();
+    FollowService.stop();
+    jasmine.clock().uninstall();
+  });
+
+  it('sends a heartbeat regularly until stopped', function () {
+    var beats = 0;
+    PresenceService.start(function () {
+      beats++;
+    });
+    jasmine.clock().tick(30000);
+    expect(beats).toBe(1);
+    jasmine.clock().tick(30000);
+    expect(beats).toBe(2);
+    PresenceService.stop();
+    jasmine.clock().tick(30000);
+    expect(beats).toBe(2);
+  });
+
+  it('considers the user idle without activity or when the window is inactive', function () {
+    PresenceService.start(function () {});
+    expect(PresenceService.isIdle(true)).toBe(false);
+    expect(PresenceService.isIdle(false)).toBe(true);
+    jasmine.clock().tick(100000);
+    PresenceService.activity();
+    jasmine.clock().tick(100000);
+    expect(PresenceService.isIdle(true)).toBe(false);
+    jasmine.clock().tick(30000);
+    expect(PresenceService.isIdle(true)).toBe(true);
+  });
+
+  it('considers a peer gone after several missed heartbeats', function () {
+    var peer = { time: new Date() };
+    jasmine.clock().tick(60000);
+    expect(PresenceService.isExpired(peer)).toBe(false);
+    jasmine.clock().tick(30000);
+    expect(PresenceService.isExpired(peer)).toBe(true);
+  });
+
+  describe('updatePresence', function () {
+
+    it('locates a user at the peer that moved last, idle if all the peers are', function () {
+      var users = {
+        alice: { peer: {
+          a: { time: new Date(1), idle: true },
+          b: { time: new Date(2), idle: false }
+        } }
+      };
+      PresenceService.updatePresence(users, 'alice');
+      expect(users.alice.current).toBe(users.alice.peer.b);
+      expect(users.alice.idle).toBe(false);
+
+      users.alice.peer.b.idle = true;
+      PresenceService.updatePresence(users, 'alice');
+      expect(users.alice.idle).toBe(true);
+    });
+
+    it('forgets a user without peer and stops following the user', function () {
+      var users = { alice: { peer: {} } };
+      FollowService.follow('alice');
+      PresenceService.updatePresence(users, 'alice');
+      expect(users.alice).toBeUndefined();
+      expect(FollowService.isFollowing()).toBe(false);
+    });
+
+  });
+
+});
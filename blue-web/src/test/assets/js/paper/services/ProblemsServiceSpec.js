@@ -0,0 +1,104 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('ProblemsService', function () {
+  var ProblemsService;
+  var storage;
+
+  var logs = [
+    { level: 'error', file: './chapters/intro.tex', line: 3, message: 'Undefined control sequence.', raw: '! Undefined control sequence.' },
+    { level: 'warning', file: './main.tex', line: 10, message: 'Citation undefined', raw: 'LaTeX Warning: Citation undefined' },
+    { level: 'typesetting', file: './chapters/intro.tex', line: 5, message: 'Overfull \\hbox', raw: 'Overfull \\hbox' },
+    { level: 'warning', message: 'Label(s) may have changed', raw: 'LaTeX Warning: Label(s) may have changed' }
+  ];
+
+  var noFixes = function () {
+    return [];
+  };
+
+  beforeEach(function () {
+    storage = {};
+    ProblemsService = angular.injector(['ng', 'bluelatex.Paper.Services.Problems', function ($provide) {
+      $provide.value('$localStorage', storage);
+    }]).get('ProblemsService');
+  });
+
+  it('reads the entries of the log relative to the paper directory', function () {
+    var problems = ProblemsService.reset();
+    ProblemsService.read(logs, noFixes);
+    expect(problems.all.length).toBe(4);
+    expect(problems.all[0].file).toBe('chapters/intro.tex');
+    expect(problems.all[3].file).toBe(null);
+    expect(problems.counts).toEqual({ error: 1, warning: 2, typesetting: 1 });
+  });
+
+  it('suggests fixes for every entry', function () {
+    var problems = ProblemsService.reset();
+    ProblemsService.read(logs, function (entry) {
+      return entry.level == 'error' ? [{ type: 'usepackage', package: 'amsmath' }] : [];
+    });
+    expect(problems.all[0].fixes.length).toBe(1);
+    expect(problems.all[1].fixes).toEqual([]);
+  });
+
+  it('groups the entries by file', function () {
+    var problems = ProblemsService.reset();
+    ProblemsService.read(logs, noFixes);
+    expect(problems.groups.map(function (group) {
+      return group.file;
+    })).toEqual([null, 'chapters/intro.tex', 'main.tex']);
+    expect(problems.groups[1].entries.length).toBe(2);
+    ProblemsService.toggleGrouping();
+    expect(problems.groups.length).toBe(1);
+    expect(problems.groups[0].entries.length).toBe(4);
+    expect(storage.problemsGrouped).toBe(false);
+  });
+
+  it('filters the entries by level but counts them all', function () {
+    var problems = ProblemsService.reset();
+    ProblemsService.read(logs, noFixes);
+    ProblemsService.toggleFilter('warning');
+    expect(problems.entries.length).toBe(2);
+    expect(problems.counts.warning).toBe(2);
+    expect(storage.problemsFilters.warning).toBe(false);
+    ProblemsService.toggleFilter('warning');
+    expect(problems.entries.length).toBe(4);
+  });
+
+  it('keeps the preferences of the panel but not its content', function () {
+    var problems = ProblemsService.reset();
+    ProblemsService.read(logs, noFixes);
+    ProblemsService.toggleFilter('typesetting');
+    ProblemsService.toggleDock();
+    problems.visible = true;
+    problems = ProblemsService.reset();
+    expect(problems.dock).toBe('bottom');
+    expect(problems.filters.typesetting).toBe(false);
+    expect(problems.visible).toBe(false);
+    expect(problems.all).toEqual([]);
+  });
+
+  it('shows the context of one entry at a time', function () {
+    var problems = ProblemsService.reset();
+    ProblemsService.read(logs, noFixes);
+    ProblemsService.toggleContext(problems.all[0]);
+    expect(problems.expanded).toBe(0);
+    ProblemsService.toggleContext(problems.all[1]);
+    expect(problems.expanded).toBe(1);
+    ProblemsService.toggleContext(problems.all[1]);
+    expect(problems.expanded).toBe(null);
+  });
+});
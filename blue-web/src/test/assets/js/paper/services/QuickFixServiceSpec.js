@@ -0,0 +1,101 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('QuickFixService', function () {
+  var QuickFixService;
+  var AceService;
+  var errors;
+  var paper = { id: 'paper1', main: 'main.tex', files: ['main.tex', 'intro.tex', 'refs.bib'] };
+
+  var setText = function (file, text) {
+    AceService.getFileSession(paper.id, file).setValue(text);
+  };
+
+  var getText = function (file) {
+    return AceService.getFileSession(paper.id, file).getValue();
+  };
+
+  beforeEach(function () {
+    errors = [];
+    var injector = angular.injector(['ng', 'bluelatex.Paper.Services.QuickFix', function ($provide) {
+      $provide.value('localize', {
+        getLocalizedString: function (key, value) {
+          return key + ' ' + value;
+        }
+      });
+      $provide.value('MessagesService', {
+        error: function (message) {
+          errors.push(message);
+        }
+      });
+    }]);
+    QuickFixService = injector.get('QuickFixService');
+    AceService = injector.get('AceService');
+    setText('main.tex', '\\documentclass{article}\n\\begin{document}\n\\input{intro}\n\\end{document}');
+    setText('intro.tex', 'The value of x^2 is positive.');
+    setText('refs.bib', '');
+  });
+
+  afterEach(function () {
+    AceService.removeFileSessions(paper.id);
+  });
+
+  it('suggests fixes with their label', function () {
+    var fixes = QuickFixService.suggest({
+      message: 'Undefined control sequence.',
+      raw: '! Undefined control sequence.\nl.5 \\includegraphics'
+    }, { '\\includegraphics': 'graphicx' });
+    expect(fixes.length).toBe(1);
+    expect(fixes[0].type).toBe('usepackage');
+    expect(fixes[0].label).toBe('_Quick_fix_Use_package_ graphicx');
+  });
+
+  it('loads a missing package in the main file', function () {
+    var entry = { file: 'intro.tex', line: 1, fixes: [{ type: 'usepackage', package: 'graphicx' }] };
+    var result = QuickFixService.apply(paper, entry, entry.fixes[0]);
+    expect(result).toEqual({ file: 'main.tex', line: 2 });
+    expect(getText('main.tex').split('\n')[1]).toBe('\\usepackage{graphicx}');
+    expect(entry.fixes).toEqual([]);
+  });
+
+  it('does not load a package twice', function () {
+    setText('main.tex', '\\documentclass{article}\n\\usepackage[final]{graphicx}\n\\begin{document}\n\\end{document}');
+    var entry = { fixes: [{ type: 'usepackage', package: 'graphicx' }] };
+    expect(QuickFixService.apply(paper, entry, entry.fixes[0])).toBe(true);
+    expect(getText('main.tex').split('\n').length).toBe(4);
+  });
+
+  it('wraps the text in math mode on the line of the problem', function () {
+    var entry = { file: 'intro.tex', line: 1, fixes: [{ type: 'math', text: 'x^2' }] };
+    var result = QuickFixService.apply(paper, entry, entry.fixes[0]);
+    expect(result).toEqual({ file: 'intro.tex', line: 1 });
+    expect(getText('intro.tex')).toBe('The value of $x^2$ is positive.');
+  });
+
+  it('adds a bibliography entry stub', function () {
+    var entry = { fixes: [{ type: 'bibentry', key: 'knuth84' }] };
+    var result = QuickFixService.apply(paper, entry, entry.fixes[0]);
+    expect(result).toEqual({ file: 'refs.bib', line: 3 });
+    expect(getText('refs.bib')).toContain('@misc{knuth84,');
+  });
+
+  it('reports a fix that cannot be applied', function () {
+    var entry = { fixes: [{ type: 'removepackage', package: 'unknown' }] };
+    expect(QuickFixService.apply(paper, entry, entry.fixes[0])).toBe(false);
+    expect(errors).toEqual(['_Quick_fix_Not_applied_']);
+    expect(entry.fixes.length).toBe(1);
+  });
+});
@@ -0,0 +1,144 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('ScrollSyncService', function () {
+  var ScrollSyncService;
+  var frames;
+
+  // run the pending animation frames at a time
+  var runFrames = function (time) {
+    var pending = frames;
+    frames = [];
+    pending.forEach(function (step) {
+      step(time);
+    });
+  };
+
+  beforeEach(function () {
+    jasmine.clock().install();
+    frames = [];
+    ScrollSyncService = angular.injector(['ng', 'bluelatex.Paper.Services.ScrollSync', function ($provide) {
+      $provide.value('$window', {
+        document: document,
+        requestAnimationFrame: function (step) {
+          frames.push(step);
+          return frames.length;
+        },
+        cancelAnimationFrame: function () {
+          frames = [];
+        }
+      });
+    }]).get('ScrollSyncService');
+  });
+
+  afterEach(function () {
+    ScrollSyncService.stop();
+    jasmine.clock().uninstall();
+  });
+
+  it('synchronizes only when locked, once the scroll settles', function () {
+    var syncs = 0;
+    var sync = function () {
+      syncs++;
+    };
+    ScrollSyncService.scrolled('editor', sync);
+    jasmine.clock().tick(100);
+    expect(syncs).toBe(0);
+
+    ScrollSyncService.start(function () {});
+    ScrollSyncService.scrolled('editor', sync);
+    ScrollSyncService.scrolled('editor', sync);
+    jasmine.clock().tick(99);
+    expect(syncs).toBe(0);
+    jasmine.clock().tick(1);
+    expect(syncs).toBe(1);
+  });
+
+  it('ignores the other side while one side leads', function () {
+    var synced = [];
+    ScrollSyncService.start(function () {});
+    ScrollSyncService.scrolled('editor', function () {
+      synced.push('editor');
+    });
+    jasmine.clock().tick(100);
+    ScrollSyncService.scrolled('preview', function () {
+      synced.push('preview');
+    });
+    jasmine.clock().tick(100);
+    expect(synced).toEqual(['editor']);
+    jasmine.clock().tick(250);
+    ScrollSyncService.scrolled('preview', function () {
+      synced.push('preview');
+    });
+    jasmine.clock().tick(100);
+    expect(synced).toEqual(['editor', 'preview']);
+  });
+
+  it('listens to the scroll of the preview while locked', function () {
+    var scrolls = 0;
+    var listener = function () {
+      scrolls++;
+    };
+    var preview = document.createElement('div');
+    document.body.appendChild(preview);
+    var scroll = function () {
+      var event = document.createEvent('Event');
+      event.initEvent('scroll', false, false);
+      preview.dispatchEvent(event);
+    };
+    ScrollSyncService.start(listener);
+    expect(ScrollSyncService.state.locked).toBe(true);
+    scroll();
+    ScrollSyncService.stop();
+    scroll();
+    expect(scrolls).toBe(1);
+    expect(ScrollSyncService.state.locked).toBe(false);
+    document.body.removeChild(preview);
+  });
+
+  it('scrolls smoothly to the target', function () {
+    var positions = [];
+    ScrollSyncService.animate(0, 100, function (position) {
+      positions.push(position);
+    });
+    runFrames(1000);
+    runFrames(1100);
+    runFrames(1200);
+    expect(positions[0]).toBe(0);
+    expect(positions[1]).toBeGreaterThan(50);
+    expect(positions[2]).toBe(100);
+    expect(frames.length).toBe(0);
+  });
+
+  it('does not scroll for a few pixels', function () {
+    ScrollSyncService.animate(100, 103, function () {});
+    expect(frames.length).toBe(0);
+  });
+
+  it('finds the first line of a file typeset below a height', function () {
+    var main = { name: 'main.tex' };
+    var synctex = { hBlocks: [
+      { page: 1, line: 3, bottom: 100, file: main },
+      { page: 1, line: 7, bottom: 300, file: main },
+      { page: 1, line: 5, bottom: 200, file: main },
+      { page: 1, line: 2, bottom: 150, file: { name: 'intro.tex' } },
+      { page: 2, line: 9, bottom: 120, file: main }
+    ] };
+    expect(ScrollSyncService.sourceLineAt(synctex, 'main.tex', 1, 120)).toBe(5);
+    expect(ScrollSyncService.sourceLineAt(synctex, 'intro.tex', 1, 120)).toBe(2);
+    expect(ScrollSyncService.sourceLineAt(synctex, 'main.tex', 1, 400)).toBe(null);
+  });
+});
@@ -0,0 +1,78 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('SharedFilesService', function () {
+  var SharedFilesService;
+  var $rootScope;
+  var shared;
+  var removedSessions;
+
+  beforeEach(function () {
+    shared = {};
+    removedSessions = [];
+    var injector = angular.injector(['ng', 'bluelatex.Paper.Services.SharedFiles', function ($provide) {
+      $provide.value('MobWriteService', {
+        shared: shared,
+        share: function () {
+          for (var i = 0; i < arguments.length; i++) {
+            shared[arguments[i].file] = arguments[i];
+          }
+          return injector.get('$q').when([]);
+        },
+        unshare: function (file) {
+          delete shared[file.file];
+        }
+      });
+      $provide.value('AceService', {
+        removeFileSession: function (paperId, file) {
+          removedSessions.push(paperId + '/' + file);
+        }
+      });
+    }]);
+    SharedFilesService = injector.get('SharedFilesService');
+    $rootScope = injector.get('$rootScope');
+  });
+
+  it('shares every synchronized file of a paper', function () {
+    var done = false;
+    SharedFilesService.share('paper', [{ title: 'main.tex' }, { title: 'intro.tex' }]).then(function () {
+      done = true;
+    });
+    $rootScope.$digest();
+    expect(done).toBe(true);
+    expect(Object.keys(shared)).toEqual(['main.tex', 'intro.tex']);
+  });
+
+  it('stops sharing the removed files and forgets their sessions', function () {
+    SharedFilesService.share('paper', [{ title: 'main.tex' }, { title: 'intro.tex' }]);
+    SharedFilesService.share('paper', [{ title: 'main.tex' }]);
+    expect(Object.keys(shared)).toEqual(['main.tex']);
+    expect(removedSessions).toEqual(['paper/intro.tex']);
+  });
+
+  it('keeps the shared files when the list is empty', function () {
+    SharedFilesService.share('paper', [{ title: 'main.tex' }]);
+    SharedFilesService.share('paper', []);
+    expect(Object.keys(shared)).toEqual(['main.tex']);
+  });
+
+  it('stops sharing every file', function () {
+    SharedFilesService.share('paper', [{ title: 'main.tex' }, { title: 'intro.tex' }]);
+    SharedFilesService.unshareAll('paper');
+    expect(Object.keys(shared)).toEqual([]);
+  });
+
+});
@@ -0,0 +1,71 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('SyncStatusService', function () {
+  var SyncStatusService;
+  var status;
+
+  beforeEach(function () {
+    status = { state: 'idle', pendingCount: 0, pending: {}, overwrites: [] };
+    SyncStatusService = angular.injector(['ng', 'bluelatex.Paper.Services.SyncStatus', function ($provide) {
+      $provide.value('MobWriteService', {
+        getStatus: function () {
+          return status;
+        }
+      });
+    }]).get('SyncStatusService');
+  });
+
+  describe('getState', function () {
+
+    it('is connected when every change is synchronized', function () {
+      expect(SyncStatusService.getState()).toBe('connected');
+    });
+
+    it('tells whether the pending changes are being sent', function () {
+      status.pendingCount = 2;
+      expect(SyncStatusService.getState()).toBe('pending');
+      status.state = 'syncing';
+      expect(SyncStatusService.getState()).toBe('syncing');
+    });
+
+    it('is offline whatever the pending changes', function () {
+      status.state = 'offline';
+      status.pendingCount = 2;
+      expect(SyncStatusService.getState()).toBe('offline');
+    });
+
+  });
+
+  describe('overwrites', function () {
+
+    it('computes the diff between the server text and the lost local text once', function () {
+      var overwrite = { file: 'main.tex', serverText: 'Hello world', localText: 'Hello you' };
+      var diffs = SyncStatusService.getDiffs(overwrite);
+      expect(diffs).toEqual([[0, 'Hello '], [-1, 'world'], [1, 'you']]);
+      expect(SyncStatusService.getDiffs(overwrite)).toBe(diffs);
+    });
+
+    it('forgets the overwrites of the status', function () {
+      status.overwrites.push({ file: 'main.tex' });
+      SyncStatusService.dismissOverwrites();
+      expect(status.overwrites).toEqual([]);
+      expect(SyncStatusService.status).toBe(status);
+    });
+
+  });
+
+});
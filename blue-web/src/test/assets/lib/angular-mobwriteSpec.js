@@ -0,0 +1,133 @@
+/*
+ * This file is part of the \BlueLaTeX project.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+describe('MobWriteService', function () {
+  var MobWriteService;
+  var $rootScope;
+  // the sync requests sent to the server
+  var requests;
+
+  beforeEach(function () {
+    jasmine.clock().install();
+    requests = [];
+    var injector = angular.injector(['ng', 'MobWrite', function ($provide) {
+      $provide.value('$http', function (config) {
+        var request = { data: config.data };
+        request.success = function (callback) {
+          request.respond = function (value) {
+            callback(value, 200);
+            $rootScope.$digest();
+          };
+          return request;
+        };
+        request.error = function (callback) {
+          request.fail = function (status) {
+            callback(null, status);
+            $rootScope.$digest();
+          };
+          return request;
+        };
+        requests.push(request);
+        return request;
+      });
+    }]);
+    MobWriteService = injector.get('MobWriteService');
+    $rootScope = injector.get('$rootScope');
+    MobWriteService.shareHandlers.push(function (el) {
+      return {
+        file: el.file,
+        paperId: el.paper_id,
+        editStack: [],
+        shadowText: '',
+        getClientText: function () {
+          return '';
+        },
+        syncText: function () {
+          return [{ filename: el.file }];
+        }
+      };
+    });
+  });
+
+  afterEach(function () {
+    for(var file in MobWriteService.shared) {
+      delete MobWriteService.shared[file];
+    }
+    jasmine.clock().uninstall();
+  });
+
+  describe('share', function () {
+
+    it('sends the files shared before the next sync in one batch', function () {
+      var shared = [];
+      MobWriteService.share({paper_id: 'paper', file: 'main.tex'}).then(function () {
+        shared.push('main.tex');
+      });
+      MobWriteService.share({paper_id: 'paper', file: 'intro.tex'}, {paper_id: 'paper', file: 'chapter.tex'}).then(function () {
+        shared.push('intro.tex', 'chapter.tex');
+      });
+      jasmine.clock().tick(10);
+      expect(requests.length).toBe(1);
+      expect(requests[0].data.commands.length).toBe(3);
+      expect(shared).toEqual([]);
+
+      requests[0].respond({ commands: [] });
+      expect(shared).toEqual(['main.tex', 'intro.tex', 'chapter.tex']);
+    });
+
+    it('resolves the shares of already shared files at once', function () {
+      MobWriteService.share({paper_id: 'paper', file: 'main.tex'});
+      jasmine.clock().tick(10);
+      var resolved = false;
+      MobWriteService.share({paper_id: 'paper', file: 'main.tex'}).then(function () {
+        resolved = true;
+      });
+      $rootScope.$digest();
+      expect(resolved).toBe(true);
+      expect(requests.length).toBe(1);
+    });
+
+  });
+
+  describe('status', function () {
+
+    it('follows the state of the synchronization', function () {
+      var status = MobWriteService.getStatus();
+      MobWriteService.share({paper_id: 'paper', file: 'main.tex'});
+      jasmine.clock().tick(10);
+      expect(status.state).toBe('syncing');
+
+      requests[0].respond({ commands: [] });
+      expect(status.state).toBe('connected');
+      expect(status.lastSync).not.toBeNull();
+      expect(status.pendingCount).toBe(0);
+    });
+
+    it('is offline when the server cannot be reached', function () {
+      var resolved = false;
+      MobWriteService.share({paper_id: 'paper', file: 'main.tex'}).then(function () {
+        resolved = true;
+      });
+      jasmine.clock().tick(10);
+      requests[0].fail(0);
+      expect(MobWriteService.getStatus().state).toBe('offline');
+      // the share waits for the next sync
+      expect(resolved).toBe(false);
+    });
+
+  });
+
+});